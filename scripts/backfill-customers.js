@@ -0,0 +1,21 @@
+/**
+ * backfill-customers.js - Link Existing Bookings to Customers
+ *
+ * Sets CustomerId ("CUS_<10-digit mobile>") on every booking saved before the
+ * customer directory existed, so repeat customers are linked the same way as
+ * new bookings. Bookings that already have a CustomerId are left as they are.
+ *
+ * Usage (from the project root, with the bot stopped):
+ *   npm run backfill:customers
+ *
+ * Safe to run more than once.
+ */
+
+import { transaction, flushStores } from "../src/utils/storage.js";
+import { backfillCustomerIds } from "../src/utils/customers.js";
+
+const { linked, skipped } = await transaction("bookings", (data) => backfillCustomerIds(data));
+await flushStores();
+
+console.log(`✅ ${linked} booking(s) linked to customers`);
+if (skipped > 0) console.log(`⚠️ ${skipped} booking(s) skipped - no valid mobile number`);
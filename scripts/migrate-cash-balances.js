@@ -0,0 +1,45 @@
+/**
+ * migrate-cash-balances.js - Convert Deposit Balances to the Cash Ledger
+ *
+ * Deposits saved before the cash ledger carried everything left over as
+ * balance, including cash still open on daily and booking entries. The ledger
+ * counts that cash on the entries themselves, so the balance of those deposits
+ * is split into loose cash (balance.Amount) and openInEntries, the same way
+ * getPreviousBalance() reads them until this has run. The old figure is kept
+ * as legacyBalance.
+ *
+ * Usage (from the project root, with the bot stopped):
+ *   npm run migrate:cash-balances
+ *
+ * Safe to run more than once - converted deposits are skipped.
+ */
+
+import { transaction, queryRecords, flushStores } from "../src/utils/storage.js";
+import { isLegacyDeposit, splitLegacyBalance } from "../src/features/cash/utils/helpers.js";
+
+const depositsByBus = new Map();
+for (const [key, deposit] of await queryRecords("cash")) {
+  if (!deposit.depositedAt || !deposit.busCode) continue;
+  if (!depositsByBus.has(deposit.busCode)) depositsByBus.set(deposit.busCode, []);
+  depositsByBus.get(deposit.busCode).push([key, deposit]);
+}
+
+const splits = {};
+for (const [busCode, entries] of depositsByBus) {
+  const deposits = entries.map(([, deposit]) => deposit);
+  for (const [key, deposit] of entries) {
+    if (isLegacyDeposit(deposit)) splits[key] = await splitLegacyBalance(busCode, deposit, deposits);
+  }
+}
+
+await transaction("cash", (data) => {
+  for (const [key, split] of Object.entries(splits)) {
+    const deposit = data[key];
+    deposit.legacyBalance = Number(deposit.balance?.Amount) || 0;
+    deposit.balance = { ...deposit.balance, Amount: split.balance };
+    deposit.openInEntries = split.openInEntries;
+  }
+});
+await flushStores();
+
+console.log(`✅ ${Object.keys(splits).length} deposit(s) converted to the cash ledger`);
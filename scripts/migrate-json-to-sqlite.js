@@ -0,0 +1,54 @@
+/**
+ * migrate-json-to-sqlite.js - One-shot JSON -> SQLite Migration
+ *
+ * Copies every record from storage/daily_data.json, bookings_data.json and
+ * cash_data.json into the SQLite database used by STORAGE_BACKEND=sqlite.
+ *
+ * Usage (from the project root, with the bot stopped):
+ *   npm run migrate:sqlite            # refuses if SQLite already has records
+ *   npm run migrate:sqlite -- --force # overwrite records with the same key
+ *
+ * The JSON files are only read, never recovered or rewritten, so switching
+ * STORAGE_BACKEND back to json returns to the data as it was before the
+ * migration. If any file is damaged the migration stops before writing
+ * anything; restore the file first (e.g. from its .bak copy).
+ */
+
+import { loadJsonStore } from "../src/utils/storage.js";
+import { SQLiteBackend, getDatabase } from "../src/utils/storage-sqlite.js";
+
+const STORES = ["daily", "bookings", "cash"];
+const force = process.argv.includes("--force");
+
+const existingCount = getDatabase().prepare("SELECT COUNT(*) AS count FROM records").get().count;
+if (existingCount > 0 && !force) {
+  console.error(`❌ SQLite database already has ${existingCount} records. Re-run with --force to overwrite.`);
+  process.exit(1);
+}
+
+// Read every file first, so a damaged one stops the migration before any write
+const storeRecords = {};
+for (const store of STORES) {
+  try {
+    storeRecords[store] = loadJsonStore(store);
+  } catch (err) {
+    console.error(`❌ ${err.message}. Nothing was migrated.`);
+    process.exit(1);
+  }
+}
+
+let total = 0;
+for (const store of STORES) {
+  const records = storeRecords[store];
+  const backend = new SQLiteBackend(store);
+
+  // Merge into whatever SQLite already holds so --force never deletes rows
+  const data = { ...backend.load(), ...records };
+  await backend.save(data);
+
+  const count = Object.keys(records).length;
+  total += count;
+  console.log(`✅ ${store}: ${count} records migrated`);
+}
+
+console.log(`🎉 Migration complete: ${total} records. Set STORAGE_BACKEND=sqlite to use them.`);
@@ -0,0 +1,78 @@
+/**
+ * Admin Module - Main Entry Point
+ *
+ * Lets users with the "admin.manage" permission manage master data from WhatsApp instead of
+ * hand-editing src/data/*.json and restarting the server:
+ * - Users: add, edit, activate/deactivate, assign buses
+ * - Buses: add, edit, activate/deactivate
+ * - Routes: route catalogue per bus, used by daily trip entries
+ * - Employees: add, edit, change daily wages, activate/deactivate
+ * - Backups: list, take a backup now, restore a backup
+ *
+ * Master data writes go through utils/data-files.js (atomic write + cache reload).
+ * If a data file cannot be read, the command stops before saving anything.
+ *
+ * @module features/admin/admin
+ */
+
+import { safeSendMessage } from "./utils/helpers.js";
+import { showAdminHelp } from "./utils/messages.js";
+import { handleUserCommand } from "./handlers/user-handler.js";
+import { handleBusCommand } from "./handlers/bus-handler.js";
+import { handleRouteCommand } from "./handlers/route-handler.js";
+import { handleEmployeeCommand } from "./handlers/employee-handler.js";
+import { handleBackupCommand } from "./handlers/backup-handler.js";
+import { getMenuState } from "../../utils/menu-state.js";
+import { requirePermission } from "../../utils/permissions.js";
+import { tr } from "../../utils/i18n.js";
+
+/**
+ * Main handler for messages in Admin mode.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {Object} msg - Incoming message object from Baileys
+ * @returns {Promise<boolean>} True if the message was handled
+ */
+export async function handleIncomingMessageFromAdmin(sock, msg) {
+  try {
+    if (!msg || !msg.key) {
+      console.warn("⚠️ Received malformed or empty msg:", msg);
+      return false;
+    }
+
+    const sender = msg.key.remoteJid;
+    const messageContent = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
+    if (!messageContent) return false;
+
+    const text = String(messageContent).trim();
+
+    // Re-check on every message - the role may have changed since the menu was opened
+    // (role is kept fresh by bus-selection.js)
+    if (!(await requirePermission(sock, sender, "admin.manage", { command: text }))) return true;
+    const admin = getMenuState(sender).user;
+
+    if (/^(help|h)$/i.test(text)) {
+      await showAdminHelp(sock, sender);
+      return true;
+    }
+
+    if (await handleUserCommand(sock, sender, text, admin)) return true;
+    if (await handleBusCommand(sock, sender, text)) return true;
+    if (await handleRouteCommand(sock, sender, text)) return true;
+    if (await handleEmployeeCommand(sock, sender, text)) return true;
+    if (await handleBackupCommand(sock, sender, text, admin)) return true;
+
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "admin.unknownCommand"),
+    });
+    return true;
+  } catch (err) {
+    console.error("❌ handleIncomingMessageFromAdmin error:", err);
+    // A master data file could not be read - nothing was saved
+    if (err.code === "DATA_READ_FAILED") {
+      await safeSendMessage(sock, msg.key.remoteJid, { text: tr(msg.key.remoteJid, "admin.readFailed") });
+      return true;
+    }
+    return false;
+  }
+}
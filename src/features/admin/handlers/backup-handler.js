@@ -0,0 +1,118 @@
+/**
+ * Backup Handler Module
+ *
+ * Admin commands for the daily, booking and cash data backups (which also
+ * hold the sessions and audit log, but not receipt photos): list snapshots,
+ * take one now and restore one.
+ *
+ * Restoring replaces all records, so it needs a second message with
+ * "Confirm" - a plain "Restore [ID]" only shows what would be restored.
+ *
+ * @module features/admin/handlers/backup-handler
+ */
+
+import { createBackup, listBackups, restoreBackup } from "../../../utils/backups.js";
+import { readSnapshot } from "../../../utils/snapshots.js";
+import { safeSendMessage } from "../utils/helpers.js";
+import { sendBackupList } from "../utils/messages.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles backup commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Admin's WhatsApp JID
+ * @param {string} text - Trimmed message text (original case)
+ * @param {Object} admin - The admin user running the command
+ * @returns {Promise<boolean>} True if the command was handled
+ */
+export async function handleBackupCommand(sock, sender, text, admin) {
+  if (/^backups$/i.test(text)) {
+    await sendBackupList(sock, sender, listBackups());
+    return true;
+  }
+
+  if (/^backup(\s+now)?$/i.test(text)) {
+    await takeBackup(sock, sender);
+    return true;
+  }
+
+  const restoreMatch = text.match(/^restore\s+(\d{8}-\d{6})(\s+confirm)?$/i);
+  if (restoreMatch) {
+    if (restoreMatch[2]) {
+      await runRestore(sock, sender, restoreMatch[1], admin);
+    } else {
+      await previewRestore(sock, sender, restoreMatch[1]);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Formats record counts, e.g. "Daily 120 | Bookings 14 | Cash 30".
+ */
+function formatCounts(sender, counts = {}) {
+  return tr(sender, "admin.backups.counts", {
+    daily: counts.daily ?? 0,
+    bookings: counts.bookings ?? 0,
+    cash: counts.cash ?? 0,
+  });
+}
+
+/**
+ * Takes a backup now.
+ */
+async function takeBackup(sock, sender) {
+  try {
+    const backup = await createBackup("manual");
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "admin.backups.created", { id: backup.id, counts: formatCounts(sender, backup.counts) }),
+    });
+  } catch (err) {
+    console.error("❌ Manual backup failed:", err);
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.backups.failed") });
+  }
+}
+
+/**
+ * Shows what a restore would bring back and how to confirm it.
+ */
+async function previewRestore(sock, sender, id) {
+  const snapshot = readSnapshot(id);
+  if (!snapshot?.stores) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.backups.notFound", { id }) });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.backups.preview", { id, counts: formatCounts(sender, snapshot.counts) }),
+  });
+}
+
+/**
+ * Restores a backup.
+ */
+async function runRestore(sock, sender, id, admin) {
+  try {
+    const result = await restoreBackup(id, { source: "whatsapp", sender, userId: admin?.userId || null });
+    if (!result) {
+      await safeSendMessage(sock, sender, { text: tr(sender, "admin.backups.notFound", { id }) });
+      return;
+    }
+
+    await safeSendMessage(sock, sender, {
+      text:
+        `${tr(sender, "admin.backups.restored", { id, counts: formatCounts(sender, result.counts) })}\n` +
+        (result.restoredFiles.length > 0
+          ? `${tr(sender, "admin.backups.alsoRestored", { files: result.restoredFiles.join(", ") })}\n`
+          : "") +
+        `\n` +
+        tr(sender, "admin.backups.undo", { id: result.undoId }),
+    });
+  } catch (err) {
+    console.error("❌ Restore failed:", err);
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.backups.restoreFailed") });
+  }
+}
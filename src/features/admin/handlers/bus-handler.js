@@ -0,0 +1,151 @@
+/**
+ * Bus Handler Module
+ *
+ * Admin commands for managing the bus inventory in src/data/buses.json:
+ * list, add, edit and activate/deactivate.
+ *
+ * @module features/admin/handlers/bus-handler
+ */
+
+import { readDataList, writeDataList } from "../../../utils/data-files.js";
+import { safeSendMessage } from "../utils/helpers.js";
+import { sendBusList } from "../utils/messages.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles bus management commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Admin's WhatsApp JID
+ * @param {string} text - Trimmed message text (original case)
+ * @returns {Promise<boolean>} True if the command was handled
+ */
+export async function handleBusCommand(sock, sender, text) {
+  if (/^buses$/i.test(text)) {
+    await sendBusList(sock, sender, readDataList("buses"));
+    return true;
+  }
+
+  const addMatch = text.match(/^add\s+bus\s+(\S+)\s+(\S+)(?:\s+(\d+))?$/i);
+  if (addMatch) {
+    await addBus(sock, sender, addMatch[1].toUpperCase(), addMatch[2].toUpperCase(), addMatch[3]);
+    return true;
+  }
+
+  const statusMatch = text.match(/^(deactivate|activate)\s+bus\s+(\S+)$/i);
+  if (statusMatch) {
+    await setBusStatus(sock, sender, statusMatch[2].toUpperCase(), statusMatch[1].toLowerCase() === "activate");
+    return true;
+  }
+
+  const editMatch = text.match(/^edit\s+bus\s+(\S+)\s+(\S+)\s+(.+)$/i);
+  if (editMatch) {
+    await editBus(sock, sender, editMatch[1].toUpperCase(), editMatch[2], editMatch[3].trim());
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Adds a new bus.
+ */
+async function addBus(sock, sender, busCode, registrationNumber, capacity) {
+  const buses = readDataList("buses");
+  if (buses.some((bus) => bus.busCode === busCode)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.exists", { bus: busCode }) });
+    return;
+  }
+
+  const newBus = {
+    busCode,
+    registrationNumber,
+    type: "Mini Bus",
+    capacity: capacity ? Number(capacity) : null,
+    ownerName: "",
+    purchaseYear: null,
+    status: "Active",
+    remarks: "",
+  };
+
+  buses.push(newBus);
+  if (!writeDataList("buses", buses)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.buses.added", { bus: busCode, registration: registrationNumber }),
+  });
+}
+
+/**
+ * Activates or deactivates a bus.
+ * Inactive buses no longer appear in bus selection.
+ */
+async function setBusStatus(sock, sender, busCode, activate) {
+  const buses = readDataList("buses");
+  const bus = buses.find((b) => b.busCode === busCode);
+  if (!bus) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+    return;
+  }
+
+  bus.status = activate ? "Active" : "Inactive";
+  if (!writeDataList("buses", buses)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.nowStatus", { bus: busCode, status: bus.status }) });
+}
+
+/**
+ * Edits one field of a bus.
+ */
+async function editBus(sock, sender, busCode, field, value) {
+  const buses = readDataList("buses");
+  const bus = buses.find((b) => b.busCode === busCode);
+  if (!bus) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+    return;
+  }
+
+  switch (field.toLowerCase()) {
+    case "registration":
+      bus.registrationNumber = value.toUpperCase();
+      break;
+    case "type":
+      bus.type = value;
+      break;
+    case "capacity":
+    case "year": {
+      const num = Number(value);
+      if (!Number.isInteger(num) || num <= 0) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.notNumber", { field }) });
+        return;
+      }
+      if (field.toLowerCase() === "capacity") bus.capacity = num;
+      else bus.purchaseYear = num;
+      break;
+    }
+    case "owner":
+      bus.ownerName = value;
+      break;
+    case "remarks":
+      bus.remarks = value;
+      break;
+    default:
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "admin.buses.unknownField"),
+      });
+      return;
+  }
+
+  if (!writeDataList("buses", buses)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.buses.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, { text: tr(sender, "admin.updated", { id: busCode, field, value }) });
+}
@@ -0,0 +1,229 @@
+/**
+ * Employee Handler Module
+ *
+ * Admin commands for managing bus staff in src/data/employee.json:
+ * list, add, edit, daily wage changes and activate/deactivate.
+ * New wages are picked up by the next daily report draft.
+ *
+ * @module features/admin/handlers/employee-handler
+ */
+
+import { readDataList, writeDataList } from "../../../utils/data-files.js";
+import {
+  safeSendMessage,
+  generateNextId,
+  splitName,
+  formatFullName,
+  normalizePhone,
+  titleCase,
+  todayIso,
+} from "../utils/helpers.js";
+import { sendEmployeeList } from "../utils/messages.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles employee management commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Admin's WhatsApp JID
+ * @param {string} text - Trimmed message text (original case)
+ * @returns {Promise<boolean>} True if the command was handled
+ */
+export async function handleEmployeeCommand(sock, sender, text) {
+  const listMatch = text.match(/^employees(?:\s+(\S+))?$/i);
+  if (listMatch) {
+    const busCode = listMatch[1]?.toUpperCase() || null;
+    const employees = readDataList("employees").filter((emp) => !busCode || emp.busCode === busCode);
+    await sendEmployeeList(sock, sender, employees, busCode);
+    return true;
+  }
+
+  const addMatch = text.match(/^add\s+employee\s+(\S+)\s+([a-z]+)\s+(\d+)\s+(.+)$/i);
+  if (addMatch) {
+    await addEmployee(sock, sender, addMatch[1].toUpperCase(), titleCase(addMatch[2]), Number(addMatch[3]), addMatch[4]);
+    return true;
+  }
+
+  const wageMatch = text.match(/^wage\s+(\S+)\s+(\d+)$/i);
+  if (wageMatch) {
+    await editEmployee(sock, sender, wageMatch[1], "daily", wageMatch[2]);
+    return true;
+  }
+
+  const statusMatch = text.match(/^(deactivate|activate)\s+employee\s+(\S+)$/i);
+  if (statusMatch) {
+    await setEmployeeStatus(sock, sender, statusMatch[2], statusMatch[1].toLowerCase() === "activate");
+    return true;
+  }
+
+  const editMatch = text.match(/^edit\s+employee\s+(\S+)\s+(\S+)\s+(.+)$/i);
+  if (editMatch) {
+    await editEmployee(sock, sender, editMatch[1], editMatch[2], editMatch[3].trim());
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Finds an employee by id (case-insensitive).
+ */
+function findEmployee(employees, id) {
+  return employees.find((emp) => emp.id.toLowerCase() === id.toLowerCase());
+}
+
+/**
+ * Checks that a bus code exists in buses.json.
+ */
+function busExists(busCode) {
+  return readDataList("buses").some((bus) => bus.busCode === busCode);
+}
+
+/**
+ * Adds a new employee to a bus.
+ */
+async function addEmployee(sock, sender, busCode, role, daily, fullName) {
+  if (!busExists(busCode)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+    return;
+  }
+
+  const employees = readDataList("employees");
+  const newEmployee = {
+    id: generateNextId(employees, "id", "EMP"),
+    ...splitName(fullName),
+    phone: "",
+    role,
+    daily,
+    salary: 0,
+    joiningDate: todayIso(),
+    resignDate: null,
+    busCode,
+    address: "",
+    status: "Active",
+    remarks: "",
+  };
+
+  employees.push(newEmployee);
+  if (!writeDataList("employees", employees)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.employees.added", {
+      id: newEmployee.id,
+      name: formatFullName(newEmployee),
+      role,
+      bus: busCode,
+      daily: daily.toLocaleString("en-IN"),
+    }),
+  });
+}
+
+/**
+ * Activates or deactivates an employee.
+ * Inactive employees are no longer added to daily reports.
+ */
+async function setEmployeeStatus(sock, sender, id, activate) {
+  const employees = readDataList("employees");
+  const employee = findEmployee(employees, id);
+  if (!employee) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.notFound", { id }) });
+    return;
+  }
+
+  employee.status = activate ? "Active" : "Inactive";
+  employee.resignDate = activate ? null : todayIso();
+
+  if (!writeDataList("employees", employees)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.nowStatus", { id: employee.id, name: formatFullName(employee), status: employee.status }),
+  });
+}
+
+/**
+ * Edits one field of an employee.
+ * "daily" is used by the Wage command.
+ */
+async function editEmployee(sock, sender, id, field, value) {
+  const employees = readDataList("employees");
+  const employee = findEmployee(employees, id);
+  if (!employee) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.notFound", { id }) });
+    return;
+  }
+
+  let reply = tr(sender, "admin.updated", { id: employee.id, field, value });
+
+  switch (field.toLowerCase()) {
+    case "name":
+      Object.assign(employee, splitName(value));
+      break;
+    case "phone": {
+      const phone = normalizePhone(value);
+      if (!phone) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.invalidPhone") });
+        return;
+      }
+      employee.phone = phone;
+      break;
+    }
+    case "role":
+      employee.role = titleCase(value);
+      break;
+    case "bus": {
+      const busCode = value.toUpperCase();
+      if (!busExists(busCode)) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+        return;
+      }
+      employee.busCode = busCode;
+      break;
+    }
+    case "daily":
+    case "wage":
+    case "salary": {
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < 0) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.invalidAmount") });
+        return;
+      }
+      if (field.toLowerCase() === "salary") {
+        employee.salary = amount;
+      } else {
+        const oldWage = Number(employee.daily || 0);
+        employee.daily = amount;
+        reply = tr(sender, "admin.employees.wage", {
+          id: employee.id,
+          name: formatFullName(employee),
+          from: oldWage.toLocaleString("en-IN"),
+          to: amount.toLocaleString("en-IN"),
+        });
+      }
+      break;
+    }
+    case "address":
+      employee.address = value;
+      break;
+    case "remarks":
+      employee.remarks = value;
+      break;
+    default:
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "admin.employees.unknownField"),
+      });
+      return;
+  }
+
+  if (!writeDataList("employees", employees)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.employees.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, { text: reply });
+}
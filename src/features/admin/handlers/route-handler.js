@@ -0,0 +1,146 @@
+/**
+ * Route Handler Module
+ *
+ * Admin commands for the route catalogue of each bus (the "routes" list in
+ * src/data/buses.json), used by the daily "Trip" entries and the Routes report:
+ * list, add, rename and remove.
+ *
+ * @module features/admin/handlers/route-handler
+ */
+
+import { readDataList, writeDataList } from "../../../utils/data-files.js";
+import { findRoute, nextRouteId, formatRouteList } from "../../../utils/routes.js";
+import { safeSendMessage } from "../utils/helpers.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles route management commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Admin's WhatsApp JID
+ * @param {string} text - Trimmed message text (original case)
+ * @returns {Promise<boolean>} True if the command was handled
+ */
+export async function handleRouteCommand(sock, sender, text) {
+  const listMatch = text.match(/^routes(?:\s+(\S+))?$/i);
+  if (listMatch) {
+    await sendRouteList(sock, sender, listMatch[1]?.toUpperCase());
+    return true;
+  }
+
+  const addMatch = text.match(/^add\s+route\s+(\S+)\s+(.+)$/i);
+  if (addMatch) {
+    await addRoute(sock, sender, addMatch[1].toUpperCase(), addMatch[2].trim());
+    return true;
+  }
+
+  const editMatch = text.match(/^edit\s+route\s+(\S+)\s+(\S+)\s+(.+)$/i);
+  if (editMatch) {
+    await renameRoute(sock, sender, editMatch[1].toUpperCase(), editMatch[2], editMatch[3].trim());
+    return true;
+  }
+
+  const removeMatch = text.match(/^remove\s+route\s+(\S+)\s+(\S+)$/i);
+  if (removeMatch) {
+    await removeRoute(sock, sender, removeMatch[1].toUpperCase(), removeMatch[2]);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Sends the routes of one bus, or of all buses.
+ */
+async function sendRouteList(sock, sender, busCode) {
+  const buses = readDataList("buses").filter((b) => !busCode || b.busCode === busCode);
+  if (buses.length === 0) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+    return;
+  }
+
+  let msg = `${tr(sender, "admin.routes.title")}\n`;
+  for (const bus of buses) {
+    msg += `\n🚌 *${bus.busCode}* - ${bus.registrationNumber}\n`;
+    msg += `${bus.routes?.length ? formatRouteList(bus.routes) : tr(sender, "admin.routes.none")}\n`;
+  }
+  msg += `\n${tr(sender, "admin.routes.addHint", { bus: buses[0].busCode })}`;
+
+  await safeSendMessage(sock, sender, { text: msg });
+}
+
+/**
+ * Finds a bus for a route command, replying if it does not exist.
+ */
+async function findBus(sock, sender, buses, busCode) {
+  const bus = buses.find((b) => b.busCode === busCode);
+  if (!bus) await safeSendMessage(sock, sender, { text: tr(sender, "admin.busNotFound", { bus: busCode }) });
+  return bus;
+}
+
+/**
+ * Saves the bus list after a route change and confirms it.
+ */
+async function saveRoutes(sock, sender, buses, confirmation) {
+  if (!writeDataList("buses", buses)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.routes.saveFailed") });
+    return;
+  }
+  await safeSendMessage(sock, sender, { text: confirmation });
+}
+
+/**
+ * Adds a route to a bus.
+ */
+async function addRoute(sock, sender, busCode, name) {
+  const buses = readDataList("buses");
+  const bus = await findBus(sock, sender, buses, busCode);
+  if (!bus) return;
+
+  const routes = bus.routes || [];
+  if (routes.some((r) => r.name.toLowerCase() === name.toLowerCase())) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.routes.exists", { bus: busCode, route: name }) });
+    return;
+  }
+
+  const route = { id: nextRouteId(routes), name };
+  bus.routes = [...routes, route];
+  await saveRoutes(sock, sender, buses, tr(sender, "admin.routes.added", { bus: busCode, id: route.id, route: name }));
+}
+
+/**
+ * Renames a route. Trips already saved keep the name they were saved with.
+ */
+async function renameRoute(sock, sender, busCode, routeText, name) {
+  const buses = readDataList("buses");
+  const bus = await findBus(sock, sender, buses, busCode);
+  if (!bus) return;
+
+  const route = findRoute(bus.routes || [], routeText);
+  if (!route) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.routes.notFound", { bus: busCode, route: routeText }) });
+    return;
+  }
+
+  const oldName = route.name;
+  route.name = name;
+  await saveRoutes(sock, sender, buses, tr(sender, "admin.routes.renamed", { bus: busCode, id: route.id, oldName, newName: name }));
+}
+
+/**
+ * Removes a route. Trips already saved on it stay in their reports.
+ */
+async function removeRoute(sock, sender, busCode, routeText) {
+  const buses = readDataList("buses");
+  const bus = await findBus(sock, sender, buses, busCode);
+  if (!bus) return;
+
+  const route = findRoute(bus.routes || [], routeText);
+  if (!route) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.routes.notFound", { bus: busCode, route: routeText }) });
+    return;
+  }
+
+  bus.routes = bus.routes.filter((r) => r !== route);
+  await saveRoutes(sock, sender, buses, tr(sender, "admin.routes.removed", { bus: busCode, id: route.id, route: route.name }));
+}
@@ -0,0 +1,260 @@
+/**
+ * User Handler Module
+ *
+ * Admin commands for managing bot users in src/data/users.json:
+ * list, add, edit, activate/deactivate and bus assignment.
+ *
+ * @module features/admin/handlers/user-handler
+ */
+
+import { readDataList, writeDataList } from "../../../utils/data-files.js";
+import {
+  safeSendMessage,
+  generateNextId,
+  splitName,
+  formatFullName,
+  normalizePhone,
+  normalizeUserRole,
+  todayIso,
+} from "../utils/helpers.js";
+import { sendUserList } from "../utils/messages.js";
+import { getRoles } from "../../../utils/permissions.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles user management commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Admin's WhatsApp JID
+ * @param {string} text - Trimmed message text (original case)
+ * @param {Object} admin - The admin user running the command
+ * @returns {Promise<boolean>} True if the command was handled
+ */
+export async function handleUserCommand(sock, sender, text, admin) {
+  if (/^users$/i.test(text)) {
+    await sendUserList(sock, sender, readDataList("users"));
+    return true;
+  }
+
+  const addMatch = text.match(/^add\s+(user|admin)\s+(\+?[\d\s-]{10,})\s+([a-z].*)$/i);
+  if (addMatch) {
+    await addUser(sock, sender, addMatch[1].toLowerCase() === "admin" ? "Admin" : "MIS Assistant", addMatch[2], addMatch[3]);
+    return true;
+  }
+
+  const statusMatch = text.match(/^(deactivate|activate)\s+user\s+(\S+)$/i);
+  if (statusMatch) {
+    await setUserStatus(sock, sender, statusMatch[2], statusMatch[1].toLowerCase() === "activate", admin);
+    return true;
+  }
+
+  const editMatch = text.match(/^edit\s+user\s+(\S+)\s+(\S+)\s+(.+)$/i);
+  if (editMatch) {
+    await editUser(sock, sender, editMatch[1], editMatch[2], editMatch[3].trim(), admin);
+    return true;
+  }
+
+  const assignMatch = text.match(/^(assign|unassign)\s+(usr\d+)\s+(.+)$/i);
+  if (assignMatch) {
+    const busCodes = assignMatch[3].toUpperCase().split(/[\s,]+/).filter(Boolean);
+    await updateAssignedBuses(sock, sender, assignMatch[2], busCodes, assignMatch[1].toLowerCase() === "assign");
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Finds a user by userId (case-insensitive).
+ */
+function findUser(users, userId) {
+  return users.find((u) => u.userId.toLowerCase() === userId.toLowerCase());
+}
+
+/**
+ * Adds a new user.
+ */
+async function addUser(sock, sender, role, phoneInput, fullName) {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.invalidPhone") });
+    return;
+  }
+
+  const users = readDataList("users");
+  const existing = users.find((u) => u.phone === phone);
+  if (existing) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "admin.users.phoneTaken", { phone, id: existing.userId, name: formatFullName(existing) }),
+    });
+    return;
+  }
+
+  const newUser = {
+    userId: generateNextId(users, "userId", "USR"),
+    ...splitName(fullName),
+    phone,
+    internalId: "",
+    role,
+    joiningDate: todayIso(),
+    resignDate: null,
+    status: "Active",
+    remarks: "",
+    assignedBuses: [],
+  };
+
+  users.push(newUser);
+  if (!writeDataList("users", users)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.saveFailed") });
+    return;
+  }
+
+  let reply = tr(sender, "admin.users.added", { id: newUser.userId, name: formatFullName(newUser), phone, role });
+  if (role !== "Admin") {
+    reply += `\n\n${tr(sender, "admin.users.assignHint", { id: newUser.userId })}`;
+  }
+  await safeSendMessage(sock, sender, { text: reply });
+}
+
+/**
+ * Activates or deactivates a user.
+ * Admins cannot deactivate themselves or the last active Admin.
+ */
+async function setUserStatus(sock, sender, userId, activate, admin) {
+  const users = readDataList("users");
+  const user = findUser(users, userId);
+  if (!user) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.notFound", { id: userId }) });
+    return;
+  }
+
+  if (!activate) {
+    if (user.userId === admin.userId) {
+      await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.cannotDeactivateSelf") });
+      return;
+    }
+    const activeAdmins = users.filter((u) => u.role === "Admin" && u.status === "Active");
+    if (user.role === "Admin" && activeAdmins.length <= 1) {
+      await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.lastAdmin") });
+      return;
+    }
+  }
+
+  user.status = activate ? "Active" : "Inactive";
+  user.resignDate = activate ? null : todayIso();
+
+  if (!writeDataList("users", users)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.nowStatus", { id: user.userId, name: formatFullName(user), status: user.status }),
+  });
+}
+
+/**
+ * Edits one field of a user.
+ */
+async function editUser(sock, sender, userId, field, value, admin) {
+  const users = readDataList("users");
+  const user = findUser(users, userId);
+  if (!user) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.notFound", { id: userId }) });
+    return;
+  }
+
+  switch (field.toLowerCase()) {
+    case "name":
+      Object.assign(user, splitName(value));
+      break;
+    case "phone": {
+      const phone = normalizePhone(value);
+      if (!phone) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.invalidPhone") });
+        return;
+      }
+      const other = users.find((u) => u.phone === phone && u !== user);
+      if (other) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.phoneTaken", { phone, id: other.userId, name: formatFullName(other) }) });
+        return;
+      }
+      user.phone = phone;
+      break;
+    }
+    case "role": {
+      const role = normalizeUserRole(value);
+      if (!role) {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.invalidRole", { roles: getRoles().join(" / ") }) });
+        return;
+      }
+      if (user.userId === admin.userId && role !== "Admin") {
+        await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.cannotRemoveOwnAdmin") });
+        return;
+      }
+      user.role = role;
+      break;
+    }
+    case "internalid":
+      user.internalId = value.replace(/\D/g, "");
+      break;
+    case "remarks":
+      user.remarks = value;
+      break;
+    default:
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "admin.users.unknownField"),
+      });
+      return;
+  }
+
+  if (!writeDataList("users", users)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.saveFailed") });
+    return;
+  }
+
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "admin.updated", { id: user.userId, field, value }),
+  });
+}
+
+/**
+ * Adds or removes buses from a user's assignedBuses list.
+ */
+async function updateAssignedBuses(sock, sender, userId, busCodes, assign) {
+  const users = readDataList("users");
+  const user = findUser(users, userId);
+  if (!user) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.notFound", { id: userId }) });
+    return;
+  }
+
+  const knownBuses = readDataList("buses").map((bus) => bus.busCode);
+  const unknown = busCodes.filter((code) => !knownBuses.includes(code));
+  if (unknown.length > 0) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.unknownBuses", { buses: unknown.join(", ") }) });
+    return;
+  }
+
+  const current = new Set(user.assignedBuses || []);
+  for (const code of busCodes) {
+    if (assign) current.add(code);
+    else current.delete(code);
+  }
+  user.assignedBuses = [...current];
+
+  if (!writeDataList("users", users)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "admin.users.saveFailed") });
+    return;
+  }
+
+  let reply = tr(sender, "admin.users.buses", {
+    id: user.userId,
+    name: formatFullName(user),
+    buses: user.assignedBuses.join(", ") || tr(sender, "admin.users.noBuses"),
+  });
+  if (user.role === "Admin") {
+    reply += `\n\n${tr(sender, "admin.users.adminAllBuses")}`;
+  }
+  await safeSendMessage(sock, sender, { text: reply });
+}
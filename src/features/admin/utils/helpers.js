@@ -0,0 +1,128 @@
+/**
+ * Admin Helpers Module
+ *
+ * Small utility functions shared by the admin command handlers:
+ * safe messaging, ID generation and name/field normalisation.
+ *
+ * @module features/admin/utils/helpers
+ */
+
+import { format } from "date-fns";
+import { getRoles } from "../../../utils/permissions.js";
+
+/**
+ * Safely sends a WhatsApp message with error handling.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} recipient - Recipient's WhatsApp JID
+ * @param {Object} message - Message object to send (e.g., { text: "Hello" })
+ * @returns {Promise<boolean>} True if message was sent successfully, false on error
+ */
+export async function safeSendMessage(sock, recipient, message) {
+  try {
+    if (!sock || !recipient) {
+      console.warn("⚠️ safeSendMessage: Missing sock or recipient");
+      return false;
+    }
+    await sock.sendMessage(recipient, message);
+    return true;
+  } catch (err) {
+    console.error("❌ Failed to send message:", err);
+    return false;
+  }
+}
+
+/**
+ * Generates the next sequential ID for a list of records.
+ *
+ * @param {Array} records - Existing records
+ * @param {string} idKey - Field holding the ID (e.g., "userId", "id")
+ * @param {string} prefix - ID prefix (e.g., "USR", "EMP")
+ * @returns {string} Next ID, e.g. "USR003"
+ *
+ * @example
+ * generateNextId(users, "userId", "USR"); // "USR003" when USR001..USR002 exist
+ */
+export function generateNextId(records, idKey, prefix) {
+  const maxNumber = records.reduce((max, record) => {
+    const match = String(record[idKey] || "").match(new RegExp(`^${prefix}(\\d+)$`));
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `${prefix}${String(maxNumber + 1).padStart(3, "0")}`;
+}
+
+/**
+ * Splits a full name into first, middle and last name fields.
+ *
+ * @param {string} fullName - Full name typed by the admin
+ * @returns {{firstName: string, middleName: string, lastName: string}}
+ *
+ * @example
+ * splitName("Ram Prasad Sharma"); // { firstName: "Ram", middleName: "Prasad", lastName: "Sharma" }
+ */
+export function splitName(fullName) {
+  const parts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) {
+    return { firstName: parts[0] || "", middleName: "", lastName: "" };
+  }
+  return {
+    firstName: parts[0],
+    middleName: parts.slice(1, -1).join(" "),
+    lastName: parts[parts.length - 1],
+  };
+}
+
+/**
+ * Builds a display name from first, middle and last name fields.
+ *
+ * @param {Object} person - User or employee record
+ * @returns {string} Full name
+ */
+export function formatFullName(person) {
+  return [person.firstName, person.middleName, person.lastName].filter(Boolean).join(" ");
+}
+
+/**
+ * Cleans a phone number down to its last 10 digits.
+ *
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} 10-digit phone number, or null if invalid
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length < 10) return null;
+  return digits.slice(-10);
+}
+
+/**
+ * Maps a typed role to a role name defined in src/data/permissions.json.
+ *
+ * @param {string} role - Role as typed (e.g., "admin", "mis", "accountant")
+ * @returns {string|null} Matching role name, or null if unknown
+ */
+export function normalizeUserRole(role) {
+  const lower = String(role || "").trim().toLowerCase();
+  if (lower === "mis" || lower === "assistant") return "MIS Assistant";
+  return getRoles().find((name) => name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Capitalizes the first letter of each word (e.g., "driver" -> "Driver").
+ *
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+export function titleCase(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Today's date in the YYYY-MM-DD format used by the data files.
+ *
+ * @returns {string} e.g. "2025-12-17"
+ */
+export function todayIso() {
+  return format(new Date(), "yyyy-MM-dd");
+}
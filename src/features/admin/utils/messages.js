@@ -0,0 +1,134 @@
+/**
+ * Admin Messages Module
+ *
+ * Help text and list views for the admin commands.
+ *
+ * @module features/admin/utils/messages
+ */
+
+import { format } from "date-fns";
+import { safeSendMessage, formatFullName } from "./helpers.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Shows all admin commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} jid - Recipient's WhatsApp JID
+ */
+export async function showAdminHelp(sock, jid) {
+  await safeSendMessage(sock, jid, { text: tr(jid, "admin.help") });
+}
+
+/**
+ * Sends the list of users.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} jid - Recipient's WhatsApp JID
+ * @param {Array} users - Users from users.json
+ */
+export async function sendUserList(sock, jid, users) {
+  const lang = getUserLanguage(jid);
+  if (users.length === 0) {
+    await safeSendMessage(sock, jid, { text: t(lang, "admin.users.empty") });
+    return;
+  }
+
+  let msg = `${t(lang, "admin.users.title", { count: users.length })}\n\n`;
+  for (const user of users) {
+    const statusEmoji = user.status === "Active" ? "✅" : "⛔";
+    const buses = user.role === "Admin"
+      ? t(lang, "admin.users.allBuses")
+      : (user.assignedBuses || []).join(", ") || t(lang, "admin.users.noBuses");
+    msg += `${statusEmoji} *${user.userId}* - ${formatFullName(user)}\n`;
+    msg += `   📱 ${user.phone} | ${user.role}\n`;
+    msg += `   🚌 ${buses}\n`;
+  }
+
+  await safeSendMessage(sock, jid, { text: msg.trim() });
+}
+
+/**
+ * Sends the list of buses.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} jid - Recipient's WhatsApp JID
+ * @param {Array} buses - Buses from buses.json
+ */
+export async function sendBusList(sock, jid, buses) {
+  const lang = getUserLanguage(jid);
+  if (buses.length === 0) {
+    await safeSendMessage(sock, jid, { text: t(lang, "admin.buses.empty") });
+    return;
+  }
+
+  let msg = `${t(lang, "admin.buses.title", { count: buses.length })}\n\n`;
+  for (const bus of buses) {
+    const statusEmoji = bus.status === "Active" ? "✅" : "⛔";
+    msg += `${statusEmoji} *${bus.busCode}* - ${bus.registrationNumber}\n`;
+    msg += `${t(lang, "admin.buses.details", { type: bus.type || "Bus", capacity: bus.capacity || "-" })}\n`;
+  }
+
+  await safeSendMessage(sock, jid, { text: msg.trim() });
+}
+
+/**
+ * Sends the list of employees.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} jid - Recipient's WhatsApp JID
+ * @param {Array} employees - Employees from employee.json
+ * @param {string|null} busCode - Bus filter used, if any
+ */
+export async function sendEmployeeList(sock, jid, employees, busCode = null) {
+  const lang = getUserLanguage(jid);
+  if (employees.length === 0) {
+    await safeSendMessage(sock, jid, {
+      text: busCode ? t(lang, "admin.employees.emptyBus", { bus: busCode }) : t(lang, "admin.employees.empty"),
+    });
+    return;
+  }
+
+  let msg = busCode
+    ? t(lang, "admin.employees.titleBus", { bus: busCode, count: employees.length })
+    : t(lang, "admin.employees.title", { count: employees.length });
+  msg += `\n\n`;
+  for (const emp of employees) {
+    const statusEmoji = emp.status === "Active" ? "✅" : "⛔";
+    msg += `${statusEmoji} *${emp.id}* - ${formatFullName(emp) || emp.role}\n`;
+    msg += `${t(lang, "admin.employees.details", {
+      role: emp.role,
+      bus: emp.busCode,
+      daily: Number(emp.daily || 0).toLocaleString("en-IN"),
+    })}\n`;
+  }
+
+  await safeSendMessage(sock, jid, { text: msg.trim() });
+}
+
+/**
+ * Sends the list of backups.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} jid - Recipient's WhatsApp JID
+ * @param {Array} backups - Backups from listBackups(), newest first
+ */
+export async function sendBackupList(sock, jid, backups) {
+  const lang = getUserLanguage(jid);
+  if (backups.length === 0) {
+    await safeSendMessage(sock, jid, { text: t(lang, "admin.backups.empty") });
+    return;
+  }
+
+  const shown = backups.slice(0, 15);
+  let msg = `${t(lang, "admin.backups.title", { count: backups.length })}\n\n`;
+  for (const backup of shown) {
+    const when = format(new Date(backup.createdAt), "dd/MM/yyyy HH:mm");
+    msg += `• *${backup.id}* - ${when} (${(backup.size / 1024).toFixed(1)} KB)\n`;
+  }
+  if (backups.length > shown.length) {
+    msg += `\n${t(lang, "admin.backups.showing", { count: shown.length })}`;
+  }
+
+  await safeSendMessage(sock, jid, { text: msg.trim() });
+}
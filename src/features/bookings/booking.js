@@ -9,6 +9,8 @@
  * - Create new bookings with customer details
  * - Check booking status (pending, confirmed, completed, cancelled)
  * - Update booking status
+ * - Booking calendar: booked and free days of each bus for a month
+ * - Customer directory: repeat customers and their booking history
  * - Display help information for booking commands
  * 
  * Features Under Development:
@@ -19,12 +21,18 @@
  */
 
 import { safeSendMessage } from "./utils/helpers.js";
-import { handleClearCommand, handleBookingCommand } from "./handlers/command-handler.js";
+import { handleClearCommand, handleBookingCommand, handleHistoryCommand } from "./handlers/command-handler.js";
 import { handleFieldExtraction } from "./handlers/field-handler.js";
 import { handleFetchConfirmation } from "./handlers/fetch-handler.js";
+import { handleCalendarCommand } from "./handlers/calendar-handler.js";
+import { handleCustomerCommand } from "./handlers/customer-handler.js";
 import { handleSubmit } from "./handlers/submit-handler.js";
 import { sendSummary, getCompletionMessage } from "./utils/messages.js";
 import { getMenuState } from "../../utils/menu-state.js";
+import { splitEntryLines, processEntryLines, formatBulkReport, sendCommandReplies, sendStoppedBulkReplies } from "../../utils/bulk-entry.js";
+import { getImageMessage, downloadImage } from "../../utils/receipts.js";
+import { isDieselSlipCaption, askDieselSlipAmount, handleDieselSlipConfirmation } from "../../utils/diesel-slip.js";
+import { tr, getUserLanguage } from "../../utils/i18n.js";
 
 /**
  * Main handler for incoming WhatsApp messages related to booking functionality.
@@ -68,10 +76,11 @@ export async function handleIncomingMessageFromBooking(sock, msg, skipPrefixStri
       return;
     }
 
-    // Extract message text content
+    // Extract message text content (or the caption of a diesel slip photo)
+    const imageMessage = getImageMessage(msg);
     const messageContent =
-      msg.message?.conversation || msg.message?.extendedTextMessage?.text;
-    if (!messageContent) return;
+      msg.message?.conversation || msg.message?.extendedTextMessage?.text || imageMessage?.caption || "";
+    if (!messageContent && !imageMessage) return;
     
     // Ignore messages sent by the bot itself
     if (msg.key.fromMe) return;
@@ -94,178 +103,220 @@ export async function handleIncomingMessageFromBooking(sock, msg, skipPrefixStri
     const menuState = getMenuState(sender);
     const selectedBus = menuState.selectedBus;
 
+    // Diesel slip photo - read the total for the booking being updated
+    if (imageMessage) {
+      await handleBookingImage(sock, msg, sender, normalizedText);
+      return;
+    }
+
     // Handle help command - show available booking commands
     if (text === 'help' || text === '') {
-      if (skipPrefixStripping) {
-        // Menu mode help - no prefix needed
-        const busLabel = selectedBus ? `🚌 Bus: *${selectedBus}*\n\n` : '';
-        await safeSendMessage(sock, sender, {
-          text: `🚌 *BOOKING COMMANDS*\n${busLabel}` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `📝 *New Booking:*\n` +
-                `Name Rajesh Kumar\n` +
-                `Mobile 9876543210\n` +
-                `Pickup Doda\n` +
-                `Drop Jammu\n` +
-                `Date 20/07/2026\n` +
-                `Date 20/07/2026 to 22/07/2026\n` +
-                `Fare 25000\n` +
-                `Advance 10000\n` +
-                `Advance 10000 online\n` +
-                `Advance 0\n` +
-                `Remarks Marriage function\n` +
-                `Yes / No\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `✏️ *Update (after trip):*\n` +
-                `Received 5000\n` +
-                `Received 5000 online\n` +
-                `Diesel 2600\n` +
-                `Adda 200\n` +
-                `Union 100\n` +
-                `Expense Tyre 500\n` +
-                `Driver 500\n` +
-                `Conductor 300\n` +
-                `Trip Driver 1500\n` +
-                `Trip Conductor 800\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `🔍 *View Bookings:*\n` +
-                `today / yesterday\n` +
-                `this week / this month\n` +
-                `20/07/2026\n` +
-                `jul / jul 2026 / 2026\n\n` +
-                `📊 *Filter by Status:*\n` +
-                `this month pending\n` +
-                `jul 2026 completed\n` +
-                `2026 pending\n\n` +
-                `💸 *Balance Filter:*\n` +
-                `bal / balance\n` +
-                `bal may / bal jul 2026\n` +
-                `bal 2026 / bal this month\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `⚙️ clear — reset session`
-        });
-      } else {
-        // Normal mode help - with "booking" prefix
-        await safeSendMessage(sock, sender, {
-          text: `🚌 *BOOKING FEATURE COMMANDS*\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `📝 *New Booking:*\n` +
-                `booking Name Rajesh Kumar\n` +
-                `booking Mobile 9876543210\n` +
-                `booking Pickup Doda\n` +
-                `booking Drop Jammu\n` +
-                `booking Date 20/07/2026\n` +
-                `booking Date 20/07/2026 to 22/07/2026\n` +
-                `booking Fare 25000\n` +
-                `booking Advance 10000\n` +
-                `booking Advance 10000 online\n` +
-                `booking Remarks Marriage function\n` +
-                `booking Yes / booking No\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `✏️ *Update (after trip):*\n` +
-                `booking Received 5000\n` +
-                `booking Diesel 2600\n` +
-                `booking Adda 200\n` +
-                `booking Expense Tyre 500\n` +
-                `booking Driver 500\n` +
-                `booking Trip Driver 1500\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `🔍 *View Bookings:*\n` +
-                `booking today / booking yesterday\n` +
-                `booking this week / booking this month\n` +
-                `booking 20/07/2026\n` +
-                `booking jul / booking jul 2026 / booking 2026\n\n` +
-                `📊 *Filter by Status:*\n` +
-                `booking this month pending\n` +
-                `booking jul 2026 completed\n` +
-                `booking 2026 pending\n\n` +
-                `💸 *Balance Filter:*\n` +
-                `booking bal\n` +
-                `booking bal may / booking bal jul 2026\n` +
-                `booking bal 2026 / booking bal this month\n\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `⚙️ booking clear — reset session`
-        });
-      }
+      // Menu mode needs no "booking" prefix, so it gets its own help
+      const helpText = skipPrefixStripping
+        ? `${tr(sender, "booking.help.menuTitle")}\n` +
+          (selectedBus ? `${tr(sender, "booking.help.bus", { bus: selectedBus })}\n\n` : "") +
+          tr(sender, "booking.help.menu")
+        : tr(sender, "booking.help.prefix");
+      await safeSendMessage(sock, sender, { text: helpText });
       return;
     }
 
-    // Try to handle clear command to reset booking session
-    const handledClear = await handleClearCommand(sock, sender, text);
-    if (handledClear) return;
-
     // Check if user is in booking reports mode (feature under development)
     if (menuState.mode === 'booking' && menuState.submode === 'reports') {
       await safeSendMessage(sock, sender, {
-        text: "📊 *Booking Reports*\n\n⚠️ This feature is currently under development.\n\nPlease use the following options for now:\n• Reply *Exit* to go back to Booking Menu\n• Reply *Entry* to go to Main Menu"
+        text: tr(sender, "booking.reportsUnderDevelopment"),
       });
       return;
     }
 
-    // Initialize global booking data storage if not exists
-    if (!global.bookingData) global.bookingData = {};
-    
-    // Get bus info from selected bus
-    const busInfo = menuState.selectedBusInfo;
-    
-    // Initialize user's booking session with default values if not exists
-    if (!global.bookingData[sender]) {
-      global.bookingData[sender] = {
-        BookingDate: new Date().toISOString().split('T')[0],
-        CustomerName: null,
-        CustomerPhone: null,
-        PickupLocation: null,
-        DropLocation: null,
-        TravelDateFrom: null,
-        TravelDateTo: null,
-        BusCode: selectedBus || null,
-        RegistrationNumber: busInfo?.registrationNumber || null,
-        BusType: busInfo?.type || null,
-        Capacity: busInfo?.capacity || null,
-        TotalFare: null,
-        AdvancePaid: null,
-        BalanceAmount: null,
-        Status: "Pending",
-        Remarks: null,
-        waitingForSubmit: false,
-      };
-
-      // Show welcome message only in normal mode (not menu mode)
-      if (!skipPrefixStripping) {
-        await safeSendMessage(sock, sender, {
-          text: "👋 Welcome to Booking System!\n\n📝 Start your message with *booking*\n\nExample:\nbooking Name Rajesh Kumar\nbooking Mobile 9876543210\nbooking Pickup Doda\nbooking Drop Jammu\nbooking Date 20/12/2025\nbooking Bus BUS101\nbooking Fare 25000\nbooking Advance 10000\n\nType *booking help* for all commands.",
-        });
-      }
+    // A message with several lines (e.g. a pasted booking) is processed line by line
+    const lines = splitEntryLines(normalizedText);
+    if (lines.length > 1) {
+      await handleBulkBookingEntry(sock, sender, lines, menuState, skipPrefixStripping);
+      return;
     }
 
-    const user = global.bookingData[sender];
+    await processBookingLine(sock, sender, normalizedText, menuState, skipPrefixStripping);
+  } catch (err) {
+    console.error("❌ Error in handleIncomingMessageFromBooking:", err);
+  }
+}
+
+/**
+ * Runs one line of input through the booking handler chain.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {string} normalizedText - Trimmed input with any "booking" prefix removed
+ * @param {Object} menuState - Sender's menu state (selected bus)
+ * @param {boolean} skipPrefixStripping - True in menu mode (no welcome message)
+ * @returns {Promise<boolean>} True if a handler understood the line
+ */
+async function processBookingLine(sock, sender, normalizedText, menuState, skipPrefixStripping) {
+  const text = normalizedText.toLowerCase();
+  const selectedBus = menuState.selectedBus;
+
+  // Try to handle clear command to reset booking session
+  const handledClear = await handleClearCommand(sock, sender, text);
+  if (handledClear) return true;
+
+  // Show change history for bookings on a date
+  const handledHistory = await handleHistoryCommand(sock, sender, text);
+  if (handledHistory) return true;
+
+  // Show booked and free days of the user's buses for a month
+  const handledCalendar = await handleCalendarCommand(sock, sender, text);
+  if (handledCalendar) return true;
 
-    // Handle fetch confirmation if user is in confirmingFetch state
-    if (user.confirmingFetch) {
-      const handledFetch = await handleFetchConfirmation(sock, sender, text, user);
-      if (handledFetch) return;
+  // Show a customer's booking history, or the top customers
+  const handledCustomer = await handleCustomerCommand(sock, sender, text);
+  if (handledCustomer) return true;
+
+  // Initialize global booking data storage if not exists
+  if (!global.bookingData) global.bookingData = {};
+  
+  // Get bus info from selected bus
+  const busInfo = menuState.selectedBusInfo;
+  
+  // Initialize user's booking session with default values if not exists
+  if (!global.bookingData[sender]) {
+    global.bookingData[sender] = {
+      BookingDate: new Date().toISOString().split('T')[0],
+      CustomerName: null,
+      CustomerPhone: null,
+      PickupLocation: null,
+      DropLocation: null,
+      TravelDateFrom: null,
+      TravelDateTo: null,
+      BusCode: selectedBus || null,
+      RegistrationNumber: busInfo?.registrationNumber || null,
+      BusType: busInfo?.type || null,
+      Capacity: busInfo?.capacity || null,
+      TotalFare: null,
+      AdvancePaid: null,
+      BalanceAmount: null,
+      Status: "Pending",
+      Remarks: null,
+      waitingForSubmit: false,
+    };
+
+    // Show welcome message only in normal mode (not menu mode)
+    if (!skipPrefixStripping) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "booking.welcome"),
+      });
     }
+  }
 
-    // Try to handle booking lookup commands (by ID or date)
-    const handledBookingCmd = await handleBookingCommand(sock, sender, normalizedText, user);
-    if (handledBookingCmd) return;
+  const user = global.bookingData[sender];
 
-    // Extract booking fields from the message
-    const fieldResult = await handleFieldExtraction(sock, sender, normalizedText, user);
-    if (fieldResult.handled) return;
+  // Handle "yes/no/amount" response for a diesel slip read from a photo
+  const handledDieselSlip = await handleDieselSlipConfirmation(
+    sock,
+    sender,
+    text,
+    user,
+    (line) => processBookingLine(sock, sender, line, menuState, skipPrefixStripping),
+    safeSendMessage
+  );
+  if (handledDieselSlip) return true;
 
-    // Try to handle submit command
-    const handledSubmit = await handleSubmit(sock, sender, text, user);
-    if (handledSubmit) return;
+  // Handle fetch confirmation if user is in confirmingFetch state
+  if (user.confirmingFetch) {
+    const handledFetch = await handleFetchConfirmation(sock, sender, text, user);
+    if (handledFetch) return true;
+  }
+
+  // Try to handle booking lookup commands (by ID or date)
+  const handledBookingCmd = await handleBookingCommand(sock, sender, normalizedText, user);
+  if (handledBookingCmd) return true;
 
-    // If no fields were found in the message, don't show summary
-    if (!fieldResult.anyFieldFound) return;
+  // Extract booking fields from the message
+  const fieldResult = await handleFieldExtraction(sock, sender, normalizedText, user);
+  if (fieldResult.handled) return true;
 
-    // Show current booking summary with completion status
-    const completenessMsg = getCompletionMessage(user);
-    await sendSummary(sock, sender, completenessMsg, user);
+  // Try to handle submit command
+  const handledSubmit = await handleSubmit(sock, sender, text, user);
+  if (handledSubmit) return true;
 
+  // If no fields were found in the message, don't show summary
+  if (!fieldResult.anyFieldFound) return false;
+
+  // Show current booking summary with completion status
+  const completenessMsg = getCompletionMessage(user, sender);
+  await sendSummary(sock, sender, completenessMsg, user);
+  return true;
+}
+
+/**
+ * Handles a photo sent in booking mode.
+ * Diesel is a post-trip expense, so a slip is only read while an existing
+ * booking is open for update; the total is then offered for confirmation.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {Object} msg - Incoming message with an image
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {string} caption - Caption with any "booking" prefix removed
+ */
+async function handleBookingImage(sock, msg, sender, caption) {
+  if (!isDieselSlipCaption(caption)) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.photoNotSlip"),
+    });
+    return;
+  }
+
+  const user = global.bookingData?.[sender];
+  if (!user?.editingExisting) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.slipNeedsBooking"),
+    });
+    return;
+  }
+
+  try {
+    const buffer = await downloadImage(sock, msg);
+    await askDieselSlipAmount(sock, sender, buffer, user, safeSendMessage);
   } catch (err) {
-    console.error("❌ Error in handleIncomingMessageFromBooking:", err);
+    console.error("❌ Error downloading diesel slip for", sender, ":", err);
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "common.photoDownloadFailed"),
+    });
+  }
+}
+
+/**
+ * Processes a multi-line message line by line and replies with one summary
+ * that lists the lines that could not be understood.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {Array<string>} lines - Lines of the message
+ * @param {Object} menuState - Sender's menu state (selected bus)
+ * @param {boolean} skipPrefixStripping - True in menu mode
+ */
+async function handleBulkBookingEntry(sock, sender, lines, menuState, skipPrefixStripping) {
+  const result = await processEntryLines(sock, lines, {
+    processLine: (lineSock, line) => processBookingLine(lineSock, sender, line, menuState, skipPrefixStripping),
+    getSessionState: () => {
+      const user = global.bookingData?.[sender];
+      return { active: Boolean(user), waiting: Boolean(user?.confirmingFetch), draft: user };
+    },
+  });
+
+  if (result.stopped) {
+    await sendStoppedBulkReplies(sock, sender, result, lines.length, safeSendMessage);
+    return;
+  }
+
+  await sendCommandReplies(sock, sender, result, safeSendMessage);
+
+  const user = global.bookingData?.[sender];
+  if (!user) {
+    await safeSendMessage(sock, sender, { text: formatBulkReport(result, lines.length, getUserLanguage(sender)).trim() });
+    return;
   }
+
+  const completenessMsg = getCompletionMessage(user, sender);
+  await sendSummary(sock, sender, formatBulkReport(result, lines.length, getUserLanguage(sender)) + completenessMsg, user);
 }
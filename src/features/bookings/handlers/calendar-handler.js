@@ -0,0 +1,96 @@
+/**
+ * Booking Calendar Handler Module
+ *
+ * Shows the booked, daily-route and free days of each of the user's buses for
+ * a month, so a new booking can be given a free bus:
+ * - "Calendar" (this month), "Calendar Dec", "Calendar Dec 2025"
+ *
+ * @module features/bookings/handlers/calendar-handler
+ */
+
+import { startOfMonth, endOfMonth, format } from "date-fns";
+import { safeSendMessage } from "../utils/helpers.js";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { getBusSchedule, listDays, formatDayRanges } from "../../../utils/availability.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Handles the "calendar [month]" command.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - Lowercase user input text
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleCalendarCommand(sock, sender, text) {
+  const match = text.trim().match(/^calendar(?:\s+(.+))?$/);
+  if (!match) return false;
+
+  const lang = getUserLanguage(sender);
+
+  // Any date or period picks the month it starts in
+  const period = parsePeriod(match[1] || "this month");
+  if (!period) {
+    await safeSendMessage(sock, sender, { text: t(lang, "booking.calendar.unknownMonth") });
+    return true;
+  }
+
+  const state = getMenuState(sender);
+  const buses = state.availableBuses?.length
+    ? state.availableBuses
+    : [{ busCode: state.selectedBus, registrationNumber: state.selectedBusInfo?.registrationNumber }];
+  if (!buses[0].busCode) {
+    await safeSendMessage(sock, sender, { text: t(lang, "common.noBusSelected") });
+    return true;
+  }
+
+  const monthStart = startOfMonth(period.start);
+  const monthEnd = endOfMonth(period.start);
+  const days = listDays(format(monthStart, "yyyy-MM-dd"), format(monthEnd, "yyyy-MM-dd"));
+
+  let msg = `${t(lang, "booking.calendar.title", { month: format(monthStart, "MMM yyyy").toUpperCase() })}\n`;
+  for (const bus of buses) {
+    msg += `\n${await formatBusMonth(lang, bus, monthStart, monthEnd, days)}`;
+  }
+  msg += `\n${t(lang, "booking.calendar.legend")}`;
+
+  await safeSendMessage(sock, sender, { text: msg });
+  return true;
+}
+
+/**
+ * Calendar lines of one bus for the month.
+ *
+ * @param {string} lang - Language code for the reply
+ * @param {Object} bus - Bus with busCode and registrationNumber
+ * @param {Date} monthStart - First day of the month
+ * @param {Date} monthEnd - Last day of the month
+ * @param {Array<string>} days - Every day of the month (yyyy-MM-dd)
+ * @returns {Promise<string>} Lines ending with a newline
+ */
+async function formatBusMonth(lang, bus, monthStart, monthEnd, days) {
+  const { bookings, routeDays } = await getBusSchedule(bus.busCode, monthStart, monthEnd);
+  const first = days[0];
+  const last = days[days.length - 1];
+
+  const booked = new Set();
+  let lines = "";
+  for (const b of bookings) {
+    const bookedDays = listDays(b.start < first ? first : b.start, b.end > last ? last : b.end);
+    bookedDays.forEach((day) => booked.add(day));
+    const customer = b.customer || t(lang, "booking.calendar.unknownCustomer");
+    lines += `${t(lang, "booking.calendar.booked", { days: formatDayRanges(bookedDays), customer, status: b.status || "Pending" })}\n`;
+  }
+
+  const onRoute = routeDays.filter((day) => !booked.has(day));
+  const free = days.filter((day) => !booked.has(day) && !routeDays.includes(day));
+
+  let msg = `🚌 *${bus.busCode}*${bus.registrationNumber ? ` (${bus.registrationNumber})` : ""}\n`;
+  msg += lines;
+  if (onRoute.length > 0) msg += `🛣️ ${formatDayRanges(onRoute)}\n`;
+  msg += free.length > 0
+    ? `${t(lang, "booking.calendar.free", { count: free.length, days: formatDayRanges(free) })}\n`
+    : `${t(lang, "booking.calendar.freeNone")}\n`;
+  return msg;
+}
@@ -4,13 +4,18 @@
  * This module handles special commands for the booking feature:
  * - Clear command to reset the booking session
  * - Booking lookup by ID or date
+ * - Change history of the bookings on a date
  * 
  * @module features/bookings/handlers/command-handler
  */
 
 import { safeSendMessage } from "../utils/helpers.js";
-import { bookingsDb } from "../../../utils/db.js";
-import { format, subDays, startOfWeek, startOfMonth, startOfYear, isWithinInterval, parse, endOfMonth } from "date-fns";
+import { queryRecords } from "../../../utils/storage.js";
+import { format, subDays, startOfWeek, startOfMonth, startOfYear, parse, endOfMonth, isValid } from "date-fns";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { sendRecordHistory } from "../../../utils/record-history.js";
+import { handleBookingPdfCommand } from "./pdf-handler.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
 
 /**
  * Handles the 'clear' command to reset the user's booking session.
@@ -31,7 +36,7 @@ export async function handleClearCommand(sock, sender, text) {
     if (global.bookingData && global.bookingData[sender]) {
       delete global.bookingData[sender];
       await safeSendMessage(sock, sender, {
-        text: "✅ Booking session cleared. You can start a new booking.",
+        text: tr(sender, "booking.commands.cleared"),
       });
       return true;
     }
@@ -39,6 +44,52 @@ export async function handleClearCommand(sock, sender, text) {
   return false;
 }
 
+/**
+ * Handles the 'history <date>' command to show who changed a booking and when.
+ * Lists changes to every booking of the selected bus that covers the date.
+ * 
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - Lowercase user input text
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ * 
+ * @example
+ * // Input: "history 20/12/2025", "history today"
+ */
+export async function handleHistoryCommand(sock, sender, text) {
+  const historyMatch = text.trim().match(/^history(?:\s+(.+))?$/);
+  if (!historyMatch) return false;
+
+  const selectedBus = getMenuState(sender).selectedBus;
+  if (!selectedBus) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "common.noBusSelected"),
+    });
+    return true;
+  }
+
+  const value = (historyMatch[1] || "today").trim();
+  let date = null;
+  if (value === "today") {
+    date = new Date();
+  } else if (value === "yesterday") {
+    date = subDays(new Date(), 1);
+  } else {
+    const parsed = parse(value.replace(/-/g, "/"), "d/M/yyyy", new Date());
+    if (isValid(parsed)) date = parsed;
+  }
+
+  if (!date) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.commands.historyInvalidDate"),
+    });
+    return true;
+  }
+
+  await sendRecordHistory(sock, sender, "bookings", selectedBus, date);
+  return true;
+}
+
 /**
  * Handles booking lookup commands by ID or date.
  * 
@@ -60,6 +111,12 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
 
   if (!busCode) return false;
 
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `booking.commands.${key}`, params);
+
+  // "<period> pdf" sends the bookings as one PDF document
+  if (await handleBookingPdfCommand(sock, sender, text, busCode)) return true;
+
   let startDate, endDate;
   let periodName = "";
   let statusFilter = null;
@@ -102,37 +159,27 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
     const parsed = parsePeriod(balPeriod);
     if (!parsed) return false;
 
-    await bookingsDb.read();
-    const allBookings = Object.entries(bookingsDb.data || {})
-      .filter(([key, record]) => {
-        if (!key.startsWith(busCode + "_")) return false;
-        const dateStr = key.split('_')[1];
-        try {
-          const recordDate = parse(dateStr, 'dd/MM/yyyy', new Date());
-          if (!isWithinInterval(recordDate, { start: parsed.start, end: parsed.end })) return false;
-        } catch { return false; }
+    const allBookings = (await queryRecords("bookings", { busCode, from: parsed.start, to: parsed.end }))
+      .filter(([, record]) => {
         const bal = Number(record.BalanceAmount?.Amount || record.BalanceAmount || 0);
         return bal > 0;
       });
 
     if (allBookings.length === 0) {
       await safeSendMessage(sock, sender, {
-        text: `✅ No pending balances for ${parsed.name} (${busCode}).`
+        text: label("noBalances", { period: parsed.name, bus: busCode })
       });
       return true;
     }
 
-    const sorted = allBookings.sort((a, b) => {
-      const dA = parse(a[0].split('_')[1], 'dd/MM/yyyy', new Date());
-      const dB = parse(b[0].split('_')[1], 'dd/MM/yyyy', new Date());
-      return dA - dB;
-    });
-
     let totalBalance = 0;
-    let listMsg = `📋 *Balance Pending — ${parsed.name}* (${busCode})\n\n`;
+    let listMsg = `${label("balanceTitle", { period: parsed.name, bus: busCode })}\n\n`;
 
-    sorted.forEach(([id, b], index) => {
-      const dateDisplay = b.Date?.Start === b.Date?.End ? b.Date?.Start : `${b.Date?.Start} to ${b.Date?.End}`;
+    // queryRecords returns bookings oldest start date first
+    allBookings.forEach(([id, b], index) => {
+      const dateDisplay = b.Date?.Start === b.Date?.End
+        ? b.Date?.Start
+        : t(lang, "booking.summary.dateRange", { from: b.Date?.Start, to: b.Date?.End });
       const totalFare = Number(b.TotalFare?.Amount || b.TotalFare || 0);
       const balance = Number(b.BalanceAmount?.Amount || b.BalanceAmount || 0);
       const pickup = b.Location?.Pickup || b.PickupLocation || "";
@@ -141,13 +188,13 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
       listMsg += `${index + 1}. 📅 ${dateDisplay}\n`;
       listMsg += `👤 ${b.CustomerName} | 📱 ${b.CustomerPhone}\n`;
       if (pickup && drop) listMsg += `🚏 ${pickup} → ${drop}\n`;
-      listMsg += `💵 Fare: ₹${totalFare.toLocaleString('en-IN')} | 💸 Balance: ₹${balance.toLocaleString('en-IN')}\n`;
-      listMsg += `📊 Status: ${b.Status}\n`;
+      listMsg += `${label("fareBalance", { fare: totalFare.toLocaleString('en-IN'), balance: balance.toLocaleString('en-IN') })}\n`;
+      listMsg += `${label("status", { status: b.Status })}\n`;
       listMsg += `------------------\n`;
     });
 
-    listMsg += `\n💰 *Total Balance Due: ₹${totalBalance.toLocaleString('en-IN')}*`;
-    listMsg += `\n\nType the *Date* to open a booking.`;
+    listMsg += `\n${label("totalBalance", { amount: totalBalance.toLocaleString('en-IN') })}`;
+    listMsg += `\n\n${label("openByDate")}`;
 
     await safeSendMessage(sock, sender, { text: listMsg });
     return true;
@@ -225,26 +272,18 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
 
   if (!startDate) return false;
 
-  await bookingsDb.read();
-  let bookings = Object.entries(bookingsDb.data || {})
-    .filter(([key, record]) => {
-      if (!key.startsWith(busCode + "_")) return false;
-      const dateStr = key.split('_')[1];
-      try {
-        const recordDate = parse(dateStr, 'dd/MM/yyyy', new Date());
-        return isWithinInterval(recordDate, { start: startDate, end: endDate });
-      } catch (e) { return false; }
-    });
-
-  // Apply status filter if provided
-  if (statusFilter) {
-    bookings = bookings.filter(([, record]) => record.Status === statusFilter);
-  }
+  // Status filter (if any) is applied by the storage query
+  const bookings = await queryRecords("bookings", {
+    busCode,
+    from: startDate,
+    to: endDate,
+    status: statusFilter || undefined,
+  });
 
   if (bookings.length === 0) {
     if (statusFilter) {
       await safeSendMessage(sock, sender, {
-        text: `📋 No *${statusFilter}* bookings found for ${periodName} (${busCode}).`
+        text: label("noStatusBookings", { status: statusFilter, period: periodName, bus: busCode })
       });
       return true;
     }
@@ -258,27 +297,23 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
                         (baseText.split(' ').length <= 2 && monthNames.includes(baseText.split(' ')[0].substring(0, 3)));
 
   if (isPeriodSearch) {
-    let listMsg = `📋 *Bookings for ${periodName}* (${busCode})\n\n`;
+    let listMsg = `${label("listTitle", { period: periodName, bus: busCode })}\n\n`;
     
-    // Sort bookings by start date
-    const sortedBookings = bookings.sort((a, b) => {
-      const dateA = parse(a[1].Date?.Start.split(', ')[1] || a[0].split('_')[1], 'dd MMMM yyyy', new Date());
-      const dateB = parse(b[1].Date?.Start.split(', ')[1] || b[0].split('_')[1], 'dd MMMM yyyy', new Date());
-      return dateA - dateB;
-    });
-
-    sortedBookings.forEach(([id, b], index) => {
-      const dateDisplay = b.Date?.Start === b.Date?.End ? b.Date?.Start : `${b.Date?.Start} to ${b.Date?.End}`;
+    // queryRecords returns bookings sorted by start date
+    bookings.forEach(([id, b], index) => {
+      const dateDisplay = b.Date?.Start === b.Date?.End
+        ? b.Date?.Start
+        : t(lang, "booking.summary.dateRange", { from: b.Date?.Start, to: b.Date?.End });
       const totalFare = b.TotalFare?.Amount || b.TotalFare || 0;
       const balance = b.BalanceAmount?.Amount || b.BalanceAmount || 0;
       listMsg += `${index + 1}. 📅 ${dateDisplay}\n`;
       listMsg += `👤 ${b.CustomerName} | 📱 ${b.CustomerPhone}\n`;
-      listMsg += `💵 Fare: ₹${Number(totalFare).toLocaleString('en-IN')} | 💸 Balance: ₹${Number(balance).toLocaleString('en-IN')}\n`;
-      listMsg += `📊 Status: ${b.Status}\n`;
+      listMsg += `${label("fareBalance", { fare: Number(totalFare).toLocaleString('en-IN'), balance: Number(balance).toLocaleString('en-IN') })}\n`;
+      listMsg += `${label("status", { status: b.Status })}\n`;
       listMsg += `------------------\n`;
     });
     
-    listMsg += `\nType the *Date* or *BusCode_Date* to open a booking.`;
+    listMsg += `\n${label("openByDateOrKey")}`;
     
     await safeSendMessage(sock, sender, { text: listMsg });
     return true;
@@ -287,8 +322,7 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
   const [id, foundBooking] = bookings[0]; // Default behavior for single date lookup
 
   // Status-specific warnings
-  let warningPrefix = "⚠️ Booking";
-  if (foundBooking.Status === "Completed") warningPrefix = "⚠️ Post Booking";
+  const foundKey = foundBooking.Status === "Completed" ? "foundPost" : "found";
 
   // Per user request: If status is Initiated, let it be updated normally
   user.confirmingFetch = true;
@@ -299,15 +333,16 @@ export async function handleBookingCommand(sock, sender, normalizedText, user) {
   // Format date display
   const formatDisplay = foundBooking.Date?.Start === foundBooking.Date?.End 
     ? foundBooking.Date?.Start 
-    : `${foundBooking.Date?.Start} to ${foundBooking.Date?.End}`;
+    : t(lang, "booking.summary.dateRange", { from: foundBooking.Date?.Start, to: foundBooking.Date?.End });
 
   await safeSendMessage(sock, sender, {
-    text: `${warningPrefix} for *${busCode}* found!\n\n` +
-          `📅 Date: ${formatDisplay}\n` +
-          `👤 Customer: ${foundBooking.CustomerName}\n` +
-          `📱 Phone: ${foundBooking.CustomerPhone}\n` +
-          `📊 Status: ${foundBooking.Status}\n\n` +
-          `Do you want to open this booking for updates? (*Yes* or *No*)`
+    text: `${label(foundKey, { bus: busCode })}\n\n` +
+          label("foundDetails", {
+            date: formatDisplay,
+            name: foundBooking.CustomerName,
+            phone: foundBooking.CustomerPhone,
+            status: foundBooking.Status,
+          })
   });
   return true;
 }
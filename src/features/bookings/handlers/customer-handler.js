@@ -0,0 +1,125 @@
+/**
+ * Customer Handler Module
+ *
+ * Shows repeat customers from the booking history of the user's buses
+ * (src/utils/customers.js):
+ * - "Customer 9876543210" - one customer's totals and bookings
+ * - "Customers" - top customers by total fare
+ *
+ * @module features/bookings/handlers/customer-handler
+ */
+
+import { safeSendMessage } from "../utils/helpers.js";
+import { getUserBusCodes } from "../../../utils/menu-state.js";
+import { findCustomer, getCustomers, normalizePhone } from "../../../utils/customers.js";
+import { formatIsoDate } from "../../../utils/availability.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+// Customers shown by the "Customers" command
+const TOP_CUSTOMERS = 10;
+
+/**
+ * Rupee amount for messages
+ */
+function rupees(amount) {
+  return `₹${Math.round(amount).toLocaleString("en-IN")}`;
+}
+
+/**
+ * Trip dates, e.g. "20/12/2025" or "20/12/2025 to 22/12/2025"
+ */
+function tripDates(lang, booking) {
+  if (!booking.start) return t(lang, "booking.customers.unknownDate");
+  const start = formatIsoDate(booking.start);
+  return booking.end && booking.end !== booking.start
+    ? t(lang, "booking.customers.dateRange", { start, end: formatIsoDate(booking.end) })
+    : start;
+}
+
+/**
+ * Handles the "customer <phone>" and "customers" commands.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - Lowercase user input text
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleCustomerCommand(sock, sender, text) {
+  const trimmed = text.trim();
+  if (trimmed === "customers") {
+    await sendTopCustomers(sock, sender);
+    return true;
+  }
+
+  const match = trimmed.match(/^customer(?:\s+(.+))?$/);
+  if (!match) return false;
+
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `booking.customers.${key}`, params);
+
+  const phone = normalizePhone(match[1]);
+  if (!phone) {
+    await safeSendMessage(sock, sender, { text: label("noPhone") });
+    return true;
+  }
+
+  const customer = await findCustomer(phone, { busCodes: getUserBusCodes(sender) });
+  if (!customer) {
+    await safeSendMessage(sock, sender, { text: label("notFound", { phone }) });
+    return true;
+  }
+
+  let msg = `👤 *${customer.name || label("unknown")}*\n`;
+  msg += `📱 ${customer.phone} (${customer.customerId})\n\n`;
+  msg += `${label("bookings", { count: customer.bookingCount })}\n`;
+  msg += `${label("totalFare", { amount: rupees(customer.totalFare) })}\n`;
+  msg += `${customer.outstanding > 0 ? label("outstanding", { amount: rupees(customer.outstanding) }) : label("noBalance")}\n`;
+
+  const last = customer.lastTrip;
+  msg += `\n${label("lastTrip", { dates: tripDates(lang, last) })}\n`;
+  if (last.pickup || last.drop) msg += `📍 ${last.pickup || "?"} → ${last.drop || "?"}\n`;
+
+  msg += `\n${label("history")}\n`;
+  for (const b of customer.bookings) {
+    msg += `• ${tripDates(lang, b)} | ${b.busCode} | ${rupees(b.fare)}`;
+    if (b.balance > 0) msg += label("balance", { amount: rupees(b.balance) });
+    msg += ` (${b.status || "Pending"})\n`;
+  }
+
+  await safeSendMessage(sock, sender, { text: msg });
+  return true;
+}
+
+/**
+ * Sends the customers with the highest total fare.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @returns {Promise<void>}
+ */
+async function sendTopCustomers(sock, sender) {
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `booking.customers.${key}`, params);
+
+  const customers = await getCustomers({ busCodes: getUserBusCodes(sender) });
+  if (customers.length === 0) {
+    await safeSendMessage(sock, sender, { text: label("none") });
+    return;
+  }
+
+  const repeat = customers.filter((c) => c.bookingCount > 1).length;
+  const outstanding = customers.reduce((sum, c) => sum + c.outstanding, 0);
+
+  let msg = `${label("title", { count: customers.length, repeat })}\n`;
+  if (outstanding > 0) msg += `${label("totalOutstanding", { amount: rupees(outstanding) })}\n`;
+  msg += `\n${label("top", { count: Math.min(TOP_CUSTOMERS, customers.length) })}\n`;
+  customers.slice(0, TOP_CUSTOMERS).forEach((c, i) => {
+    msg += `${i + 1}. *${c.name || label("unknown")}* (${c.phone})\n`;
+    msg += label("listLine", { count: c.bookingCount, amount: rupees(c.totalFare) });
+    if (c.outstanding > 0) msg += label("balance", { amount: rupees(c.outstanding) });
+    msg += `\n`;
+  });
+  msg += `\n${label("listHint")}`;
+
+  await safeSendMessage(sock, sender, { text: msg });
+}
@@ -12,6 +12,8 @@ import { safeSendMessage, safeDbRead } from "../utils/helpers.js";
 import { sendSummary } from "../utils/messages.js";
 import { resolveCommand } from "../../../utils/menu-handler.js";
 import { getEmployExpensesForBus } from "../../../utils/employees.js";
+import { FUEL_FIELDS } from "../../../utils/fuel.js";
+import { tr } from "../../../utils/i18n.js";
 
 /**
  * Handles the confirmation response when user wants to fetch an existing booking.
@@ -34,7 +36,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
       const ok = await safeDbRead(bookingsDb);
       if (!ok) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Unable to read database. Try again later.",
+          text: tr(sender, "booking.fetch.dbReadFailed"),
         });
         return true;
       }
@@ -91,6 +93,10 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
         user.Adda = existingBooking.Adda || null;
         user.Union = existingBooking.Union || null;
         user.ExtraExpenses = existingBooking.ExtraExpenses || [];
+        // Distance and fuel entered after the trip
+        for (const field of FUEL_FIELDS) {
+          if (existingBooking[field] != null) user[field] = existingBooking[field];
+        }
         
         // Auto-fetch employee expenses for this bus if not already saved
         if (existingBooking.EmployExpenses && existingBooking.EmployExpenses.length > 0) {
@@ -135,9 +141,10 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
         await sendSummary(
           sock,
           sender,
-          `📋 *Booking Loaded* (${user.RegistrationNumber || user.BusCode})\n` +
-          `📅 Date: ${formatDateDisplay(user.TravelDateFrom)}\n\n` +
-          `You can now update any field.\nType *Yes* to save or *No* to cancel.`,
+          tr(sender, "booking.fetch.loaded", {
+            bus: user.RegistrationNumber || user.BusCode,
+            date: formatDateDisplay(user.TravelDateFrom),
+          }),
           user
         );
         
@@ -146,7 +153,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
         user.confirmingFetch = false;
         user.pendingBookingId = null;
         await safeSendMessage(sock, sender, {
-          text: "⚠️ Booking not found in database.",
+          text: tr(sender, "booking.fetch.notFound"),
         });
       }
       return true;
@@ -161,7 +168,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
       user.pendingEndDate = null;
       
       await safeSendMessage(sock, sender, {
-        text: "🆕 Starting a new booking. Continue entering details.",
+        text: tr(sender, "booking.fetch.fresh"),
       });
       return true;
     }
@@ -172,7 +179,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
     user.confirmingFetch = false;
     user.pendingBookingId = null;
     await safeSendMessage(sock, sender, {
-      text: "❌ Error fetching booking. Please try again.",
+      text: tr(sender, "booking.fetch.error"),
     });
     return true;
   }
@@ -6,7 +6,7 @@
  * 
  * Supported fields:
  * - Name: Customer name
- * - Mobile: 10-digit phone number
+ * - Mobile: 10-digit phone number (fills in the name of a known customer)
  * - Pickup: Starting point of the journey
  * - Drop: Destination of the journey
  * - Date: Single date or date range (DD/MM/YYYY or DD/MM/YYYY to DD/MM/YYYY)
@@ -14,12 +14,17 @@
  * - Total Fare: Total booking amount
  * - Advance: Advance payment received
  * - Remarks: Additional notes or requirements
+ * - Odometer start/end, Km, Litres: Distance and fuel of the trip (post-booking, see utils/fuel.js)
  * 
  * @module features/bookings/handlers/field-handler
  */
 
 import { safeSendMessage, safeDbRead } from "../utils/helpers.js";
 import { bookingsDb } from "../../../utils/db.js";
+import { extractFuelFields, checkOdometer } from "../../../utils/fuel.js";
+import { findCustomer } from "../../../utils/customers.js";
+import { getUserBusCodes } from "../../../utils/menu-state.js";
+import { tr } from "../../../utils/i18n.js";
 import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
@@ -65,10 +70,25 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
   }
 
   // Extract Mobile: "mobile [10-digit number]"
+  // A known customer's name is filled in from their earlier bookings
   const mobileMatch = normalizedText.match(/^mobile\s+(\d{10})$/i);
   if (mobileMatch) {
     user.CustomerPhone = mobileMatch[1];
     anyFieldFound = true;
+
+    const customer = await findCustomer(mobileMatch[1], { busCodes: getUserBusCodes(sender) });
+    if (customer && !user.editingExisting) {
+      let note = tr(sender, "booking.customers.known", { name: customer.name || customer.phone, count: customer.bookingCount });
+      if (customer.outstanding > 0) {
+        note += tr(sender, "booking.customers.knownBalance", { amount: customer.outstanding.toLocaleString("en-IN") });
+      }
+      if (!user.CustomerName && customer.name) {
+        user.CustomerName = customer.name;
+        note += `\n${tr(sender, "booking.customers.nameFilled")}`;
+      }
+      note += `\n${tr(sender, "booking.customers.historyHint", { phone: customer.phone })}`;
+      await safeSendMessage(sock, sender, { text: note });
+    }
   }
 
   // Extract Pickup: "pickup [location]"
@@ -193,15 +213,16 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
         // Format date display
         const formatDisplay = foundBooking.Date?.Start === foundBooking.Date?.End 
           ? foundBooking.Date?.Start 
-          : `${foundBooking.Date?.Start} to ${foundBooking.Date?.End}`;
+          : tr(sender, "booking.summary.dateRange", { from: foundBooking.Date?.Start, to: foundBooking.Date?.End });
         
         await safeSendMessage(sock, sender, {
-          text: `⚠️ Booking for *${busCode}* found!\n\n` +
-                `📅 Date: ${formatDisplay}\n` +
-                `👤 Customer: ${foundBooking.CustomerName}\n` +
-                `📱 Phone: ${foundBooking.CustomerPhone}\n` +
-                `📊 Status: ${foundBooking.Status}\n\n` +
-                `Do you want to open this booking for updates? (*Yes* or *No*)`
+          text: `${tr(sender, "booking.commands.found", { bus: busCode })}\n\n` +
+                tr(sender, "booking.commands.foundDetails", {
+                  date: formatDisplay,
+                  name: foundBooking.CustomerName,
+                  phone: foundBooking.CustomerPhone,
+                  status: foundBooking.Status,
+                })
         });
         return { handled: true, anyFieldFound: true };
       } else {
@@ -223,7 +244,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
     if (bus) {
       if (bus.status !== "Active") {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ Bus ${busCode} is not active. Please select an active bus.`
+          text: tr(sender, "booking.fields.busInactive", { bus: busCode })
         });
         return { handled: true, anyFieldFound: false };
       }
@@ -235,7 +256,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
       anyFieldFound = true;
     } else {
       const activeBuses = buses.filter(b => b.status === "Active");
-      let busListMsg = `❌ Bus "${busCode}" not found.\n\n📋 *Available Buses:*\n`;
+      let busListMsg = `${tr(sender, "booking.fields.busNotFound", { bus: busCode })}\n`;
       activeBuses.forEach(b => {
         busListMsg += `• *${b.busCode}* - ${b.registrationNumber} (${b.type})\n`;
       });
@@ -261,7 +282,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
 
     if (amount < totalReceived) {
       await safeSendMessage(sock, sender, {
-        text: `⚠️ Fare cannot be less than total received amount (₹${totalReceived.toLocaleString('en-IN')}).`
+        text: tr(sender, "booking.fields.fareBelowReceived", { received: totalReceived.toLocaleString('en-IN') })
       });
       return { handled: true, anyFieldFound: false };
     }
@@ -287,7 +308,10 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
 
     if (fareAmt > 0 && (amount + totalPayments) > fareAmt) {
       await safeSendMessage(sock, sender, {
-        text: `⚠️ Total received (Advance + Payments: ₹${(amount + totalPayments).toLocaleString('en-IN')}) cannot exceed Fare (₹${fareAmt.toLocaleString('en-IN')}).`
+        text: tr(sender, "booking.fields.receivedAboveFare", {
+          received: (amount + totalPayments).toLocaleString('en-IN'),
+          fare: fareAmt.toLocaleString('en-IN'),
+        })
       });
       return { handled: true, anyFieldFound: false };
     }
@@ -462,6 +486,18 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
       anyFieldFound = true;
     }
 
+    // Extract distance and fuel: "odometer start [n]", "odometer end [n]", "km [n]", "litres [n]"
+    const fuelValues = extractFuelFields(normalizedText);
+    if (Object.keys(fuelValues).length > 0) {
+      const odometerWarning = checkOdometer({ ...user, ...fuelValues });
+      if (odometerWarning) {
+        await safeSendMessage(sock, sender, { text: odometerWarning });
+        return { handled: true, anyFieldFound: false };
+      }
+      Object.assign(user, fuelValues);
+      anyFieldFound = true;
+    }
+
     // Extract Payment: "Received [amount] [optional: mode] [optional: DD/MM/YYYY]"
     // Support both spellings: Received and Recieved
     const receivedMatch = normalizedText.match(/^(?:received|recieved)\s+(\d+)(?:\s+(online|cash))?(?:\s+(\d{1,2}\/\d{1,2}\/\d{4}))?$/i);
@@ -0,0 +1,165 @@
+/**
+ * Booking PDF Handler Module
+ *
+ * Sends the bookings of a period as one PDF document. Works with the same
+ * filters as the text list, plus the word "pdf":
+ * - "this month pdf", "nov 2025 pdf", "01/11/2025 to 15/11/2025 pdf"
+ * - "nov pending pdf" (status filter)
+ * - "bal pdf", "bal this year pdf" (only bookings with balance due)
+ *
+ * @module features/bookings/handlers/pdf-handler
+ */
+
+import { safeSendMessage } from "../utils/helpers.js";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { queryRecords } from "../../../utils/storage.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { extractPdfFlag, formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+const VALID_STATUSES = ["pending", "completed", "deposited"];
+
+/**
+ * Reads an amount stored as a number or as { Amount }.
+ */
+function amountOf(field) {
+  return Number(field?.Amount ?? field) || 0;
+}
+
+/**
+ * Handles "<period> [status] pdf" and "bal [period] pdf" commands in booking mode.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - Lowercase user input text
+ * @param {string} busCode - Bus code of the booking session
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleBookingPdfCommand(sock, sender, text, busCode) {
+  const { text: commandText, pdf } = extractPdfFlag(text);
+  if (!pdf) return false;
+
+  const lang = getUserLanguage(sender);
+  let periodText = commandText;
+  let balanceOnly = false;
+  let statusFilter = null;
+
+  const balMatch = periodText.match(/^(?:bal|balance)\b\s*(.*)$/);
+  if (balMatch) {
+    balanceOnly = true;
+    periodText = balMatch[1].trim();
+  }
+
+  const words = periodText.split(" ");
+  if (VALID_STATUSES.includes(words[words.length - 1])) {
+    const status = words.pop();
+    statusFilter = status.charAt(0).toUpperCase() + status.slice(1);
+    periodText = words.join(" ").trim();
+  }
+
+  // "bal pdf" without a period covers all bookings, like the text command
+  const period = balanceOnly && !periodText
+    ? { start: new Date(2000, 0, 1), end: new Date(2099, 11, 31, 23, 59, 59), name: "All Time" }
+    : parsePeriod(periodText);
+
+  if (!period) {
+    await safeSendMessage(sock, sender, {
+      text: t(lang, "booking.pdf.unknownPeriod"),
+    });
+    return true;
+  }
+
+  let bookings = await queryRecords("bookings", {
+    busCode,
+    from: period.start,
+    to: period.end,
+    status: statusFilter || undefined,
+  });
+  if (balanceOnly) {
+    bookings = bookings.filter(([, b]) => amountOf(b.BalanceAmount) > 0);
+  }
+
+  const filterLabel = [balanceOnly ? "Balance Pending" : null, statusFilter].filter(Boolean).join(", ");
+
+  if (bookings.length === 0) {
+    const filter = [balanceOnly ? t(lang, "booking.pdf.balancePending") : null, statusFilter].filter(Boolean).join(", ");
+    await safeSendMessage(sock, sender, {
+      text: t(lang, filter ? "booking.pdf.noneFiltered" : "booking.pdf.none", { filter, period: period.name, bus: busCode }),
+    });
+    return true;
+  }
+
+  const totals = { fare: 0, received: 0, balance: 0, days: 0 };
+  const rows = bookings.map(([, b]) => {
+    const fare = amountOf(b.TotalFare);
+    const balance = amountOf(b.BalanceAmount);
+    const received = fare - balance;
+    const days = parseInt(b.Date?.NoOfDays || 1);
+    const pickup = b.Location?.Pickup || b.PickupLocation || "";
+    const drop = b.Location?.Drop || b.DropLocation || "";
+
+    totals.fare += fare;
+    totals.received += received;
+    totals.balance += balance;
+    totals.days += days;
+
+    return [
+      b.Date?.Start === b.Date?.End ? b.Date?.Start : `${b.Date?.Start} to ${b.Date?.End}`,
+      b.CustomerName || "",
+      b.CustomerPhone || "",
+      pickup && drop ? `${pickup} - ${drop}` : pickup || drop,
+      String(days),
+      formatPdfAmount(fare),
+      formatPdfAmount(received),
+      formatPdfAmount(balance),
+      b.Status || "",
+    ];
+  });
+
+  const regNumber = getMenuState(sender).selectedBusInfo?.registrationNumber;
+
+  const report = {
+    title: filterLabel ? `Booking Report (${filterLabel})` : "Booking Report",
+    bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+    period: balanceOnly && !periodText ? period.name : formatPeriodLabel(period),
+    landscape: true,
+    summary: [
+      ["Bookings", String(bookings.length)],
+      ["Booking Days", String(totals.days)],
+      ["Total Fare (Rs.)", formatPdfAmount(totals.fare)],
+      ["Received (Rs.)", formatPdfAmount(totals.received)],
+      ["Balance Due (Rs.)", formatPdfAmount(totals.balance)],
+    ],
+    tables: [
+      {
+        heading: "Bookings (amounts in Rs.)",
+        columns: [
+          { label: "Date", width: 0.16 },
+          { label: "Customer", width: 0.14 },
+          { label: "Mobile", width: 0.1 },
+          { label: "Route", width: 0.19 },
+          { label: "Days", width: 0.05, align: "right" },
+          { label: "Fare", width: 0.09, align: "right" },
+          { label: "Received", width: 0.09, align: "right" },
+          { label: "Balance", width: 0.08, align: "right" },
+          { label: "Status", width: 0.1 },
+        ],
+        rows,
+        totals: [
+          "Total",
+          "",
+          "",
+          "",
+          String(totals.days),
+          formatPdfAmount(totals.fare),
+          formatPdfAmount(totals.received),
+          formatPdfAmount(totals.balance),
+          "",
+        ],
+      },
+    ],
+  };
+
+  await sendPdfReport(sock, sender, report, pdfFileName(busCode, "bookings", balanceOnly && "balance", statusFilter, period.name));
+  return true;
+}
@@ -3,13 +3,20 @@
  * 
  * This module handles the submission of completed booking entries.
  * It validates all required fields, generates a unique booking ID,
- * and saves the booking to the database.
+ * checks that the bus is free on the booked days, and saves the booking
+ * to the database.
  * 
  * @module features/bookings/handlers/submit-handler
  */
 
 import { safeSendMessage, safeDbRead, safeDbWrite } from "../utils/helpers.js";
 import { bookingsDb } from "../../../utils/db.js";
+import { requirePermission } from "../../../utils/permissions.js";
+import { logRecordChange } from "../../../utils/audit-log.js";
+import { FUEL_FIELDS, applyFuelEfficiency } from "../../../utils/fuel.js";
+import { getBusSchedule, formatIsoDate } from "../../../utils/availability.js";
+import { getCustomerId } from "../../../utils/customers.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
 import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
@@ -39,7 +46,7 @@ export async function handleSubmit(sock, sender, text, user) {
   if (isNo) {
     user.waitingForSubmit = false;
     await safeSendMessage(sock, sender, {
-      text: "❌ Booking submission cancelled.\nYou can continue editing or type *Clear* to start over."
+      text: tr(sender, "booking.submit.cancelled"),
     });
     return true;
   }
@@ -60,7 +67,7 @@ export async function handleSubmit(sock, sender, text, user) {
 
   if (missingFields.length > 0) {
     await safeSendMessage(sock, sender, {
-      text: `⚠️ Cannot submit. Missing fields: ${missingFields.join(", ")}`,
+      text: tr(sender, "booking.submit.missingFields", { fields: missingFields.join(", ") }),
     });
     return true;
   }
@@ -78,14 +85,14 @@ export async function handleSubmit(sock, sender, text, user) {
 
   if (isNaN(totalFare) || totalFare <= 0) {
     await safeSendMessage(sock, sender, {
-      text: `⚠️ Invalid Total Fare. Please enter a valid number.`,
+      text: tr(sender, "booking.submit.invalidFare"),
     });
     return true;
   }
 
   if (isNaN(advancePaid) || advancePaid < 0) {
     await safeSendMessage(sock, sender, {
-      text: `⚠️ Invalid Advance. Please enter a valid number.`,
+      text: tr(sender, "booking.submit.invalidAdvance"),
     });
     return true;
   }
@@ -94,7 +101,7 @@ export async function handleSubmit(sock, sender, text, user) {
 
   if (balanceAmount < 0) {
     await safeSendMessage(sock, sender, {
-      text: `⚠️ Advance (₹${advancePaid}) cannot be greater than Total Fare (₹${totalFare}).`,
+      text: tr(sender, "booking.submit.advanceTooHigh", { advance: advancePaid, fare: totalFare }),
     });
     return true;
   }
@@ -105,7 +112,7 @@ export async function handleSubmit(sock, sender, text, user) {
   
   if (!startDate) {
     await safeSendMessage(sock, sender, {
-      text: "⚠️ Start date is missing. Please enter a valid date.",
+      text: tr(sender, "booking.submit.startDateMissing"),
     });
     return true;
   }
@@ -178,6 +185,7 @@ export async function handleSubmit(sock, sender, text, user) {
     BusCode: user.BusCode,
     CustomerName: user.CustomerName,
     CustomerPhone: user.CustomerPhone,
+    CustomerId: getCustomerId(user.CustomerPhone),
     Location: {
       Pickup: user.PickupLocation,
       Drop: user.DropLocation
@@ -222,6 +230,12 @@ export async function handleSubmit(sock, sender, text, user) {
     submittedAt: new Date().toISOString(),
   };
 
+  // Distance and fuel of the trip, with the derived km/litre and rupees/km
+  for (const field of FUEL_FIELDS) {
+    if (user[field] != null) bookingRecord[field] = user[field];
+  }
+  applyFuelEfficiency(bookingRecord);
+
   const isUpdate = user.editingExisting;
 
   // New status rules: 
@@ -237,15 +251,63 @@ export async function handleSubmit(sock, sender, text, user) {
   }
 
   await safeDbRead(bookingsDb);
+  const existingBooking = bookingsDb.data[bookingId];
+  const sameBooking = user.editingExisting && bookingId === user.existingBookingId;
+
+  // Another booking is already saved under this bus and these dates - never overwrite it
+  if (existingBooking && !sameBooking) {
+    user.waitingForSubmit = false;
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.availability.taken", {
+        bus: user.BusCode,
+        dates: startDate === endDate ? startDate : `${startDate} to ${endDate}`,
+        customer: existingBooking.CustomerName || "?",
+      }),
+    });
+    return true;
+  }
+
+  // New bookings need "booking.submit"; changing an existing one needs "booking.edit",
+  // plus "booking.status" if the status is being changed
+  const requiredActions = existingBooking ? ["booking.edit"] : ["booking.submit"];
+  if (existingBooking && existingBooking.Status !== bookingRecord.Status) {
+    requiredActions.push("booking.status");
+  }
+  for (const action of requiredActions) {
+    if (!(await requirePermission(sock, sender, action, { key: bookingId, status: bookingRecord.Status }))) {
+      user.waitingForSubmit = false;
+      return true;
+    }
+  }
+
+  // The bus must not be booked twice for the same days
+  if (!(await checkAvailability(sock, sender, user, bookingId, startDate, endDate, sameBooking))) return true;
+
+  // Keep the cash already deposited from this booking (cash ledger)
+  if (existingBooking?.CashDeposited) {
+    bookingRecord.CashDeposited = existingBooking.CashDeposited;
+  }
+
   bookingsDb.data[bookingId] = bookingRecord;
   const saved = await safeDbWrite(bookingsDb);
 
   if (!saved) {
     await safeSendMessage(sock, sender, {
-      text: "⚠️ Error saving booking to database. Please try again.",
+      text: tr(sender, "booking.submit.saveFailed"),
     });
     return true;
   }
+
+  // Record the change in the audit trail
+  logRecordChange({
+    store: "bookings",
+    key: bookingId,
+    before: existingBooking || null,
+    after: bookingRecord,
+    source: "whatsapp",
+    sender,
+    busCode: user.BusCode,
+  });
   
   const formatDateDisplay = (dateStr) => {
     try {
@@ -262,36 +324,45 @@ export async function handleSubmit(sock, sender, text, user) {
     }
   };
   
+  // Labels in the recipient's reply language
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `booking.submit.${key}`, params);
+  const summaryLabel = (key) => t(lang, `booking.summary.${key}`);
+  const onlineTag = t(lang, "common.online");
+
   const regNumber = user.RegistrationNumber || bookingRecord.BusCode;
-  const actionText = isUpdate ? "Updated" : "Taken";
-  let summary = `✅ *Booking ${actionText}!* (${regNumber})\n\n`;
-  summary += `👤 Customer: ${bookingRecord.CustomerName}\n`;
-  summary += `📱 Phone: ${bookingRecord.CustomerPhone}\n`;
-  summary += `📍 Pickup: ${bookingRecord.Location.Pickup} → Drop: ${bookingRecord.Location.Drop}\n`;
+  let summary = `${label(isUpdate ? "titleUpdated" : "titleTaken", { bus: regNumber })}\n\n`;
+  summary += `${label("customer", { name: bookingRecord.CustomerName })}\n`;
+  summary += `${label("phone", { phone: bookingRecord.CustomerPhone })}\n`;
+  summary += `${label("route", { pickup: bookingRecord.Location.Pickup, drop: bookingRecord.Location.Drop })}\n`;
   
   if (bookingRecord.Date.Start === bookingRecord.Date.End) {
-    summary += `📅 Date: ${formatDateDisplay(startDate)}\n`;
+    summary += `${label("date", { date: formatDateDisplay(startDate) })}\n`;
   } else {
-    summary += `📅 Date: ${formatDateDisplay(startDate)} to ${formatDateDisplay(endDate)} (${bookingRecord.Date.NoOfDays} days)\n`;
+    summary += `${label("dateRange", {
+      from: formatDateDisplay(startDate),
+      to: formatDateDisplay(endDate),
+      days: bookingRecord.Date.NoOfDays,
+    })}\n`;
   }
   
   const fareAmt = fareAmtValue;
   const advAmt = advAmtValue;
-  const advMode = bookingRecord.AdvancePaid?.mode === 'online' ? ' (Online)' : '';
+  const advMode = bookingRecord.AdvancePaid?.mode === 'online' ? onlineTag : '';
 
-  summary += `🚌 Bus: ${bookingRecord.BusCode} | Capacity: ${bookingRecord.Capacity}\n`;
-  summary += `💰 Total Fare: ₹${fareAmt.toLocaleString('en-IN')}\n`;
-  summary += `💳 Advance: ₹${advAmt.toLocaleString('en-IN')}${advMode}\n`;
+  summary += `${label("bus", { bus: bookingRecord.BusCode, capacity: bookingRecord.Capacity })}\n`;
+  summary += `${label("fare", { amount: fareAmt.toLocaleString('en-IN') })}\n`;
+  summary += `${label("advance", { amount: advAmt.toLocaleString('en-IN') })}${advMode}\n`;
 
   if (bookingRecord.PaymentHistory && bookingRecord.PaymentHistory.length > 0) {
-    summary += `💰 *Payment Collected:*\n`;
+    summary += `${label("payments")}\n`;
     bookingRecord.PaymentHistory.forEach(p => {
-      const mode = p.mode === "online" ? " (Online)" : "";
+      const mode = p.mode === "online" ? onlineTag : "";
       summary += `💵 ${p.date}: ₹${p.amount.toLocaleString('en-IN')}${mode}\n`;
     });
   }
 
-  summary += `💸 Balance: ₹${bookingRecord.BalanceAmount.Amount.toLocaleString('en-IN')}\n`;
+  summary += `${label("balance", { amount: bookingRecord.BalanceAmount.Amount.toLocaleString('en-IN') })}\n`;
   
   if (isUpdate) {
     const getExpenseAmount = (field) => {
@@ -321,7 +392,7 @@ export async function handleSubmit(sock, sender, text, user) {
         const amt = Number(e.amount) || 0;
         if (e.mode === "online") totalOnlineExpense += amt;
         else totalCashExpense += amt;
-        const mode = e.mode === "online" ? " (Online)" : "";
+        const mode = e.mode === "online" ? onlineTag : "";
         extraExpensesText += `🧾 ${e.name.charAt(0).toUpperCase() + e.name.slice(1)}: ₹${amt.toLocaleString('en-IN')}${mode}\n`;
       });
     }
@@ -337,7 +408,7 @@ export async function handleSubmit(sock, sender, text, user) {
         if (e.mode === "online") totalOnlineExpense += amt;
         else totalCashExpense += amt;
         const displayName = e.role || e.name;
-        const mode = e.mode === "online" ? " (Online)" : "";
+        const mode = e.mode === "online" ? onlineTag : "";
         dailySalaryText += `👤 ${displayName}: ₹${amt.toLocaleString('en-IN')}${mode}\n`;
       });
       
@@ -346,7 +417,7 @@ export async function handleSubmit(sock, sender, text, user) {
         if (e.mode === "online") totalOnlineExpense += amt;
         else totalCashExpense += amt;
         const displayName = e.role || e.name;
-        const mode = e.mode === "online" ? " (Online)" : "";
+        const mode = e.mode === "online" ? onlineTag : "";
         tripText += `👤 ${displayName}: ₹${amt.toLocaleString('en-IN')}${mode}\n`;
       });
     }
@@ -367,36 +438,87 @@ export async function handleSubmit(sock, sender, text, user) {
     bookingRecord.TotalCashCollection = { amount: totalCashReceived };
     bookingRecord.CashHandover = { amount: cashHandover };
     
-    summary += `\n💰 *Expenses (Post-Trip):*\n`;
-    summary += `⛽ Diesel: ₹${dieselAmt.toLocaleString('en-IN')}${bookingRecord.Diesel?.mode === "online" ? " (Online)" : ""}\n`;
-    summary += `🚌 Adda: ₹${addaAmt.toLocaleString('en-IN')}${bookingRecord.Adda?.mode === "online" ? " (Online)" : ""}\n`;
-    summary += `🤝 Union: ₹${unionAmt.toLocaleString('en-IN')}${bookingRecord.Union?.mode === "online" ? " (Online)" : ""}\n`;
+    summary += `\n${label("expenses")}\n`;
+    summary += `${summaryLabel("diesel")}: ₹${dieselAmt.toLocaleString('en-IN')}${bookingRecord.Diesel?.mode === "online" ? onlineTag : ""}\n`;
+    summary += `${summaryLabel("adda")}: ₹${addaAmt.toLocaleString('en-IN')}${bookingRecord.Adda?.mode === "online" ? onlineTag : ""}\n`;
+    summary += `${summaryLabel("union")}: ₹${unionAmt.toLocaleString('en-IN')}${bookingRecord.Union?.mode === "online" ? onlineTag : ""}\n`;
     if (extraExpensesText) summary += extraExpensesText;
     
     if (dailySalaryText) {
-      summary += `\n👥 *Employee (Daily Salary):*\n`;
+      summary += `\n${summaryLabel("employeeDaily")}\n`;
       summary += dailySalaryText;
     }
     
     if (tripText) {
-      summary += `\n🚌 *Employee (Trip):*\n`;
+      summary += `\n${summaryLabel("employeeTrip")}\n`;
       summary += tripText;
     }
     
-    summary += `\n✨ *Summary:*\n`;
-    summary += `💵 Total Cash Expense: ₹${totalCashExpense.toLocaleString('en-IN')}\n`;
-    summary += `💳 Total Online Expense: ₹${totalOnlineExpense.toLocaleString('en-IN')}\n`;
-    summary += `💵 Total Cash Collection: ₹${totalCashReceived.toLocaleString('en-IN')}\n`;
-    summary += `💰 Cash HandOver: ₹${cashHandover.toLocaleString('en-IN')}\n`;
-    summary += `💳 Online Received: ₹${totalOnlinePayments.toLocaleString('en-IN')}\n`;
-    summary += `📈 Bachat (Profit): ₹${bachat.toLocaleString('en-IN')}\n`;
+    summary += `\n${label("summary")}\n`;
+    summary += `${label("cashExpense", { amount: totalCashExpense.toLocaleString('en-IN') })}\n`;
+    summary += `${label("onlineExpense", { amount: totalOnlineExpense.toLocaleString('en-IN') })}\n`;
+    summary += `${summaryLabel("totalCash")}: ₹${totalCashReceived.toLocaleString('en-IN')}\n`;
+    summary += `${summaryLabel("handover")}: ₹${cashHandover.toLocaleString('en-IN')}\n`;
+    summary += `${summaryLabel("onlineReceived")}: ₹${totalOnlinePayments.toLocaleString('en-IN')}\n`;
+    summary += `${summaryLabel("profit")}: ₹${bachat.toLocaleString('en-IN')}\n`;
   }
   
-  summary += `📊 Status: ${bookingRecord.Status}\n`;
-  if (bookingRecord.Remarks) summary += `📝 Remarks: ${bookingRecord.Remarks}\n`;
+  summary += `${label("status", { status: bookingRecord.Status })}\n`;
+  if (bookingRecord.Remarks) summary += `${label("remarks", { remarks: bookingRecord.Remarks })}\n`;
 
   await safeSendMessage(sock, sender, { text: summary });
 
   delete global.bookingData[sender];
   return true;
 }
+
+/**
+ * Checks that the bus is free on every day of the booking.
+ * An overlapping booking blocks the submit. A daily report on one of the days
+ * (the bus ran its daily route) is shown as a warning - replying Yes again
+ * books the bus anyway. Post-trip updates that keep the same bus and dates
+ * skip the daily route check.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {Object} user - User's booking session data object
+ * @param {string} bookingId - Key the booking will be saved under
+ * @param {string} startDate - First day (DD/MM/YYYY)
+ * @param {string} endDate - Last day (DD/MM/YYYY)
+ * @param {boolean} sameBooking - True when an edited booking keeps its bus and dates
+ * @returns {Promise<boolean>} True if the booking can be saved
+ */
+async function checkAvailability(sock, sender, user, bookingId, startDate, endDate, sameBooking) {
+  // Only the booking being edited may overlap itself
+  const excludeKeys = user.editingExisting && user.existingBookingId ? [user.existingBookingId] : [];
+  const { bookings, routeDays } = await getBusSchedule(user.BusCode, startDate, endDate, { excludeKeys });
+  const formatRange = (b) => (b.start === b.end ? formatIsoDate(b.start) : `${formatIsoDate(b.start)} to ${formatIsoDate(b.end)}`);
+
+  if (bookings.length > 0) {
+    user.waitingForSubmit = false;
+    const lines = bookings.map((b) =>
+      tr(sender, "booking.availability.bookedLine", {
+        dates: formatRange(b),
+        customer: b.customer || "?",
+        status: b.status || "Pending",
+      })
+    );
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.availability.booked", { bus: user.BusCode, bookings: lines.join("\n") }),
+    });
+    return false;
+  }
+
+  if (routeDays.length > 0 && !sameBooking && user.routeConflictAcknowledged !== bookingId) {
+    user.routeConflictAcknowledged = bookingId;
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "booking.availability.dailyRoute", {
+        bus: user.BusCode,
+        dates: routeDays.map(formatIsoDate).join(", "),
+      }),
+    });
+    return false;
+  }
+
+  return true;
+}
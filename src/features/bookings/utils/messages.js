@@ -10,6 +10,9 @@
 
 import { safeSendMessage } from "./helpers.js";
 import { getMenuState } from "../../../utils/menu-state.js";
+import { t, getUserLanguage, getDefaultLanguage } from "../../../utils/i18n.js";
+import { formatFuelLines } from "../../../utils/fuel.js";
+import { markDraftSummary } from "../../../utils/bulk-entry.js";
 
 /**
  * Capitalize first letter of a string
@@ -33,6 +36,11 @@ function capitalize(str) {
  * @returns {Promise<void>}
  */
 export async function sendSummary(sock, sender, completenessMsg, user) {
+  // Labels in the sender's reply language
+  const lang = getUserLanguage(sender);
+  const label = (key) => t(lang, `booking.summary.${key}`);
+  const onlineTag = t(lang, "common.online");
+
   // Get bus info from menu state for header
   const menuState = getMenuState(sender);
   const regNumber = menuState?.selectedBusInfo?.registrationNumber || user.RegistrationNumber || '';
@@ -60,7 +68,10 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
     if (user.TravelDateFrom === user.TravelDateTo || !user.TravelDateTo) {
       dateDisplay = formatDateDisplay(user.TravelDateFrom);
     } else {
-      dateDisplay = `${formatDateDisplay(user.TravelDateFrom)} to ${formatDateDisplay(user.TravelDateTo)}`;
+      dateDisplay = t(lang, "booking.summary.dateRange", {
+        from: formatDateDisplay(user.TravelDateFrom),
+        to: formatDateDisplay(user.TravelDateTo),
+      });
     }
   }
   
@@ -69,7 +80,7 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
     if (val === undefined || val === null || val === "") return "___";
     if (typeof val === 'object') {
       const amt = val.Amount || val.amount;
-      const mode = val.mode === "online" ? " (Online)" : "";
+      const mode = val.mode === "online" ? onlineTag : "";
       return `${amt.toLocaleString('en-IN')}${mode}`;
     }
     return val.toLocaleString('en-IN');
@@ -78,43 +89,43 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
   // Helper to format expense field with amount and mode indicator
   const formatExpenseField = (field) => {
     if (!field || field.amount === undefined || field.amount === null) return "___";
-    const mode = field.mode === "online" ? " (Online)" : "";
+    const mode = field.mode === "online" ? onlineTag : "";
     return `${field.amount.toLocaleString('en-IN')}${mode}`;
   };
 
     // Build base summary
     const msgParts = [
-      `📋 *Booking Entry${titleBus}*`,
+      t(lang, "booking.summary.title", { bus: titleBus }),
       ``,
-      `👤 *Customer Details:*`,
-      `👤 Name: ${user.CustomerName || "___"}`,
-      `📱 Mobile: ${user.CustomerPhone || "___"}`,
+      label("customer"),
+      `${label("name")}: ${user.CustomerName || "___"}`,
+      `${label("mobile")}: ${user.CustomerPhone || "___"}`,
       ``,
-      `📍 *Route Details:*`,
-      `🚏 Pickup: ${user.PickupLocation || "___"}`,
-      `🏁 Drop: ${user.DropLocation || "___"}`,
-      `📅 Date: ${dateDisplay}`,
+      label("route"),
+      `${label("pickup")}: ${user.PickupLocation || "___"}`,
+      `${label("drop")}: ${user.DropLocation || "___"}`,
+      `${label("date")}: ${dateDisplay}`,
       ``,
-      `💰 *Payment Details:*`,
-      `💵 Total Fare: ₹${formatAmount(user.TotalFare)}`,
-      `💳 Advance: ₹${formatAmount(user.AdvancePaid)}`,
+      label("payment"),
+      `${label("fare")}: ₹${formatAmount(user.TotalFare)}`,
+      `${label("advance")}: ₹${formatAmount(user.AdvancePaid)}`,
     ];
   
     // Show Received for updates
     if (user.editingExisting) {
       if (user.PaymentHistory && user.PaymentHistory.length > 0) {
-        msgParts.push(`💵 Received:`);
+        msgParts.push(`${label("received")}:`);
         user.PaymentHistory.forEach(p => {
-          const pModeIcon = p.mode === "online" ? " (Online)" : "";
+          const pModeIcon = p.mode === "online" ? onlineTag : "";
           // Date is already stored in "Thursday, 1 January 2026" format
           msgParts.push(`      💰${p.date} : ₹${Number(p.amount).toLocaleString('en-IN')}${pModeIcon}`);
         });
       } else {
-        msgParts.push(`💵 Received: ₹0`);
+        msgParts.push(`${label("received")}: ₹0`);
       }
     }
   
-    msgParts.push(`💸 Balance: ₹${formatAmount(user.BalanceAmount)}`);
+    msgParts.push(`${label("balance")}: ₹${formatAmount(user.BalanceAmount)}`);
     
     if (user.editingExisting) {
       // Helper to get numeric value
@@ -154,10 +165,10 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
       const bachat = fareAmt - totalExp;
 
       msgParts.push(``);
-      msgParts.push(`💰 *Expenses:*`);
-      msgParts.push(`⛽ Diesel: ₹${formatExpenseField(user.Diesel)}`);
-      msgParts.push(`🚌 Adda: ₹${formatExpenseField(user.Adda)}`);
-      msgParts.push(`🤝 Union: ₹${formatExpenseField(user.Union)}`);
+      msgParts.push(label("expenses"));
+      msgParts.push(`${label("diesel")}: ₹${formatExpenseField(user.Diesel)}`);
+      msgParts.push(`${label("adda")}: ₹${formatExpenseField(user.Adda)}`);
+      msgParts.push(`${label("union")}: ₹${formatExpenseField(user.Union)}`);
       
       // Add Extra Expenses if any
       if (user.ExtraExpenses && user.ExtraExpenses.length > 0) {
@@ -175,7 +186,7 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
         const hasVisibleSalary = dailySalaryExpenses.some(e => (Number(e.amount) || 0) > 0);
         if (hasVisibleSalary) {
           msgParts.push(``);
-          msgParts.push(`👥 *Employee (Daily Salary):*`);
+          msgParts.push(label("employeeDaily"));
           dailySalaryExpenses.forEach(e => {
             const displayName = e.role || e.name;
             msgParts.push(`👤 ${displayName}: ₹${formatExpenseField(e)}`);
@@ -186,29 +197,35 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
       // Add Trip Expenses if any
       if (tripExpenses.length > 0) {
         msgParts.push(``);
-        msgParts.push(`🚌 *Employee (Trip):*`);
+        msgParts.push(label("employeeTrip"));
         tripExpenses.forEach(e => {
           const displayName = e.role || e.name;
           msgParts.push(`👤 ${displayName}: ₹${formatExpenseField(e)}`);
         });
       }
       
+      // Distance and fuel of the trip, if entered
+      const fuelLines = formatFuelLines(user, lang);
+      if (fuelLines.length > 0) {
+        msgParts.push(``);
+        msgParts.push(...fuelLines);
+      }
+      
       msgParts.push(``);
-      msgParts.push(`✨ *Calculation:*`);
-      msgParts.push(`💵 Total Cash Collection: ₹${totalCashReceived.toLocaleString('en-IN')}`);
-      msgParts.push(`💰 Cash HandOver: ₹${cashHandover.toLocaleString('en-IN')}`);
-      msgParts.push(`💳 Online Received: ₹${totalOnlinePayments.toLocaleString('en-IN')}`);
-      msgParts.push(`📈 Bachat (Profit): ₹${bachat.toLocaleString('en-IN')}`);
+      msgParts.push(label("calculation"));
+      msgParts.push(`${label("totalCash")}: ₹${totalCashReceived.toLocaleString('en-IN')}`);
+      msgParts.push(`${label("handover")}: ₹${cashHandover.toLocaleString('en-IN')}`);
+      msgParts.push(`${label("onlineReceived")}: ₹${totalOnlinePayments.toLocaleString('en-IN')}`);
+      msgParts.push(`${label("profit")}: ₹${bachat.toLocaleString('en-IN')}`);
     
     msgParts.push(``);
-    msgParts.push(`You can now update any field.`);
-    msgParts.push(`Type Yes to save or No to cancel.`);
+    msgParts.push(label("updateHint"));
   } else {
     msgParts.push(``);
     msgParts.push(completenessMsg);
   }
 
-  await safeSendMessage(sock, sender, { text: msgParts.join("\n") });
+  await safeSendMessage(sock, sender, markDraftSummary({ text: msgParts.join("\n") }));
 }
 
 /**
@@ -227,9 +244,12 @@ export async function sendSummary(sock, sender, completenessMsg, user) {
  * - AdvancePaid (Advance)
  * 
  * @param {Object} user - User's booking session data object
+ * @param {string} [sender] - Sender JID, for the reply language
  * @returns {string} Status message indicating completion state or missing fields
  */
-export function getCompletionMessage(user) {
+export function getCompletionMessage(user, sender = null) {
+  const lang = sender ? getUserLanguage(sender) : getDefaultLanguage();
+
   // BusCode is auto-set from selected bus, so not in required fields
   const requiredFieldsMap = {
     "CustomerName": "Name",
@@ -253,9 +273,9 @@ export function getCompletionMessage(user) {
         user.BalanceAmount = (typeof user.TotalFare === 'object' ? user.TotalFare.Amount : user.TotalFare) - 0;
       }
     }
-    return "✅ All fields complete!\nDo you want to Submit? (Yes/Y or No/N)";
+    return t(lang, "booking.completion.complete");
   } else {
     user.waitingForSubmit = false;
-    return `⚠️ Missing: ${missingFields.join(", ")}`;
+    return t(lang, "booking.completion.missing", { fields: missingFields.join(", ") });
   }
 }
@@ -1,14 +1,11 @@
 import { format, parse, isValid } from "date-fns";
 import { getMenuState, getSelectedBus } from "../../utils/menu-state.js";
-import { 
-  safeSendMessage, 
-  getInitiatedDailyEntries, 
-  getInitiatedBookingEntries, 
-  getPreviousBalance,
-  filterEntriesByDate
-} from "./utils/helpers.js";
+import { safeSendMessage, getCashAvailable } from "./utils/helpers.js";
 import { sendCashSummary, sendNoCashAvailable, showCashHelp } from "./utils/messages.js";
 import { handleDeposit } from "./handlers/deposit-handler.js";
+import { handleDepositStatement } from "./handlers/statement-handler.js";
+import { requirePermission } from "../../utils/permissions.js";
+import { tr } from "../../utils/i18n.js";
 
 const cashUserData = {};
 
@@ -39,7 +36,7 @@ export async function handleIncomingMessageFromCash(sock, msg) {
     const selectedBus = getSelectedBus(sender);
     if (!selectedBus) {
       await safeSendMessage(sock, sender, {
-        text: "⚠️ Please select a bus first. Type *Entry* to start."
+        text: tr(sender, "cash.selectBus")
       });
       return;
     }
@@ -69,27 +66,19 @@ export async function handleIncomingMessageFromCash(sock, msg) {
           targetDate = parsed;
         } else {
           await safeSendMessage(sock, sender, {
-            text: "❌ Invalid date format. Use: Date today or Date DD/MM/YYYY"
+            text: tr(sender, "cash.invalidDate")
           });
           return true;
         }
       }
       
-      const dailyEntries = await getInitiatedDailyEntries(busCode);
-      const bookingEntries = await getInitiatedBookingEntries(busCode);
-      const previousBalance = await getPreviousBalance(busCode);
-      
-      const filteredDaily = filterEntriesByDate(dailyEntries, targetDate);
-      const filteredBookings = filterEntriesByDate(bookingEntries, targetDate);
-      
-      const dailyTotal = filteredDaily.reduce((sum, e) => sum + e.amount, 0);
-      const bookingTotal = filteredBookings.reduce((sum, e) => sum + e.amount, 0);
-      const totalAvailable = dailyTotal + bookingTotal + previousBalance;
+      const { dailyEntries, bookingEntries, previousBalance, totalAvailable } =
+        await getCashAvailable(busCode, targetDate);
       
       cashUserData[sender] = {
         busCode,
-        dailyEntries: filteredDaily,
-        bookingEntries: filteredBookings,
+        dailyEntries,
+        bookingEntries,
         previousBalance,
         totalAvailable,
         filterDate: format(targetDate, "dd/MM/yyyy")
@@ -105,14 +94,23 @@ export async function handleIncomingMessageFromCash(sock, msg) {
       return true;
     }
     
+    // "Deposits [period] [pdf]" - checked before "Deposit <amount>"
+    if (await handleDepositStatement(sock, sender, normalizedText, busCode)) {
+      return true;
+    }
+    
     if (text.startsWith("deposit")) {
       if (!cashUserData[sender]) {
         await safeSendMessage(sock, sender, {
-          text: "⚠️ Please first select a date.\n\nExample: *Date today* or *Date 15/12/2025*"
+          text: tr(sender, "cash.selectDateFirst")
         });
         return true;
       }
       
+      if (!(await requirePermission(sock, sender, "cash.deposit", { command: normalizedText }))) {
+        return true;
+      }
+      
       const success = await handleDeposit(sock, sender, normalizedText, cashUserData[sender]);
       if (success) {
         delete cashUserData[sender];
@@ -1,21 +1,23 @@
-import { format } from "date-fns";
+import { format, parse } from "date-fns";
 import db, { bookingsDb, cashDb } from "../../../utils/db.js";
 import { getMenuState } from "../../../utils/menu-state.js";
 import { 
   safeSendMessage, 
   generateDepositId, 
-  updateEntryStatus, 
+  applyEntryDeposit, 
   saveDeposit,
+  getCashAvailable,
   formatCurrency 
 } from "../utils/helpers.js";
 import { sendDepositConfirmation, sendInvalidDepositAmount } from "../utils/messages.js";
+import { tr } from "../../../utils/i18n.js";
 
 export async function handleDeposit(sock, sender, text, cashState) {
   try {
     const depositMatch = text.match(/^deposit\s+(\d+)(?:\s+(.+))?$/i);
     if (!depositMatch) {
       await safeSendMessage(sock, sender, { 
-        text: "❌ Invalid format. Use: Deposit <amount> or Deposit <amount> <remarks>" 
+        text: tr(sender, "cash.deposit.invalidFormat")
       });
       return false;
     }
@@ -23,10 +25,14 @@ export async function handleDeposit(sock, sender, text, cashState) {
     const depositAmount = Number(depositMatch[1]);
     const remarks = depositMatch[2]?.trim() || "";
     
-    const { dailyEntries, bookingEntries, previousBalance, totalAvailable, busCode } = cashState;
+    // Allocate against the entries as they are now, not the summary shown at "Date ..." -
+    // entries may have been deposited or edited since
+    const { busCode, filterDate } = cashState;
+    const { dailyEntries, bookingEntries, previousBalance, totalAvailable } =
+      await getCashAvailable(busCode, parse(filterDate, "dd/MM/yyyy", new Date()));
     
     if (depositAmount <= 0) {
-      await safeSendMessage(sock, sender, { text: "❌ Deposit amount must be greater than 0." });
+      await safeSendMessage(sock, sender, { text: tr(sender, "cash.deposit.notPositive") });
       return false;
     }
     
@@ -41,13 +47,12 @@ export async function handleDeposit(sock, sender, text, cashState) {
     let remainingToDeposit = depositAmount;
     const usedDailyEntries = [];
     const usedBookingEntries = [];
+    // Per-entry ledger: how much of each entry went into this deposit and what is still open
+    const allocations = { daily: {}, booking: {} };
     let fromDaily = 0;
     let fromBookings = 0;
     let fromBalance = 0;
     
-    const dailyTotal = dailyEntries.reduce((sum, e) => sum + e.amount, 0);
-    const bookingTotal = bookingEntries.reduce((sum, e) => sum + e.amount, 0);
-    
     if (previousBalance > 0) {
       const useFromBalance = Math.min(remainingToDeposit, previousBalance);
       fromBalance = useFromBalance;
@@ -58,23 +63,32 @@ export async function handleDeposit(sock, sender, text, cashState) {
       if (remainingToDeposit <= 0) break;
       
       const useAmount = Math.min(entry.amount, remainingToDeposit);
+      const result = await applyEntryDeposit(entry.id, useAmount, depositId, false, sender);
+      if (!result || result.applied === 0) continue;
+      
       usedDailyEntries.push(entry.id);
-      fromDaily += useAmount;
-      remainingToDeposit -= useAmount;
-      await updateEntryStatus(entry.id, false);
+      allocations.daily[entry.id] = { amount: result.applied, remaining: result.remaining };
+      fromDaily += result.applied;
+      remainingToDeposit -= result.applied;
     }
     
     for (const entry of bookingEntries) {
       if (remainingToDeposit <= 0) break;
       
       const useAmount = Math.min(entry.amount, remainingToDeposit);
+      const result = await applyEntryDeposit(entry.id, useAmount, depositId, true, sender);
+      if (!result || result.applied === 0) continue;
+      
       usedBookingEntries.push(entry.id);
-      fromBookings += useAmount;
-      remainingToDeposit -= useAmount;
-      await updateEntryStatus(entry.id, true);
+      allocations.booking[entry.id] = { amount: result.applied, remaining: result.remaining };
+      fromBookings += result.applied;
+      remainingToDeposit -= result.applied;
     }
     
-    const newBalance = totalAvailable - depositAmount;
+    // Carried balance is only the loose cash from earlier deposits that is not tied to an entry.
+    // Unused entry cash stays open on the entries themselves, so it is not counted twice.
+    const newBalance = previousBalance - fromBalance;
+    const openInEntries = totalAvailable - previousBalance - fromDaily - fromBookings;
     
     const depositData = {
       depositId,
@@ -83,11 +97,13 @@ export async function handleDeposit(sock, sender, text, cashState) {
       amount: depositAmount,
       dailyEntries: usedDailyEntries,
       bookingEntries: usedBookingEntries,
+      allocations,
       breakdown: {
         fromDaily,
         fromBookings,
         fromBalance
       },
+      openInEntries,
       balance: {
         Amount: newBalance
       },
@@ -102,7 +118,7 @@ export async function handleDeposit(sock, sender, text, cashState) {
     return true;
   } catch (err) {
     console.error("❌ handleDeposit error:", err);
-    await safeSendMessage(sock, sender, { text: "❌ Failed to process deposit. Please try again." });
+    await safeSendMessage(sock, sender, { text: tr(sender, "cash.deposit.failed") });
     return false;
   }
 }
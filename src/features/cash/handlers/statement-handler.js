@@ -0,0 +1,120 @@
+import { format } from "date-fns";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { queryRecords } from "../../../utils/storage.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { extractPdfFlag, formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { safeSendMessage, formatCurrency } from "../utils/helpers.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Deposit statement: "Deposits", "Deposits nov", "Deposits this year pdf"
+ * Lists the bank deposits of the selected bus for a period (this month by default).
+ */
+export async function handleDepositStatement(sock, sender, text, busCode) {
+  const statementMatch = text.match(/^deposits(?:\s+(.+))?$/i);
+  if (!statementMatch) return false;
+
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `cash.statement.${key}`, params);
+
+  const { text: periodText, pdf } = extractPdfFlag(statementMatch[1] || "");
+  const period = parsePeriod(periodText || "this month");
+  if (!period) {
+    await safeSendMessage(sock, sender, {
+      text: label("unknownPeriod")
+    });
+    return true;
+  }
+
+  const deposits = await queryRecords("cash", { busCode, from: period.start, to: period.end });
+
+  if (deposits.length === 0) {
+    await safeSendMessage(sock, sender, {
+      text: label("none", { period: period.name, bus: busCode })
+    });
+    return true;
+  }
+
+  const totals = { amount: 0, fromDaily: 0, fromBookings: 0, fromBalance: 0 };
+  for (const [, deposit] of deposits) {
+    totals.amount += Number(deposit.amount) || 0;
+    totals.fromDaily += Number(deposit.breakdown?.fromDaily) || 0;
+    totals.fromBookings += Number(deposit.breakdown?.fromBookings) || 0;
+    totals.fromBalance += Number(deposit.breakdown?.fromBalance) || 0;
+  }
+  const lastBalance = Number(deposits[deposits.length - 1][1].balance?.Amount) || 0;
+
+  if (pdf) {
+    const regNumber = getMenuState(sender)?.selectedBusInfo?.registrationNumber;
+    const report = {
+      title: "Cash Deposit Statement",
+      bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+      period: formatPeriodLabel(period),
+      landscape: true,
+      summary: [
+        ["Deposits", String(deposits.length)],
+        ["Total Deposited (Rs.)", formatPdfAmount(totals.amount)],
+        ["From Daily (Rs.)", formatPdfAmount(totals.fromDaily)],
+        ["From Bookings (Rs.)", formatPdfAmount(totals.fromBookings)],
+        ["From Balance (Rs.)", formatPdfAmount(totals.fromBalance)],
+        ["Balance After Last Deposit (Rs.)", formatPdfAmount(lastBalance)],
+      ],
+      tables: [
+        {
+          heading: "Deposits (amounts in Rs.)",
+          columns: [
+            { label: "Date", width: 0.12 },
+            { label: "Deposit ID", width: 0.2 },
+            { label: "Amount", width: 0.1, align: "right" },
+            { label: "From Daily", width: 0.1, align: "right" },
+            { label: "From Bookings", width: 0.1, align: "right" },
+            { label: "From Balance", width: 0.1, align: "right" },
+            { label: "Balance", width: 0.09, align: "right" },
+            { label: "Remarks", width: 0.19 },
+          ],
+          rows: deposits.map(([id, deposit]) => [
+            format(new Date(deposit.depositedAt), "dd/MM/yyyy HH:mm"),
+            deposit.depositId || id,
+            formatPdfAmount(deposit.amount),
+            formatPdfAmount(deposit.breakdown?.fromDaily),
+            formatPdfAmount(deposit.breakdown?.fromBookings),
+            formatPdfAmount(deposit.breakdown?.fromBalance),
+            formatPdfAmount(deposit.balance?.Amount),
+            deposit.remarks || "",
+          ]),
+          totals: [
+            "Total",
+            "",
+            formatPdfAmount(totals.amount),
+            formatPdfAmount(totals.fromDaily),
+            formatPdfAmount(totals.fromBookings),
+            formatPdfAmount(totals.fromBalance),
+            "",
+            "",
+          ],
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName(busCode, "deposits", period.name));
+    return true;
+  }
+
+  let msg = `${label("title", { period: period.name, bus: busCode })}\n\n`;
+  deposits.forEach(([id, deposit], index) => {
+    msg += `${index + 1}. 📅 ${format(new Date(deposit.depositedAt), "dd/MM/yyyy")} | 🆔 ${deposit.depositId || id}\n`;
+    msg += `${label("breakdown", {
+      amount: formatCurrency(deposit.amount),
+      daily: formatCurrency(deposit.breakdown?.fromDaily || 0),
+      bookings: formatCurrency(deposit.breakdown?.fromBookings || 0),
+      balance: formatCurrency(deposit.breakdown?.fromBalance || 0),
+    })}\n`;
+    if (deposit.remarks) msg += `📝 ${deposit.remarks}\n`;
+    msg += `------------------\n`;
+  });
+  msg += `\n${label("total", { amount: formatCurrency(totals.amount) })}`;
+  msg += `\n${label("balanceAfter", { amount: formatCurrency(lastBalance) })}`;
+  msg += `\n\n${label("pdfHint")}`;
+
+  await safeSendMessage(sock, sender, { text: msg });
+  return true;
+}
@@ -1,6 +1,8 @@
 import { parse, isValid, isBefore, isEqual, startOfDay } from "date-fns";
 import db, { bookingsDb, cashDb } from "../../../utils/db.js";
+import { queryRecords } from "../../../utils/storage.js";
 import { getMenuState } from "../../../utils/menu-state.js";
+import { logRecordChange } from "../../../utils/audit-log.js";
 
 export async function safeSendMessage(sock, jid, content) {
   try {
@@ -18,22 +20,55 @@ export function generateDepositId(busCode, dateStr) {
   return `DEP_${busCode}_${dateStr}_${sequence}`;
 }
 
+/**
+ * Total cash an entry has to hand over
+ * Daily records use CashHandover.amount; older booking records used CashHandOver.Amount
+ */
+export function getEntryCashTotal(data) {
+  const cash = data?.CashHandover?.amount ?? data?.CashHandover ?? data?.CashHandOver?.Amount ?? 0;
+  return Number(cash) || 0;
+}
+
+/**
+ * Cash from an entry that has already gone into deposits
+ */
+export function getEntryDepositedAmount(data) {
+  return Number(data?.CashDeposited?.amount) || 0;
+}
+
+/**
+ * Build a ledger line for an entry: how much is still open and how much is already deposited
+ * Returns null when nothing is left to deposit
+ */
+function buildLedgerEntry(key, data, date) {
+  const total = getEntryCashTotal(data);
+  const deposited = getEntryDepositedAmount(data);
+  const remaining = total - deposited;
+  if (remaining <= 0) return null;
+
+  return {
+    id: key,
+    amount: remaining,
+    total,
+    deposited,
+    date,
+    parsedDate: parseEntryDate(date)
+  };
+}
+
+/**
+ * Date a booking's cash belongs to: the trip end (older records used TripDate/EndDate/StartDate)
+ */
+function getBookingEntryDate(data) {
+  return data.Date?.End || data.Date?.Start || data.TripDate || data.EndDate || data.StartDate;
+}
+
 export async function getInitiatedDailyEntries(busCode) {
-  await db.read();
   const entries = [];
   
-  for (const [key, data] of Object.entries(db.data || {})) {
-    if (key.startsWith(`${busCode}_`) && data.Status === "Initiated") {
-      const cashHandover = data.CashHandover?.amount || data.CashHandover || 0;
-      if (Number(cashHandover) > 0) {
-        entries.push({
-          id: key,
-          amount: Number(cashHandover),
-          date: data.Dated,
-          parsedDate: parseEntryDate(data.Dated)
-        });
-      }
-    }
+  for (const [key, data] of await queryRecords("daily", { busCode, status: "Initiated" })) {
+    const entry = buildLedgerEntry(key, data, data.Dated);
+    if (entry) entries.push(entry);
   }
   
   entries.sort((a, b) => a.parsedDate - b.parsedDate);
@@ -42,22 +77,11 @@ export async function getInitiatedDailyEntries(busCode) {
 }
 
 export async function getInitiatedBookingEntries(busCode) {
-  await bookingsDb.read();
   const entries = [];
   
-  for (const [key, data] of Object.entries(bookingsDb.data || {})) {
-    if (key.startsWith(`${busCode}_`) && data.Status === "Pending") {
-      const cashHandOver = data.CashHandOver?.Amount || 0;
-      if (Number(cashHandOver) > 0) {
-        const entryDate = data.TripDate || data.EndDate || data.StartDate;
-        entries.push({
-          id: key,
-          amount: Number(cashHandOver),
-          date: entryDate,
-          parsedDate: parseEntryDate(entryDate)
-        });
-      }
-    }
+  for (const [key, data] of await queryRecords("bookings", { busCode, status: "Pending" })) {
+    const entry = buildLedgerEntry(key, data, getBookingEntryDate(data));
+    if (entry) entries.push(entry);
   }
   
   entries.sort((a, b) => a.parsedDate - b.parsedDate);
@@ -66,13 +90,13 @@ export async function getInitiatedBookingEntries(busCode) {
 }
 
 export async function getPreviousBalance(busCode) {
-  await cashDb.read();
-  
+  const deposits = [];
   let latestDeposit = null;
   let latestTime = 0;
   
-  for (const [key, data] of Object.entries(cashDb.data || {})) {
-    if (data.busCode === busCode && data.depositedAt) {
+  for (const [key, data] of await queryRecords("cash", { busCode })) {
+    if (data.depositedAt) {
+      deposits.push(data);
       const depositTime = new Date(data.depositedAt).getTime();
       if (depositTime > latestTime) {
         latestTime = depositTime;
@@ -81,9 +105,61 @@ export async function getPreviousBalance(busCode) {
     }
   }
   
+  // Until scripts/migrate-cash-balances.js has run, read older deposits the same way it converts them
+  if (latestDeposit && isLegacyDeposit(latestDeposit)) {
+    return (await splitLegacyBalance(busCode, latestDeposit, deposits)).balance;
+  }
+  
   return latestDeposit?.balance?.Amount || 0;
 }
 
+/**
+ * Whether a deposit was saved before the cash ledger (it has no openInEntries)
+ * Those deposits carried everything left over as balance, including cash that
+ * was still open on entries - which the ledger now counts on the entries.
+ */
+export function isLegacyDeposit(deposit) {
+  return Boolean(deposit?.depositedAt) && deposit.openInEntries === undefined;
+}
+
+/**
+ * Split the balance of a legacy deposit into loose cash and cash still open on entries
+ *
+ * Entries dated up to the deposit day that no deposit up to then had used were
+ * still open, so their cash is taken out of the balance. Legacy deposits marked
+ * every entry they touched as fully deposited, so entry totals are used.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Object} deposit - Legacy deposit record
+ * @param {Array<Object>} deposits - All deposits of the bus
+ * @returns {Promise<{balance: number, openInEntries: number}>} Loose cash and open entry cash
+ */
+export async function splitLegacyBalance(busCode, deposit, deposits) {
+  const depositTime = new Date(deposit.depositedAt).getTime();
+  const depositDay = startOfDay(new Date(deposit.depositedAt));
+  const usedEntries = new Set(
+    deposits
+      .filter((d) => new Date(d.depositedAt).getTime() <= depositTime)
+      .flatMap((d) => [...(d.dailyEntries || []), ...(d.bookingEntries || [])])
+  );
+
+  let openInEntries = 0;
+  const stores = [
+    ["daily", "Initiated", (data) => data.Dated],
+    ["bookings", "Pending", getBookingEntryDate],
+  ];
+  for (const [store, openStatus, entryDate] of stores) {
+    for (const [key, data] of await queryRecords(store, { busCode })) {
+      if (usedEntries.has(key) || (data.Status !== openStatus && data.Status !== "Deposited")) continue;
+      if (parseEntryDate(entryDate(data)) > depositDay) continue;
+      openInEntries += getEntryCashTotal(data);
+    }
+  }
+
+  const legacyBalance = Number(deposit.balance?.Amount) || 0;
+  return { balance: Math.max(legacyBalance - openInEntries, 0), openInEntries };
+}
+
 export function filterEntriesByDate(entries, targetDate) {
   const target = startOfDay(targetDate);
   
@@ -94,6 +170,30 @@ export function filterEntriesByDate(entries, targetDate) {
   });
 }
 
+/**
+ * Cash not yet deposited for a bus, up to and including a date.
+ * Used by the "Date ..." command and the end-of-day digest.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} targetDate - Include entries dated on or before this day
+ * @returns {Promise<{dailyEntries: Array, bookingEntries: Array, previousBalance: number, totalAvailable: number}>}
+ */
+export async function getCashAvailable(busCode, targetDate) {
+  const dailyEntries = filterEntriesByDate(await getInitiatedDailyEntries(busCode), targetDate);
+  const bookingEntries = filterEntriesByDate(await getInitiatedBookingEntries(busCode), targetDate);
+  const previousBalance = await getPreviousBalance(busCode);
+
+  const dailyTotal = dailyEntries.reduce((sum, e) => sum + e.amount, 0);
+  const bookingTotal = bookingEntries.reduce((sum, e) => sum + e.amount, 0);
+
+  return {
+    dailyEntries,
+    bookingEntries,
+    previousBalance,
+    totalAvailable: dailyTotal + bookingTotal + previousBalance,
+  };
+}
+
 function parseEntryDate(dateStr) {
   if (!dateStr) return new Date(0);
   
@@ -121,24 +221,68 @@ export function parseEntryDateExport(dateStr) {
   return parseEntryDate(dateStr);
 }
 
-export async function updateEntryStatus(entryId, isBooking = false) {
+/**
+ * Record part (or all) of an entry's cash as deposited
+ * The entry stays open until its whole CashHandover is covered, then becomes "Deposited"
+ *
+ * @param {string} entryId - Daily or booking primary key
+ * @param {number} amount - Amount of this entry's cash used in the deposit
+ * @param {string} depositId - Deposit that used the cash
+ * @param {boolean} isBooking - True for booking entries
+ * @param {string|null} sender - WhatsApp sender making the deposit (for the audit trail)
+ * @returns {Object|null} { applied, deposited, remaining, fullyDeposited } or null if entry not found.
+ *   applied is the part of amount actually used - never more than the entry still has open
+ */
+export async function applyEntryDeposit(entryId, amount, depositId, isBooking = false, sender = null) {
   const targetDb = isBooking ? bookingsDb : db;
   await targetDb.read();
   
-  if (targetDb.data[entryId]) {
-    targetDb.data[entryId].Status = "Deposited";
-    targetDb.data[entryId].submittedAt = new Date().toISOString();
-    await targetDb.write();
-    return true;
+  const entry = targetDb.data[entryId];
+  if (!entry) return null;
+  const before = structuredClone(entry);
+
+  const total = getEntryCashTotal(entry);
+  const applied = Math.max(Math.min(amount, total - getEntryDepositedAmount(entry)), 0);
+  if (applied === 0) return { applied, deposited: getEntryDepositedAmount(entry), remaining: 0, fullyDeposited: true };
+
+  const deposited = getEntryDepositedAmount(entry) + applied;
+  const remaining = total - deposited;
+
+  entry.CashDeposited = { amount: deposited, lastDepositId: depositId };
+  if (remaining === 0) {
+    entry.Status = "Deposited";
   }
-  return false;
+  entry.submittedAt = new Date().toISOString();
+  await targetDb.write();
+
+  logRecordChange({
+    store: isBooking ? "bookings" : "daily",
+    key: entryId,
+    before,
+    after: entry,
+    source: "deposit",
+    sender,
+  });
+
+  return { applied, deposited, remaining, fullyDeposited: remaining === 0 };
 }
 
 export async function saveDeposit(depositData) {
   await cashDb.read();
   if (!cashDb.data) cashDb.data = {};
+  const before = cashDb.data[depositData.depositId] || null;
   cashDb.data[depositData.depositId] = depositData;
   await cashDb.write();
+  
+  logRecordChange({
+    store: "cash",
+    key: depositData.depositId,
+    before,
+    after: depositData,
+    source: "deposit",
+    sender: depositData.sender,
+    busCode: depositData.busCode,
+  });
   return true;
 }
 
@@ -1,33 +1,26 @@
 import { safeSendMessage, formatCurrency } from "./helpers.js";
 import { getMenuState } from "../../../utils/menu-state.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
 
 export async function showCashHelp(sock, jid) {
   const menuState = getMenuState(jid);
   const regNumber = menuState?.selectedBusInfo?.registrationNumber || menuState?.selectedBus || 'N/A';
-  
-  const helpText = `💵 *Cash Help* (*${regNumber}*)
-
-*Commands For Cash Management:*
-
-📅 *Select Date (Required first):*
-• Date today
-• Date 15/12/2025
-
-💰 *Deposit (After selecting date):*
-• Deposit <amount>
-  Example: Deposit 15000
-• Deposit <amount> <remarks>
-  Example: Deposit 15000 SBI Bank
-
-🔙 *Navigation:*
-• Exit or E - Back to Main Menu
-• Help or H - Show this help
-
-*Flow:*
-1. First enter date to see available cash
-2. Then deposit the amount`;
+  await safeSendMessage(sock, jid, { text: tr(jid, "help.cash", { bus: regNumber }) });
+}
 
-  await safeSendMessage(sock, jid, { text: helpText });
+/**
+ * One summary line per entry; partly deposited entries show their open remainder
+ */
+function formatLedgerLine(lang, entry) {
+  if (entry.deposited > 0) {
+    return t(lang, "cash.summary.lineOpen", {
+      id: entry.id,
+      amount: formatCurrency(entry.amount),
+      deposited: formatCurrency(entry.deposited),
+      total: formatCurrency(entry.total),
+    }) + `\n`;
+  }
+  return t(lang, "cash.summary.line", { id: entry.id, amount: formatCurrency(entry.amount) }) + `\n`;
 }
 
 export async function sendCashSummary(sock, jid, summaryData) {
@@ -36,113 +29,128 @@ export async function sendCashSummary(sock, jid, summaryData) {
     
     const menuState = getMenuState(jid);
     const regNumber = menuState?.selectedBusInfo?.registrationNumber || busCode;
+    const lang = getUserLanguage(jid);
+    const label = (key, params) => t(lang, `cash.summary.${key}`, params);
     
-    let msg = `💰 *Cash Available Summary* (*${regNumber}*)\n`;
+    let msg = `${label("title", { bus: regNumber })}\n`;
     if (filterDate) {
-      msg += `📅 *Up to:* ${filterDate}\n`;
+      msg += `${label("upTo", { date: filterDate })}\n`;
     }
     msg += `\n`;
     
     if (dailyEntries.length > 0) {
-      msg += `📊 *From Daily Entries (Status: Initiated):*\n`;
+      msg += `${label("daily")}\n`;
       let dailySubtotal = 0;
       for (const entry of dailyEntries) {
-        msg += `   - ${entry.id}: ₹${formatCurrency(entry.amount)}\n`;
+        msg += formatLedgerLine(lang, entry);
         dailySubtotal += entry.amount;
       }
-      msg += `   *Subtotal: ₹${formatCurrency(dailySubtotal)}*\n\n`;
+      msg += `${label("subtotal", { amount: formatCurrency(dailySubtotal) })}\n\n`;
     } else {
-      msg += `📊 *From Daily Entries:* None\n\n`;
+      msg += `${label("dailyNone")}\n\n`;
     }
     
     if (bookingEntries.length > 0) {
-      msg += `🚌 *From Bookings (Status: Pending):*\n`;
+      msg += `${label("bookings")}\n`;
       let bookingSubtotal = 0;
       for (const entry of bookingEntries) {
-        msg += `   - ${entry.id}: ₹${formatCurrency(entry.amount)}\n`;
+        msg += formatLedgerLine(lang, entry);
         bookingSubtotal += entry.amount;
       }
-      msg += `   *Subtotal: ₹${formatCurrency(bookingSubtotal)}*\n\n`;
+      msg += `${label("subtotal", { amount: formatCurrency(bookingSubtotal) })}\n\n`;
     } else {
-      msg += `🚌 *From Bookings:* None\n\n`;
+      msg += `${label("bookingsNone")}\n\n`;
     }
     
-    msg += `💵 *Previous Balance:* ₹${formatCurrency(previousBalance)}\n\n`;
-    msg += `✨ *Total Cash Available: ₹${formatCurrency(totalAvailable)}*\n\n`;
-    msg += `Reply *"Deposit <amount>"* (e.g., Deposit 15000)\n`;
-    msg += `Optional: *"Deposit 15000 SBI Bank"* (with remarks)\n`;
-    msg += `Reply *"Exit"* to return to menu`;
+    msg += `${label("previousBalance", { amount: formatCurrency(previousBalance) })}\n\n`;
+    msg += `${label("total", { amount: formatCurrency(totalAvailable) })}\n\n`;
+    msg += label("hint");
     
     await safeSendMessage(sock, jid, { text: msg });
   } catch (err) {
     console.error("❌ sendCashSummary error:", err);
-    await safeSendMessage(sock, jid, { text: "❌ Failed to show cash summary." });
+    await safeSendMessage(sock, jid, { text: tr(jid, "cash.summary.failed") });
   }
 }
 
+/**
+ * One confirmation line per entry used in a deposit
+ */
+function formatAllocationLine(lang, id, alloc) {
+  if (alloc.remaining > 0) {
+    return t(lang, "cash.deposit.lineOpen", {
+      id,
+      amount: formatCurrency(alloc.amount),
+      remaining: formatCurrency(alloc.remaining),
+    }) + `\n`;
+  }
+  return t(lang, "cash.deposit.lineDone", { id, amount: formatCurrency(alloc.amount) }) + `\n`;
+}
+
 export async function sendDepositConfirmation(sock, jid, depositData) {
   try {
-    const { depositId, amount, dailyEntries, bookingEntries, breakdown, balance, remarks } = depositData;
+    const { depositId, amount, allocations, breakdown, openInEntries, balance, remarks } = depositData;
+    const lang = getUserLanguage(jid);
+    const label = (key, params) => t(lang, `cash.deposit.${key}`, params);
     
-    let msg = `✅ *Deposit Successful*\n\n`;
-    msg += `🆔 Deposit ID: ${depositId}\n`;
-    msg += `💵 Amount Deposited: ₹${formatCurrency(amount)}\n\n`;
+    let msg = `${label("title")}\n\n`;
+    msg += `${label("id", { id: depositId })}\n`;
+    msg += `${label("amount", { amount: formatCurrency(amount) })}\n\n`;
     
-    msg += `📊 *Breakdown:*\n`;
-    msg += `   From Daily: ₹${formatCurrency(breakdown.fromDaily)}\n`;
-    msg += `   From Bookings: ₹${formatCurrency(breakdown.fromBookings)}\n`;
-    msg += `   From Balance: ₹${formatCurrency(breakdown.fromBalance)}\n\n`;
+    msg += `${label("breakdown")}\n`;
+    msg += `${label("fromDaily", { amount: formatCurrency(breakdown.fromDaily) })}\n`;
+    msg += `${label("fromBookings", { amount: formatCurrency(breakdown.fromBookings) })}\n`;
+    msg += `${label("fromBalance", { amount: formatCurrency(breakdown.fromBalance) })}\n\n`;
     
-    if (dailyEntries.length > 0) {
-      msg += `📋 *Daily Entries Updated (→ Deposited):*\n`;
-      for (const id of dailyEntries) {
-        msg += `   - ${id}\n`;
+    const dailyAllocations = Object.entries(allocations?.daily || {});
+    if (dailyAllocations.length > 0) {
+      msg += `${label("dailyUpdated")}\n`;
+      for (const [id, alloc] of dailyAllocations) {
+        msg += formatAllocationLine(lang, id, alloc);
       }
       msg += `\n`;
     }
     
-    if (bookingEntries.length > 0) {
-      msg += `📋 *Booking Entries Updated (→ Deposited):*\n`;
-      for (const id of bookingEntries) {
-        msg += `   - ${id}\n`;
+    const bookingAllocations = Object.entries(allocations?.booking || {});
+    if (bookingAllocations.length > 0) {
+      msg += `${label("bookingUpdated")}\n`;
+      for (const [id, alloc] of bookingAllocations) {
+        msg += formatAllocationLine(lang, id, alloc);
       }
       msg += `\n`;
     }
     
-    msg += `💰 *Remaining Balance:* ₹${formatCurrency(balance.Amount)}\n`;
+    msg += `${label("stillOpen", { amount: formatCurrency(openInEntries || 0) })}\n`;
+    msg += `${label("remaining", { amount: formatCurrency(balance.Amount) })}\n`;
     
     if (remarks) {
-      msg += `📝 *Remarks:* ${remarks}\n`;
+      msg += `${label("remarks", { remarks })}\n`;
     }
     
-    msg += `\n✅ All entries status updated to Deposited!`;
+    msg += `\n${label("note")}`;
     
     await safeSendMessage(sock, jid, { text: msg });
   } catch (err) {
     console.error("❌ sendDepositConfirmation error:", err);
-    await safeSendMessage(sock, jid, { text: "❌ Failed to send deposit confirmation." });
+    await safeSendMessage(sock, jid, { text: tr(jid, "cash.deposit.confirmationFailed") });
   }
 }
 
 export async function sendNoCashAvailable(sock, jid, filterDate = null) {
   const menuState = getMenuState(jid);
   const regNumber = menuState?.selectedBusInfo?.registrationNumber || menuState?.selectedBus || '';
+  const lang = getUserLanguage(jid);
   
-  let msg = `💰 *Cash Management*`;
+  let msg = t(lang, "cash.none.title");
   if (regNumber) {
     msg += ` (*${regNumber}*)`;
   }
   msg += `\n\n`;
-  msg += `⚠️ No cash available for deposit`;
-  if (filterDate) {
-    msg += ` up to ${filterDate}`;
-  }
-  msg += `.\n\nAll entries are either already deposited or have no cash handover.\n\n`;
-  msg += `Reply *"Exit"* to return to menu`;
+  msg += filterDate ? t(lang, "cash.none.messageUpTo", { date: filterDate }) : t(lang, "cash.none.message");
+  msg += `\n\n${t(lang, "cash.none.hint")}`;
   await safeSendMessage(sock, jid, { text: msg });
 }
 
 export async function sendInvalidDepositAmount(sock, jid, maxAmount) {
-  const msg = `❌ Invalid deposit amount.\n\nMaximum available: ₹${formatCurrency(maxAmount)}\n\nPlease enter a valid amount.`;
-  await safeSendMessage(sock, jid, { text: msg });
+  await safeSendMessage(sock, jid, { text: tr(jid, "cash.deposit.invalidAmount", { max: formatCurrency(maxAmount) }) });
 }
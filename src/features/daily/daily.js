@@ -7,6 +7,7 @@
  * - Status management (initiated/collected/deposited)
  * - Report generation and queries
  * - Expense management
+ * - Trip collections per route
  * - Data submission and updates
  * 
  * The module uses a chain-of-responsibility pattern where each handler
@@ -15,14 +16,20 @@
 
 // Status commands removed - keeping simple data entry with Status: Initiated
 import { safeSendMessage } from "./utils/helpers.js";
-import { handleClearCommand, handleDailyCommand, handleReportsCommand } from "./handlers/command-handler.js";
+import { handleClearCommand, handleDailyCommand, handleReportsCommand, handleHistoryCommand } from "./handlers/command-handler.js";
 import { handleExpenseCommand, handleExpenseDelete, handleEmployeeExpenseCommand, handleEmployeeExpenseDelete } from "./handlers/expense-handler.js";
+import { handleTripCommand, handleTripDelete, handleRoutesCommand } from "./handlers/trip-handler.js";
 import { handleFetchConfirmation, handleCancelChoice } from "./handlers/fetch-handler.js";
 import { handleSubmit, handleUpdateConfirmation } from "./handlers/submit-handler.js";
 import { handleFieldExtraction, handleFieldUpdateConfirmation, handleRemarksCommand } from "./handlers/field-handler.js";
 import { recalculateCashHandover, getCompletionMessage } from "./utils/calculations.js";
+import { handleReceiptImage, handleReceiptsCommand, linkDraftReceipts } from "./handlers/receipt-handler.js";
 import { sendSummary } from "./utils/messages.js";
 import { getMenuState, getSelectedBus } from "../../utils/menu-state.js";
+import { getImageMessage, downloadImage } from "../../utils/receipts.js";
+import { isDieselSlipCaption, askDieselSlipAmount, handleDieselSlipConfirmation } from "../../utils/diesel-slip.js";
+import { splitEntryLines, processEntryLines, formatBulkReport, sendCommandReplies, sendStoppedBulkReplies } from "../../utils/bulk-entry.js";
+import { tr, getUserLanguage } from "../../utils/i18n.js";
 
 /**
  * Main handler for incoming daily-related messages
@@ -48,10 +55,11 @@ export async function handleIncomingMessageFromDaily(sock, msg, skipPrefixStripp
       return;
     }
 
-    // Extract message text content
+    // Extract message text content (or the caption of a photo receipt)
+    const imageMessage = getImageMessage(msg);
     const messageContent =
-      msg.message?.conversation || msg.message?.extendedTextMessage?.text;
-    if (!messageContent) return;
+      msg.message?.conversation || msg.message?.extendedTextMessage?.text || imageMessage?.caption || "";
+    if (!messageContent && !imageMessage) return;
     
     // Ignore messages sent by the bot itself
     if (msg.key.fromMe) return;
@@ -79,182 +87,282 @@ export async function handleIncomingMessageFromDaily(sock, msg, skipPrefixStripp
     // Require a bus to be selected before processing daily commands
     if (!selectedBus) {
       await safeSendMessage(sock, sender, {
-        text: "⚠️ No bus selected. Please type *Entry* to select a bus first.",
+        text: tr(sender, "common.noBusSelected"),
       });
       return;
     }
     
+    // Photo receipt - apply the caption (e.g. "Expense mechanic 1500"), then save and link the photo
+    if (imageMessage) {
+      await handleDailyImage(sock, msg, sender, normalizedText, selectedBus, skipPrefixStripping);
+      return;
+    }
+
     // Handle empty command - show help based on mode
     if (text === '') {
-      if (skipPrefixStripping) {
-        // Menu mode - show simplified help without "daily" prefix requirement
-        await safeSendMessage(sock, sender, {
-          text: `📊 *DAILY COMMANDS (Menu Mode)*\n🚌 Bus: *${selectedBus}*\n\n` +
-                `📝 *Data Entry:*\n` +
-                `Dated 15/11/2025\n` +
-                `Diesel 5000\n` +
-                `Adda 200\n` +
-                `Union 150\n` +
-                `Total Cash Collection 25000\n` +
-                `Online 3000\n` +
-                `Remarks All ok\n` +
-                `Submit\n\n` +
-                `👥 *Employee (Manual):*\n` +
-                `• driver 250\n` +
-                `• conductor 150\n` +
-                `• driver 200 online\n\n` +
-                `📋 *Status Commands:*\n` +
-                `• status initiated\n` +
-                `• status collected\n` +
-                `• update status 15/11/2025 collected\n\n` +
-                `🔍 *Fetch Records:*\n` +
-                `• today\n` +
-                `• yesterday\n` +
-                `• [DD/MM/YYYY]\n\n` +
-                `⚙️ *Other:*\n` +
-                `• clear - clear session\n` +
-                `• exit - back to menu\n\n` +
-                `No "daily" prefix needed in menu mode!`
-        });
-      } else {
-        // Direct mode - show full help with "daily" prefix requirement
-        await safeSendMessage(sock, sender, {
-          text: `📊 *DAILY FEATURE COMMANDS*\n🚌 Bus: *${selectedBus}*\n\n` +
-                `1️⃣ *Submit Daily Report*\n` +
-                `daily\n` +
-                `Dated 15/11/2025\n` +
-                `Diesel 5000\n` +
-                `Adda 200\n` +
-                `Union 150\n` +
-                `Total Cash Collection 25000\n` +
-                `Online 3000\n` +
-                `Remarks All ok\n` +
-                `Submit\n\n` +
-                `2️⃣ *Fetch Records*\n` +
-                `• daily today\n` +
-                `• daily yesterday\n` +
-                `• daily last [N]\n` +
-                `• daily [DD/MM/YYYY]\n\n` +
-                `4️⃣ *Employee (Manual Entry)*\n` +
-                `• daily driver [amount]\n` +
-                `• daily conductor [amount]\n` +
-                `• daily driver [amount] online\n\n` +
-                `5️⃣ *Other Commands*\n` +
-                `• daily clear - clear session\n` +
-                `• daily expense delete [name] - delete expense\n\n` +
-                `For detailed guide, see documentation.`
-        });
-      }
+      // Menu mode needs no "daily" prefix, so it gets its own help
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, skipPrefixStripping ? "daily.help.menu" : "daily.help.prefix", { bus: selectedBus }),
+      });
       return;
     }
 
-    // Try each handler in order - first one to handle returns true
-
-    // Handle "clear" command to reset session
-    const handledClear = await handleClearCommand(sock, sender, text);
-    if (handledClear) return;
-
-    // Handle report commands (today, yesterday, last N days, date range)
-    const handledReports = await handleReportsCommand(sock, sender, normalizedText, null);
-    if (handledReports) return;
-
-    // Initialize user session data if not exists
-    // This stores all the data being entered for a daily report
-    if (!global.userData) global.userData = {};
-    if (!global.userData[sender]) {
-      global.userData[sender] = {
-        busCode: selectedBus,          // The bus this report is for
-        Dated: null,                   // Report date (DD/MM/YYYY)
-        Diesel: null,                  // Diesel expense object {amount, mode}
-        Adda: null,                    // Adda fee object {amount, mode}
-        Union: null,                   // Union fee object {amount, mode}
-        TotalCashCollection: null,     // Total cash collected
-        Online: null,                  // Total online collection
-        CashHandover: null,            // Calculated cash to hand over
-        EmployExpenses: [],            // Array of employee expenses
-        ExtraExpenses: [],             // Array of additional expenses
-        Remarks: null,                 // Optional remarks/notes
-        Status: "Initiated",           // Current status of the report
-        waitingForUpdate: null,        // Field waiting to be updated
-        waitingForSubmit: false,       // Waiting for submit confirmation
-        editingExisting: false,        // Editing an existing record
-        confirmingFetch: false,        // Waiting for fetch confirmation
-        awaitingCancelChoice: false,   // Waiting for cancel choice
-        confirmingUpdate: false,       // Waiting for update confirmation
-        pendingPrimaryKey: null,       // Key for pending update
-      };
-
-      // Show welcome message only in direct mode (with daily prefix)
-      if (!skipPrefixStripping) {
-        await safeSendMessage(sock, sender, {
-          text: `👋 Welcome to Daily Reports!\n🚌 Bus: *${selectedBus}*\n\n📝 Start your message with *daily*\n\nExample:\ndaily\nDated 15/11/2025\nDiesel 5000\nAdda 200\n...\n\nType *daily help* for all commands.`,
-        });
-      }
+    // A message with several lines (e.g. a pasted report) is processed line by line
+    const lines = splitEntryLines(normalizedText);
+    if (lines.length > 1) {
+      await handleBulkDailyEntry(sock, sender, lines, selectedBus, skipPrefixStripping);
+      return;
     }
 
-    // Get the user's session data
-    const user = global.userData[sender];
-    user.busCode = selectedBus;  // Ensure bus code is current
-
-    // Handle confirmation responses for various prompts
-    
-    // Handle "yes/no" response for fetch confirmation (load existing record)
-    const handledFetchConfirmation = await handleFetchConfirmation(sock, sender, text, user);
-    if (handledFetchConfirmation) return;
-
-    // Handle "yes/no" response for cancel choice
-    const handledCancelChoice = await handleCancelChoice(sock, sender, text, user);
-    if (handledCancelChoice) return;
-
-    // Handle "yes/no" response for update confirmation
-    const handledUpdateConfirmation = await handleUpdateConfirmation(sock, sender, text, user);
-    if (handledUpdateConfirmation) return;
-
-    // Handle special daily commands (fetch by date, etc.)
-    const handledDailyCmd = await handleDailyCommand(sock, sender, normalizedText, user);
-    if (handledDailyCmd) return;
-
-    // Handle expense deletion (expense delete [name])
-    const handledExpenseDelete = await handleExpenseDelete(sock, sender, normalizedText, user);
-    if (handledExpenseDelete) return;
-
-    // Handle employee expense deletion (delete driver, delete trip driver, etc.)
-    const handledEmployeeDelete = await handleEmployeeExpenseDelete(sock, sender, normalizedText, user);
-    if (handledEmployeeDelete) return;
-
-    // Handle remarks entry (remarks [text])
-    const handledRemarks = await handleRemarksCommand(sock, sender, normalizedText, user);
-    if (handledRemarks) return;
-
-    // Handle employee expense entry (driver 250, conductor 150)
-    const handledEmployeeExpense = await handleEmployeeExpenseCommand(sock, sender, normalizedText, user);
-    if (handledEmployeeExpense) return;
-
-    // Handle generic expense commands (diesel, adda, union)
-    const handledExpenseCmd = await handleExpenseCommand(sock, sender, normalizedText, user);
-    if (handledExpenseCmd) return;
-
-    // Handle field update confirmation (must come BEFORE submit to prevent submit from catching Yes/No)
-    const handledFieldUpdate = await handleFieldUpdateConfirmation(sock, sender, text, user);
-    if (handledFieldUpdate) return;
-
-    // Handle field extraction from multi-line input
-    // Extracts fields like "Dated 15/11/2025", "Diesel 5000", etc.
-    const fieldResult = await handleFieldExtraction(sock, sender, normalizedText, user);
-    if (fieldResult.handled) return;
-
-    // Handle submit command
-    const handledSubmit = await handleSubmit(sock, sender, text, user);
-    if (handledSubmit) return;
-
-    // If no fields were found in the message, exit
-    if (!fieldResult.anyFieldFound) return;
-
-    // Fields were extracted - recalculate cash handover and show summary
-    recalculateCashHandover(user);
-    const completenessMsg = getCompletionMessage(user);
-    await sendSummary(sock, sender, completenessMsg, user);
+    await processDailyLine(sock, sender, normalizedText, selectedBus, skipPrefixStripping);
   } catch (err) {
     console.error("❌ Error in handleIncomingMessageFromDaily:", err);
   }
 }
+
+/**
+ * Runs one line of input through the daily handler chain.
+ * Each handler checks if it can process the line - the first one that does wins.
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {string} normalizedText - Trimmed input with any "daily" prefix removed
+ * @param {string} selectedBus - Bus code selected in the menu
+ * @param {boolean} skipPrefixStripping - True in menu mode (no welcome message)
+ * @returns {Promise<boolean>} True if a handler understood the line
+ */
+async function processDailyLine(sock, sender, normalizedText, selectedBus, skipPrefixStripping) {
+  const text = normalizedText.toLowerCase();
+
+  // Handle "clear" command to reset session
+  const handledClear = await handleClearCommand(sock, sender, text);
+  if (handledClear) return true;
+
+  // Handle "history <date>" command to show record changes
+  const handledHistory = await handleHistoryCommand(sock, sender, normalizedText);
+  if (handledHistory) return true;
+
+  // Handle "receipts <date>" command to send back photo receipts
+  const handledReceipts = await handleReceiptsCommand(sock, sender, normalizedText);
+  if (handledReceipts) return true;
+
+  // Handle report commands (today, yesterday, last N days, date range)
+  const handledReports = await handleReportsCommand(sock, sender, normalizedText, null);
+  if (handledReports) return true;
+
+  // Get the user's session data (created on first use)
+  const user = await getDailySession(sock, sender, selectedBus, skipPrefixStripping);
+
+  // Handle confirmation responses for various prompts
+
+  // Handle "yes/no/amount" response for a diesel slip read from a photo
+  const handledDieselSlip = await handleDieselSlipConfirmation(
+    sock,
+    sender,
+    text,
+    user,
+    async (line) => {
+      await processDailyLine(sock, sender, line, selectedBus, skipPrefixStripping);
+      linkDraftReceipts(user, "Diesel");
+    },
+    safeSendMessage
+  );
+  if (handledDieselSlip) return true;
+  
+  // Handle "yes/no" response for fetch confirmation (load existing record)
+  const handledFetchConfirmation = await handleFetchConfirmation(sock, sender, text, user);
+  if (handledFetchConfirmation) return true;
+
+  // Handle "yes/no" response for cancel choice
+  const handledCancelChoice = await handleCancelChoice(sock, sender, text, user);
+  if (handledCancelChoice) return true;
+
+  // Handle "yes/no" response for update confirmation
+  const handledUpdateConfirmation = await handleUpdateConfirmation(sock, sender, text, user);
+  if (handledUpdateConfirmation) return true;
+
+  // Handle special daily commands (fetch by date, etc.)
+  const handledDailyCmd = await handleDailyCommand(sock, sender, normalizedText, user);
+  if (handledDailyCmd) return true;
+
+  // Handle expense deletion (expense delete [name])
+  const handledExpenseDelete = await handleExpenseDelete(sock, sender, normalizedText, user);
+  if (handledExpenseDelete) return true;
+
+  // Handle employee expense deletion (delete driver, delete trip driver, etc.)
+  const handledEmployeeDelete = await handleEmployeeExpenseDelete(sock, sender, normalizedText, user);
+  if (handledEmployeeDelete) return true;
+
+  // Handle trip deletion (delete trip 2, trip 2 delete)
+  const handledTripDelete = await handleTripDelete(sock, sender, normalizedText, user);
+  if (handledTripDelete) return true;
+
+  // Handle trip entry (trip 1 r1 3500) and the route list (routes)
+  const handledTrip = await handleTripCommand(sock, sender, normalizedText, user);
+  if (handledTrip) return true;
+  const handledRoutes = await handleRoutesCommand(sock, sender, text, user);
+  if (handledRoutes) return true;
+
+  // Handle remarks entry (remarks [text])
+  const handledRemarks = await handleRemarksCommand(sock, sender, normalizedText, user);
+  if (handledRemarks) return true;
+
+  // Handle employee expense entry (driver 250, conductor 150)
+  const handledEmployeeExpense = await handleEmployeeExpenseCommand(sock, sender, normalizedText, user);
+  if (handledEmployeeExpense) return true;
+
+  // Handle generic expense commands (diesel, adda, union)
+  const handledExpenseCmd = await handleExpenseCommand(sock, sender, normalizedText, user);
+  if (handledExpenseCmd) return true;
+
+  // Handle field update confirmation (must come BEFORE submit to prevent submit from catching Yes/No)
+  const handledFieldUpdate = await handleFieldUpdateConfirmation(sock, sender, text, user);
+  if (handledFieldUpdate) return true;
+
+  // Handle field extraction from multi-line input
+  // Extracts fields like "Dated 15/11/2025", "Diesel 5000", etc.
+  const fieldResult = await handleFieldExtraction(sock, sender, normalizedText, user);
+  if (fieldResult.handled) return true;
+
+  // Handle submit command
+  const handledSubmit = await handleSubmit(sock, sender, text, user);
+  if (handledSubmit) return true;
+
+  // If no fields were found in the message, exit
+  if (!fieldResult.anyFieldFound) return false;
+
+  // Fields were extracted - recalculate cash handover and show summary
+  recalculateCashHandover(user);
+  const completenessMsg = getCompletionMessage(user, sender);
+  await sendSummary(sock, sender, completenessMsg, user);
+  return true;
+}
+
+/**
+ * Handles a photo sent in daily mode.
+ * A diesel slip (no caption, or "Diesel") is saved as a Diesel receipt and its
+ * total is read so the user can confirm it; any other caption is applied as a
+ * normal line first, then the photo is saved and linked.
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} msg - Incoming WhatsApp message with an image
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {string} caption - Caption with any "daily" prefix removed
+ * @param {string} selectedBus - Bus code selected in the menu
+ * @param {boolean} skipPrefixStripping - True in menu mode (no welcome message)
+ */
+async function handleDailyImage(sock, msg, sender, caption, selectedBus, skipPrefixStripping) {
+  if (!isDieselSlipCaption(caption)) {
+    if (caption) {
+      await processDailyLine(sock, sender, caption, selectedBus, skipPrefixStripping);
+    }
+    const user = await getDailySession(sock, sender, selectedBus, skipPrefixStripping);
+    await handleReceiptImage(sock, msg, sender, caption, user);
+    return;
+  }
+
+  const user = await getDailySession(sock, sender, selectedBus, skipPrefixStripping);
+  let buffer;
+  try {
+    buffer = await downloadImage(sock, msg);
+  } catch (err) {
+    console.error("❌ Error downloading diesel slip for", sender, ":", err);
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "common.photoDownloadFailed"),
+    });
+    return;
+  }
+
+  await handleReceiptImage(sock, msg, sender, "Diesel", user, buffer);
+  await askDieselSlipAmount(sock, sender, buffer, user, safeSendMessage);
+}
+
+/**
+ * Returns the sender's daily report session, creating it on first use.
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {string} selectedBus - Bus code selected in the menu
+ * @param {boolean} skipPrefixStripping - True in menu mode (no welcome message)
+ * @returns {Promise<Object>} The user's session data
+ */
+async function getDailySession(sock, sender, selectedBus, skipPrefixStripping) {
+  // Initialize user session data if not exists
+  // This stores all the data being entered for a daily report
+  if (!global.userData) global.userData = {};
+  if (!global.userData[sender]) {
+    global.userData[sender] = {
+      busCode: selectedBus,          // The bus this report is for
+      Dated: null,                   // Report date (DD/MM/YYYY)
+      Diesel: null,                  // Diesel expense object {amount, mode}
+      Adda: null,                    // Adda fee object {amount, mode}
+      Union: null,                   // Union fee object {amount, mode}
+      TotalCashCollection: null,     // Total cash collected
+      Online: null,                  // Total online collection
+      CashHandover: null,            // Calculated cash to hand over
+      EmployExpenses: [],            // Array of employee expenses
+      ExtraExpenses: [],             // Array of additional expenses
+      Remarks: null,                 // Optional remarks/notes
+      Status: "Initiated",           // Current status of the report
+      waitingForUpdate: null,        // Field waiting to be updated
+      waitingForSubmit: false,       // Waiting for submit confirmation
+      editingExisting: false,        // Editing an existing record
+      confirmingFetch: false,        // Waiting for fetch confirmation
+      awaitingCancelChoice: false,   // Waiting for cancel choice
+      confirmingUpdate: false,       // Waiting for update confirmation
+      pendingPrimaryKey: null,       // Key for pending update
+    };
+
+    // Show welcome message only in direct mode (with daily prefix)
+    if (!skipPrefixStripping) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.welcome", { bus: selectedBus }),
+      });
+    }
+  }
+
+  const user = global.userData[sender];
+  user.busCode = selectedBus;  // Ensure bus code is current
+  return user;
+}
+
+/**
+ * Processes a multi-line message line by line and replies with one summary
+ * that lists the lines that could not be understood.
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Sender's WhatsApp ID
+ * @param {Array<string>} lines - Lines of the message
+ * @param {string} selectedBus - Bus code selected in the menu
+ * @param {boolean} skipPrefixStripping - True in menu mode
+ */
+async function handleBulkDailyEntry(sock, sender, lines, selectedBus, skipPrefixStripping) {
+  const result = await processEntryLines(sock, lines, {
+    processLine: (lineSock, line) => processDailyLine(lineSock, sender, line, selectedBus, skipPrefixStripping),
+    getSessionState: () => {
+      const user = global.userData?.[sender];
+      return {
+        active: Boolean(user),
+        waiting: Boolean(user?.confirmingFetch || user?.awaitingCancelChoice || user?.confirmingUpdate || user?.waitingForUpdate),
+        draft: user,
+      };
+    },
+  });
+
+  if (result.stopped) {
+    await sendStoppedBulkReplies(sock, sender, result, lines.length, safeSendMessage);
+    return;
+  }
+
+  await sendCommandReplies(sock, sender, result, safeSendMessage);
+
+  const user = global.userData?.[sender];
+  if (!user) {
+    await safeSendMessage(sock, sender, { text: formatBulkReport(result, lines.length, getUserLanguage(sender)).trim() });
+    return;
+  }
+
+  recalculateCashHandover(user);
+  const completenessMsg = getCompletionMessage(user, sender);
+  await sendSummary(sock, sender, formatBulkReport(result, lines.length, getUserLanguage(sender)) + completenessMsg, user);
+}
@@ -7,6 +7,8 @@
  * - Fetch records for specific dates (today, yesterday, specific date)
  * - Fetch records for date ranges (last N days, date range, this week/month/year)
  * - Calculate and display average profit reports
+ * - Show the change history of a date's record
+ * - Send a period of reports as one PDF document ("this month pdf")
  * 
  * @module features/daily/handlers/command-handler
  */
@@ -17,6 +19,13 @@ import { capitalize } from "../utils/formatters.js";
 import { recalculateCashHandover, getCompletionMessage } from "../utils/calculations.js";
 import { sendSummary } from "../utils/messages.js";
 import { getMenuState } from "../../../utils/menu-state.js";
+import { sendRecordHistory } from "../../../utils/record-history.js";
+import { receiptTag, countReceipts } from "../../../utils/receipts.js";
+import { formatFuelLines } from "../../../utils/fuel.js";
+import { formatTripLines } from "../../../utils/routes.js";
+import { parseDate, getDateKey } from "./date-handler.js";
+import { handleDailyPdfCommand } from "./pdf-handler.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
 
 /**
  * Handles the 'clear' command to reset user's local session data.
@@ -33,7 +42,7 @@ export async function handleClearCommand(sock, sender, text) {
   try {
     delete global.userData?.[sender];
     await safeSendMessage(sock, sender, {
-      text: "🧹 Local data cleared successfully! You can start fresh now.",
+      text: tr(sender, "daily.commands.cleared"),
     });
     return true;
   } catch (err) {
@@ -49,10 +58,15 @@ export async function handleClearCommand(sock, sender, text) {
  * @param {Object} sock - WhatsApp socket connection instance
  * @param {string} sender - Sender's phone number/ID
  * @param {Object} record - The database record to display
- * @param {string} title - Title/header for the message (default: "✅ Data Fetched")
+ * @param {string} [title] - Title/header for the message (default: "✅ Data Fetched" in the sender's language)
  * @returns {Promise<void>}
  */
-async function sendFetchedRecord(sock, sender, record, title = "✅ Data Fetched") {
+async function sendFetchedRecord(sock, sender, record, title = null) {
+  // Labels in the sender's reply language (shared with the entry summary)
+  const lang = getUserLanguage(sender);
+  const label = (key) => t(lang, `daily.summary.${key}`);
+  const onlineTag = t(lang, "common.online");
+
   try {
     // Format extra expenses list with amounts and payment mode indicators
     const extraList =
@@ -61,8 +75,8 @@ async function sendFetchedRecord(sock, sender, record, title = "✅ Data Fetched
             .map(
               (e) =>
                 `🧾 ${capitalize(e.name)}: ₹${e.amount}${
-                  e.mode === "online" ? " (Online)" : ""
-                }`
+                  e.mode === "online" ? onlineTag : ""
+                }${receiptTag(e)}`
             )
             .join("\n")
         : "";
@@ -74,7 +88,7 @@ async function sendFetchedRecord(sock, sender, record, title = "✅ Data Fetched
             .map(
               (e) =>
                 `👤 ${capitalize(e.name)}: ₹${e.amount}${
-                  e.mode === "online" ? " (Online)" : ""
+                  e.mode === "online" ? onlineTag : ""
                 }`
             )
             .join("\n")
@@ -84,7 +98,7 @@ async function sendFetchedRecord(sock, sender, record, title = "✅ Data Fetched
     const formatField = (field, defaultVal = "0") => {
       if (!field) return { amt: defaultVal, mode: "", remarks: "" };
       const amt = field.amount || field || defaultVal;
-      const mode = field.mode === "online" ? " (Online)" : "";
+      const mode = field.mode === "online" ? onlineTag : "";
       const remarks = field.remarks ? ` ${field.remarks}` : "";
       return { amt, mode, remarks };
     };
@@ -98,40 +112,69 @@ async function sendFetchedRecord(sock, sender, record, title = "✅ Data Fetched
     const cashHandover = formatField(record.CashHandover);
 
     // Include bus code if available
-    const busInfo = record.busCode ? `🚌 Bus: *${record.busCode}*\n` : "";
+    const busInfo = record.busCode ? `${t(lang, "daily.fetched.bus", { bus: record.busCode })}\n` : "";
 
     // Build the complete summary message
     const msg = [
-      `${title}`,
+      `${title || t(lang, "daily.fetched.title")}`,
       busInfo,
-      `📅 Dated: ${record.Dated || "___"}`,
+      `${label("dated")}: ${record.Dated || "___"}`,
       ``,
-      `💰 *Expenses (Outflow):*`,
-      `⛽ Diesel: ₹${diesel.amt}${diesel.mode}${diesel.remarks}`,
-      `🚌 Adda : ₹${adda.amt}${adda.mode}${adda.remarks}`,
-      `🤝 Union: ₹${union.amt}${union.mode}${union.remarks}`,
+      label("expenses"),
+      `${label("diesel")}: ₹${diesel.amt}${diesel.mode}${diesel.remarks}${receiptTag(record.Diesel)}`,
+      `${label("adda")}: ₹${adda.amt}${adda.mode}${adda.remarks}${receiptTag(record.Adda)}`,
+      `${label("union")}: ₹${union.amt}${union.mode}${union.remarks}${receiptTag(record.Union)}`,
       extraList ? `${extraList}` : "",
       ``,
-      ...(employList ? [`👥 *Employ (Outflow):*`, employList, ``] : []),
-      `💵 *Total Collection (Inflow):*`,
-      `💸 Total Cash Collection: ₹${totalCash.amt}${totalCash.remarks}`,
-      `💳 Online Collection: ₹${online.amt}${online.remarks}`,
+      ...(employList ? [t(lang, "daily.fetched.employees"), employList, ``] : []),
+      label("collection"),
+      ...formatTripLines(record, lang),
+      `${label("totalCash")}: ₹${totalCash.amt}${totalCash.remarks}`,
+      `${label("online")}: ₹${online.amt}${online.remarks}`,
       ``,
-      `✨ *Total Hand Over:*`,
-      `💵 Cash Hand Over: ₹${cashHandover.amt}`,
+      label("handoverTitle"),
+      `${label("handover")}: ₹${cashHandover.amt}`,
+      ...formatFuelLines(record, lang),
+      ...(countReceipts(record) > 0
+        ? [``, t(lang, "daily.fetched.receipts", { count: countReceipts(record), date: formatReceiptDate(record.Dated) })]
+        : []),
       ``,
-      `✅ Data Fetched successfully!`,
+      t(lang, "daily.fetched.done"),
     ].filter(line => line !== "").join("\n");
 
     await safeSendMessage(sock, sender, { text: msg });
   } catch (err) {
     console.error("❌ sendFetchedRecord error for", sender, ":", err);
     await safeSendMessage(sock, sender, {
-      text: "❌ Failed to prepare fetched record. Try again.",
+      text: t(lang, "daily.fetched.failed"),
     });
   }
 }
 
+/**
+ * Formats a record's Dated value as DD/MM/YYYY for the receipts command.
+ *
+ * @param {string} dated - Dated value of a record
+ * @returns {string} DD/MM/YYYY, or the original value if it cannot be parsed
+ */
+function formatReceiptDate(dated) {
+  const date = dated ? parseDate(dated) : null;
+  return date ? getDateKey(date) : dated || "";
+}
+
+/**
+ * Title for a record fetched N days back, with its date on a second line.
+ *
+ * @param {string} sender - Sender's phone number/ID
+ * @param {number} days - Days ago
+ * @param {string} formattedDate - Date of the record, e.g. "Saturday, 15 November 2025"
+ * @returns {string} Title in the sender's language
+ */
+function daysAgoTitle(sender, days, formattedDate) {
+  const dated = tr(sender, "daily.summary.dated");
+  return `${tr(sender, "daily.fetched.daysAgo", { days })}\n${dated}: ${formattedDate}`;
+}
+
 /**
  * Generates a database key for a specific bus and date combination.
  * Format: BUSCODE_DD/MM/YYYY
@@ -159,6 +202,47 @@ function getRecordForBusAndDate(busCode, date) {
   return db.data[key];
 }
 
+/**
+ * Handles the 'history <date>' command to show who changed a record and when.
+ * Reads field-level changes from the audit log for the selected bus.
+ * 
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} normalizedText - Normalized user input text
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleHistoryCommand(sock, sender, normalizedText) {
+  const historyMatch = normalizedText.trim().match(/^history(?:\s+(.+))?$/i);
+  if (!historyMatch) return false;
+
+  try {
+    const selectedBus = getMenuState(sender).selectedBus;
+    if (!selectedBus) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "common.noBusSelected"),
+      });
+      return true;
+    }
+
+    const date = parseDate(historyMatch[1] || "today");
+    if (!date) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.commands.historyInvalidDate"),
+      });
+      return true;
+    }
+
+    await sendRecordHistory(sock, sender, "daily", selectedBus, date);
+    return true;
+  } catch (err) {
+    console.error("❌ Error in history command:", err);
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.commands.historyFailed"),
+    });
+    return true;
+  }
+}
+
 /**
  * Handles various report commands for fetching daily records.
  * Supports multiple query formats:
@@ -188,22 +272,27 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
     // Require a bus to be selected before fetching reports
     if (!selectedBus) {
       await safeSendMessage(sock, sender, {
-        text: "⚠️ No bus selected. Please type *Entry* to select a bus first.",
+        text: tr(sender, "common.noBusSelected"),
       });
       return true;
     }
 
+    // "<period> pdf" sends the whole period as one PDF document
+    if (await handleDailyPdfCommand(sock, sender, lowerText, selectedBus)) {
+      return true;
+    }
+
     // Handle "today" command - fetch today's record
     if (lowerText === "today") {
       const now = new Date();
       const record = getRecordForBusAndDate(selectedBus, now);
 
       if (!record) {
-        await safeSendMessage(sock, sender, { text: `⚠️ No record found for *${selectedBus}* today.` });
+        await safeSendMessage(sock, sender, { text: tr(sender, "daily.commands.noRecordToday", { bus: selectedBus }) });
         return true;
       }
 
-      await sendFetchedRecord(sock, sender, record, "✅ Today's Data");
+      await sendFetchedRecord(sock, sender, record, tr(sender, "daily.fetched.today"));
       return true;
     }
 
@@ -214,11 +303,11 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
       const record = getRecordForBusAndDate(selectedBus, now);
 
       if (!record) {
-        await safeSendMessage(sock, sender, { text: `⚠️ No record found for *${selectedBus}* yesterday.` });
+        await safeSendMessage(sock, sender, { text: tr(sender, "daily.commands.noRecordYesterday", { bus: selectedBus }) });
         return true;
       }
 
-      await sendFetchedRecord(sock, sender, record, "✅ Yesterday's Data");
+      await sendFetchedRecord(sock, sender, record, tr(sender, "daily.fetched.yesterday"));
       return true;
     }
 
@@ -245,7 +334,11 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
           sock,
           sender,
           record,
-          i === 0 ? "✅ Today's Data" : i === 1 ? "✅ Yesterday's Data" : `✅ ${i} Days Ago\n📅 Dated: ${formattedDate}`
+          i === 0
+            ? tr(sender, "daily.fetched.today")
+            : i === 1
+              ? tr(sender, "daily.fetched.yesterday")
+              : daysAgoTitle(sender, i, formattedDate)
         );
 
         // Add typing indicator delay between messages for better UX
@@ -263,7 +356,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
 
       if (foundCount === 0) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No records found for *${selectedBus}* in the last ${daysCount} days.`,
+          text: tr(sender, "daily.commands.noRecordsLastDays", { bus: selectedBus, days: daysCount }),
         });
       }
 
@@ -280,7 +373,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
 
       if (!record) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No record found for *${selectedBus}* ${daysAgo} days ago.`,
+          text: tr(sender, "daily.commands.noRecordDaysAgo", { bus: selectedBus, days: daysAgo }),
         });
         return true;
       }
@@ -289,7 +382,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
       const monthName = d.toLocaleDateString('en-US', { month: 'long' });
       const formattedDate = `${dayOfWeek}, ${d.getDate()} ${monthName} ${d.getFullYear()}`;
 
-      await sendFetchedRecord(sock, sender, record, `✅ ${daysAgo} Days Ago\n📅 Dated: ${formattedDate}`);
+      await sendFetchedRecord(sock, sender, record, daysAgoTitle(sender, daysAgo, formattedDate));
       return true;
     }
 
@@ -302,7 +395,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
 
       if (!record) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No record found for *${selectedBus}* on ${day}/${month}/${year}.`,
+          text: tr(sender, "daily.commands.noRecordOn", { bus: selectedBus, date: `${day}/${month}/${year}` }),
         });
         return true;
       }
@@ -321,7 +414,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
       // Validate date range
       if (startDate > endDate) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ Start date cannot be after end date.`,
+          text: tr(sender, "daily.commands.startAfterEnd"),
         });
         return true;
       }
@@ -351,7 +444,11 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
 
       if (foundCount === 0) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No records found for *${selectedBus}* from ${startDay}/${startMonth}/${startYear} to ${endDay}/${endMonth}/${endYear}.`,
+          text: tr(sender, "daily.commands.noRecordsRange", {
+            bus: selectedBus,
+            from: `${startDay}/${startMonth}/${startYear}`,
+            to: `${endDay}/${endMonth}/${endYear}`,
+          }),
         });
       }
 
@@ -386,7 +483,7 @@ export async function handleReportsCommand(sock, sender, normalizedText, user) {
 
       if (foundCount === 0) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No records found for *${selectedBus}* this month.`,
+          text: tr(sender, "daily.commands.noRecordsThisMonth", { bus: selectedBus }),
         });
       }
 
@@ -426,7 +523,7 @@ export async function handleDailyCommand(sock, sender, normalizedText, user) {
 
     if (!selectedBus) {
       await safeSendMessage(sock, sender, {
-        text: "⚠️ No bus selected. Please type *Entry* to select a bus first.",
+        text: tr(sender, "common.noBusSelected"),
       });
       return true;
     }
@@ -437,11 +534,11 @@ export async function handleDailyCommand(sock, sender, normalizedText, user) {
       const record = getRecordForBusAndDate(selectedBus, now);
 
       if (!record) {
-        await safeSendMessage(sock, sender, { text: `⚠️ No record found for *${selectedBus}* today.` });
+        await safeSendMessage(sock, sender, { text: tr(sender, "daily.commands.noRecordToday", { bus: selectedBus }) });
         return true;
       }
 
-      await sendFetchedRecord(sock, sender, record, "✅ Today's Data");
+      await sendFetchedRecord(sock, sender, record, tr(sender, "daily.fetched.today"));
       return true;
     }
 
@@ -461,7 +558,11 @@ export async function handleDailyCommand(sock, sender, normalizedText, user) {
           sock,
           sender,
           record,
-          i === 0 ? "✅ Today's Data" : i === 1 ? "✅ Yesterday's Data" : `✅ ${i} Days Ago`
+          i === 0
+            ? tr(sender, "daily.fetched.today")
+            : i === 1
+              ? tr(sender, "daily.fetched.yesterday")
+              : tr(sender, "daily.fetched.daysAgo", { days: i })
         );
 
         if (i < daysCount - 1) {
@@ -478,7 +579,7 @@ export async function handleDailyCommand(sock, sender, normalizedText, user) {
 
       if (foundCount === 0) {
         await safeSendMessage(sock, sender, {
-          text: `⚠️ No records found for *${selectedBus}* in the last ${daysCount} days.`,
+          text: tr(sender, "daily.commands.noRecordsLastDays", { bus: selectedBus, days: daysCount }),
         });
       }
 
@@ -18,6 +18,20 @@ import { safeSendMessage } from "../utils/helpers.js";
 import { capitalize } from "../utils/formatters.js";
 import { recalculateCashHandover, getCompletionMessage } from "../utils/calculations.js";
 import { sendSummary } from "../utils/messages.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Employee role ("Driver", "Conductor") as shown in a reply, e.g. "Trip Driver"
+ *
+ * @param {string} lang - Language code
+ * @param {string} role - Role as stored in the record
+ * @param {boolean} [trip] - Trip wage rather than daily salary
+ * @returns {string}
+ */
+function roleLabel(lang, role, trip = false) {
+  const name = t(lang, `daily.expenses.roles.${role.toLowerCase()}`);
+  return trip ? t(lang, "daily.expenses.tripRole", { role: name }) : name;
+}
 
 /**
  * Handles employee expense commands for Driver and Conductor.
@@ -77,11 +91,15 @@ export async function handleEmployeeExpenseCommand(sock, sender, normalizedText,
         employeeRole: role,
       };
       
+      const lang = getUserLanguage(sender);
       const oldRemarks = oldValue.remarks || "";
-      let msg = `⚠️ *${role}*\nAlready Have:\nAmount: ₹${oldValue.amount}\nMode: ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
-      if (oldRemarks) msg += `\nRemark: ${oldRemarks}`;
-      msg += `\n\nDo you want to update it to:\nAmount: ₹${amount}\nMode: ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
-      msg += `\n\n(Yes or Y / No or N)`;
+      const msg = t(lang, "daily.expenses.confirmEmployee", {
+        role: roleLabel(lang, role),
+        oldAmount: oldValue.amount,
+        amount,
+        mode: capitalize(t(lang, `daily.expenses.modes.${mode}`)),
+        remarks: oldRemarks ? `\n${t(lang, "daily.expenses.remark", { remarks: oldRemarks })}` : "",
+      });
       
       await safeSendMessage(sock, sender, { text: msg });
       return true;
@@ -107,16 +125,24 @@ export async function handleEmployeeExpenseCommand(sock, sender, normalizedText,
 
     // Recalculate cash handover after expense change
     recalculateCashHandover(user);
-    const completenessMsg = getCompletionMessage(user);
+    const completenessMsg = getCompletionMessage(user, sender);
     
-    const actionMsg = `✅ *${role} (${mode})* added: ₹${amount}!`;
+    const lang = getUserLanguage(sender);
+    const actionMsg = t(lang, "daily.expenses.employeeAdded", {
+      role: roleLabel(lang, role),
+      mode: t(lang, `daily.expenses.modes.${mode}`),
+      amount,
+    });
     
     await sendSummary(sock, sender, `${actionMsg}\n${completenessMsg}`, user);
     return true;
   } catch (err) {
     console.error("❌ Error handling employee expense command:", err);
     await safeSendMessage(sock, sender, {
-      text: `❌ Error setting ${role}. Please try again with format: ${role.toLowerCase()} [amount]`,
+      text: tr(sender, "daily.expenses.employeeError", {
+        role: roleLabel(getUserLanguage(sender), role),
+        command: role.toLowerCase(),
+      }),
     });
     return true;
   }
@@ -158,12 +184,14 @@ export async function handleExpenseCommand(sock, sender, normalizedText, user) {
       (e) => e.name.toLowerCase() === expenseName.toLowerCase()
     );
 
-    // Update existing expense or add new one
+    // Update existing expense (keeping any linked receipts) or add new one
     if (existingIndex !== -1) {
+      const { receipts } = user.ExtraExpenses[existingIndex];
       user.ExtraExpenses[existingIndex] = {
         name: expenseName,
         amount: parseFloat(amount),
         mode,
+        ...(receipts ? { receipts } : {}),
       };
     } else {
       user.ExtraExpenses.push({
@@ -175,18 +203,18 @@ export async function handleExpenseCommand(sock, sender, normalizedText, user) {
 
     // Recalculate cash handover and show updated summary
     recalculateCashHandover(user);
-    const completenessMsg = getCompletionMessage(user);
+    const completenessMsg = getCompletionMessage(user, sender);
     await sendSummary(
       sock,
       sender,
-      `✅ Expense *${capitalize(expenseName)}* added!\n${completenessMsg}`,
+      `${tr(sender, "daily.expenses.expenseAdded", { name: capitalize(expenseName) })}\n${completenessMsg}`,
       user
     );
     return true;
   } catch (err) {
     console.error("❌ Error handling expense command:", err);
     await safeSendMessage(sock, sender, {
-      text: "❌ Error adding expense. Please try again.",
+      text: tr(sender, "daily.expenses.expenseError"),
     });
     return true;
   }
@@ -224,17 +252,17 @@ export async function handleExpenseDelete(sock, sender, normalizedText, user) {
       // Remove the expense and recalculate totals
       user.ExtraExpenses.splice(index, 1);
       recalculateCashHandover(user);
-      const completenessMsg = getCompletionMessage(user);
+      const completenessMsg = getCompletionMessage(user, sender);
       await sendSummary(
         sock,
         sender,
-        `🗑️ Expense *${capitalize(deleteName)}* deleted successfully!\n${completenessMsg}`,
+        `${tr(sender, "daily.expenses.expenseDeleted", { name: capitalize(deleteName) })}\n${completenessMsg}`,
         user
       );
     } else {
       // Expense not found in the list
       await safeSendMessage(sock, sender, {
-        text: `⚠️ Expense *${capitalize(deleteName)}* not found in your list.`,
+        text: tr(sender, "daily.expenses.expenseNotFound", { name: capitalize(deleteName) }),
       });
     }
     return true;
@@ -282,10 +310,12 @@ export async function handleEmployeeExpenseDelete(sock, sender, normalizedText,
 
   if (!role) return false;
 
+  const label = roleLabel(getUserLanguage(sender), role, type === "trip");
+
   try {
     if (!user.EmployExpenses || user.EmployExpenses.length === 0) {
       await safeSendMessage(sock, sender, {
-        text: `⚠️ No ${type === "trip" ? "Trip " : ""}${role} expense found to delete.`,
+        text: tr(sender, "daily.expenses.employeeNoneToDelete", { role: label }),
       });
       return true;
     }
@@ -300,18 +330,16 @@ export async function handleEmployeeExpenseDelete(sock, sender, normalizedText,
       const deletedExpense = user.EmployExpenses[index];
       user.EmployExpenses.splice(index, 1);
       recalculateCashHandover(user);
-      const completenessMsg = getCompletionMessage(user);
-      const typeLabel = type === "trip" ? "Trip " : "";
+      const completenessMsg = getCompletionMessage(user, sender);
       await sendSummary(
         sock,
         sender,
-        `🗑️ ${typeLabel}${role} (₹${deletedExpense.amount}) deleted successfully!\n${completenessMsg}`,
+        `${tr(sender, "daily.expenses.employeeDeleted", { role: label, amount: deletedExpense.amount })}\n${completenessMsg}`,
         user
       );
     } else {
-      const typeLabel = type === "trip" ? "Trip " : "";
       await safeSendMessage(sock, sender, {
-        text: `⚠️ ${typeLabel}${role} expense not found in your list.`,
+        text: tr(sender, "daily.expenses.employeeNotFound", { role: label }),
       });
     }
     return true;
@@ -18,6 +18,7 @@ import { recalculateCashHandover } from "../utils/calculations.js";
 import { sendSummary } from "../utils/messages.js";
 import { resolveCommand } from "../../../utils/menu-handler.js";
 import { getMenuState } from "../../../utils/menu-state.js";
+import { tr } from "../../../utils/i18n.js";
 
 /**
  * Handles the confirmation response when user wants to fetch an existing record.
@@ -49,7 +50,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
       const ok = await safeDbRead();
       if (!ok) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Unable to read DB. Try again later.",
+          text: tr(sender, "daily.submit.dbReadFailed"),
         });
         return true;
       }
@@ -75,7 +76,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
         await sendSummary(
           sock,
           sender,
-          `📋 Fetched existing record for *${user.busCode || 'Bus'}*.\nYou can now update any field and re-submit.\n\nDo you want to Cancel? (*Yes* or *Y* / *No* or *N*)`,
+          tr(sender, "daily.fetch.loaded", { bus: user.busCode || "Bus" }),
           user
         );
         user.awaitingCancelChoice = true;
@@ -84,7 +85,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
         user.confirmingFetch = false;
         user.pendingPrimaryKey = null;
         await safeSendMessage(sock, sender, {
-          text: "⚠️ The requested record was not found in the DB.",
+          text: tr(sender, "daily.fetch.notFound"),
         });
       }
       return true;
@@ -94,7 +95,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
       user.pendingPrimaryKey = null;
       user.editingExisting = false;
       await safeSendMessage(sock, sender, {
-        text: "🆕 Starting a fresh entry. Please continue entering new data.",
+        text: tr(sender, "daily.fetch.fresh"),
       });
       return true;
     }
@@ -106,7 +107,7 @@ export async function handleFetchConfirmation(sock, sender, text, user) {
     user.confirmingFetch = false;
     user.pendingPrimaryKey = null;
     await safeSendMessage(sock, sender, {
-      text: "❌ An error occurred while fetching the record. Please try again.",
+      text: tr(sender, "daily.fetch.error"),
     });
     return true;
   }
@@ -138,14 +139,14 @@ export async function handleCancelChoice(sock, sender, text, user) {
       // User wants to cancel - discard fetched data
       delete global.userData?.[sender];
       await safeSendMessage(sock, sender, {
-        text: "✅ Existing record discarded. Starting fresh entry.",
+        text: tr(sender, "daily.fetch.discarded"),
       });
       return true;
     } else if (resolved === "no") {
       // User wants to continue editing the fetched record
       user.awaitingCancelChoice = false;
       await safeSendMessage(sock, sender, {
-        text: "📋 Please start updating by confirming above data.",
+        text: tr(sender, "daily.fetch.keepEditing"),
       });
       return true;
     }
@@ -156,7 +157,7 @@ export async function handleCancelChoice(sock, sender, text, user) {
     console.error("❌ Error handling awaitingCancelChoice for", sender, ":", err);
     user.awaitingCancelChoice = false;
     await safeSendMessage(sock, sender, {
-      text: "❌ Error while processing your choice. Please continue.",
+      text: tr(sender, "daily.fetch.choiceError"),
     });
     return true;
   }
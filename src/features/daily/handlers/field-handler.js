@@ -13,6 +13,7 @@
  * - TotalCashCollection: Cash received
  * - Online: Online payment collection
  * - Extra expenses: Custom expense categories
+ * - OdometerStart / OdometerEnd / Km / Litres: Distance and fuel (see utils/fuel.js)
  * - Remarks: Additional notes
  * 
  * @module features/daily/handlers/field-handler
@@ -26,6 +27,39 @@ import { recalculateCashHandover, getCompletionMessage } from "../utils/calculat
 import { sendSummary } from "../utils/messages.js";
 import { getMenuState } from "../../../utils/menu-state.js";
 import { getEmployExpensesForBus } from "../../../utils/employees.js";
+import { extractFuelFields, checkOdometer } from "../../../utils/fuel.js";
+import { setTrip, sumTrips } from "../../../utils/routes.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Builds the "Already Have / update it to" prompt for a value that is already entered.
+ *
+ * @param {string} lang - Language code
+ * @param {string} title - Field shown in the prompt, e.g. "Diesel"
+ * @param {{amount: *, mode?: string, remarks?: string}} before - Value already entered
+ * @param {{amount: *, mode?: string, remarks?: string}} after - New value
+ * @returns {string} Prompt text
+ */
+function formatUpdatePrompt(lang, title, before, after) {
+  const label = (key, params) => t(lang, `daily.fields.${key}`, params);
+  const lines = (entry) =>
+    [
+      label("amount", { amount: entry.amount }),
+      entry.mode ? label("mode", { mode: modeLabel(lang, entry.mode) }) : null,
+      entry.remarks ? t(lang, "daily.expenses.remark", { remarks: entry.remarks }) : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+  return `⚠️ *${title}*\n${label("alreadyHave")}\n${lines(before)}\n\n${label("updateTo")}\n${lines(after)}\n\n${label("confirm")}`;
+}
+
+/**
+ * Payment mode for display, e.g. "Cash"
+ */
+function modeLabel(lang, mode) {
+  return capitalize(t(lang, `daily.expenses.modes.${mode}`));
+}
 
 /**
  * Extracts and processes multiple data fields from user input text.
@@ -37,6 +71,7 @@ import { getEmployExpensesForBus } from "../../../utils/employees.js";
  * - "adda: 100" or "union: 50"
  * - "cash collection: 5000" or "online: 2000"
  * - "expense food 200"
+ * - "odometer start 123450", "odometer end 123770", "km 320", "litres 80"
  * 
  * @param {Object} sock - WhatsApp socket connection instance
  * @param {string} sender - Sender's phone number/ID
@@ -63,6 +98,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
   let anyFieldFound = false;
   let pendingUpdates = [];
   let anyNewFieldApplied = false; // Track if any new field was actually applied (not just queued for update)
+  const lang = getUserLanguage(sender);
 
   // Get currently selected bus from menu state
   const menuState = getMenuState(sender);
@@ -71,7 +107,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
   // Require a bus to be selected before entering data
   if (!selectedBus) {
     await safeSendMessage(sock, sender, {
-      text: "⚠️ No bus selected. Please type *Entry* to select a bus first.",
+      text: t(lang, "common.noBusSelected"),
     });
     return { handled: true, anyFieldFound: false };
   }
@@ -95,7 +131,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
 
             if (!targetDate) {
               await safeSendMessage(sock, sender, {
-                text: "⚠️ Please enter a valid date (e.g. Dated 30/10/2025, or Dated today).",
+                text: t(lang, "daily.fields.invalidDate"),
               });
               return { handled: true, anyFieldFound };
             }
@@ -116,7 +152,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
             const ok = await safeDbRead();
             if (!ok) {
               await safeSendMessage(sock, sender, {
-                text: "❌ Unable to read DB to check existing date. Try again later.",
+                text: t(lang, "daily.fields.dbReadFailed"),
               });
               return { handled: true, anyFieldFound };
             }
@@ -128,14 +164,14 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
               const month = String(targetDate.getMonth() + 1).padStart(2, "0");
               const year = targetDate.getFullYear();
               await safeSendMessage(sock, sender, {
-                text: `⚠️ Data for *${selectedBus}* on ${day}/${month}/${year} already exists.\nDo you want to fetch and update it? (yes/no)`,
+                text: t(lang, "daily.fields.exists", { bus: selectedBus, date: `${day}/${month}/${year}` }),
               });
               return { handled: true, anyFieldFound };
             }
           } catch (err) {
             console.error("❌ Error parsing/storing Dated field for", sender, ":", err);
             await safeSendMessage(sock, sender, {
-              text: "❌ Failed to parse date. Please use format: Dated DD/MM/YYYY or 'Dated today'.",
+              text: t(lang, "daily.fields.dateFailed"),
             });
             return { handled: true, anyFieldFound };
           }
@@ -167,16 +203,15 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
               const oldMode = existing.mode || "cash";
               const oldRemarks = existing.remarks || "";
               
-              let msg = `⚠️ *${key}*\nAlready Have:\nAmount: ₹${oldAmt}\nMode: ${capitalize(oldMode)}`;
-              if (oldRemarks) msg += `\nRemark: ${oldRemarks}`;
-              msg += `\n\nDo you want to update it to:\nAmount: ₹${amount}\nMode: ${capitalize(mode)}`;
-              if (remarks) msg += `\nRemark: ${remarks}`;
-              msg += `\n\n(Yes or Y / No or N)`;
-              
               pendingUpdates.push({
                 field: key,
                 value: newVal,
-                message: msg,
+                message: formatUpdatePrompt(
+                  lang,
+                  key,
+                  { amount: oldAmt, mode: oldMode, remarks: oldRemarks },
+                  { amount, mode, remarks }
+                ),
               });
             } else if (!existing) {
               user[key] = newVal;
@@ -230,19 +265,18 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
             if (isDifferent) {
               const oldRemarks = oldValue.remarks || "";
               
-              let msg = `⚠️ *${displayLabel}*\nAlready Have:\nAmount: ₹${oldValue.amount}\nMode: ${capitalize(mode)}`;
-              if (oldRemarks) msg += `\nRemark: ${oldRemarks}`;
-              msg += `\n\nDo you want to update it to:\nAmount: ₹${amount}\nMode: ${capitalize(mode)}`;
-              if (remarks) msg += `\nRemark: ${remarks}`;
-              msg += `\n\n(Yes or Y / No or N)`;
-              
               pendingUpdates.push({
                 field: `${displayLabel} (${mode})`,
                 value: newVal,
                 type: "employee",
                 employeeRole: role,
                 expenseType: expenseType,
-                message: msg,
+                message: formatUpdatePrompt(
+                  lang,
+                  displayLabel,
+                  { amount: oldValue.amount, mode, remarks: oldRemarks },
+                  { amount, mode, remarks }
+                ),
               });
             } else if (existingIndex !== -1) {
               // Update existing entry (same role + same mode + same type) - preserve the full name
@@ -273,6 +307,20 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
         try {
           const value = match[1].trim();
           const remarks = match[2] ? match[2].trim() : "";
+
+          // While trips are entered the total is their sum - only remarks can change here
+          if (key === "TotalCashCollection" && user.Trips?.length) {
+            const tripTotal = String(sumTrips(user.Trips));
+            if (value !== tripTotal) {
+              await safeSendMessage(sock, sender, {
+                text: t(lang, "daily.trips.cashFromTrips", { amount: value, total: tripTotal }),
+              });
+            } else if (remarks) {
+              user.TotalCashCollection.remarks = remarks;
+            }
+            continue;
+          }
+
           const newVal = { amount: value };
           if (remarks) newVal.remarks = remarks;
           
@@ -286,16 +334,15 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
           if (isDifferent) {
             const label = key.replace(/([A-Z])/g, " $1").trim();
             
-            let msg = `⚠️ *${label}*\nAlready Have:\nAmount: ₹${existingAmount}`;
-            if (existingRemarks) msg += `\nRemark: ${existingRemarks}`;
-            msg += `\n\nDo you want to update it to:\nAmount: ₹${value}`;
-            if (remarks) msg += `\nRemark: ${remarks}`;
-            msg += `\n\n(Yes or Y / No or N)`;
-            
             pendingUpdates.push({
               field: key,
               value: newVal,
-              message: msg,
+              message: formatUpdatePrompt(
+                lang,
+                label,
+                { amount: existingAmount, remarks: existingRemarks },
+                { amount: value, remarks }
+              ),
             });
           } else if (!existingAmount) {
             user[key] = newVal;
@@ -340,17 +387,16 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
           if (remarks) newVal.remarks = remarks;
           
           const oldRemarks = existing.remarks || "";
-          let msg = `⚠️ *${capitalize(expenseName)} (${capitalize(mode)})*\nAlready Have:\nAmount: ₹${existing.amount}`;
-          if (oldRemarks) msg += `\nRemark: ${oldRemarks}`;
-          msg += `\n\nDo you want to update it to:\nAmount: ₹${amount}`;
-          if (remarks) msg += `\nRemark: ${remarks}`;
-          msg += `\n\n(Yes or Y / No or N)`;
-          
           pendingUpdates.push({
             field: expenseName,
             value: newVal,
             type: "extra",
-            message: msg,
+            message: formatUpdatePrompt(
+              lang,
+              `${capitalize(expenseName)} (${modeLabel(lang, mode)})`,
+              { amount: existing.amount, remarks: oldRemarks },
+              { amount, remarks }
+            ),
           });
         } else if (!existing) {
           const newExpense = { name: expenseName, amount, mode };
@@ -368,6 +414,36 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
     console.error("❌ Expense parsing error for", sender, ":", err);
   }
 
+  // Process distance and fuel entries (odometer start/end, km, litres)
+  try {
+    const fuelValues = extractFuelFields(normalizedText);
+    if (Object.keys(fuelValues).length > 0) {
+      anyFieldFound = true;
+      const odometerWarning = checkOdometer({ ...user, ...fuelValues });
+
+      if (odometerWarning) {
+        await safeSendMessage(sock, sender, { text: odometerWarning });
+      } else {
+        for (const [key, value] of Object.entries(fuelValues)) {
+          const existing = user[key];
+          if (existing != null && existing !== value) {
+            const label = key.replace(/([A-Z])/g, " $1").trim();
+            pendingUpdates.push({
+              field: key,
+              value,
+              message: t(lang, "daily.fields.valueUpdate", { label, existing, value }),
+            });
+          } else if (existing == null) {
+            user[key] = value;
+            anyNewFieldApplied = true;
+          }
+        }
+      }
+    }
+  } catch (err) {
+    console.error("❌ Fuel field parsing error for", sender, ":", err);
+  }
+
   // If there are pending updates, store all and ask for confirmation on the first one
   if (pendingUpdates.length > 0) {
     const first = pendingUpdates.shift();
@@ -383,7 +459,7 @@ export async function handleFieldExtraction(sock, sender, normalizedText, user)
     if (anyNewFieldApplied) {
       // Recalculate totals for fields that were applied without confirmation
       recalculateCashHandover(user);
-      const completenessMsg = getCompletionMessage(user);
+      const completenessMsg = getCompletionMessage(user, sender);
       
       // Send summary first, then update prompt as separate message
       await sendSummary(sock, sender, completenessMsg, user);
@@ -447,9 +523,13 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
           user.ExtraExpenses.push({ name: field, amount: value.amount || value, mode: value.mode || "cash" });
         }
       } 
-      // Handle normal field update (Diesel, Adda, Union, etc.)
+      // Handle trip update - replace the trip and roll trips up into Total Cash Collection
+      else if (type === "trip") {
+        setTrip(user, value);
+      }
+      // Handle normal field update (Diesel, Adda, Union, etc.) - keep any linked receipts
       else {
-        user[field] = value;
+        user[field] = user[field]?.receipts ? { ...value, receipts: user[field].receipts } : value;
       }
 
       // Clear pending update and recalculate totals
@@ -457,7 +537,7 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
       recalculateCashHandover(user);
       
       await safeSendMessage(sock, sender, {
-        text: `✅ ${capitalize(field)} updated successfully!`,
+        text: tr(sender, "daily.fields.updated", { field: capitalize(field) }),
       });
       
       // Check if there are more pending updates
@@ -472,7 +552,7 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
         await safeSendMessage(sock, sender, { text: next.message });
       } else {
         user.pendingUpdates = null;
-        const completenessMsg = getCompletionMessage(user);
+        const completenessMsg = getCompletionMessage(user, sender);
         await sendSummary(sock, sender, completenessMsg, user);
       }
       return true;
@@ -481,7 +561,7 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
       user.waitingForUpdate = null;
       
       await safeSendMessage(sock, sender, {
-        text: `❎ Update cancelled.`,
+        text: tr(sender, "daily.fields.cancelled"),
       });
       
       // Check if there are more pending updates
@@ -496,7 +576,7 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
         await safeSendMessage(sock, sender, { text: next.message });
       } else {
         user.pendingUpdates = null;
-        const completenessMsg = getCompletionMessage(user);
+        const completenessMsg = getCompletionMessage(user, sender);
         await safeSendMessage(sock, sender, { text: completenessMsg });
       }
       return true;
@@ -507,7 +587,7 @@ export async function handleFieldUpdateConfirmation(sock, sender, text, user) {
     console.error("❌ Error handling waitingForUpdate for", sender, ":", err);
     user.waitingForUpdate = null;
     await safeSendMessage(sock, sender, {
-      text: "❌ Error processing your update response. Please re-enter the value.",
+      text: tr(sender, "daily.fields.updateError"),
     });
     return true;
   }
@@ -537,16 +617,16 @@ export async function handleRemarksCommand(sock, sender, normalizedText, user) {
 
     await safeSendMessage(sock, sender, {
       text: remarkText
-        ? `📝 Remark added: "${remarkText}"`
-        : `🧹 Remarks cleared.`,
+        ? tr(sender, "daily.fields.remarkAdded", { remark: remarkText })
+        : tr(sender, "daily.fields.remarksCleared"),
     });
 
     // Show current data summary after updating remarks
-    const completenessMsg = getCompletionMessage(user);
+    const completenessMsg = getCompletionMessage(user, sender);
     await sendSummary(
       sock,
       sender,
-      `📋 Here's your current entered data:\n${completenessMsg}`,
+      tr(sender, "daily.fields.currentData", { completion: completenessMsg }),
       user
     );
     return true;
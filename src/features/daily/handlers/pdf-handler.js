@@ -0,0 +1,142 @@
+/**
+ * PDF Handler Module
+ *
+ * Sends daily reports for a period as one PDF document instead of a
+ * message per day. Triggered by adding "pdf" to a report command:
+ * - "this month pdf"
+ * - "last 7 days pdf"
+ * - "pdf 01/11/2025 to 15/11/2025"
+ *
+ * The PDF has one row per daily report (collection, expenses, hand over,
+ * profit, status) and a totals row.
+ *
+ * @module features/daily/handlers/pdf-handler
+ */
+
+import { safeSendMessage } from "../utils/helpers.js";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { queryRecords } from "../../../utils/storage.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { extractPdfFlag, formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { getDailyRecordTotals } from "../../reports/utils/calculations.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Reads an amount stored as a number or as { amount }.
+ */
+function amountOf(field) {
+  return Number(field?.amount ?? field) || 0;
+}
+
+/**
+ * Handles "<period> pdf" report commands in daily mode.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - User's input text
+ * @param {string} selectedBus - Bus code selected in the menu
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleDailyPdfCommand(sock, sender, text, selectedBus) {
+  const { text: periodText, pdf } = extractPdfFlag(text);
+  if (!pdf) return false;
+
+  const period = parsePeriod(periodText);
+  if (!period) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.pdf.unknownPeriod"),
+    });
+    return true;
+  }
+
+  const records = await queryRecords("daily", { busCode: selectedBus, from: period.start, to: period.end });
+  if (records.length === 0) {
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.pdf.none", { bus: selectedBus, period: period.name }),
+    });
+    return true;
+  }
+
+  const totals = { cash: 0, online: 0, diesel: 0, adda: 0, union: 0, other: 0, handover: 0, net: 0 };
+  const rows = records.map(([key, record]) => {
+    const { collection, expenses } = getDailyRecordTotals(record);
+    const row = {
+      cash: amountOf(record.TotalCashCollection),
+      online: amountOf(record.Online),
+      diesel: amountOf(record.Diesel),
+      adda: amountOf(record.Adda),
+      union: amountOf(record.Union),
+      handover: amountOf(record.CashHandover),
+      net: collection - expenses,
+    };
+    // Everything that is not diesel/adda/union: extra expenses and trip staff
+    row.other = expenses - row.diesel - row.adda - row.union;
+
+    for (const field of Object.keys(totals)) totals[field] += row[field];
+
+    return [
+      key.slice(key.lastIndexOf("_") + 1),
+      formatPdfAmount(row.cash),
+      formatPdfAmount(row.online),
+      formatPdfAmount(row.diesel),
+      formatPdfAmount(row.adda),
+      formatPdfAmount(row.union),
+      formatPdfAmount(row.other),
+      formatPdfAmount(row.handover),
+      formatPdfAmount(row.net),
+      record.Status || "",
+    ];
+  });
+
+  const menuState = getMenuState(sender);
+  const regNumber = menuState.selectedBusInfo?.registrationNumber;
+  const collection = totals.cash + totals.online;
+
+  const report = {
+    title: "Daily Report",
+    bus: regNumber ? `${selectedBus} (${regNumber})` : selectedBus,
+    period: formatPeriodLabel(period),
+    landscape: true,
+    summary: [
+      ["Reports", String(records.length)],
+      ["Total Collection (Rs.)", formatPdfAmount(collection)],
+      ["Total Expenses (Rs.)", formatPdfAmount(collection - totals.net)],
+      ["Cash Hand Over (Rs.)", formatPdfAmount(totals.handover)],
+      ["Bachat / Profit (Rs.)", formatPdfAmount(totals.net)],
+      ["Average Profit per Day (Rs.)", formatPdfAmount(totals.net / records.length)],
+    ],
+    tables: [
+      {
+        heading: "Daily Reports (amounts in Rs.)",
+        columns: [
+          { label: "Date", width: 0.11 },
+          { label: "Cash", width: 0.1, align: "right" },
+          { label: "Online", width: 0.1, align: "right" },
+          { label: "Diesel", width: 0.1, align: "right" },
+          { label: "Adda", width: 0.08, align: "right" },
+          { label: "Union", width: 0.08, align: "right" },
+          { label: "Other Exp.", width: 0.1, align: "right" },
+          { label: "Hand Over", width: 0.1, align: "right" },
+          { label: "Profit", width: 0.1, align: "right" },
+          { label: "Status", width: 0.13 },
+        ],
+        rows,
+        totals: [
+          "Total",
+          formatPdfAmount(totals.cash),
+          formatPdfAmount(totals.online),
+          formatPdfAmount(totals.diesel),
+          formatPdfAmount(totals.adda),
+          formatPdfAmount(totals.union),
+          formatPdfAmount(totals.other),
+          formatPdfAmount(totals.handover),
+          formatPdfAmount(totals.net),
+          "",
+        ],
+      },
+    ],
+  };
+
+  await sendPdfReport(sock, sender, report, pdfFileName(selectedBus, "daily", period.name));
+  return true;
+}
@@ -0,0 +1,174 @@
+/**
+ * Receipt Handler Module
+ *
+ * This module handles photo receipts for daily reports. A photo sent in daily
+ * mode is saved under storage/receipts and linked to the draft entry named in
+ * its caption:
+ * - "Diesel 5000" / "Diesel" -> Diesel entry (same for Adda, Union)
+ * - "Expense mechanic 1500" / "Expense mechanic" -> ExtraExpenses entry
+ * - No caption or no matching entry -> kept on the draft as an unlinked receipt
+ *
+ * It also handles the "receipts [date]" command to send back the receipts
+ * of a date.
+ *
+ * @module features/daily/handlers/receipt-handler
+ */
+
+import { format } from "date-fns";
+import { safeSendMessage } from "../utils/helpers.js";
+import { capitalize } from "../utils/formatters.js";
+import { parseDate } from "./date-handler.js";
+import { getMenuState } from "../../../utils/menu-state.js";
+import { saveReceipt, listReceipts, readReceipt } from "../../../utils/receipts.js";
+import { t, tr, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Finds the draft entry a receipt caption refers to.
+ *
+ * @param {string} caption - Image caption (may be empty)
+ * @param {Object} user - User's session data object
+ * @returns {{label: string|null, entry: Object|null}} Entry label and the entry object, if it exists
+ */
+function findReceiptEntry(caption, user) {
+  const fieldMatch = caption.match(/^(diesel|adda|union)\b/i);
+  if (fieldMatch) {
+    const field = capitalize(fieldMatch[1].toLowerCase());
+    const entry = user[field] && typeof user[field] === "object" ? user[field] : null;
+    return { label: field, entry };
+  }
+
+  const expenseMatch = caption.match(/^(?:expense|ex)\s+([a-zA-Z]+)/i);
+  if (expenseMatch && expenseMatch[1].toLowerCase() !== "delete") {
+    const name = expenseMatch[1];
+    const entry = (user.ExtraExpenses || []).find((e) => e.name.toLowerCase() === name.toLowerCase()) || null;
+    return { label: `Expense ${name.toLowerCase()}`, entry };
+  }
+
+  return { label: null, entry: null };
+}
+
+/**
+ * Saves a photo receipt and links it to the matching entry on the draft.
+ * The caption (if any) should already have been processed as a normal
+ * message, so "Expense mechanic 1500" creates the entry before linking.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {Object} msg - Incoming WhatsApp message with an image
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} caption - Image caption with any "daily" prefix removed
+ * @param {Object} user - User's session data object
+ * @param {Buffer} [buffer] - Image data if already downloaded
+ * @returns {Promise<boolean>} True when handled
+ */
+export async function handleReceiptImage(sock, msg, sender, caption, user, buffer = null) {
+  try {
+    const date = (user.Dated && parseDate(user.Dated)) || new Date();
+    const dateStr = format(date, "dd/MM/yyyy");
+    const { label, entry } = findReceiptEntry(caption.trim(), user);
+
+    const receipt = await saveReceipt(sock, msg, {
+      busCode: user.busCode,
+      date,
+      entry: label,
+      sender,
+      buffer,
+    });
+
+    // Link to the entry, or keep it on the draft until the entry is entered
+    if (entry) {
+      if (!entry.receipts) entry.receipts = [];
+      entry.receipts.push(receipt);
+    } else {
+      if (!user.Receipts) user.Receipts = [];
+      user.Receipts.push(receipt);
+    }
+
+    const lang = getUserLanguage(sender);
+    const params = { entry: label, bus: user.busCode, date: dateStr };
+    let text = t(lang, entry ? "daily.receipts.savedFor" : "daily.receipts.saved", params);
+    if (!user.Dated) {
+      text += `\n${t(lang, "daily.receipts.noDated")}`;
+    }
+    if (!entry) {
+      text += `\n${t(lang, label ? "daily.receipts.noEntry" : "daily.receipts.linkHint", params)}`;
+    }
+
+    await safeSendMessage(sock, sender, { text });
+    return true;
+  } catch (err) {
+    console.error("❌ Error saving receipt for", sender, ":", err);
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.receipts.saveFailed"),
+    });
+    return true;
+  }
+}
+
+/**
+ * Links receipts kept on the draft for a field (e.g. a diesel slip sent
+ * before the Diesel entry existed) to that field's entry.
+ *
+ * @param {Object} user - User's session data object
+ * @param {string} field - "Diesel", "Adda" or "Union"
+ */
+export function linkDraftReceipts(user, field) {
+  const entry = user[field];
+  if (!entry || typeof entry !== "object" || !user.Receipts?.length) return;
+
+  const matching = user.Receipts.filter((r) => r.entry === field);
+  if (matching.length === 0) return;
+
+  entry.receipts = [...(entry.receipts || []), ...matching];
+  user.Receipts = user.Receipts.filter((r) => r.entry !== field);
+}
+
+/**
+ * Handles the 'receipts [date]' command to send back the receipts of a date.
+ * Format: "receipts", "receipts yesterday" or "receipts 15/11/2025"
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} normalizedText - Normalized user input text
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleReceiptsCommand(sock, sender, normalizedText) {
+  const receiptsMatch = normalizedText.trim().match(/^receipts?(?:\s+(.+))?$/i);
+  if (!receiptsMatch) return false;
+
+  try {
+    const selectedBus = getMenuState(sender).selectedBus;
+    const date = parseDate(receiptsMatch[1] || "today");
+    if (!date) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.receipts.invalidDate"),
+      });
+      return true;
+    }
+
+    const dateStr = format(date, "dd/MM/yyyy");
+    const receipts = listReceipts(selectedBus, date);
+    if (receipts.length === 0) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.receipts.none", { bus: selectedBus, date: dateStr }),
+      });
+      return true;
+    }
+
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.receipts.title", { bus: selectedBus, date: dateStr, count: receipts.length }),
+    });
+    for (const receipt of receipts) {
+      await safeSendMessage(sock, sender, {
+        image: readReceipt(receipt.file),
+        caption: `${receipt.entry} • ${dateStr} ${receipt.time}`,
+      });
+    }
+    return true;
+  } catch (err) {
+    console.error("❌ Error in receipts command:", err);
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "daily.receipts.loadFailed"),
+    });
+    return true;
+  }
+}
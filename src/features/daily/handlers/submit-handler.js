@@ -15,9 +15,14 @@
 import db from "../../../utils/db.js";
 import { safeSendMessage, safeDbRead, safeDbWrite } from "../utils/helpers.js";
 import { sendSubmittedSummary } from "../utils/messages.js";
+import { checkDailyRecord } from "../../../utils/anomalies.js";
+import { applyFuelEfficiency } from "../../../utils/fuel.js";
 import { resolveCommand } from "../../../utils/menu-handler.js";
 import { getMenuState } from "../../../utils/menu-state.js";
 import { getUserNameByPhone } from "../../../utils/employees.js";
+import { requirePermission } from "../../../utils/permissions.js";
+import { logRecordChange } from "../../../utils/audit-log.js";
+import { tr } from "../../../utils/i18n.js";
 
 /**
  * Handles the submit confirmation flow for saving a daily record.
@@ -49,7 +54,7 @@ export async function handleSubmit(sock, sender, text, user) {
       const ok = await safeDbRead();
       if (!ok) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Unable to read DB. Try again later.",
+          text: tr(sender, "daily.submit.dbReadFailed"),
         });
         return true;
       }
@@ -57,13 +62,20 @@ export async function handleSubmit(sock, sender, text, user) {
       const primaryKey = user.pendingPrimaryKey;
       const existingRecord = db.data[primaryKey];
 
+      // New reports need "daily.submit"; overwriting an existing record needs "daily.edit"
+      const action = existingRecord ? "daily.edit" : "daily.submit";
+      if (!(await requirePermission(sock, sender, action, { key: primaryKey }))) {
+        user.waitingForSubmit = false;
+        return true;
+      }
+
       // If record exists and user didn't fetch it (not in edit mode), ask for update confirmation
       if (existingRecord && !user.editingExisting) {
         user.pendingPrimaryKey = primaryKey;
         user.waitingForSubmit = false;
         user.confirmingUpdate = true;
         await safeSendMessage(sock, sender, {
-          text: `⚠️ A record for ${user.busCode || 'Unknown Bus'} on ${user.Dated} already exists.\nDo you want to update it? (*Yes* or *Y* / *No* or *N*)`,
+          text: tr(sender, "daily.submit.exists", { bus: user.busCode || "Unknown Bus", date: user.Dated }),
         });
         return true;
       }
@@ -78,6 +90,7 @@ export async function handleSubmit(sock, sender, text, user) {
         pendingPrimaryKey,
         confirmingUpdate,
         pendingUpdates,
+        cashBeforeTrips,
         ...cleanUser
       } = user;
 
@@ -100,23 +113,43 @@ export async function handleSubmit(sock, sender, text, user) {
         submittedAt: new Date().toISOString(),
       };
 
+      // Store km/litre and rupees/km derived from the odometer, km and litres entries
+      applyFuelEfficiency(db.data[primaryKey]);
+
       // Write to database file
       const w = await safeDbWrite();
       if (!w) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Failed to save data. Try again later.",
+          text: tr(sender, "daily.submit.saveFailed"),
         });
         return true;
       }
 
+      // Record the change in the audit trail
+      logRecordChange({
+        store: "daily",
+        key: primaryKey,
+        before: existingRecord || null,
+        after: db.data[primaryKey],
+        source: "whatsapp",
+        sender,
+        busCode: user.busCode,
+      });
+
+      // Flag unusual figures so the conductor can double-check them
+      const anomalies = await checkDailyRecord(primaryKey, db.data[primaryKey]).catch((err) => {
+        console.error("❌ Error checking anomalies for", primaryKey, ":", err.message);
+        return [];
+      });
+
       // Send success summary and clear user session
-      await sendSubmittedSummary(sock, sender, cleanUser);
+      await sendSubmittedSummary(sock, sender, cleanUser, anomalies, primaryKey.split("_")[1]);
       delete global.userData[sender];
       return true;
     } else if (resolved === "no") {
       // User cancelled submission - allow continued editing
       await safeSendMessage(sock, sender, {
-        text: "❌ Submission cancelled. You can continue editing.",
+        text: tr(sender, "daily.submit.cancelled"),
       });
       user.waitingForSubmit = false;
       return true;
@@ -127,7 +160,7 @@ export async function handleSubmit(sock, sender, text, user) {
   } catch (err) {
     console.error("❌ Error handling submit for", sender, ":", err);
     await safeSendMessage(sock, sender, {
-      text: "❌ Error processing submission. Please try again.",
+      text: tr(sender, "daily.submit.error"),
     });
     return true;
   }
@@ -164,7 +197,7 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
       const ok = await safeDbRead();
       if (!ok) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Unable to read DB. Try again later.",
+          text: tr(sender, "daily.submit.dbReadFailed"),
         });
         return true;
       }
@@ -179,6 +212,7 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
         pendingPrimaryKey,
         confirmingUpdate,
         pendingUpdates,
+        cashBeforeTrips,
         ...cleanUser
       } = user;
 
@@ -187,7 +221,13 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
         Object.entries(cleanUser).filter(([key]) => key !== '')
       );
       
+      // Keep the cash already deposited from this entry (cash ledger)
+      if (db.data[key]?.CashDeposited && !filteredUser.CashDeposited) {
+        filteredUser.CashDeposited = db.data[key].CashDeposited;
+      }
+
       // Overwrite the existing record with new data
+      const previousRecord = db.data[key] || null;
       const senderName = getUserNameByPhone(sender) || sender;
       db.data[key] = {
         sender: senderName,
@@ -199,14 +239,25 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
       const w = await safeDbWrite();
       if (!w) {
         await safeSendMessage(sock, sender, {
-          text: "❌ Failed to save updated record. Try again later.",
+          text: tr(sender, "daily.submit.updateSaveFailed"),
         });
         return true;
       }
 
+      // Record the change in the audit trail
+      logRecordChange({
+        store: "daily",
+        key,
+        before: previousRecord,
+        after: db.data[key],
+        source: "whatsapp",
+        sender,
+        busCode: user.busCode,
+      });
+
       // Send success message and clear user session
       await safeSendMessage(sock, sender, {
-        text: `✅ Record for *${user.busCode || 'Bus'}* on ${user.Dated} updated successfully!`,
+        text: tr(sender, "daily.submit.updated", { bus: user.busCode || "Bus", date: user.Dated }),
       });
 
       // Clean up user session
@@ -217,7 +268,7 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
     } else if (resolved === "no") {
       // User cancelled the update - keep old record
       await safeSendMessage(sock, sender, {
-        text: "❌ Update cancelled. Old record kept as is.",
+        text: tr(sender, "daily.submit.updateCancelled"),
       });
 
       // Clean up state and session
@@ -234,7 +285,7 @@ export async function handleUpdateConfirmation(sock, sender, text, user) {
     delete user.confirmingUpdate;
     delete user.pendingPrimaryKey;
     await safeSendMessage(sock, sender, {
-      text: "❌ Error processing update confirmation. Please try again.",
+      text: tr(sender, "daily.submit.updateError"),
     });
     return true;
   }
@@ -0,0 +1,160 @@
+/**
+ * Trip Handler Module
+ *
+ * Handles trip-level collection entries on the daily report draft.
+ * Each trip is run on one of the bus's routes (src/utils/routes.js), and the
+ * trips together make up the Total Cash Collection of the day.
+ *
+ * Features:
+ * - Add a trip: "Trip 1 R1 3500" or "Trip 2 Thathri 4200" (route ID or name)
+ * - Change a trip with confirmation when the trip number is already entered
+ * - Delete a trip: "Delete Trip 2" or "Trip 2 Delete"
+ * - List the bus's routes: "Routes"
+ *
+ * @module features/daily/handlers/trip-handler
+ */
+
+import { safeSendMessage } from "../utils/helpers.js";
+import { recalculateCashHandover, getCompletionMessage } from "../utils/calculations.js";
+import { sendSummary } from "../utils/messages.js";
+import { getBusRoutes, findRoute, formatRouteList, applyTripCollection, setTrip } from "../../../utils/routes.js";
+import { tr } from "../../../utils/i18n.js";
+
+/**
+ * Handles trip entry commands.
+ * Format: "trip [number] [route ID or name] [amount]"
+ *
+ * If the trip number is already entered with a different route or amount,
+ * prompts for confirmation before replacing it.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} normalizedText - Normalized user input text
+ * @param {Object} user - User's session data object
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ *
+ * @example
+ * // Input: "trip 1 r1 3500" - Trip 1 on route R1 collected Rs.3500
+ * // Input: "trip 2 thathri 4200" - Trip 2 on the route whose name contains "thathri"
+ */
+export async function handleTripCommand(sock, sender, normalizedText, user) {
+  const match = normalizedText.match(/^trip\s+(\d+)\s+(.+?)\s+(\d+)$/i);
+  if (!match) return false;
+
+  try {
+    const tripNumber = parseInt(match[1], 10);
+    const amount = parseFloat(match[3]);
+    const routes = getBusRoutes(user.busCode);
+
+    if (routes.length === 0) {
+      await safeSendMessage(sock, sender, { text: tr(sender, "daily.trips.noRoutes", { bus: user.busCode }) });
+      return true;
+    }
+
+    const route = findRoute(routes, match[2]);
+    if (!route) {
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.trips.routeNotFound", {
+          route: match[2],
+          bus: user.busCode,
+          routes: formatRouteList(routes),
+          trip: tripNumber,
+          routeId: routes[0].id,
+          amount,
+        }),
+      });
+      return true;
+    }
+
+    const trip = { trip: tripNumber, routeId: route.id, route: route.name, amount };
+    const existing = user.Trips?.find((t) => t.trip === tripNumber);
+
+    // Same trip number with different values - ask before replacing
+    if (existing && (existing.routeId !== trip.routeId || existing.amount !== amount)) {
+      user.waitingForUpdate = {
+        field: `Trip ${tripNumber}`,
+        value: trip,
+        type: "trip",
+      };
+
+      await safeSendMessage(sock, sender, {
+        text: tr(sender, "daily.trips.confirm", {
+          trip: tripNumber,
+          oldRoute: `${existing.routeId || ""} ${existing.route}`,
+          oldAmount: existing.amount,
+          newRoute: `${route.id} ${route.name}`,
+          newAmount: amount,
+        }),
+      });
+      return true;
+    }
+
+    setTrip(user, trip);
+    recalculateCashHandover(user);
+    const completenessMsg = getCompletionMessage(user, sender);
+    const added = tr(sender, "daily.trips.added", { trip: tripNumber, route: `${route.id} ${route.name}`, amount });
+    await sendSummary(sock, sender, `${added}\n${completenessMsg}`, user);
+    return true;
+  } catch (err) {
+    console.error("❌ Error handling trip command:", err);
+    await safeSendMessage(sock, sender, { text: tr(sender, "daily.trips.error") });
+    return true;
+  }
+}
+
+/**
+ * Handles trip deletion commands.
+ * Format: "delete trip [number]" or "trip [number] delete"
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} normalizedText - Normalized user input text
+ * @param {Object} user - User's session data object
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleTripDelete(sock, sender, normalizedText, user) {
+  const match = normalizedText.match(/^(?:delete\s+trip\s+(\d+)|trip\s+(\d+)\s+delete)$/i);
+  if (!match) return false;
+
+  try {
+    const tripNumber = parseInt(match[1] || match[2], 10);
+    const index = user.Trips?.findIndex((t) => t.trip === tripNumber) ?? -1;
+
+    if (index === -1) {
+      await safeSendMessage(sock, sender, { text: tr(sender, "daily.trips.notFound", { trip: tripNumber }) });
+      return true;
+    }
+
+    user.Trips.splice(index, 1);
+    applyTripCollection(user);
+    recalculateCashHandover(user);
+    const completenessMsg = getCompletionMessage(user, sender);
+    await sendSummary(sock, sender, `${tr(sender, "daily.trips.deleted", { trip: tripNumber })}\n${completenessMsg}`, user);
+    return true;
+  } catch (err) {
+    console.error("❌ Error handling trip delete:", err);
+    return true;
+  }
+}
+
+/**
+ * Lists the routes of the selected bus, so trips can be entered by route ID.
+ * Format: "routes"
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} text - Lowercase user input text
+ * @param {Object} user - User's session data object
+ * @returns {Promise<boolean>} True if command was handled, false otherwise
+ */
+export async function handleRoutesCommand(sock, sender, text, user) {
+  if (text !== "routes") return false;
+
+  const routes = getBusRoutes(user.busCode);
+  await safeSendMessage(sock, sender, {
+    text: routes.length
+      ? tr(sender, "daily.trips.routes", { bus: user.busCode, routes: formatRouteList(routes), routeId: routes[0].id })
+      : tr(sender, "daily.trips.noRoutes", { bus: user.busCode }),
+  });
+  return true;
+}
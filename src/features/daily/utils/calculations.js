@@ -12,6 +12,8 @@
  * @module features/daily/utils/calculations
  */
 
+import { t, getUserLanguage, getDefaultLanguage } from "../../../utils/i18n.js";
+
 /**
  * Recalculates the cash handover amount based on user's entered data.
  * 
@@ -92,6 +94,7 @@ export function recalculateCashHandover(user) {
  * If fields are missing, lists them so user knows what's left.
  * 
  * @param {Object} user - User's session data object
+ * @param {string} [sender] - Sender JID, for the reply language
  * @returns {string} Status message indicating completion state or missing fields
  * 
  * @example
@@ -103,7 +106,9 @@ export function recalculateCashHandover(user) {
  * getCompletionMessage(incompleteUser);
  * // Returns: "🟡 Data Entering! Please provide remaining data.\nMissing fields: Diesel, Online"
  */
-export function getCompletionMessage(user) {
+export function getCompletionMessage(user, sender = null) {
+  const lang = sender ? getUserLanguage(sender) : getDefaultLanguage();
+
   try {
     // Define the list of required fields for a complete entry
     const allFields = ["Dated", "Diesel", "Adda", "Union", "TotalCashCollection", "Online"];
@@ -130,17 +135,17 @@ export function getCompletionMessage(user) {
     if (missing.length === 0) {
       // Don't show submit prompt if waiting for update confirmation
       if (user.waitingForUpdate) {
-        return "⚠️ All Data Entered.";
+        return t(lang, "daily.completion.allEntered");
       }
       if (!user.waitingForSubmit) user.waitingForSubmit = true;
-      return "⚠️ All Data Entered.\nDo you want to Submit now? (yes/no)";
+      return t(lang, "daily.completion.askSubmit");
     } else {
       // Some fields are missing - show which ones
       if (user.waitingForSubmit) user.waitingForSubmit = false;
-      return `🟡 Data Entering! Please provide remaining data.\nMissing fields: ${missing.join(", ")}`;
+      return t(lang, "daily.completion.missing", { fields: missing.join(", ") });
     }
   } catch (err) {
     console.error("❌ Error computing completion message:", err);
-    return "⚠️ Unable to determine completion state. Please continue entering data.";
+    return t(lang, "daily.completion.unknown");
   }
 }
@@ -16,6 +16,12 @@ import { safeSendMessage } from "./helpers.js";
 import { capitalize } from "./formatters.js";
 
 import { getMenuState } from "../../../utils/menu-state.js";
+import { receiptTag, countReceipts } from "../../../utils/receipts.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+import { formatFuelLines } from "../../../utils/fuel.js";
+import { formatTripLines } from "../../../utils/routes.js";
+import { markDraftSummary } from "../../../utils/bulk-entry.js";
+import { formatAnomaly } from "../../../utils/anomalies.js";
 
 /**
  * Sends a formatted summary of the user's current data entry progress.
@@ -43,6 +49,11 @@ import { getMenuState } from "../../../utils/menu-state.js";
  * await sendSummary(sock, sender, "Please confirm the data", userData);
  */
 export async function sendSummary(sock, jid, title, userData = {}) {
+  // Labels in the recipient's reply language
+  const lang = getUserLanguage(jid);
+  const label = (key) => t(lang, `daily.summary.${key}`);
+  const onlineTag = t(lang, "common.online");
+
   try {
     // Format extra expenses list with emoji indicators
     const extraList =
@@ -50,7 +61,7 @@ export async function sendSummary(sock, jid, title, userData = {}) {
         ? userData.ExtraExpenses
             .map(
               (e) =>
-                `🧾 ${capitalize(e.name)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`
+                `🧾 ${capitalize(e.name)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}${receiptTag(e)}`
             )
             .join("\n")
         : "";
@@ -67,7 +78,7 @@ export async function sendSummary(sock, jid, title, userData = {}) {
         dailySalaryList = dailySalaryExpenses
           .map(e => {
             const displayName = e.role || e.name;
-            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`;
+            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}`;
           })
           .join("\n");
       }
@@ -76,7 +87,7 @@ export async function sendSummary(sock, jid, title, userData = {}) {
         tripList = tripExpenses
           .map(e => {
             const displayName = e.role || e.name;
-            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`;
+            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}`;
           })
           .join("\n");
       }
@@ -90,7 +101,7 @@ export async function sendSummary(sock, jid, title, userData = {}) {
       if (!field) return null;
       const amt = field.amount || field;
       if (amt === undefined || amt === null || amt === "") return null;
-      const mode = field.mode === "online" ? " (Online)" : "";
+      const mode = field.mode === "online" ? onlineTag : "";
       const remarks = field.remarks ? ` ${field.remarks}` : "";
       return { amt, mode, remarks };
     };
@@ -133,38 +144,41 @@ export async function sendSummary(sock, jid, title, userData = {}) {
     const busInfo = regNumber || userData.busCode || "";
     
     // Add labels for context (editing vs new entry)
-    const editingLabel = userData.editingExisting ? " (Editing)" : "";
+    const editingLabel = userData.editingExisting ? label("editing") : "";
     const titleBus = busInfo ? ` (${busInfo})` : "";
 
     // Build the complete message with sections
     const msg = [
-      `✅ *Daily Data Entry${titleBus}${editingLabel}*`,
-      `📅 Dated: ${userData.Dated || "___"}`,
+      t(lang, "daily.summary.title", { bus: titleBus, editing: editingLabel }),
+      `${label("dated")}: ${userData.Dated || "___"}`,
       ``,
-      `💰 *Expenses (Outflow):*`,
-      `⛽ Diesel: ₹${diesel?.amt || "___"}${diesel?.mode || ""}${diesel?.remarks || ""}`,
-      `🚌 Adda : ₹${adda?.amt || "___"}${adda?.mode || ""}${adda?.remarks || ""}`,
-      `🤝 Union: ₹${union?.amt || "___"}${union?.mode || ""}${union?.remarks || ""}`,
+      label("expenses"),
+      `${label("diesel")}: ₹${diesel?.amt || "___"}${diesel?.mode || ""}${diesel?.remarks || ""}${receiptTag(userData.Diesel)}`,
+      `${label("adda")}: ₹${adda?.amt || "___"}${adda?.mode || ""}${adda?.remarks || ""}${receiptTag(userData.Adda)}`,
+      `${label("union")}: ₹${union?.amt || "___"}${union?.mode || ""}${union?.remarks || ""}${receiptTag(userData.Union)}`,
       extraList ? `${extraList}` : "",
       ``,
-      ...(dailySalaryList ? [`👥 *Employee (Daily Salary):*`, dailySalaryList, ``] : []),
-      ...(tripList ? [`🚌 *Employee (Trip):*`, tripList, ``] : []),
-      `💵 *Total Collection (Inflow):*`,
-      `💸 Total Cash Collection: ₹${totalCash?.amt || "___"}${totalCash?.remarks || ""}`,
-      `💳 Online Collection: ₹${online?.amt || "___"}${online?.remarks || ""}`,
+      ...(dailySalaryList ? [label("employeeDaily"), dailySalaryList, ``] : []),
+      ...(tripList ? [label("employeeTrip"), tripList, ``] : []),
+      label("collection"),
+      ...formatTripLines(userData, lang),
+      `${label("totalCash")}: ₹${totalCash?.amt || "___"}${totalCash?.remarks || ""}`,
+      `${label("online")}: ₹${online?.amt || "___"}${online?.remarks || ""}`,
       ``,
-      `✨ *Total Hand Over:*`,
-      `💵 Cash Hand Over: ₹${cashHandover?.amt || "___"}`,
-      `📈 Bachat (Profit): ₹${totalCollection > 0 ? bachat.toLocaleString('en-IN') : "___"}`,
-      ...(userData.Remarks ? [`📝 *Remarks:* ${userData.Remarks}`] : []),
+      label("handoverTitle"),
+      `${label("handover")}: ₹${cashHandover?.amt || "___"}`,
+      `${label("profit")}: ₹${totalCollection > 0 ? bachat.toLocaleString('en-IN') : "___"}`,
+      ...formatFuelLines(userData, lang),
+      ...(userData.Remarks ? [`${label("remarks")} ${userData.Remarks}`] : []),
+      ...(countReceipts(userData) > 0 ? [`${label("receipts")}: ${countReceipts(userData)}`] : []),
       ``,
       title ? `\n${title}` : "",
     ].filter(line => line !== "").join("\n");
 
-    await safeSendMessage(sock, jid, { text: msg });
+    await safeSendMessage(sock, jid, markDraftSummary({ text: msg }));
   } catch (err) {
     console.error("❌ sendSummary error:", err);
-    await safeSendMessage(sock, jid, { text: "❌ Failed to send summary. Try again." });
+    await safeSendMessage(sock, jid, { text: label("failed") });
   }
 }
 
@@ -176,12 +190,19 @@ export async function sendSummary(sock, jid, title, userData = {}) {
  * @param {Object} sock - WhatsApp socket connection instance
  * @param {string} jid - Recipient's WhatsApp JID
  * @param {Object} userData - User's submitted data with all values
+ * @param {Array<Object>} [anomalies] - Unusual figures from checkDailyRecord(), listed so the conductor double-checks them
+ * @param {string} [recordDate] - DD/MM/YYYY of the record, used in the double-check hint
  * @returns {Promise<void>}
  * 
  * @example
  * await sendSubmittedSummary(sock, sender, submittedData);
  */
-export async function sendSubmittedSummary(sock, jid, userData = {}) {
+export async function sendSubmittedSummary(sock, jid, userData = {}, anomalies = [], recordDate = "") {
+  // Labels in the recipient's reply language
+  const lang = getUserLanguage(jid);
+  const label = (key) => t(lang, `daily.summary.${key}`);
+  const onlineTag = t(lang, "common.online");
+
   try {
     // Format extra expenses list
     const extraList =
@@ -189,7 +210,7 @@ export async function sendSubmittedSummary(sock, jid, userData = {}) {
         ? userData.ExtraExpenses
             .map(
               (e) =>
-                `🧾 ${capitalize(e.name)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`
+                `🧾 ${capitalize(e.name)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}${receiptTag(e)}`
             )
             .join("\n")
         : "";
@@ -206,7 +227,7 @@ export async function sendSubmittedSummary(sock, jid, userData = {}) {
         dailySalaryList = dailySalaryExpenses
           .map(e => {
             const displayName = e.role || e.name;
-            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`;
+            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}`;
           })
           .join("\n");
       }
@@ -215,7 +236,7 @@ export async function sendSubmittedSummary(sock, jid, userData = {}) {
         tripList = tripExpenses
           .map(e => {
             const displayName = e.role || e.name;
-            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? " (Online)" : ""}`;
+            return `👤 ${capitalize(displayName)}: ₹${e.amount}${e.mode === "online" ? onlineTag : ""}`;
           })
           .join("\n");
       }
@@ -225,7 +246,7 @@ export async function sendSubmittedSummary(sock, jid, userData = {}) {
     const formatField = (field, defaultVal = "0") => {
       if (!field) return { amt: defaultVal, mode: "", remarks: "" };
       const amt = field.amount || field || defaultVal;
-      const mode = field.mode === "online" ? " (Online)" : "";
+      const mode = field.mode === "online" ? onlineTag : "";
       const remarks = field.remarks ? ` ${field.remarks}` : "";
       return { amt, mode, remarks };
     };
@@ -267,37 +288,46 @@ export async function sendSubmittedSummary(sock, jid, userData = {}) {
     const busInfo = regNumber || userData.busCode || "";
     
     // Add update label if this was an edit
-    const updateLabel = userData.editingExisting ? " (Updated)" : "";
+    const updateLabel = userData.editingExisting ? label("updated") : "";
     const titleBus = busInfo ? ` (${busInfo})` : "";
 
+    // Unusual figures compared with the bus's recent reports
+    const anomalyLines = anomalies.map((flag) => formatAnomaly(flag, lang));
+
     // Build the complete submitted summary message
     const msg = [
-      `✅ *Data Submitted${titleBus}${updateLabel}*`,
-      `📅 Dated: ${userData.Dated || "___"}`,
+      t(lang, "daily.summary.submittedTitle", { bus: titleBus, updated: updateLabel }),
+      `${label("dated")}: ${userData.Dated || "___"}`,
       ``,
-      `💰 *Expenses (Outflow):*`,
-      `⛽ Diesel: ₹${diesel.amt}${diesel.mode}${diesel.remarks}`,
-      `🚌 Adda : ₹${adda.amt}${adda.mode}${adda.remarks}`,
-      `🤝 Union: ₹${union.amt}${union.mode}${union.remarks}`,
+      label("expenses"),
+      `${label("diesel")}: ₹${diesel.amt}${diesel.mode}${diesel.remarks}${receiptTag(userData.Diesel)}`,
+      `${label("adda")}: ₹${adda.amt}${adda.mode}${adda.remarks}${receiptTag(userData.Adda)}`,
+      `${label("union")}: ₹${union.amt}${union.mode}${union.remarks}${receiptTag(userData.Union)}`,
       extraList ? `${extraList}` : "",
       ``,
-      ...(dailySalaryList ? [`👥 *Employee (Daily Salary):*`, dailySalaryList, ``] : []),
-      ...(tripList ? [`🚌 *Employee (Trip):*`, tripList, ``] : []),
-      `💵 *Total Collection (Inflow):*`,
-      `💸 Total Cash Collection: ₹${totalCash.amt}${totalCash.remarks}`,
-      `💳 Online Collection: ₹${online.amt}${online.remarks}`,
+      ...(dailySalaryList ? [label("employeeDaily"), dailySalaryList, ``] : []),
+      ...(tripList ? [label("employeeTrip"), tripList, ``] : []),
+      label("collection"),
+      ...formatTripLines(userData, lang),
+      `${label("totalCash")}: ₹${totalCash.amt}${totalCash.remarks}`,
+      `${label("online")}: ₹${online.amt}${online.remarks}`,
       ``,
-      `✨ *Total Hand Over:*`,
-      `💵 Cash Hand Over: ₹${cashHandover.amt}`,
-      `📈 Bachat (Profit): ₹${bachat.toLocaleString('en-IN')}`,
-      ...(userData.Remarks ? [`📝 *Remarks: ${userData.Remarks}*`] : []),
+      label("handoverTitle"),
+      `${label("handover")}: ₹${cashHandover.amt}`,
+      `${label("profit")}: ₹${bachat.toLocaleString('en-IN')}`,
+      ...formatFuelLines(userData, lang),
+      ...(userData.Remarks ? [`${label("remarks")} ${userData.Remarks}`] : []),
+      ...(countReceipts(userData) > 0 ? [`${label("receipts")}: ${countReceipts(userData)}`] : []),
       ``,
-      `✅ Data Submitted successfully!`,
+      ...(anomalyLines.length > 0
+        ? [`\n${label("anomalies.checkTitle")}`, ...anomalyLines, `${t(lang, "daily.summary.anomalies.checkHint", { date: recordDate })}\n`]
+        : []),
+      label("submittedOk"),
     ].filter(line => line !== "").join("\n");
 
     await safeSendMessage(sock, jid, { text: msg });
   } catch (err) {
     console.error("❌ sendSubmittedSummary error:", err);
-    await safeSendMessage(sock, jid, { text: "❌ Failed to send submitted summary." });
+    await safeSendMessage(sock, jid, { text: label("submittedFailed") });
   }
 }
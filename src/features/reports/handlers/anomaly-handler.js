@@ -0,0 +1,73 @@
+/**
+ * Anomaly Handler Module
+ *
+ * Lists the daily reports of the selected bus whose figures are far from the
+ * bus's usual values (src/utils/anomalies.js):
+ * - "Anomalies" (last 30 days), "Anomalies Nov", "Anomalies This Month"
+ *
+ * @module features/reports/handlers/anomaly-handler
+ */
+
+import { findAnomalies, formatAnomaly, loadAnomalySettings, getBusAnomalySettings } from "../../../utils/anomalies.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { formatPeriodLabel } from "../../../utils/pdf-report.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Checks for an anomalies command and returns its period words.
+ *
+ * @param {string} text - Lowercase user input text
+ * @returns {string|null} Period words ("" for the last 30 days), or null if not an anomalies command
+ */
+export function parseAnomalyCommand(text) {
+  const match = text.trim().match(/^(?:anomalies|anomaly|unusual)(?:\s+(.+))?$/);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Sends the flagged daily reports of the selected bus.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} periodText - Period words from parseAnomalyCommand()
+ * @param {Object} state - Sender's menu state (selected bus)
+ * @returns {Promise<void>}
+ */
+export async function handleAnomalyReport(sock, sender, periodText, state) {
+  const busCode = state.selectedBus;
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `reports.anomalies.${key}`, params);
+  const period = parsePeriod(periodText || "last 30 days");
+  if (!period) {
+    await sock.sendMessage(sender, { text: label("unknownPeriod") });
+    return;
+  }
+
+  const settings = loadAnomalySettings();
+  if (settings.enabled === false) {
+    await sock.sendMessage(sender, { text: label("off") });
+    return;
+  }
+
+  const { checked, days } = await findAnomalies(busCode, period.start, period.end);
+  const { window } = getBusAnomalySettings(settings, busCode);
+  const regNumber = state.selectedBusInfo?.registrationNumber;
+
+  let msg = `${label("title", { period: period.name })}\n`;
+  msg += `${label("bus", { bus: regNumber || busCode })}\n`;
+  msg += `📅 ${formatPeriodLabel(period)}\n`;
+  msg += `${label("checked", { checked, flagged: days.length })}\n`;
+
+  if (days.length === 0) {
+    msg += `\n${label(checked > 0 ? "allUsual" : "noReports")}\n`;
+  } else {
+    for (const day of days) {
+      msg += `\n📅 *${day.date}*\n`;
+      msg += day.flags.map((flag) => `• ${formatAnomaly(flag, lang)}\n`).join("");
+    }
+  }
+
+  msg += `\n${label("usualNote", { window })}`;
+
+  await sock.sendMessage(sender, { text: msg });
+}
@@ -0,0 +1,239 @@
+/**
+ * Fleet Handler Module
+ *
+ * One report across all buses of the user, so owners with several buses do
+ * not have to Switch and repeat each command:
+ * - "Fleet" (this month), "Fleet Nov", "Fleet Last 30 Days"
+ * - "Fleet Nov PDF" sends it as a PDF document
+ *
+ * Available to Admins (all active buses) and users with more than one bus.
+ * Shows fleet totals (collection, expenses, net, deposits, outstanding
+ * balances, undeposited cash), ranks buses by profit per working day and
+ * flags buses with no entries in the period.
+ *
+ * @module features/reports/handlers/fleet-handler
+ */
+
+import { computeProfitSummary } from "../utils/calculations.js";
+import { queryRecords } from "../../../utils/storage.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { getCashAvailable, formatCurrency } from "../../cash/utils/helpers.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Checks for a fleet command and returns its period words.
+ *
+ * @param {string} text - Lowercase user input text without the "pdf" word
+ * @returns {string|null} Period words ("" for this month), or null if not a fleet command
+ */
+export function parseFleetCommand(text) {
+  const match = text.trim().match(/^fleet(?:\s+(.+))?$/);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Whether a user may see the fleet report: Admins, or anyone with several buses.
+ *
+ * @param {Object} state - Sender's menu state
+ * @returns {boolean}
+ */
+export function canViewFleet(state) {
+  return state.user?.role === "Admin" || (state.availableBuses || []).length > 1;
+}
+
+/**
+ * Figures of one bus for the fleet report.
+ * Outstanding balances and undeposited cash are as of now, not limited to the period.
+ */
+async function buildBusFigures(bus, period) {
+  const { daily, booking, total } = await computeProfitSummary(bus.busCode, period.start, period.end);
+  const deposits = await queryRecords("cash", { busCode: bus.busCode, from: period.start, to: period.end });
+  const outstanding = (await queryRecords("bookings", { busCode: bus.busCode })).filter(
+    ([, record]) => Number(record.BalanceAmount?.Amount || record.BalanceAmount || 0) > 0
+  );
+  const cash = await getCashAvailable(bus.busCode, new Date());
+
+  return {
+    busCode: bus.busCode,
+    registrationNumber: bus.registrationNumber,
+    hasEntries: daily.count + booking.count > 0,
+    collection: total.collection,
+    expenses: total.expenses,
+    net: total.net,
+    workingDays: total.workingDays,
+    avgProfitPerDay: total.avgProfitPerDay,
+    deposited: deposits.reduce((sum, [, deposit]) => sum + (Number(deposit.amount) || 0), 0),
+    outstandingBalance: outstanding.reduce(
+      (sum, [, record]) => sum + Number(record.BalanceAmount?.Amount || record.BalanceAmount || 0),
+      0
+    ),
+    outstandingCount: outstanding.length,
+    undepositedCash: cash.totalAvailable,
+  };
+}
+
+/**
+ * Fleet figures: per bus (ranked by profit per working day) and totals.
+ *
+ * @param {Array<Object>} buses - Buses of the user ({ busCode, registrationNumber })
+ * @param {{start: Date, end: Date}} period - Date range
+ * @returns {Promise<{ranked: Array<Object>, idle: Array<Object>, totals: Object}>}
+ *   ranked: buses with entries, best first; idle: buses without entries
+ */
+export async function buildFleetReport(buses, period) {
+  const figures = [];
+  for (const bus of buses) {
+    figures.push(await buildBusFigures(bus, period));
+  }
+
+  const ranked = figures.filter((f) => f.hasEntries).sort((a, b) => b.avgProfitPerDay - a.avgProfitPerDay);
+  const idle = figures.filter((f) => !f.hasEntries);
+
+  const totals = { collection: 0, expenses: 0, net: 0, workingDays: 0, deposited: 0, outstandingBalance: 0, outstandingCount: 0, undepositedCash: 0 };
+  for (const f of figures) {
+    for (const field of Object.keys(totals)) totals[field] += f[field];
+  }
+  totals.avgProfitPerDay = totals.workingDays > 0 ? Math.round(totals.net / totals.workingDays) : 0;
+
+  return { ranked, idle, totals };
+}
+
+/**
+ * Sends the fleet report for the user's buses.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} periodText - Period words from parseFleetCommand()
+ * @param {Object} state - Sender's menu state (user and available buses)
+ * @param {boolean} [pdf] - Send as a PDF document
+ * @returns {Promise<void>}
+ */
+export async function handleFleetReport(sock, sender, periodText, state, pdf = false) {
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `reports.fleet.${key}`, params);
+
+  if (!canViewFleet(state)) {
+    await sock.sendMessage(sender, { text: label("notAllowed") });
+    return;
+  }
+
+  const period = parsePeriod(periodText || "this month");
+  if (!period) {
+    await sock.sendMessage(sender, { text: label("unknownPeriod") });
+    return;
+  }
+
+  const buses = state.availableBuses;
+  const { ranked, idle, totals } = await buildFleetReport(buses, period);
+
+  if (pdf) {
+    const busLabel = (f) => `${f.busCode} (${f.registrationNumber || "-"})`;
+    const row = (rank, f) => [
+      rank,
+      busLabel(f),
+      String(f.workingDays),
+      formatPdfAmount(f.collection),
+      formatPdfAmount(f.expenses),
+      formatPdfAmount(f.net),
+      formatPdfAmount(f.avgProfitPerDay),
+      formatPdfAmount(f.deposited),
+      formatPdfAmount(f.outstandingBalance),
+      formatPdfAmount(f.undepositedCash),
+    ];
+
+    const report = {
+      title: "Fleet Report",
+      bus: `${buses.length} buses`,
+      period: formatPeriodLabel(period),
+      landscape: true,
+      summary: [
+        ["Total Collection (Rs.)", formatPdfAmount(totals.collection)],
+        ["Total Expenses (Rs.)", formatPdfAmount(totals.expenses)],
+        ["Net Profit (Rs.)", formatPdfAmount(totals.net)],
+        ["Working Days", String(totals.workingDays)],
+        ["Average Profit per Working Day (Rs.)", formatPdfAmount(totals.avgProfitPerDay)],
+        ["Deposited (Rs.)", formatPdfAmount(totals.deposited)],
+        ["Outstanding Booking Balances (Rs.)", `${formatPdfAmount(totals.outstandingBalance)} (${totals.outstandingCount} bookings)`],
+        ["Undeposited Cash (Rs.)", formatPdfAmount(totals.undepositedCash)],
+        ["Buses Without Entries", idle.length ? idle.map((f) => f.busCode).join(", ") : "None"],
+      ],
+      tables: [
+        {
+          heading: "Buses Ranked by Profit per Working Day (amounts in Rs.)",
+          columns: [
+            { label: "Rank", width: 0.05 },
+            { label: "Bus", width: 0.17 },
+            { label: "Days", width: 0.06, align: "right" },
+            { label: "Collection", width: 0.1, align: "right" },
+            { label: "Expenses", width: 0.1, align: "right" },
+            { label: "Net", width: 0.1, align: "right" },
+            { label: "Avg/Day", width: 0.09, align: "right" },
+            { label: "Deposited", width: 0.1, align: "right" },
+            { label: "Balance Due", width: 0.11, align: "right" },
+            { label: "Undeposited", width: 0.12, align: "right" },
+          ],
+          rows: [
+            ...ranked.map((f, index) => row(String(index + 1), f)),
+            ...idle.map((f) => row("-", f)),
+          ],
+          totals: row("", { ...totals, busCode: "Fleet Total", registrationNumber: `${buses.length} buses` }),
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName("fleet", period.name));
+    return;
+  }
+
+  let msg = `${label("title", { period: period.name })}\n`;
+  msg += `📅 ${formatPeriodLabel(period)}\n`;
+  msg += `${label("buses", { count: buses.length })}\n\n`;
+
+  msg += `${label("total")}\n`;
+  msg += `${label("collection", { amount: formatCurrency(totals.collection) })}\n`;
+  msg += `${label("expenses", { amount: formatCurrency(totals.expenses) })}\n`;
+  msg += `${label("net", { amount: formatCurrency(totals.net) })}\n`;
+  msg += `${label("workingDays", { days: totals.workingDays })}\n`;
+  msg += `${label("avgProfit", { amount: formatCurrency(totals.avgProfitPerDay) })}\n`;
+  msg += `${label("deposited", { amount: formatCurrency(totals.deposited) })}\n`;
+  msg += `${label("outstanding", { amount: formatCurrency(totals.outstandingBalance), count: totals.outstandingCount })}\n`;
+  msg += `${label("undeposited", { amount: formatCurrency(totals.undepositedCash) })}\n`;
+
+  if (ranked.length > 0) {
+    msg += `\n${label("ranking")}\n`;
+    ranked.forEach((f, index) => {
+      msg += `${label("rankLine", {
+        rank: index + 1,
+        bus: f.busCode,
+        registration: f.registrationNumber,
+        amount: formatCurrency(f.avgProfitPerDay),
+      })}\n`;
+      msg += `${label("figuresLine", {
+        collection: formatCurrency(f.collection),
+        expenses: formatCurrency(f.expenses),
+        net: formatCurrency(f.net),
+        days: f.workingDays,
+      })}\n`;
+      msg += `${label("cashLine", {
+        deposited: formatCurrency(f.deposited),
+        due: formatCurrency(f.outstandingBalance),
+        undeposited: formatCurrency(f.undepositedCash),
+      })}\n`;
+    });
+  }
+
+  if (idle.length > 0) {
+    msg += `\n${label("idle")}\n`;
+    for (const f of idle) {
+      msg += `• *${f.busCode}* (${f.registrationNumber})`;
+      if (f.outstandingBalance > 0 || f.undepositedCash > 0) {
+        msg += label("idleCash", { due: formatCurrency(f.outstandingBalance), undeposited: formatCurrency(f.undepositedCash) });
+      }
+      msg += `\n`;
+    }
+  }
+
+  msg += `\n${label("pdfHint")}`;
+
+  await sock.sendMessage(sender, { text: msg });
+}
@@ -0,0 +1,150 @@
+/**
+ * Fuel Handler Module
+ *
+ * Fuel efficiency of the selected bus for a period, from the odometer / km
+ * and litres entered in daily reports and bookings (src/utils/fuel.js):
+ * - "Fuel" (this month), "Fuel Nov", "Mileage Last 30 Days"
+ * - "Fuel Nov PDF" sends it as a PDF document
+ *
+ * @module features/reports/handlers/fuel-handler
+ */
+
+import { computeFuelSummary } from "../utils/calculations.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Checks for a fuel command and returns its period words.
+ *
+ * @param {string} text - Lowercase user input text without the "pdf" word
+ * @returns {string|null} Period words ("" for this month), or null if not a fuel command
+ */
+export function parseFuelCommand(text) {
+  const match = text.trim().match(/^(?:fuel|mileage)(?:\s+(.+))?$/);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Number with two decimals, or "-" when unknown
+ */
+function formatRate(value) {
+  return value ? value.toFixed(2) : "-";
+}
+
+/**
+ * Sends the fuel efficiency report of the selected bus.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} periodText - Period words from parseFuelCommand()
+ * @param {Object} state - Sender's menu state (selected bus)
+ * @param {boolean} [pdf] - Send as a PDF document
+ * @returns {Promise<void>}
+ */
+export async function handleFuelReport(sock, sender, periodText, state, pdf = false) {
+  const busCode = state.selectedBus;
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `reports.fuel.${key}`, params);
+  const period = parsePeriod(periodText || "this month");
+  if (!period) {
+    await sock.sendMessage(sender, { text: label("unknownPeriod") });
+    return;
+  }
+
+  const { entries, totals, recordCount } = await computeFuelSummary(busCode, period.start, period.end);
+  const regNumber = state.selectedBusInfo?.registrationNumber;
+
+  if (entries.length === 0) {
+    await sock.sendMessage(sender, { text: label("noData", { period: period.name, bus: regNumber || busCode }) });
+    return;
+  }
+
+  const rated = entries.filter((e) => e.kmPerLitre);
+  const best = rated.length > 1 ? rated.reduce((a, b) => (b.kmPerLitre > a.kmPerLitre ? b : a)) : null;
+  const worst = rated.length > 1 ? rated.reduce((a, b) => (b.kmPerLitre < a.kmPerLitre ? b : a)) : null;
+  // PDFs stay in English; the chat message uses the sender's language
+  const entryLabel = (e, entryLang = "en") =>
+    e.source === "booking" ? t(entryLang, "reports.fuel.bookingEntry", { date: e.date }) : e.date;
+
+  if (pdf) {
+    const report = {
+      title: "Fuel Efficiency Report",
+      bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+      period: formatPeriodLabel(period),
+      summary: [
+        ["Distance (km)", formatPdfAmount(totals.km)],
+        ["Diesel (litres)", formatPdfAmount(totals.litres)],
+        ["Diesel (Rs.)", formatPdfAmount(totals.diesel)],
+        ["Mileage (km/litre)", formatRate(totals.kmPerLitre)],
+        ["Diesel Cost (Rs./km)", formatRate(totals.rupeesPerKm)],
+        ["Records with Distance or Litres", `${entries.length} of ${recordCount}`],
+        ...(best ? [["Best / Worst Mileage", `${entryLabel(best)}: ${formatRate(best.kmPerLitre)} / ${entryLabel(worst)}: ${formatRate(worst.kmPerLitre)}`]] : []),
+      ],
+      tables: [
+        {
+          heading: "Fuel per Record",
+          columns: [
+            { label: "Date", width: 0.3 },
+            { label: "Km", width: 0.12, align: "right" },
+            { label: "Litres", width: 0.12, align: "right" },
+            { label: "Diesel (Rs.)", width: 0.16, align: "right" },
+            { label: "Km/Litre", width: 0.14, align: "right" },
+            { label: "Rs./Km", width: 0.16, align: "right" },
+          ],
+          rows: entries.map((e) => [
+            entryLabel(e),
+            formatPdfAmount(e.km),
+            formatPdfAmount(e.litres),
+            formatPdfAmount(e.diesel),
+            formatRate(e.kmPerLitre),
+            formatRate(e.rupeesPerKm),
+          ]),
+          totals: [
+            "Total",
+            formatPdfAmount(totals.km),
+            formatPdfAmount(totals.litres),
+            formatPdfAmount(totals.diesel),
+            formatRate(totals.kmPerLitre),
+            formatRate(totals.rupeesPerKm),
+          ],
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName(busCode, "fuel", period.name));
+    return;
+  }
+
+  let msg = `${label("title", { period: period.name })}\n`;
+  msg += `${label("bus", { bus: regNumber || busCode })}\n`;
+  msg += `📅 ${formatPeriodLabel(period)}\n\n`;
+
+  msg += `${label("distance", { km: totals.km.toLocaleString("en-IN") })}\n`;
+  msg += `${label("diesel", {
+    litres: totals.litres.toLocaleString("en-IN"),
+    amount: Math.round(totals.diesel).toLocaleString("en-IN"),
+  })}\n`;
+  msg += `${label("mileage", { value: formatRate(totals.kmPerLitre) })}\n`;
+  msg += `${label("perKm", { value: formatRate(totals.rupeesPerKm) })}\n`;
+  msg += `${label("records", { count: entries.length, total: recordCount })}\n`;
+
+  if (best) {
+    msg += `\n${label("best", { entry: entryLabel(best, lang), value: formatRate(best.kmPerLitre) })}\n`;
+    msg += `${label("worst", { entry: entryLabel(worst, lang), value: formatRate(worst.kmPerLitre) })}\n`;
+  }
+
+  msg += `\n${label("perRecord")}\n`;
+  for (const e of entries) {
+    msg += `${label("recordLine", {
+      entry: entryLabel(e, lang),
+      km: e.km || "-",
+      litres: e.litres || "-",
+      mileage: formatRate(e.kmPerLitre),
+      perKm: formatRate(e.rupeesPerKm),
+    })}\n`;
+  }
+
+  msg += `\n${label("pdfHint")}`;
+
+  await sock.sendMessage(sender, { text: msg });
+}
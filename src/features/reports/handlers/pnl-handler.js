@@ -0,0 +1,186 @@
+/**
+ * P&L Handler Module
+ *
+ * Profit and loss statement of the selected bus for a period, compared with
+ * the period before:
+ * - "P&L" (this month), "PNL Nov", "Profit Loss 2025"
+ * - "P&L Nov PDF" sends it as a PDF document
+ *
+ * Revenue is split into cash collection, online and bookings; expenses into
+ * diesel, adda, union, salaries, trip wages and each named extra expense.
+ *
+ * @module features/reports/handlers/pnl-handler
+ */
+
+import { computeProfitAndLoss } from "../utils/calculations.js";
+import { parsePeriod, getPreviousPeriod } from "../../../utils/period.js";
+import { formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { capitalize } from "../../daily/utils/formatters.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+const PNL_PATTERN = /^(?:p&l|p & l|pnl|pl|profit\s*(?:and\s+|&\s*)?loss)(?:\s+(.+))?$/;
+
+/**
+ * Rupee amount for messages
+ */
+function rupees(amount) {
+  return `₹${Math.round(amount).toLocaleString("en-IN")}`;
+}
+
+/**
+ * Change against the previous period, e.g. "▲ 12%", "▼ 5%", "new".
+ * Plain mode ("+12%", "-5%") is for the PDF, whose fonts have no arrows.
+ */
+function formatChange(current, previous, plain = false, lang = "en") {
+  if (previous === 0) return current === 0 ? "-" : t(lang, "reports.pnl.new");
+  const percent = Math.round(((current - previous) / Math.abs(previous)) * 100);
+  if (percent === 0) return plain ? "0%" : "= 0%";
+  if (plain) return percent > 0 ? `+${percent}%` : `${percent}%`;
+  return percent > 0 ? `▲ ${percent}%` : `▼ ${Math.abs(percent)}%`;
+}
+
+/**
+ * Statement lines as [label, current, previous], revenue and expenses separately.
+ * Extra expenses are listed by name, largest first, including names only seen
+ * in the previous period. Labels are in the given language (English for the PDF).
+ */
+function buildLines(current, previous, lang = "en") {
+  const label = (key) => t(lang, `reports.pnl.lines.${key}`);
+  const revenue = [
+    [label("cash"), current.revenue.cash, previous.revenue.cash],
+    [label("online"), current.revenue.online, previous.revenue.online],
+    [label("bookings"), current.revenue.bookings, previous.revenue.bookings],
+  ];
+
+  const expenses = [
+    [label("diesel"), current.expenses.diesel, previous.expenses.diesel],
+    [label("adda"), current.expenses.adda, previous.expenses.adda],
+    [label("union"), current.expenses.union, previous.expenses.union],
+    [label("salaries"), current.expenses.salaries, previous.expenses.salaries],
+    [label("tripWages"), current.expenses.tripWages, previous.expenses.tripWages],
+  ];
+
+  const extraNames = new Set([...Object.keys(current.expenses.extra), ...Object.keys(previous.expenses.extra)]);
+  const extra = [...extraNames]
+    .map((name) => [capitalize(name), current.expenses.extra[name] || 0, previous.expenses.extra[name] || 0])
+    .sort((a, b) => b[1] - a[1] || b[2] - a[2]);
+
+  return { revenue, expenses: [...expenses, ...extra] };
+}
+
+/**
+ * Checks for a P&L command and returns its period words.
+ *
+ * @param {string} text - Lowercase user input text without the "pdf" word
+ * @returns {string|null} Period words ("" for this month), or null if not a P&L command
+ *
+ * @example
+ * parseProfitAndLossCommand("p&l nov 2025"); // "nov 2025"
+ */
+export function parseProfitAndLossCommand(text) {
+  const match = text.trim().match(PNL_PATTERN);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Sends the P&L statement of the selected bus.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} periodText - Period words from parseProfitAndLossCommand()
+ * @param {Object} state - Sender's menu state (selected bus)
+ * @param {boolean} [pdf] - Send as a PDF document
+ * @returns {Promise<void>}
+ */
+export async function handleProfitAndLoss(sock, sender, periodText, state, pdf = false) {
+  const busCode = state.selectedBus;
+  const lang = getUserLanguage(sender);
+  const period = parsePeriod(periodText || "this month");
+  if (!period) {
+    await sock.sendMessage(sender, { text: t(lang, "reports.pnl.unknownPeriod") });
+    return;
+  }
+
+  const previousPeriod = getPreviousPeriod(period);
+  const current = await computeProfitAndLoss(busCode, period.start, period.end);
+  const previous = await computeProfitAndLoss(busCode, previousPeriod.start, previousPeriod.end);
+  const regNumber = state.selectedBusInfo?.registrationNumber;
+  const margin = current.revenue.total > 0 ? Math.round((current.net / current.revenue.total) * 100) : 0;
+
+  if (pdf) {
+    const lines = buildLines(current, previous);
+    const toRow = ([label, now, before]) => [label, formatPdfAmount(now), formatPdfAmount(before), formatChange(now, before, true)];
+    const columns = (heading) => [
+      { label: heading, width: 0.4 },
+      { label: period.name, width: 0.2, align: "right" },
+      { label: previousPeriod.name, width: 0.2, align: "right" },
+      { label: "Change", width: 0.2, align: "right" },
+    ];
+
+    const report = {
+      title: "Profit & Loss Statement",
+      bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+      period: `${formatPeriodLabel(period)} - compared with ${formatPeriodLabel(previousPeriod)}`,
+      summary: [
+        ["Total Revenue (Rs.)", formatPdfAmount(current.revenue.total)],
+        ["Total Expenses (Rs.)", formatPdfAmount(current.expenses.total)],
+        ["Net Profit (Rs.)", formatPdfAmount(current.net)],
+        ["Profit Margin", `${margin}%`],
+        ["Daily Reports / Bookings", `${current.dailyCount} / ${current.bookingCount}`],
+      ],
+      tables: [
+        {
+          heading: "Revenue (Rs.)",
+          columns: columns("Revenue"),
+          rows: lines.revenue.map(toRow),
+          totals: toRow(["Total Revenue", current.revenue.total, previous.revenue.total]),
+        },
+        {
+          heading: "Expenses (Rs.)",
+          columns: columns("Expense"),
+          rows: lines.expenses.map(toRow),
+          totals: toRow(["Total Expenses", current.expenses.total, previous.expenses.total]),
+        },
+        {
+          heading: "Net Profit (Rs.)",
+          columns: columns(""),
+          rows: [toRow(["Net Profit", current.net, previous.net])],
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName(busCode, "pnl", period.name));
+    return;
+  }
+
+  const lines = buildLines(current, previous, lang);
+  const label = (key, params) => t(lang, `reports.pnl.${key}`, params);
+  const change = (now, before) => formatChange(now, before, false, lang);
+  const toLine = ([name, now, before]) => `• ${name}: ${rupees(now)} (${change(now, before)})\n`;
+
+  let msg = `${label("title", { period: period.name })}\n`;
+  msg += `${label("bus", { bus: regNumber || busCode })}\n`;
+  msg += `📅 ${formatPeriodLabel(period)}\n`;
+  msg += `${label("compared", { period: formatPeriodLabel(previousPeriod) })}\n\n`;
+
+  msg += `${label("revenue")}\n`;
+  msg += lines.revenue.map(toLine).join("");
+  msg += `${label("totalRevenue", {
+    amount: rupees(current.revenue.total),
+    change: change(current.revenue.total, previous.revenue.total),
+  })}\n\n`;
+
+  msg += `${label("expenses")}\n`;
+  msg += lines.expenses.filter(([, now, before]) => now !== 0 || before !== 0).map(toLine).join("");
+  msg += `${label("totalExpenses", {
+    amount: rupees(current.expenses.total),
+    change: change(current.expenses.total, previous.expenses.total),
+  })}\n\n`;
+
+  msg += `${label("net", { amount: rupees(current.net), change: change(current.net, previous.net) })}\n`;
+  msg += `${label("margin", { margin })}\n`;
+  msg += `${label("previousNet", { amount: rupees(previous.net) })}\n`;
+  msg += `${label("counts", { daily: current.dailyCount, bookings: current.bookingCount })}\n\n`;
+  msg += label("pdfHint");
+
+  await sock.sendMessage(sender, { text: msg });
+}
@@ -0,0 +1,145 @@
+/**
+ * Route Handler Module
+ *
+ * Collection per route and per trip number of the selected bus, from the
+ * trips entered in daily reports (src/utils/routes.js), so owners can see
+ * which runs pay:
+ * - "Routes" (this month), "Routes Nov", "Trips Last 30 Days"
+ * - "Routes Nov PDF" sends it as a PDF document
+ *
+ * @module features/reports/handlers/route-handler
+ */
+
+import { computeTripSummary } from "../utils/calculations.js";
+import { parsePeriod } from "../../../utils/period.js";
+import { formatPdfAmount, formatPeriodLabel, pdfFileName, sendPdfReport } from "../../../utils/pdf-report.js";
+import { t, getUserLanguage } from "../../../utils/i18n.js";
+
+/**
+ * Checks for a routes command and returns its period words.
+ *
+ * @param {string} text - Lowercase user input text without the "pdf" word
+ * @returns {string|null} Period words ("" for this month), or null if not a routes command
+ */
+export function parseRouteCommand(text) {
+  const match = text.trim().match(/^(?:routes|trips)(?:\s+(.+))?$/);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Rupee amount for the text report
+ */
+function rupees(amount) {
+  return `₹${Math.round(amount).toLocaleString("en-IN")}`;
+}
+
+/**
+ * Route label, e.g. "R1 Ghuraka to Thathri Via Doda City"
+ */
+function routeLabel(route) {
+  return route.routeId ? `${route.routeId} ${route.route}` : route.route;
+}
+
+/**
+ * Sends the collection per route and per trip of the selected bus.
+ *
+ * @param {Object} sock - WhatsApp socket connection instance
+ * @param {string} sender - Sender's phone number/ID
+ * @param {string} periodText - Period words from parseRouteCommand()
+ * @param {Object} state - Sender's menu state (selected bus)
+ * @param {boolean} [pdf] - Send as a PDF document
+ * @returns {Promise<void>}
+ */
+export async function handleRouteReport(sock, sender, periodText, state, pdf = false) {
+  const busCode = state.selectedBus;
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `reports.routes.${key}`, params);
+  const period = parsePeriod(periodText || "this month");
+  if (!period) {
+    await sock.sendMessage(sender, { text: label("unknownPeriod") });
+    return;
+  }
+
+  const { routes, tripNumbers, totals, daysWithTrips, recordCount } = await computeTripSummary(busCode, period.start, period.end);
+  const regNumber = state.selectedBusInfo?.registrationNumber;
+
+  if (totals.trips === 0) {
+    await sock.sendMessage(sender, { text: label("none", { period: period.name, bus: regNumber || busCode }) });
+    return;
+  }
+
+  if (pdf) {
+    const report = {
+      title: "Route & Trip Collection Report",
+      bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+      period: formatPeriodLabel(period),
+      summary: [
+        ["Trips", String(totals.trips)],
+        ["Trip Collection (Rs.)", formatPdfAmount(totals.collection)],
+        ["Average per Trip (Rs.)", formatPdfAmount(totals.average)],
+        ["Daily Reports with Trips", `${daysWithTrips} of ${recordCount}`],
+      ],
+      tables: [
+        {
+          heading: "Collection per Route",
+          columns: [
+            { label: "Route", width: 0.46 },
+            { label: "Trips", width: 0.1, align: "right" },
+            { label: "Collection (Rs.)", width: 0.18, align: "right" },
+            { label: "Avg/Trip (Rs.)", width: 0.16, align: "right" },
+            { label: "Share", width: 0.1, align: "right" },
+          ],
+          rows: routes.map((r) => [
+            routeLabel(r),
+            String(r.trips),
+            formatPdfAmount(r.collection),
+            formatPdfAmount(r.average),
+            `${r.share}%`,
+          ]),
+          totals: ["Total", String(totals.trips), formatPdfAmount(totals.collection), formatPdfAmount(totals.average), "100%"],
+        },
+        {
+          heading: "Collection per Trip Number",
+          columns: [
+            { label: "Trip", width: 0.4 },
+            { label: "Trips", width: 0.15, align: "right" },
+            { label: "Collection (Rs.)", width: 0.25, align: "right" },
+            { label: "Avg/Trip (Rs.)", width: 0.2, align: "right" },
+          ],
+          rows: tripNumbers.map((trip) => [
+            `Trip ${trip.trip}`,
+            String(trip.trips),
+            formatPdfAmount(trip.collection),
+            formatPdfAmount(trip.average),
+          ]),
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName(busCode, "routes", period.name));
+    return;
+  }
+
+  let msg = `${label("title", { period: period.name })}\n`;
+  msg += `${label("bus", { bus: regNumber || busCode })}\n`;
+  msg += `📅 ${formatPeriodLabel(period)}\n\n`;
+
+  msg += `${label("trips", { trips: totals.trips, days: daysWithTrips, records: recordCount })}\n`;
+  msg += `${label("collection", { amount: rupees(totals.collection) })}\n`;
+  msg += `${label("average", { amount: rupees(totals.average) })}\n`;
+
+  msg += `\n${label("perRoute")}\n`;
+  for (const r of routes) {
+    const line = label("routeLine", { trips: r.trips, amount: rupees(r.collection), share: r.share, average: rupees(r.average) });
+    msg += `• *${routeLabel(r)}*\n${line}\n`;
+  }
+
+  msg += `\n${label("perTrip")}\n`;
+  for (const trip of tripNumbers) {
+    const line = label("tripLine", { trip: trip.trip, trips: trip.trips, amount: rupees(trip.collection), average: rupees(trip.average) });
+    msg += `${line}\n`;
+  }
+
+  msg += `\n${label("pdfHint")}`;
+
+  await sock.sendMessage(sender, { text: msg });
+}
@@ -1,31 +1,98 @@
 /**
  * reports.js - Reports Feature Entry Point
+ *
+ * - Average [period]: average profit per working day
+ * - P&L [period]: profit and loss statement (handlers/pnl-handler.js)
+ * - Fleet [period]: all of the user's buses together (handlers/fleet-handler.js)
+ * - Anomalies [period]: days with unusual figures (handlers/anomaly-handler.js)
+ * - Fuel [period]: km/litre and rupees/km (handlers/fuel-handler.js)
+ * - Routes [period]: collection per route and trip number (handlers/route-handler.js)
  */
-import dailyDb, { bookingsDb } from "../../utils/db.js";
-import { format, subDays, startOfWeek, startOfMonth, startOfYear, isWithinInterval, parse, endOfMonth, differenceInDays } from "date-fns";
+import { computeProfitSummary } from "./utils/calculations.js";
+import { requirePermission } from "../../utils/permissions.js";
+import { t, getUserLanguage } from "../../utils/i18n.js";
+import { extractPdfFlag, formatPdfAmount, pdfFileName, sendPdfReport } from "../../utils/pdf-report.js";
+import { parseProfitAndLossCommand, handleProfitAndLoss } from "./handlers/pnl-handler.js";
+import { parseFleetCommand, handleFleetReport } from "./handlers/fleet-handler.js";
+import { parseAnomalyCommand, handleAnomalyReport } from "./handlers/anomaly-handler.js";
+import { parseFuelCommand, handleFuelReport } from "./handlers/fuel-handler.js";
+import { parseRouteCommand, handleRouteReport } from "./handlers/route-handler.js";
+import { format, subDays, startOfWeek, startOfMonth, startOfYear, endOfMonth, differenceInDays } from "date-fns";
 
 export async function handleIncomingMessageFromReports(sock, msg) {
   const sender = msg.key.remoteJid;
   const messageContent = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
   if (!messageContent) return false;
 
-  const text = messageContent.trim().toLowerCase();
+  // "average nov pdf" / "pdf average nov" send the report as a PDF document
+  const { text, pdf } = extractPdfFlag(messageContent.trim().toLowerCase());
   
   if (text === 'help' || text === 'h') {
     return true; 
   }
 
+  // "P&L [period]" - profit and loss statement with category breakdown
+  const pnlPeriod = parseProfitAndLossCommand(text);
+  if (pnlPeriod !== null) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
+    const { getMenuState } = await import("../../utils/menu-state.js");
+    const state = getMenuState(sender);
+    await handleProfitAndLoss(sock, sender, pnlPeriod, state, pdf);
+    return true;
+  }
+
+  // "Fleet [period]" - totals and ranking across all of the user's buses
+  const fleetPeriod = parseFleetCommand(text);
+  if (fleetPeriod !== null) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
+    const { getMenuState } = await import("../../utils/menu-state.js");
+    const state = getMenuState(sender);
+    await handleFleetReport(sock, sender, fleetPeriod, state, pdf);
+    return true;
+  }
+
+  // "Anomalies [period]" - daily reports with unusual diesel, collection or expenses
+  const anomalyPeriod = parseAnomalyCommand(text);
+  if (anomalyPeriod !== null) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
+    const { getMenuState } = await import("../../utils/menu-state.js");
+    const state = getMenuState(sender);
+    await handleAnomalyReport(sock, sender, anomalyPeriod, state);
+    return true;
+  }
+
+  // "Fuel [period]" - fuel efficiency from odometer/km and litres entries
+  const fuelPeriod = parseFuelCommand(text);
+  if (fuelPeriod !== null) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
+    const { getMenuState } = await import("../../utils/menu-state.js");
+    const state = getMenuState(sender);
+    await handleFuelReport(sock, sender, fuelPeriod, state, pdf);
+    return true;
+  }
+
+  // "Routes [period]" - collection per route and per trip number
+  const routePeriod = parseRouteCommand(text);
+  if (routePeriod !== null) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
+    const { getMenuState } = await import("../../utils/menu-state.js");
+    const state = getMenuState(sender);
+    await handleRouteReport(sock, sender, routePeriod, state, pdf);
+    return true;
+  }
+
   if (text.startsWith('average')) {
+    if (!(await requirePermission(sock, sender, "reports.profit", { command: text }))) return true;
     const { getMenuState } = await import("../../utils/menu-state.js");
     const state = getMenuState(sender);
-    await handleAverageReport(sock, sender, text, state);
+    await handleAverageReport(sock, sender, text, state, pdf);
     return true;
   }
 
   return false;
 }
 
-async function handleAverageReport(sock, sender, text, state) {
+async function handleAverageReport(sock, sender, text, state, pdf = false) {
   const busCode = state.selectedBus;
   let startDate = new Date(0);
   let endDate = new Date();
@@ -66,129 +133,105 @@ async function handleAverageReport(sock, sender, text, state) {
     }
   }
 
-  // Force DB read to get latest data from JSON files
-  await dailyDb.read();
-  await bookingsDb.read();
-
-  // Daily Data
-  let dailyCollection = 0;
-  let dailyExpenses = 0;
-  let dailyCount = 0;
-  for (const [key, record] of Object.entries(dailyDb.data || {})) {
-    if (key.startsWith(busCode + "_")) {
-      const dateStr = key.split('_')[1];
-      try {
-        const recordDate = parse(dateStr, 'dd/MM/yyyy', new Date());
-        if (isWithinInterval(recordDate, { start: startDate, end: endDate })) {
-          const cashColl = parseFloat(record.TotalCashCollection?.amount || record.TotalCashCollection) || 0;
-          const onlineColl = parseFloat(record.Online?.amount || record.Online) || 0;
-          dailyCollection += cashColl + onlineColl;
-
-          const diesel = parseFloat(record.Diesel?.amount || record.Diesel) || 0;
-          const adda = parseFloat(record.Adda?.amount || record.Adda) || 0;
-          const union = parseFloat(record.Union?.amount || record.Union) || 0;
-          const extraTotal = (record.ExtraExpenses || []).reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
-          
-          // Employees in Daily: Include 'trip' type expenses in average calculation
-          const employTotal = (record.EmployExpenses || []).reduce((sum, e) => {
-            // trip type is included (operational), salary is NOT
-            if (e.type === 'trip') return sum + (parseFloat(e.amount) || 0);
-            return sum;
-          }, 0);
-          
-          dailyExpenses += diesel + adda + union + extraTotal + employTotal;
-          dailyCount++;
-        }
-      } catch (e) {
-        console.error("Error processing daily record:", e);
-      }
-    }
-  }
-  const dailyNet = dailyCollection - dailyExpenses;
-
-  // Booking Data
-  let bookingCollection = 0;
-  let bookingExpenses = 0;
-  let bookingCount = 0;
-  let bookingWorkingDays = 0;
-  for (const [key, record] of Object.entries(bookingsDb.data || {})) {
-    if (key.startsWith(busCode + "_")) {
-      const dateStr = key.split('_')[1];
-      try {
-        const recordDate = parse(dateStr, 'dd/MM/yyyy', new Date());
-        if (isWithinInterval(recordDate, { start: startDate, end: endDate })) {
-          bookingCollection += parseFloat(record.TotalFare?.Amount || record.TotalFare) || 0;
-          
-          const bDiesel = parseFloat(record.Diesel?.amount || record.Diesel) || 0;
-          const bAdda = parseFloat(record.Adda?.amount || record.Adda) || 0;
-          const bUnion = parseFloat(record.Union?.amount || record.Union) || 0;
-          const bExtraTotal = (record.ExtraExpenses || []).reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
-          
-          // Employees in Bookings: Only include 'trip' type expenses in profit average calculation
-          const bEmployTotal = (record.EmployExpenses || []).reduce((sum, e) => {
-            if (e.type === 'trip') return sum + (parseFloat(e.amount) || 0);
-            return sum;
-          }, 0);
-          
-          bookingExpenses += bDiesel + bAdda + bUnion + bExtraTotal + bEmployTotal;
-          bookingCount++;
-          // Add actual number of days from booking record
-          bookingWorkingDays += parseInt(record.Date?.NoOfDays || 1);
-        }
-      } catch (e) {
-        console.error("Error processing booking record:", e);
-      }
-    }
-  }
-  const bookingNet = bookingCollection - bookingExpenses;
-  const bookingAvg = bookingWorkingDays > 0 ? Math.round(bookingNet / bookingWorkingDays) : 0;
+  const { daily, booking, total } = await computeProfitSummary(busCode, startDate, endDate);
+  const { collection: dailyCollection, expenses: dailyExpenses, net: dailyNet, count: dailyCount } = daily;
+  const { collection: bookingCollection, expenses: bookingExpenses, net: bookingNet, count: bookingCount } = booking;
+  const bookingAvg = booking.workingDays > 0 ? Math.round(bookingNet / booking.workingDays) : 0;
 
   // Overall
-  const totalCollection = dailyCollection + bookingCollection;
-  const totalExpenses = dailyExpenses + bookingExpenses;
-  const totalNet = totalCollection - totalExpenses;
-  
-  // Calculate actual working days for overall average
-  const totalWorkingDays = dailyCount + bookingWorkingDays;
-  const avgProfitPerDay = totalWorkingDays > 0 ? Math.round(totalNet / totalWorkingDays) : 0;
+  const totalCollection = total.collection;
+  const totalExpenses = total.expenses;
+  const totalNet = total.net;
+  const totalWorkingDays = total.workingDays;
+  const avgProfitPerDay = total.avgProfitPerDay;
 
   const startFmt = format(startDate, 'dd/MM/yyyy');
   const endFmt = format(endDate, 'dd/MM/yyyy');
 
-  const reportHeader = `📊 *Average Profit Report - ${periodName}*\n🚌 Bus: *${state.selectedBusInfo?.registrationNumber || busCode}*\n\n`;
+  if (pdf) {
+    const dailyAvg = dailyCount > 0 ? Math.round(dailyNet / dailyCount) : 0;
+    const regNumber = state.selectedBusInfo?.registrationNumber;
+    const report = {
+      title: "Average Profit Report",
+      bus: regNumber ? `${busCode} (${regNumber})` : busCode,
+      period: periodName === "All Time" ? `All Time (to ${endFmt})` : `${periodName} (${startFmt} to ${endFmt})`,
+      summary: [
+        ["Total Collection (Rs.)", formatPdfAmount(totalCollection)],
+        ["Total Expenses (Rs.)", formatPdfAmount(totalExpenses)],
+        ["Net Profit (Rs.)", formatPdfAmount(totalNet)],
+        ["Total Working Days", String(totalWorkingDays)],
+        ["Overall Average Profit/Day (Rs.)", formatPdfAmount(avgProfitPerDay)],
+      ],
+      tables: [
+        {
+          heading: "Daily and Bookings (amounts in Rs.)",
+          columns: [
+            { label: "", width: 0.16 },
+            { label: "Entries", width: 0.12, align: "right" },
+            { label: "Days", width: 0.1, align: "right" },
+            { label: "Collection", width: 0.16, align: "right" },
+            { label: "Expenses", width: 0.16, align: "right" },
+            { label: "Net Profit", width: 0.16, align: "right" },
+            { label: "Avg/Day", width: 0.14, align: "right" },
+          ],
+          rows: [
+            ["Daily", String(dailyCount), String(dailyCount), formatPdfAmount(dailyCollection), formatPdfAmount(dailyExpenses), formatPdfAmount(dailyNet), formatPdfAmount(dailyAvg)],
+            ["Bookings", String(bookingCount), String(booking.workingDays), formatPdfAmount(bookingCollection), formatPdfAmount(bookingExpenses), formatPdfAmount(bookingNet), formatPdfAmount(bookingAvg)],
+          ],
+          totals: ["Overall", String(dailyCount + bookingCount), String(totalWorkingDays), formatPdfAmount(totalCollection), formatPdfAmount(totalExpenses), formatPdfAmount(totalNet), formatPdfAmount(avgProfitPerDay)],
+        },
+      ],
+    };
+    await sendPdfReport(sock, sender, report, pdfFileName(busCode, "average", periodName));
+    return;
+  }
+
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `reports.average.${key}`, params);
+  const amount = (value) => value.toLocaleString();
 
-  let dailySection = `📊 *Daily:* ₹${dailyCollection.toLocaleString()} (${dailyCount} entries)\n`;
+  const reportHeader =
+    `${label("title", { period: periodName })}\n` +
+    `${label("bus", { bus: state.selectedBusInfo?.registrationNumber || busCode })}\n\n`;
+
+  let dailySection = `${label("daily", { amount: amount(dailyCollection), count: dailyCount })}\n`;
   if (dailyCount > 0) {
     const dailyAvg = Math.round(dailyNet / dailyCount);
-    dailySection += `💰 *Breakdown:*
-📅 Period: ${startFmt} to ${endFmt}
-📥 Total Collection: ₹${dailyCollection.toLocaleString()}
-📤 Total Expenses: ₹${dailyExpenses.toLocaleString()}
-💵 Net Profit: ₹${dailyNet.toLocaleString()}
-📈 Avg/Day (Daily): ₹${dailyAvg.toLocaleString()}\n\n`;
+    dailySection += [
+      label("breakdown"),
+      label("period", { from: startFmt, to: endFmt }),
+      label("collection", { amount: amount(dailyCollection) }),
+      label("expenses", { amount: amount(dailyExpenses) }),
+      label("net", { amount: amount(dailyNet) }),
+      label("avgDaily", { amount: amount(dailyAvg) }),
+    ].join("\n") + `\n\n`;
   } else {
     dailySection += `\n`;
   }
 
-  let bookingSection = `🚌 *Bookings:* ₹${bookingCollection.toLocaleString()} (${bookingCount} entries)\n`;
+  let bookingSection = `${label("bookings", { amount: amount(bookingCollection), count: bookingCount })}\n`;
   if (bookingCount > 0) {
-    bookingSection += `💰 *Breakdown:*
-📅 Period: ${startFmt} to ${endFmt}
-📥 Total Collection: ₹${bookingCollection.toLocaleString()}
-📤 Total Expenses: ₹${bookingExpenses.toLocaleString()}
-💵 Net Profit: ₹${bookingNet.toLocaleString()}
-📈 Avg/Day (Booking): ₹${bookingAvg.toLocaleString()}\n\n`;
+    bookingSection += [
+      label("breakdown"),
+      label("period", { from: startFmt, to: endFmt }),
+      label("collection", { amount: amount(bookingCollection) }),
+      label("expenses", { amount: amount(bookingExpenses) }),
+      label("net", { amount: amount(bookingNet) }),
+      label("avgBooking", { amount: amount(bookingAvg) }),
+    ].join("\n") + `\n\n`;
   } else {
     bookingSection += `\n`;
   }
 
-  const overallSection = `✨ *Overall:*
-📥 Total Collection: ₹${totalCollection.toLocaleString()}
-📤 Total Expenses: ₹${totalExpenses.toLocaleString()}
-💵 Net Profit: ₹${totalNet.toLocaleString()}
-📅 Total Working Days: ${totalWorkingDays}
-
-✨ *Overall Average Profit/Day:* ₹${avgProfitPerDay.toLocaleString()}`;
+  const overallSection = [
+    label("overall"),
+    label("collection", { amount: amount(totalCollection) }),
+    label("expenses", { amount: amount(totalExpenses) }),
+    label("net", { amount: amount(totalNet) }),
+    label("workingDays", { days: totalWorkingDays }),
+    "",
+    label("overallAvg", { amount: amount(avgProfitPerDay) }),
+  ].join("\n");
 
   const reportText = reportHeader + dailySection + bookingSection + overallSection;
 
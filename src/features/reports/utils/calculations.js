@@ -0,0 +1,309 @@
+/**
+ * Reports Calculations Module
+ *
+ * Profit figures shared by the Average report and the end-of-day digest,
+ * so both always show the same numbers, the category breakdown used by
+ * the Profit & Loss statement, the fuel efficiency figures and the
+ * collection per route and trip.
+ *
+ * @module features/reports/utils/calculations
+ */
+
+import { queryRecords } from "../../../utils/storage.js";
+import { computeFuelEfficiency } from "../../../utils/fuel.js";
+import { getRecordIndex } from "../../../utils/record-index.js";
+
+/**
+ * Reads an amount that may be stored as a number or as { amount } / { Amount }.
+ */
+function readAmount(value) {
+  return parseFloat(value?.amount ?? value?.Amount ?? value) || 0;
+}
+
+/**
+ * Collection and expenses of one daily record.
+ * Employee expenses count only when type is 'trip' (operational); salary is not an expense here.
+ *
+ * @param {Object} record - Daily record
+ * @returns {{collection: number, expenses: number}}
+ */
+export function getDailyRecordTotals(record) {
+  const collection = readAmount(record.TotalCashCollection) + readAmount(record.Online);
+
+  const extraTotal = (record.ExtraExpenses || []).reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+  const employTotal = (record.EmployExpenses || []).reduce((sum, e) => {
+    if (e.type === 'trip') return sum + (parseFloat(e.amount) || 0);
+    return sum;
+  }, 0);
+
+  const expenses = readAmount(record.Diesel) + readAmount(record.Adda) + readAmount(record.Union) + extraTotal + employTotal;
+  return { collection, expenses };
+}
+
+/**
+ * Collection, expenses and working days of one booking record.
+ * Only 'trip' type employee expenses count towards profit.
+ *
+ * @param {Object} record - Booking record
+ * @returns {{collection: number, expenses: number, days: number}}
+ */
+export function getBookingRecordTotals(record) {
+  const collection = readAmount(record.TotalFare);
+
+  const extraTotal = (record.ExtraExpenses || []).reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+  const employTotal = (record.EmployExpenses || []).reduce((sum, e) => {
+    if (e.type === 'trip') return sum + (parseFloat(e.amount) || 0);
+    return sum;
+  }, 0);
+
+  const expenses = readAmount(record.Diesel) + readAmount(record.Adda) + readAmount(record.Union) + extraTotal + employTotal;
+  return { collection, expenses, days: parseInt(record.Date?.NoOfDays || 1) };
+}
+
+/**
+ * Profit summary of a bus for a period (daily reports + bookings).
+ * Bookings count in the period their start date falls in.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Promise<Object>} {
+ *   daily:   { collection, expenses, net, count, records },
+ *   booking: { collection, expenses, net, count, workingDays, records },
+ *   total:   { collection, expenses, net, workingDays, avgProfitPerDay }
+ * }
+ */
+export async function computeProfitSummary(busCode, startDate, endDate) {
+  const dailyRecords = await queryRecords("daily", { busCode, from: startDate, to: endDate });
+  const bookingRecords = await queryRecords("bookings", { busCode, from: startDate, to: endDate });
+
+  const daily = { collection: 0, expenses: 0, net: 0, count: 0, records: dailyRecords };
+  for (const [, record] of dailyRecords) {
+    try {
+      const totals = getDailyRecordTotals(record);
+      daily.collection += totals.collection;
+      daily.expenses += totals.expenses;
+      daily.count++;
+    } catch (e) {
+      console.error("Error processing daily record:", e);
+    }
+  }
+  daily.net = daily.collection - daily.expenses;
+
+  const booking = { collection: 0, expenses: 0, net: 0, count: 0, workingDays: 0, records: bookingRecords };
+  for (const [, record] of bookingRecords) {
+    try {
+      const totals = getBookingRecordTotals(record);
+      booking.collection += totals.collection;
+      booking.expenses += totals.expenses;
+      booking.count++;
+      // Add actual number of days from booking record
+      booking.workingDays += totals.days;
+    } catch (e) {
+      console.error("Error processing booking record:", e);
+    }
+  }
+  booking.net = booking.collection - booking.expenses;
+
+  // Calculate actual working days for overall average
+  const collection = daily.collection + booking.collection;
+  const expenses = daily.expenses + booking.expenses;
+  const workingDays = daily.count + booking.workingDays;
+  const total = {
+    collection,
+    expenses,
+    net: collection - expenses,
+    workingDays,
+    avgProfitPerDay: workingDays > 0 ? Math.round((collection - expenses) / workingDays) : 0,
+  };
+
+  return { daily, booking, total };
+}
+
+/**
+ * Adds one record's expenses to a P&L expense breakdown.
+ * Unlike the profit summary, daily salaries count here as well as trip wages.
+ */
+function addRecordExpenses(expenses, record) {
+  expenses.diesel += readAmount(record.Diesel);
+  expenses.adda += readAmount(record.Adda);
+  expenses.union += readAmount(record.Union);
+
+  for (const e of record.EmployExpenses || []) {
+    const amount = parseFloat(e.amount) || 0;
+    if (e.type === 'trip') expenses.tripWages += amount;
+    else expenses.salaries += amount;
+  }
+
+  for (const e of record.ExtraExpenses || []) {
+    // Group "Tea", "tea " and "TEA" under one name
+    const name = String(e.name || 'Other').trim().toLowerCase() || 'other';
+    expenses.extra[name] = (expenses.extra[name] || 0) + (parseFloat(e.amount) || 0);
+  }
+}
+
+/**
+ * Profit and loss statement of a bus for a period.
+ * Revenue is split into cash collection, online and bookings; expenses into
+ * diesel, adda, union, salaries, trip wages and each named extra expense.
+ * Bookings count in the period their start date falls in.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Promise<Object>} {
+ *   revenue:  { cash, online, bookings, total },
+ *   expenses: { diesel, adda, union, salaries, tripWages, extra: { name: amount }, total },
+ *   net, dailyCount, bookingCount
+ * }
+ */
+export async function computeProfitAndLoss(busCode, startDate, endDate) {
+  const dailyRecords = await queryRecords("daily", { busCode, from: startDate, to: endDate });
+  const bookingRecords = await queryRecords("bookings", { busCode, from: startDate, to: endDate });
+
+  const revenue = { cash: 0, online: 0, bookings: 0, total: 0 };
+  const expenses = { diesel: 0, adda: 0, union: 0, salaries: 0, tripWages: 0, extra: {}, total: 0 };
+
+  for (const [, record] of dailyRecords) {
+    revenue.cash += readAmount(record.TotalCashCollection);
+    revenue.online += readAmount(record.Online);
+    addRecordExpenses(expenses, record);
+  }
+
+  for (const [, record] of bookingRecords) {
+    revenue.bookings += readAmount(record.TotalFare);
+    addRecordExpenses(expenses, record);
+  }
+
+  revenue.total = revenue.cash + revenue.online + revenue.bookings;
+  const extraTotal = Object.values(expenses.extra).reduce((sum, amount) => sum + amount, 0);
+  expenses.total = expenses.diesel + expenses.adda + expenses.union + expenses.salaries + expenses.tripWages + extraTotal;
+
+  return {
+    revenue,
+    expenses,
+    net: revenue.total - expenses.total,
+    dailyCount: dailyRecords.length,
+    bookingCount: bookingRecords.length,
+  };
+}
+
+/**
+ * Fuel efficiency of a bus for a period (daily reports + bookings).
+ * Overall km/litre only uses records with both distance and litres, and
+ * rupees/km only records with distance and a diesel amount, so a missing
+ * entry does not distort the average.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Promise<Object>} {
+ *   entries: [{ key, sortDate, date, source, km, litres, diesel, kmPerLitre, rupeesPerKm }], oldest first
+ *   totals:  { km, litres, diesel, kmPerLitre, rupeesPerKm },
+ *   recordCount
+ * }
+ */
+export async function computeFuelSummary(busCode, startDate, endDate) {
+  const dailyRecords = await queryRecords("daily", { busCode, from: startDate, to: endDate });
+  const bookingRecords = await queryRecords("bookings", { busCode, from: startDate, to: endDate });
+
+  const entries = [];
+  const addEntries = (records, source) => {
+    for (const [key, record] of records) {
+      const efficiency = computeFuelEfficiency(record);
+      if (!efficiency) continue;
+      const { date } = getRecordIndex(source === "daily" ? "daily" : "bookings", key, record);
+      entries.push({
+        key,
+        sortDate: date,
+        date: key.split("_").slice(1).join(" ").replace("TO", "to"),
+        source,
+        diesel: readAmount(record.Diesel),
+        ...efficiency,
+      });
+    }
+  };
+  addEntries(dailyRecords, "daily");
+  addEntries(bookingRecords, "booking");
+  entries.sort((a, b) => (a.sortDate < b.sortDate ? -1 : a.sortDate > b.sortDate ? 1 : 0));
+
+  const totals = { km: 0, litres: 0, diesel: 0, kmPerLitre: null, rupeesPerKm: null };
+  let mileageKm = 0, mileageLitres = 0, costKm = 0, costDiesel = 0;
+  for (const entry of entries) {
+    totals.km += entry.km;
+    totals.litres += entry.litres;
+    totals.diesel += entry.diesel;
+    if (entry.kmPerLitre) {
+      mileageKm += entry.km;
+      mileageLitres += entry.litres;
+    }
+    if (entry.rupeesPerKm) {
+      costKm += entry.km;
+      costDiesel += entry.diesel;
+    }
+  }
+  if (mileageLitres > 0) totals.kmPerLitre = Math.round((mileageKm / mileageLitres) * 100) / 100;
+  if (costKm > 0) totals.rupeesPerKm = Math.round((costDiesel / costKm) * 100) / 100;
+
+  return { entries, totals, recordCount: dailyRecords.length + bookingRecords.length };
+}
+
+/**
+ * Trip collection of a bus for a period, per route and per trip number,
+ * from the Trips entered on daily reports (src/utils/routes.js).
+ * Routes are grouped by route ID, named as in the latest report.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Promise<Object>} {
+ *   routes:      [{ routeId, route, trips, collection, average, share }], highest collection first
+ *   tripNumbers: [{ trip, trips, collection, average }], by trip number
+ *   totals:      { trips, collection, average },
+ *   daysWithTrips, recordCount
+ * }
+ */
+export async function computeTripSummary(busCode, startDate, endDate) {
+  const dailyRecords = await queryRecords("daily", { busCode, from: startDate, to: endDate });
+
+  const routes = new Map();
+  const tripNumbers = new Map();
+  const totals = { trips: 0, collection: 0, average: 0 };
+  let daysWithTrips = 0;
+
+  const addTo = (map, key, fields) => {
+    const group = map.get(key) || { ...fields, trips: 0, collection: 0 };
+    Object.assign(group, fields);
+    map.set(key, group);
+    return group;
+  };
+
+  for (const [, record] of dailyRecords) {
+    if (!record.Trips?.length) continue;
+    daysWithTrips++;
+
+    for (const trip of record.Trips) {
+      const amount = Number(trip.amount) || 0;
+      const byRoute = addTo(routes, trip.routeId || trip.route, { routeId: trip.routeId || "", route: trip.route });
+      const byNumber = addTo(tripNumbers, trip.trip, { trip: trip.trip });
+      for (const group of [byRoute, byNumber, totals]) {
+        group.trips++;
+        group.collection += amount;
+      }
+    }
+  }
+
+  const withAverage = (group) => ({ ...group, average: group.trips ? Math.round(group.collection / group.trips) : 0 });
+  return {
+    routes: [...routes.values()]
+      .map((group) => ({
+        ...withAverage(group),
+        share: totals.collection ? Math.round((group.collection / totals.collection) * 100) : 0,
+      }))
+      .sort((a, b) => b.collection - a.collection),
+    tripNumbers: [...tripNumbers.values()].map(withAverage).sort((a, b) => a.trip - b.trip),
+    totals: withAverage(totals),
+    daysWithTrips,
+    recordCount: dailyRecords.length,
+  };
+}
@@ -47,8 +47,20 @@ import { handleIncomingMessageFromDaily } from "../features/daily/daily.js";
 import { handleIncomingMessageFromBooking } from "../features/bookings/booking.js"; // Booking handling
 import { handleIncomingMessageFromCash } from "../features/cash/cash.js";          // Cash management handling
 import { handleIncomingMessageFromReports } from "../features/reports/reports.js";    // Reports feature
+import { handleIncomingMessageFromAdmin } from "../features/admin/admin.js";          // Admin tools
 import { handleMenuNavigation } from "../utils/menu-handler.js";                    // Menu navigation
 import { getMenuState } from "../utils/menu-state.js";                              // User's current menu state
+import { startSessionStore, touchSession, scheduleSessionSave } from "../utils/session-store.js"; // Persist sessions across restarts
+import { logRecordChange } from "../utils/audit-log.js";                            // Audit trail of record changes
+import { transaction, readStoreJson } from "../utils/storage.js";                   // Shared queued storage for record files
+import { createBackup, listBackups, restoreBackup, startBackupScheduler } from "../utils/backups.js"; // Snapshots and restore
+import { startReminderScheduler } from "../utils/reminders.js";                       // Missing daily report reminders
+import { startDigestScheduler } from "../utils/daily-digest.js";                      // End-of-day digest for owners
+import { getImageMessage } from "../utils/receipts.js";                              // Photo receipts
+import { getAudioMessage, handleVoiceNote } from "../utils/voice-entry.js";         // Voice note entry
+import { localizeInput, tr } from "../utils/i18n.js";                            // Hindi/Urdu replies and keywords
+import { getInteractiveReply, rememberSenderDevice } from "../utils/interactive-menu.js"; // Menu buttons and lists
+import { resolveExportType, parseExportPeriod, buildExport, exportBaseName, sheetToCsv, sheetsToXlsx, EXPORT_FORMATS } from "../utils/data-export.js"; // Excel/CSV export
 
 // ========================================
 // CONFIGURATION - Load settings
@@ -388,16 +400,27 @@ async function connectToWhatsApp() {
     // ----------------------------------------
     
     sock.ev.on("messages.upsert", async (m) => {
+      // Sender whose session this message touched - saved once handling is done
+      let touchedSender = null;
       try {
-        const msg = m.messages[0];
+        let msg = m.messages[0];
         if (!msg || !msg.key) return; // Invalid message
         
+        // Tapped menu button or list row - handle it as if the choice was typed
+        const interactiveReply = getInteractiveReply(msg);
+        if (interactiveReply) {
+          msg = { ...msg, message: { conversation: interactiveReply } };
+        }
+
         // Extract message text
-        // (normal message or extended text message)
-        const messageContent = msg.message?.conversation || 
-                               msg.message?.extendedTextMessage?.text;
+        // (normal message, extended text message or photo caption)
+        const imageMessage = getImageMessage(msg);
+        const audioMessage = getAudioMessage(msg);
+        let messageContent = msg.message?.conversation || 
+                             msg.message?.extendedTextMessage?.text ||
+                             imageMessage?.caption || "";
         
-        if (!messageContent) return;  // No text = ignore
+        if (!messageContent && !imageMessage && !audioMessage) return;  // No text, photo or voice = ignore
         if (msg.key.fromMe) return;   // Own message = ignore
         
         // Sender's WhatsApp ID
@@ -406,6 +429,38 @@ async function connectToWhatsApp() {
         // Ignore group messages (only handle personal chats)
         if (sender && sender.endsWith("@g.us")) return;
 
+        // Keep the user's session alive (and saved to storage/sessions.json)
+        touchSession(sender);
+        touchedSender = sender;
+
+        // Phone or Web/Desktop client - decides if menus get buttons and lists
+        rememberSenderDevice(sender, msg);
+
+        // Voice note - transcribe it, then handle the transcript as if it was typed
+        // (only for signed-in users, transcription runs on this server)
+        if (audioMessage) {
+          if (!getMenuState(sender).isAuthenticated) {
+            await sock.sendMessage(sender, {
+              text: tr(sender, "common.getStarted")
+            });
+            return;
+          }
+          const transcript = await handleVoiceNote(sock, msg);
+          if (!transcript) return;
+          messageContent = transcript;
+          msg = { ...msg, message: { conversation: transcript } };
+        }
+
+        // Hindi/Urdu command words ("डीजल ५०००") - rewrite to the English commands
+        // the handlers understand, so every feature sees "diesel 5000"
+        const localized = localizeInput(messageContent);
+        if (localized !== messageContent) {
+          messageContent = localized;
+          msg = imageMessage
+            ? { ...msg, message: { ...msg.message, imageMessage: { ...imageMessage, caption: localized } } }
+            : { ...msg, message: { conversation: localized } };
+        }
+
         // Clean message text
         const text = String(messageContent).trim();
         const lowerText = text.toLowerCase();
@@ -414,8 +469,8 @@ async function connectToWhatsApp() {
         // MENU NAVIGATION - Check first
         // ----------------------------------------
         
-        // Handle Entry, cancel, etc. commands
-        const menuHandled = await handleMenuNavigation(sock, sender, text);
+        // Handle Entry, cancel, etc. commands (photos are never menu commands)
+        const menuHandled = !imageMessage && await handleMenuNavigation(sock, sender, text);
         if (menuHandled) return; // Menu handled it
 
         // Get user's current menu state
@@ -433,7 +488,7 @@ async function connectToWhatsApp() {
         // If user not authenticated or bus not selected
         if (!menuState.isAuthenticated || !menuState.selectedBus) {
           await sock.sendMessage(sender, {
-            text: "Please type *Entry* first to get started."
+            text: tr(sender, "common.getStarted")
           });
           return;
         }
@@ -442,14 +497,20 @@ async function connectToWhatsApp() {
         // MODE-BASED MESSAGE ROUTING
         // ----------------------------------------
         
-        // Daily mode - Send to daily report handler
+        // Daily mode - Send to daily report handler (including photo receipts)
         if (menuState.mode === 'daily') {
           await handleIncomingMessageFromDaily(sock, msg, true);
         } 
-        // Booking mode - Send to booking handler
+        // Booking mode - Send to booking handler (including diesel slip photos)
         else if (menuState.mode === 'booking') {
           await handleIncomingMessageFromBooking(sock, msg, true);
         }
+        // Photo in any other mode - receipts and slips belong to daily reports or bookings
+        else if (imageMessage) {
+          await sock.sendMessage(sender, {
+            text: tr(sender, "common.photoWrongMode")
+          });
+        }
         // Cash mode - Send to cash management handler
         else if (menuState.mode === 'cash') {
           const handled = await handleIncomingMessageFromCash(sock, msg);
@@ -464,16 +525,23 @@ async function connectToWhatsApp() {
         else if (menuState.mode === 'report') {
           await handleIncomingMessageFromReports(sock, msg);
         }
+        // Admin mode - Send to admin tools (users, buses, employees)
+        else if (menuState.mode === 'admin') {
+          await handleIncomingMessageFromAdmin(sock, msg);
+        }
         // No mode selected - Error message
         else {
           if (sender && !sender.endsWith("@g.us")) {
             await sock.sendMessage(sender, {
-              text: "Invalid command.\n\nSend *Entry* to open the menu to get started!\n\nThe menu will guide you through all available options."
+              text: tr(sender, "common.invalidCommand")
             });
           }
         }
       } catch (err) {
         console.error("Error handling message:", err);
+      } finally {
+        // Save after the handler finished, so slow handlers are not saved half-way
+        if (touchedSender) scheduleSessionSave();
       }
     });
   } catch (err) {
@@ -735,10 +803,10 @@ app.get("/logout", verifyApiKey, async (req, res) => {
  *   "02122025UP35AT1234": { ... }
  * }
  */
-app.get("/daily_data.json", verifyApiKey, (req, res) => {
+app.get("/daily_data.json", verifyApiKey, async (req, res) => {
   try {
-    // Read file
-    const data = fs.readFileSync("./storage/daily_data.json", "utf8");
+    // Read from the shared store (includes writes still being saved)
+    const data = await readStoreJson("daily");
     
     // Set JSON content type
     res.setHeader("Content-Type", "application/json");
@@ -775,17 +843,11 @@ app.get("/daily_data.json", verifyApiKey, (req, res) => {
  * - 7-digit keys converted to 8-digit (01122025)
  * - Empty keys are filtered out ("": "" bug fix)
  */
-app.post("/update-daily-data", verifyApiKey, (req, res) => {
+app.post("/update-daily-data", verifyApiKey, async (req, res) => {
   try {
     // Get incoming data
     const incoming = req.body;
 
-    // Load existing data (if file exists)
-    let existing = {};
-    try {
-      existing = JSON.parse(fs.readFileSync("./storage/daily_data.json", "utf8"));
-    } catch {}
-
     let updatedCount = 0;
     
     /**
@@ -801,34 +863,44 @@ app.post("/update-daily-data", verifyApiKey, (req, res) => {
       return key;
     }
 
-    // Process each incoming record
-    for (const [rawKey, record] of Object.entries(incoming)) {
-      // Skip empty keys (this fixes the "":"" bug)
-      // If key is empty or only whitespace, skip it
-      if (!rawKey || rawKey.trim() === '') continue;
+    // Changed records, audited only once the merge below is saved
+    const changes = [];
+
+    // Merge into the shared store as one queued transaction, so a bot
+    // write in progress is never overwritten
+    await transaction("daily", (existing) => {
+      // Process each incoming record
+      for (const [rawKey, record] of Object.entries(incoming)) {
+        // Skip empty keys (this fixes the "":"" bug)
+        // If key is empty or only whitespace, skip it
+        if (!rawKey || rawKey.trim() === '') continue;
       
-      // Normalize key (7-digit to 8-digit)
-      const key = normalizeKey(rawKey);
-
-      // Filter empty keys from record as well
-      // Get [key, value] pairs using Object.entries
-      // Filter to keep only non-empty keys
-      // Convert back to object using Object.fromEntries
-      const cleanRecord = Object.fromEntries(
-        Object.entries(record).filter(([k]) => k && k.trim() !== '')
-      );
-
-      // Compare: Is this a new record or newer than existing?
-      // submittedAt timestamp determines which is newer
-      if (!existing[key] || existing[key].submittedAt < cleanRecord.submittedAt) {
-        existing[key] = cleanRecord;  // Update/add record
-        updatedCount++;
+        // Normalize key (7-digit to 8-digit)
+        const key = normalizeKey(rawKey);
+
+        // Filter empty keys from record as well
+        // Get [key, value] pairs using Object.entries
+        // Filter to keep only non-empty keys
+        // Convert back to object using Object.fromEntries
+        const cleanRecord = Object.fromEntries(
+          Object.entries(record).filter(([k]) => k && k.trim() !== '')
+        );
+
+        // Compare: Is this a new record or newer than existing?
+        // submittedAt timestamp determines which is newer
+        if (!existing[key] || existing[key].submittedAt < cleanRecord.submittedAt) {
+          changes.push({ key, before: existing[key] || null, after: cleanRecord });
+          existing[key] = cleanRecord;  // Update/add record
+          updatedCount++;
+        }
       }
+    });
+
+    // Record the saved changes in the audit trail
+    for (const change of changes) {
+      logRecordChange({ store: "daily", ...change, source: "sync" });
     }
 
-    // Save to file (with pretty print)
-    fs.writeFileSync("./storage/daily_data.json", JSON.stringify(existing, null, 2));
-    
     res.json({ success: true, updated: updatedCount });
   } catch (err) {
     res.status(500).json({ error: "Server error" });
@@ -848,9 +920,9 @@ app.post("/update-daily-data", verifyApiKey, (req, res) => {
  * - Returns all booking records
  * - Google Sheet sync fetches data from here
  */
-app.get("/bookings_data.json", verifyApiKey, (req, res) => {
+app.get("/bookings_data.json", verifyApiKey, async (req, res) => {
   try {
-    const data = fs.readFileSync("./storage/bookings_data.json", "utf8");
+    const data = await readStoreJson("bookings");
     res.setHeader("Content-Type", "application/json");
     res.send(data);
   } catch {
@@ -871,32 +943,34 @@ app.get("/bookings_data.json", verifyApiKey, (req, res) => {
  * - Saves booking data received from Google Sheet
  * - Merges with existing data (compares submittedAt)
  */
-app.post("/update-bookings-data", verifyApiKey, (req, res) => {
+app.post("/update-bookings-data", verifyApiKey, async (req, res) => {
   try {
     const incoming = req.body;
-    
-    let existing = {};
-    try {
-      existing = JSON.parse(fs.readFileSync("./storage/bookings_data.json", "utf8"));
-    } catch {}
 
     let updatedCount = 0;
 
-    for (const [key, record] of Object.entries(incoming)) {
-      if (!key || key.trim() === '') continue;
-      
-      const cleanRecord = Object.fromEntries(
-        Object.entries(record).filter(([k]) => k && k.trim() !== '')
-      );
+    const changes = [];
 
-      if (!existing[key] || existing[key].submittedAt < cleanRecord.submittedAt) {
-        existing[key] = cleanRecord;
-        updatedCount++;
+    await transaction("bookings", (existing) => {
+      for (const [key, record] of Object.entries(incoming)) {
+        if (!key || key.trim() === '') continue;
+      
+        const cleanRecord = Object.fromEntries(
+          Object.entries(record).filter(([k]) => k && k.trim() !== '')
+        );
+
+        if (!existing[key] || existing[key].submittedAt < cleanRecord.submittedAt) {
+          changes.push({ key, before: existing[key] || null, after: cleanRecord });
+          existing[key] = cleanRecord;
+          updatedCount++;
+        }
       }
+    });
+
+    for (const change of changes) {
+      logRecordChange({ store: "bookings", ...change, source: "sync" });
     }
 
-    fs.writeFileSync("./storage/bookings_data.json", JSON.stringify(existing, null, 2));
-    
     res.json({ success: true, updated: updatedCount });
   } catch (err) {
     res.status(500).json({ error: "Server error" });
@@ -916,9 +990,9 @@ app.post("/update-bookings-data", verifyApiKey, (req, res) => {
  * - Returns all cash deposit records
  * - Google Sheet sync fetches data from here
  */
-app.get("/cash_data.json", verifyApiKey, (req, res) => {
+app.get("/cash_data.json", verifyApiKey, async (req, res) => {
   try {
-    const data = fs.readFileSync("./storage/cash_data.json", "utf8");
+    const data = await readStoreJson("cash");
     res.setHeader("Content-Type", "application/json");
     res.send(data);
   } catch {
@@ -939,38 +1013,176 @@ app.get("/cash_data.json", verifyApiKey, (req, res) => {
  * - Saves cash deposit data received from Google Sheet
  * - Merges with existing data (compares depositedAt)
  */
-app.post("/update-cash-data", verifyApiKey, (req, res) => {
+app.post("/update-cash-data", verifyApiKey, async (req, res) => {
   try {
     const incoming = req.body;
-    
-    let existing = {};
-    try {
-      existing = JSON.parse(fs.readFileSync("./storage/cash_data.json", "utf8"));
-    } catch {}
 
     let updatedCount = 0;
 
-    for (const [key, record] of Object.entries(incoming)) {
-      if (!key || key.trim() === '') continue;
-      
-      const cleanRecord = Object.fromEntries(
-        Object.entries(record).filter(([k]) => k && k.trim() !== '')
-      );
+    const changes = [];
 
-      if (!existing[key] || existing[key].depositedAt < cleanRecord.depositedAt) {
-        existing[key] = cleanRecord;
-        updatedCount++;
+    await transaction("cash", (existing) => {
+      for (const [key, record] of Object.entries(incoming)) {
+        if (!key || key.trim() === '') continue;
+      
+        const cleanRecord = Object.fromEntries(
+          Object.entries(record).filter(([k]) => k && k.trim() !== '')
+        );
+
+        if (!existing[key] || existing[key].depositedAt < cleanRecord.depositedAt) {
+          changes.push({ key, before: existing[key] || null, after: cleanRecord });
+          existing[key] = cleanRecord;
+          updatedCount++;
+        }
       }
+    });
+
+    for (const change of changes) {
+      logRecordChange({ store: "cash", ...change, source: "sync" });
     }
 
-    fs.writeFileSync("./storage/cash_data.json", JSON.stringify(existing, null, 2));
-    
     res.json({ success: true, updated: updatedCount });
   } catch (err) {
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// ----------------------------------------
+// EXPORT Route (Protected)
+// ----------------------------------------
+
+/**
+ * GET /export/:type
+ * 
+ * PROTECTED: API Key required
+ * 
+ * WHAT IT DOES:
+ * - Downloads daily, booking or cash records as an Excel or CSV file
+ * - Same flat columns as the WhatsApp "Export" command
+ * 
+ * PARAMETERS:
+ * - type: daily, booking or cash
+ * - period (query): this month (default), last 7 days, nov 2025, 2025,
+ *   01/11/2025 to 15/11/2025, all
+ * - bus (query): only this bus code (default: all buses)
+ * - format (query): xlsx (default) or csv
+ * - sheet (query, CSV only): sheet name, e.g. payments (default: main sheet)
+ * 
+ * EXAMPLE:
+ * GET /export/booking?period=nov%202025&bus=BUS101&format=csv&sheet=payments
+ */
+app.get("/export/:type", verifyApiKey, async (req, res) => {
+  try {
+    const type = resolveExportType(req.params.type);
+    if (!type) {
+      return res.status(400).json({ error: "Unknown export type (use daily, booking or cash)" });
+    }
+
+    const period = parseExportPeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({ error: "Unknown period" });
+    }
+
+    const format = String(req.query.format || "xlsx").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: "Unknown format (use xlsx or csv)" });
+    }
+
+    const busCode = req.query.bus ? String(req.query.bus).toUpperCase() : null;
+    const { sheets } = await buildExport(type, { busCode, period });
+    const baseName = exportBaseName(busCode || "all-buses", type, period.name);
+
+    if (format === "csv") {
+      const sheetName = String(req.query.sheet || sheets[0].name).toLowerCase().replace(/[\s_-]+/g, "");
+      const sheet = sheets.find((s) => s.name.toLowerCase().replace(/\s+/g, "") === sheetName);
+      if (!sheet) {
+        return res.status(400).json({ error: `Unknown sheet (use ${sheets.map((s) => s.name).join(", ")})` });
+      }
+      res.setHeader("Content-Type", `${EXPORT_FORMATS.csv}; charset=utf-8`);
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}_${sheet.name.replace(/\s+/g, "-")}.csv"`);
+      return res.send(sheetToCsv(sheet));
+    }
+
+    res.setHeader("Content-Type", EXPORT_FORMATS.xlsx);
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
+    res.send(await sheetsToXlsx(sheets));
+  } catch (err) {
+    console.error("❌ Export failed:", err);
+    res.status(500).json({ error: "Export failed" });
+  }
+});
+
+// ----------------------------------------
+// BACKUPS Routes (Protected)
+// ----------------------------------------
+
+/**
+ * GET /backups
+ * 
+ * PROTECTED: API Key required
+ * 
+ * WHAT IT DOES:
+ * - Lists backup snapshots of daily, booking and cash data, sessions and
+ *   audit log (newest first; receipt photos are not included)
+ * 
+ * RESPONSE:
+ * { backups: [{ id: "20251217-103000", createdAt: "...", size: 10240 }, ...] }
+ */
+app.get("/backups", verifyApiKey, (req, res) => {
+  try {
+    res.json({ backups: listBackups() });
+  } catch (err) {
+    res.status(500).json({ error: "Cannot list backups" });
+  }
+});
+
+/**
+ * POST /backups
+ * 
+ * PROTECTED: API Key required
+ * 
+ * WHAT IT DOES:
+ * - Takes a backup snapshot right now
+ * 
+ * RESPONSE:
+ * { success: true, backup: { id, size, counts: { daily, bookings, cash } } }
+ */
+app.post("/backups", verifyApiKey, async (req, res) => {
+  try {
+    const backup = await createBackup("manual");
+    res.json({ success: true, backup });
+  } catch (err) {
+    console.error("❌ Backup failed:", err);
+    res.status(500).json({ error: "Backup failed" });
+  }
+});
+
+/**
+ * POST /backups/:id/restore
+ * 
+ * PROTECTED: API Key required
+ * 
+ * WHAT IT DOES:
+ * - Replaces all daily, booking and cash data with the backup's contents
+ * - Writes back sessions.json / audit_log.jsonl only if they are missing
+ * - Takes a "pre-restore" backup first (returned as undoId)
+ * 
+ * RESPONSE:
+ * { success: true, id, counts: { daily, bookings, cash }, undoId, restoredFiles }
+ */
+app.post("/backups/:id/restore", verifyApiKey, async (req, res) => {
+  try {
+    const result = await restoreBackup(req.params.id, { source: "api" });
+    if (!result) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Restore failed:", err);
+    res.status(500).json({ error: "Restore failed" });
+  }
+});
+
 // ========================================
 // START SERVER
 // ========================================
@@ -983,6 +1195,18 @@ app.post("/update-cash-data", verifyApiKey, (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   
+  // Restore menu state and drafts saved before the last restart
+  startSessionStore();
+
+  // Daily compressed backups of daily, booking and cash data, sessions and audit log
+  startBackupScheduler();
+
+  // Remind buses with missing daily reports (only while WhatsApp is connected)
+  startReminderScheduler(() => (isLoggedIn ? sock : null));
+
+  // Send the opt-in end-of-day digest to owners at the configured time
+  startDigestScheduler(() => (isLoggedIn ? sock : null));
+  
   // Start WhatsApp connection
   connectToWhatsApp();
 });
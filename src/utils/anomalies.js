@@ -0,0 +1,219 @@
+/**
+ * anomalies.js - Unusual Daily Figures
+ *
+ * Compares each daily report of a bus with that bus's own recent reports and
+ * flags figures that deviate too far from the usual value, e.g. a sudden jump
+ * in diesel or a drop in collection. The usual value (baseline) of a figure is
+ * the median of the previous `window` daily reports of the same bus, so one
+ * odd day does not shift it.
+ *
+ * Checked figures: diesel, collection (cash + online), cash handover, adda,
+ * union, extra expenses (total) and employee wages (total).
+ *
+ * Settings live in src/data/anomalies.json and are re-read on every check:
+ * {
+ *   "enabled": true,
+ *   "window": 14,          // previous daily reports used for the baseline
+ *   "minHistory": 5,       // no flags until a bus has this many earlier reports
+ *   "threshold": 30,       // % away from the usual value
+ *   "minDifference": 300,  // ignore smaller differences in rupees
+ *   "metrics": { "diesel": { "threshold": 25 }, "extra": { "threshold": 100, "minDifference": 500 } },
+ *   "buses": { "BUS101": { "window": 7, "metrics": { "diesel": { "threshold": 20 } } } }
+ * }
+ * Per-metric values override the general ones; "buses" overrides both per bus.
+ *
+ * Used by the Reports "Anomalies" command and the daily submit confirmation.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { format } from "date-fns";
+import { queryRecords } from "./storage.js";
+import { getRecordIndex } from "./record-index.js";
+import { t } from "./i18n.js";
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const settingsFile = path.join(__dirname, "../data/anomalies.json");
+
+const DEFAULT_SETTINGS = {
+  window: 14,
+  minHistory: 5,
+  threshold: 30,
+  minDifference: 300,
+};
+
+/**
+ * Reads an amount that may be stored as a number or as { amount }.
+ */
+function readAmount(value) {
+  return parseFloat(value?.amount ?? value) || 0;
+}
+
+/**
+ * Sum of the amounts of an expense list
+ */
+function sumAmounts(list) {
+  return (list || []).reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+}
+
+/**
+ * Checked figures of a daily record, with their English labels
+ */
+export const ANOMALY_METRICS = [
+  { key: "diesel", label: "⛽ Diesel", read: (r) => readAmount(r.Diesel) },
+  { key: "collection", label: "💵 Collection", read: (r) => readAmount(r.TotalCashCollection) + readAmount(r.Online) },
+  { key: "cashHandover", label: "✨ Cash Handover", read: (r) => readAmount(r.CashHandover) },
+  { key: "adda", label: "🚌 Adda", read: (r) => readAmount(r.Adda) },
+  { key: "union", label: "🤝 Union", read: (r) => readAmount(r.Union) },
+  { key: "extra", label: "🧾 Extra Expenses", read: (r) => sumAmounts(r.ExtraExpenses) },
+  { key: "wages", label: "👥 Employee Wages", read: (r) => sumAmounts(r.EmployExpenses) },
+];
+
+/**
+ * Load anomaly settings (re-read on every check)
+ *
+ * @returns {Object} Settings from anomalies.json, or checks disabled if unreadable
+ */
+export function loadAnomalySettings() {
+  try {
+    return JSON.parse(fs.readFileSync(settingsFile, "utf8"));
+  } catch (err) {
+    console.error("❌ Error loading anomalies.json:", err.message);
+    return { enabled: false };
+  }
+}
+
+/**
+ * Get the effective settings for a bus (defaults + general + bus overrides)
+ *
+ * @param {Object} settings - Settings from anomalies.json
+ * @param {string} busCode - Bus code
+ * @returns {{window: number, minHistory: number, metrics: Object<string, {threshold: number, minDifference: number}>}}
+ */
+export function getBusAnomalySettings(settings, busCode) {
+  const { buses, metrics: generalMetrics, enabled, ...general } = settings;
+  const { metrics: busMetrics, ...busOverrides } = buses?.[busCode] || {};
+  const base = { ...DEFAULT_SETTINGS, ...general, ...busOverrides };
+
+  const metrics = {};
+  for (const { key } of ANOMALY_METRICS) {
+    metrics[key] = {
+      threshold: base.threshold,
+      minDifference: base.minDifference,
+      ...generalMetrics?.[key],
+      ...busMetrics?.[key],
+    };
+  }
+  return { window: base.window, minHistory: base.minHistory, metrics };
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compare one daily record with the records before it
+ *
+ * @param {Object} record - Daily record to check
+ * @param {Array<Object>} history - Earlier daily records of the same bus, oldest first
+ * @param {Object} busSettings - Result of getBusAnomalySettings()
+ * @returns {Array<{metric: string, label: string, value: number, usual: number, percent: number|null, direction: string}>}
+ *   percent is null when the usual value is 0; direction is "above" or "below"
+ */
+export function detectAnomalies(record, history, busSettings) {
+  const recent = history.slice(-busSettings.window);
+  if (recent.length < busSettings.minHistory) return [];
+
+  const flags = [];
+  for (const { key, label, read } of ANOMALY_METRICS) {
+    const { threshold, minDifference } = busSettings.metrics[key];
+    const value = read(record);
+    const usual = Math.round(median(recent.map(read)));
+    const difference = value - usual;
+
+    if (Math.abs(difference) < minDifference) continue;
+    const percent = usual > 0 ? Math.round((difference / usual) * 100) : null;
+    if (percent !== null && Math.abs(percent) < threshold) continue;
+
+    flags.push({ metric: key, label, value, usual, percent, direction: difference > 0 ? "above" : "below" });
+  }
+  return flags;
+}
+
+/**
+ * Check a daily record against the bus's reports before its date
+ * (used for the submit confirmation; the record itself is ignored if already saved)
+ *
+ * @param {string} key - Daily record key (BUS101_15/11/2025)
+ * @param {Object} record - Daily record
+ * @returns {Promise<Array<Object>>} Flags from detectAnomalies(), empty if disabled
+ */
+export async function checkDailyRecord(key, record) {
+  const settings = loadAnomalySettings();
+  const { busCode, date } = getRecordIndex("daily", key, record);
+  if (settings.enabled === false || !busCode || !date) return [];
+
+  const history = (await queryRecords("daily", { busCode, to: date })).filter(
+    ([historyKey]) => getRecordIndex("daily", historyKey).date < date
+  );
+  return detectAnomalies(record, history.map(([, r]) => r), getBusAnomalySettings(settings, busCode));
+}
+
+/**
+ * Find flagged daily reports of a bus in a period
+ * Each report is compared with the reports before it, including ones before the period.
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Promise<{checked: number, days: Array<{key: string, date: string, flags: Array<Object>}>}>}
+ *   checked: reports in the period; days: flagged reports, oldest first
+ */
+export async function findAnomalies(busCode, startDate, endDate) {
+  const settings = loadAnomalySettings();
+  if (settings.enabled === false) return { checked: 0, days: [] };
+
+  const busSettings = getBusAnomalySettings(settings, busCode);
+  const from = format(startDate, "yyyy-MM-dd");
+  const records = await queryRecords("daily", { busCode, to: endDate });
+
+  let checked = 0;
+  const days = [];
+  records.forEach(([key, record], index) => {
+    const { date } = getRecordIndex("daily", key, record);
+    if (!date || date < from) return;
+
+    checked++;
+    const history = records.slice(Math.max(0, index - busSettings.window), index).map(([, r]) => r);
+    const flags = detectAnomalies(record, history, busSettings);
+    if (flags.length > 0) days.push({ key, date: key.split("_")[1], flags });
+  });
+
+  return { checked, days };
+}
+
+/**
+ * One flag as a line, e.g. "⛽ Diesel ₹6,000 - 50% above usual ₹4,000"
+ *
+ * @param {Object} flag - Flag from detectAnomalies()
+ * @param {string} [lang] - Language code
+ * @returns {string}
+ */
+export function formatAnomaly(flag, lang = "en") {
+  const key = flag.percent === null ? "checkUsually" : flag.direction === "above" ? "checkAbove" : "checkBelow";
+  return t(lang, `daily.summary.anomalies.${key}`, {
+    metric: t(lang, `daily.summary.anomalies.metrics.${flag.metric}`),
+    value: Math.round(flag.value).toLocaleString("en-IN"),
+    usual: Math.round(flag.usual).toLocaleString("en-IN"),
+    percent: Math.abs(flag.percent ?? 0),
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * audit-log.js - Audit Trail
+ *
+ * Appends one JSON object per line to storage/audit_log.jsonl.
+ * The file is append-only - entries are never edited or removed.
+ *
+ * Events recorded:
+ * - permission_denied: a user tried an action their role does not allow
+ * - record_change: a daily, booking or cash record was created or changed,
+ *   with field-level before/after values and the source of the write
+ *   ("whatsapp", "sync" for /update-*-data, or "deposit")
+ *
+ * Each line looks like:
+ * {"at":"2025-12-17T10:30:00.000Z","event":"permission_denied","sender":"...","userId":"USR002",...}
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Audit log file path - stored in the storage directory
+const auditLogFile = "./storage/audit_log.jsonl";
+
+/**
+ * Path of the audit log file (included in backup snapshots)
+ *
+ * @returns {string} File path
+ */
+export function getAuditLogFile() {
+  return auditLogFile;
+}
+
+/**
+ * Append an event to the audit log
+ * Never throws - a failed audit write is logged but does not break the bot
+ *
+ * @param {string} event - Event name (e.g., "permission_denied")
+ * @param {Object} details - Extra fields to store with the event
+ * @returns {boolean} True if the entry was written
+ */
+export function logAuditEvent(event, details = {}) {
+  try {
+    fs.mkdirSync(path.dirname(auditLogFile), { recursive: true });
+    const entry = { at: new Date().toISOString(), event, ...details };
+    fs.appendFileSync(auditLogFile, JSON.stringify(entry) + "\n");
+    return true;
+  } catch (err) {
+    console.error("❌ Failed to write audit log:", err);
+    return false;
+  }
+}
+
+// Fields that change on every write and carry no information of their own
+const IGNORED_FIELDS = new Set(["submittedAt"]);
+
+/**
+ * Flatten a record into "path -> value" pairs (e.g., "Diesel.amount" -> 500)
+ * Arrays are kept whole so list changes show as a single field
+ *
+ * @param {*} value - Record or nested value
+ * @param {string} prefix - Path of the current value
+ * @param {Object} out - Accumulator
+ * @returns {Object} Flat map of field paths to values
+ */
+function flattenRecord(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenRecord(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Compare two versions of a record field by field
+ *
+ * @param {Object|null} before - Record before the write (null if new)
+ * @param {Object|null} after - Record after the write
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ */
+export function diffRecords(before, after) {
+  const oldFields = flattenRecord(before || {});
+  const newFields = flattenRecord(after || {});
+  const fields = new Set([...Object.keys(oldFields), ...Object.keys(newFields)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field.split(".")[0])) continue;
+    const oldValue = oldFields[field] ?? null;
+    const newValue = newFields[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a write to a daily, booking or cash record
+ * Nothing is logged if the write did not change any field
+ *
+ * @param {Object} change
+ * @param {string} change.store - "daily", "bookings" or "cash"
+ * @param {string} change.key - Record key (e.g., "BUS101_15/11/2025")
+ * @param {Object|null} change.before - Record before the write (null if new)
+ * @param {Object|null} change.after - Record after the write
+ * @param {string} change.source - "whatsapp", "sync" or "deposit"
+ * @param {string|null} change.sender - WhatsApp sender ID, if any
+ * @param {string|null} change.busCode - Bus code (defaults to the key prefix)
+ * @returns {boolean} True if an entry was written
+ */
+export function logRecordChange({ store, key, before, after, source, sender = null, busCode = null }) {
+  const changes = diffRecords(before, after);
+  if (changes.length === 0) return false;
+
+  return logAuditEvent("record_change", {
+    store,
+    key,
+    busCode: busCode || after?.busCode || after?.BusCode || String(key).split("_")[0],
+    action: before ? "update" : "create",
+    source,
+    sender,
+    changes,
+  });
+}
+
+/**
+ * Read every entry in the audit log
+ * Damaged lines are skipped
+ *
+ * @returns {Array<Object>} Audit entries, oldest first
+ */
+export function readAuditLog() {
+  if (!fs.existsSync(auditLogFile)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(auditLogFile, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip partially written lines
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,97 @@
+/**
+ * availability.js - Bus Availability for Bookings
+ *
+ * A bus is busy on a day when a booking covers that day (from the start to the
+ * end date in its key, BUS101_20/12/2025_TO_22/12/2025) or when it already
+ * ran its daily route that day (a daily report exists for the date).
+ *
+ * Used by the booking submit check, so the same bus is not booked twice for
+ * overlapping days, and by the booking "Calendar" command.
+ *
+ * Dates are "yyyy-MM-dd" strings, as returned by getRecordIndex().
+ */
+
+import { format, eachDayOfInterval, parseISO } from "date-fns";
+import { queryRecords } from "./storage.js";
+import { getRecordIndex } from "./record-index.js";
+
+/**
+ * Convert a Date or DD/MM/YYYY string to yyyy-MM-dd
+ */
+function toIsoDate(value) {
+  if (value instanceof Date) return format(value, "yyyy-MM-dd");
+  const [dd, mm, yyyy] = String(value).split("/");
+  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
+}
+
+/**
+ * Every day from start to end, inclusive
+ *
+ * @param {string} start - yyyy-MM-dd
+ * @param {string} end - yyyy-MM-dd
+ * @returns {Array<string>} yyyy-MM-dd dates
+ */
+export function listDays(start, end) {
+  if (end < start) return [];
+  return eachDayOfInterval({ start: parseISO(start), end: parseISO(end) }).map((d) => format(d, "yyyy-MM-dd"));
+}
+
+/**
+ * Bookings and daily reports of a bus that fall on any day of a range
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date|string} startDate - First day (Date or DD/MM/YYYY)
+ * @param {Date|string} endDate - Last day (Date or DD/MM/YYYY)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeKeys] - Booking keys to ignore (the booking being edited)
+ * @returns {Promise<{bookings: Array<{key: string, start: string, end: string, customer: string, status: string}>, routeDays: Array<string>}>}
+ *   bookings: overlapping bookings, oldest first; routeDays: dates with a daily report
+ */
+export async function getBusSchedule(busCode, startDate, endDate, { excludeKeys = [] } = {}) {
+  const start = toIsoDate(startDate);
+  const end = toIsoDate(endDate);
+
+  // Bookings are indexed by their start date, so look for any that start before the
+  // range ends and keep the ones that have not finished before it starts
+  const bookings = (await queryRecords("bookings", { busCode, to: end }))
+    .filter(([key]) => !excludeKeys.includes(key))
+    .map(([key, record]) => {
+      const index = getRecordIndex("bookings", key, record);
+      return { key, start: index.date, end: index.endDate, customer: record.CustomerName || "", status: record.Status || "" };
+    })
+    .filter((booking) => booking.start && booking.end >= start);
+
+  const routeDays = (await queryRecords("daily", { busCode, from: start, to: end }))
+    .map(([key, record]) => getRecordIndex("daily", key, record).date)
+    .filter(Boolean);
+
+  return { bookings, routeDays };
+}
+
+/**
+ * Group dates into day ranges for messages, e.g. "1-3, 7, 20-22"
+ *
+ * @param {Array<string>} dates - yyyy-MM-dd dates of one month, sorted
+ * @returns {string} Day numbers and ranges
+ */
+export function formatDayRanges(dates) {
+  const ranges = [];
+  for (const date of dates) {
+    const day = Number(date.slice(8, 10));
+    const last = ranges[ranges.length - 1];
+    if (last && day === last[1] + 1) last[1] = day;
+    else ranges.push([day, day]);
+  }
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(", ");
+}
+
+/**
+ * Date as DD/MM/YYYY
+ *
+ * @param {string} date - yyyy-MM-dd
+ * @returns {string}
+ */
+export function formatIsoDate(date) {
+  const [yyyy, mm, dd] = date.split("-");
+  return `${dd}/${mm}/${yyyy}`;
+}
@@ -0,0 +1,152 @@
+/**
+ * backups.js - Scheduled Backups and Point-in-Time Restore
+ *
+ * Takes compressed snapshots of every daily, booking and cash record, the
+ * saved sessions and the audit log (see snapshots.js for the file format)
+ * and restores them on request.
+ *
+ * - Scheduled: every BACKUP_INTERVAL_HOURS (default 24), started from server/index.js
+ * - Retention: snapshots older than BACKUP_RETENTION_DAYS (default 30) are deleted,
+ *   but the newest one is always kept
+ * - Restore: available to admins over the API (/backups) and WhatsApp (Restore command).
+ *   A "pre-restore" snapshot is taken first, so a restore can itself be undone.
+ *   Sessions and the audit log are only written back if their file is missing:
+ *   the audit log is an append-only history and sessions hold live drafts.
+ * - Receipt photos (storage/receipts) are not in snapshots; copy that folder separately.
+ *
+ * Snapshots are taken from the live stores, so they work the same for the
+ * JSON and SQLite storage backends.
+ */
+
+import fs from "fs";
+import path from "path";
+import { openStore, transaction, flushStores } from "./storage.js";
+import { listSnapshots, writeSnapshot, readSnapshot, pruneSnapshots } from "./snapshots.js";
+import { logAuditEvent, getAuditLogFile } from "./audit-log.js";
+import { getSessionsFile } from "./session-store.js";
+
+// Stores included in every snapshot
+const STORES = ["daily", "bookings", "cash"];
+
+/**
+ * Other storage files included in every snapshot (stored by file name)
+ */
+function getStorageFiles() {
+  return [getSessionsFile(), getAuditLogFile()];
+}
+
+// Scheduler timer (only one per process)
+let backupTimer = null;
+
+/**
+ * Read a positive number from an environment variable
+ */
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Take a snapshot of all stores now and apply the retention policy
+ *
+ * @param {string} reason - "scheduled", "manual", "pre-restore", ...
+ * @returns {Promise<{id: string, size: number, counts: Object}>} The new snapshot
+ */
+export async function createBackup(reason = "manual") {
+  // Let queued writes land so the snapshot matches what users were told was saved
+  await flushStores();
+
+  const stores = {};
+  for (const name of STORES) {
+    stores[name] = (await openStore(name)).data || {};
+  }
+
+  const files = {};
+  for (const file of getStorageFiles()) {
+    if (fs.existsSync(file)) files[path.basename(file)] = fs.readFileSync(file, "utf8");
+  }
+
+  const snapshot = writeSnapshot(stores, reason, files);
+  console.log(`🗄️ Backup ${snapshot.id} created (${reason}, ${(snapshot.size / 1024).toFixed(1)} KB)`);
+
+  const deleted = pruneSnapshots(readNumberEnv("BACKUP_RETENTION_DAYS", 30));
+  if (deleted.length > 0) {
+    console.log(`🧹 Deleted ${deleted.length} old backup(s)`);
+  }
+
+  return { id: snapshot.id, size: snapshot.size, counts: snapshot.counts };
+}
+
+/**
+ * List available backups, newest first
+ *
+ * @returns {Array<{id: string, createdAt: string, size: number}>}
+ */
+export function listBackups() {
+  return listSnapshots().map(({ id, createdAt, size }) => ({
+    id,
+    createdAt: createdAt.toISOString(),
+    size,
+  }));
+}
+
+/**
+ * Restore every store to the contents of a backup
+ *
+ * @param {string} id - Snapshot ID, e.g. "20251217-103000"
+ * @param {Object} details - Who asked for the restore (stored in the audit log)
+ * @returns {Promise<{id: string, counts: Object, undoId: string, restoredFiles: Array<string>}|null>}
+ *   Restored record counts, the pre-restore snapshot ID and the storage files written back
+ *   (missing ones only), or null if the backup was not found
+ */
+export async function restoreBackup(id, details = {}) {
+  const snapshot = readSnapshot(id);
+  if (!snapshot?.stores) return null;
+
+  const undo = await createBackup("pre-restore");
+
+  const counts = {};
+  for (const name of STORES) {
+    const records = snapshot.stores[name] || {};
+    // Replace contents in place - handlers share this object (see storage.js)
+    await transaction(name, (data) => {
+      for (const key of Object.keys(data)) delete data[key];
+      Object.assign(data, records);
+    });
+    counts[name] = Object.keys(records).length;
+  }
+
+  const restoredFiles = [];
+  for (const file of getStorageFiles()) {
+    const text = snapshot.files?.[path.basename(file)];
+    if (text === undefined || fs.existsSync(file)) continue;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    restoredFiles.push(path.basename(file));
+  }
+
+  logAuditEvent("backup_restored", { backupId: id, undoBackupId: undo.id, counts, restoredFiles, ...details });
+  console.log(`♻️ Restored backup ${id} (undo with ${undo.id})`);
+
+  return { id, counts, undoId: undo.id, restoredFiles };
+}
+
+/**
+ * Start the backup schedule
+ * Takes a backup right away if the newest one is older than the interval.
+ */
+export function startBackupScheduler() {
+  if (backupTimer) return;
+
+  const intervalMs = readNumberEnv("BACKUP_INTERVAL_HOURS", 24) * 60 * 60 * 1000;
+  const runScheduledBackup = () =>
+    createBackup("scheduled").catch((err) => console.error("❌ Scheduled backup failed:", err));
+
+  const latest = listSnapshots()[0];
+  if (!latest || Date.now() - latest.createdAt.getTime() >= intervalMs) {
+    runScheduledBackup();
+  }
+
+  backupTimer = setInterval(runScheduledBackup, intervalMs);
+  backupTimer.unref?.();
+}
@@ -0,0 +1,213 @@
+/**
+ * bulk-entry.js - Multi-Line Bulk Entry
+ *
+ * Lets users paste a whole report in one message:
+ *
+ *   Dated 15/11/2025
+ *   Diesel 5000
+ *   Adda 200
+ *   Submit
+ *
+ * The daily and booking orchestrators split the message into lines and run
+ * each line through their normal handler chain. While the lines run, replies
+ * are collected instead of sent, so the user gets one consolidated summary
+ * with the lines that could not be understood.
+ *
+ * Lines that do not change the draft (e.g. "history 15/11/2025", "routes")
+ * are commands rather than entries, so their replies are sent on as they are
+ * (except draft summaries, marked with markDraftSummary(), which the
+ * consolidated summary replaces).
+ *
+ * "Submit" or "Done" as the last line counts as "yes" at the submit prompt.
+ * Only the last line, so a stray "done" never answers any other question.
+ *
+ * If a line leaves the session waiting for an answer (e.g. "record already
+ * exists, fetch it?") or ends it (submitted/cleared), processing stops there:
+ * that line's replies are sent as-is and the remaining lines are listed as
+ * not processed.
+ */
+
+import { t, getUserLanguage } from "./i18n.js";
+
+// Last-line words that submit the draft
+const SUBMIT_WORDS = /^(submit|done)$/i;
+
+// Draft summary messages (not forwarded from bulk lines)
+const draftSummaries = new WeakSet();
+
+/**
+ * Mark a reply as the draft summary of a daily report or booking
+ *
+ * @param {Object} message - Message content
+ * @returns {Object} The same message
+ */
+export function markDraftSummary(message) {
+  draftSummaries.add(message);
+  return message;
+}
+
+/**
+ * Split a message into trimmed, non-empty lines
+ *
+ * @param {string} text - Message text
+ * @returns {Array<string>} Lines
+ */
+export function splitEntryLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Wrap a socket so that sendMessage() collects messages instead of sending them
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @returns {{sock: Object, take: Function}} Wrapped socket and a function returning (and clearing) collected messages
+ */
+function createCollectingSock(sock) {
+  let collected = [];
+  const collectingSock = Object.create(sock);
+  collectingSock.sendMessage = async (jid, content) => {
+    collected.push(content);
+    return { key: { remoteJid: jid, fromMe: true } };
+  };
+
+  return {
+    sock: collectingSock,
+    take() {
+      const messages = collected;
+      collected = [];
+      return messages;
+    },
+  };
+}
+
+/**
+ * First line of a warning, error or permission reply (⚠️ / ❌ / 🚫), if the reply is one
+ */
+function getWarning(message) {
+  const text = message?.text || "";
+  if (!/^(⚠️|❌|🚫)/u.test(text)) return null;
+  return text.split("\n")[0];
+}
+
+/**
+ * Run each line through a feature's handler chain
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Array<string>} lines - Lines from splitEntryLines()
+ * @param {Object} options
+ * @param {Function} options.processLine - async (collectingSock, line) => true if a handler understood the line
+ * @param {Function} options.getSessionState - () => ({ active, waiting, draft }): session exists / waits for a yes-no answer / session data
+ * @returns {Promise<Object>} {
+ *   processed: number,                          // lines that were understood
+ *   unrecognized: Array<string>,                // lines no handler understood
+ *   warnings: Array<{line, text}>,              // warnings/errors replied to understood lines
+ *   replies: Array<Object>,                     // other replies of lines that did not change the draft
+ *   stopped: {line, messages}|null,             // line that stopped processing, with its replies
+ *   skipped: Array<string>                      // lines after the stop that were not run
+ * }
+ */
+export async function processEntryLines(sock, lines, { processLine, getSessionState }) {
+  const collector = createCollectingSock(sock);
+  const result = { processed: 0, unrecognized: [], warnings: [], replies: [], stopped: null, skipped: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const input = i === lines.length - 1 && SUBMIT_WORDS.test(line) ? "yes" : line;
+    const before = getSessionState();
+    const draftBefore = JSON.stringify(before.draft ?? null);
+    let handled = false;
+    try {
+      handled = await processLine(collector.sock, input);
+    } catch (err) {
+      console.error(`❌ Error processing bulk line "${line}":`, err);
+    }
+    const messages = collector.take();
+
+    if (!handled) {
+      result.unrecognized.push(line);
+      continue;
+    }
+    result.processed++;
+
+    // Stop if this line ended the session or asked a question
+    const after = getSessionState();
+    if ((before.active && !after.active) || (!before.waiting && after.waiting)) {
+      result.stopped = { line, messages };
+      result.skipped = lines.slice(i + 1);
+      break;
+    }
+
+    const changedDraft = JSON.stringify(after.draft ?? null) !== draftBefore;
+    for (const message of messages) {
+      const warning = getWarning(message);
+      if (warning) result.warnings.push({ line, text: warning });
+      else if (!changedDraft && !draftSummaries.has(message)) result.replies.push(message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format the consolidated report for a bulk entry
+ *
+ * @param {Object} result - Result of processEntryLines()
+ * @param {number} total - Number of lines in the message
+ * @param {string} [lang] - Language code
+ * @returns {string} Report text (ends with a blank line when not empty)
+ */
+export function formatBulkReport(result, total, lang = "en") {
+  const label = (key, params) => t(lang, `common.bulk.${key}`, params);
+  let msg = `${label("title", { processed: result.processed, total })}\n`;
+
+  if (result.unrecognized.length > 0) {
+    msg += `\n${label("unrecognized")}\n`;
+    msg += result.unrecognized.map((line) => `• ${line}`).join("\n") + "\n";
+  }
+
+  if (result.warnings.length > 0) {
+    msg += `\n${label("problems")}\n`;
+    msg += result.warnings.map((w) => `• ${w.line} → ${w.text.replace(/^(⚠️|❌|🚫)\s*/u, "")}`).join("\n") + "\n";
+  }
+
+  if (result.skipped.length > 0) {
+    msg += `\n${label("skipped")}\n`;
+    msg += result.skipped.map((line) => `• ${line}`).join("\n") + "\n";
+  }
+
+  return msg + "\n";
+}
+
+/**
+ * Send the replies of command lines (those that did not change the draft)
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Recipient JID
+ * @param {Object} result - Result of processEntryLines()
+ * @param {Function} safeSendMessage - The feature's safeSendMessage()
+ */
+export async function sendCommandReplies(sock, sender, result, safeSendMessage) {
+  for (const message of result.replies) {
+    await safeSendMessage(sock, sender, message);
+  }
+}
+
+/**
+ * Send the replies of the line that stopped a bulk entry, after the report
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Recipient JID
+ * @param {Object} result - Result of processEntryLines()
+ * @param {number} total - Number of lines in the message
+ * @param {Function} safeSendMessage - The feature's safeSendMessage()
+ */
+export async function sendStoppedBulkReplies(sock, sender, result, total, safeSendMessage) {
+  await sendCommandReplies(sock, sender, result, safeSendMessage);
+  await safeSendMessage(sock, sender, { text: formatBulkReport(result, total, getUserLanguage(sender)).trim() });
+  for (const message of result.stopped.messages) {
+    await safeSendMessage(sock, sender, message);
+  }
+}
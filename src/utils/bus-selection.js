@@ -8,11 +8,16 @@
  * - Determining which buses a user has access to
  * - Formatting the bus selection menu
  * - Processing bus selection responses
+ * - Refreshing logged-in sessions when users or buses change
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { onDataFileChange } from './data-files.js';
+import { fullLogout, switchBus, setSelectedBus } from './menu-state.js';
+import { t, getUserLanguage } from './i18n.js';
+import { sendMenu } from './interactive-menu.js';
 
 // Get current directory path (required for ES modules)
 const __filename = fileURLToPath(import.meta.url);
@@ -139,16 +144,17 @@ export function getBusesForUser(user) {
  * 
  * @param {Array} buses - Array of bus objects to display
  * @param {boolean} isAdmin - Whether the user is an admin (shows different header)
+ * @param {string} lang - Reply language code (see i18n.js)
  * @returns {string} Formatted menu text for WhatsApp
  */
-export function formatBusSelectionMenu(buses, isAdmin = false) {
-  let menuText = `🚌 *Select Bus*\n\n`;
+export function formatBusSelectionMenu(buses, isAdmin = false, lang = 'en') {
+  let menuText = `${t(lang, 'busSelection.title')}\n\n`;
   
   // Show appropriate header based on user role
   if (isAdmin) {
-    menuText += `You have access to all buses. Please select one:\n\n`;
+    menuText += `${t(lang, 'busSelection.allBuses')}\n\n`;
   } else if (buses.length > 1) {
-    menuText += `You are assigned to multiple buses. Please select one:\n\n`;
+    menuText += `${t(lang, 'busSelection.multipleBuses')}\n\n`;
   }
   
   // List each bus with a number for selection
@@ -159,15 +165,28 @@ export function formatBusSelectionMenu(buses, isAdmin = false) {
   });
   
   // Add instructions for selection
-  menuText += `\nReply with bus number (1`;
-  if (buses.length > 1) {
-    menuText += ` to ${buses.length}`;
-  }
-  menuText += `):`;
+  menuText += '\n' + (buses.length > 1
+    ? t(lang, 'busSelection.replyRange', { count: buses.length })
+    : t(lang, 'busSelection.replyOne'));
   
   return menuText;
 }
 
+/**
+ * Get the tappable choices for the bus selection menu
+ * Each choice sends the bus number, exactly like typing it
+ * 
+ * @param {Array} buses - Array of bus objects to display
+ * @returns {Array<{id: string, title: string, description: string}>} Choices for sendMenu()
+ */
+export function getBusSelectionChoices(buses) {
+  return buses.map((bus, index) => ({
+    id: String(index + 1),
+    title: `${index + 1}. ${bus.busCode}`,
+    description: bus.registrationNumber,
+  }));
+}
+
 /**
  * Get a bus object from user's numeric selection
  * 
@@ -199,7 +218,7 @@ export function showBusSelectionMenu(sock, sender, user) {
   // Handle case where user has no buses assigned
   if (buses.length === 0) {
     return sock.sendMessage(sender, {
-      text: "⚠️ No buses assigned to you. Please contact admin."
+      text: t(getUserLanguage(sender), 'menu.noBusesAssigned')
     });
   }
   
@@ -209,8 +228,58 @@ export function showBusSelectionMenu(sock, sender, user) {
   }
   
   // Show selection menu for multiple buses
-  const menuText = formatBusSelectionMenu(buses, user.role === 'Admin');
-  sock.sendMessage(sender, { text: menuText });
+  const lang = getUserLanguage(sender);
+  const menuText = formatBusSelectionMenu(buses, user.role === 'Admin', lang);
+  sendMenu(sock, sender, {
+    text: menuText,
+    choices: getBusSelectionChoices(buses),
+    buttonText: t(lang, 'busSelection.button'),
+    footer: t(lang, 'menu.chooseFooter'),
+  });
   
   return { autoSelect: false, buses: buses };
 }
+
+/**
+ * Refresh the user and bus info stored in every logged-in session
+ * Called after users.json or buses.json is changed by the admin commands:
+ * - Deactivated or removed users are logged out
+ * - Role and assigned bus changes apply immediately
+ * - If the selected bus is no longer allowed, the user must pick again
+ */
+export function refreshUserSessions() {
+  const users = loadUsers();
+
+  for (const [sender, state] of Object.entries(global.menuState || {})) {
+    if (!state?.isAuthenticated || !state.user) continue;
+
+    const freshUser = users.find(u => u.userId === state.user.userId && u.status === 'Active');
+    if (!freshUser) {
+      fullLogout(sender);
+      continue;
+    }
+
+    const buses = getBusesForUser(freshUser);
+    state.user = freshUser;
+    state.availableBuses = buses;
+
+    if (state.selectedBus) {
+      const selected = buses.find(bus => bus.busCode === state.selectedBus);
+      if (selected) {
+        state.selectedBusInfo = selected;
+      } else if (buses.length > 0) {
+        // Bus access removed - send the user back to bus selection
+        switchBus(sender);
+        if (buses.length === 1) {
+          setSelectedBus(sender, buses[0].busCode, buses[0]);
+        }
+      } else {
+        fullLogout(sender);
+      }
+    }
+  }
+}
+
+// Keep logged-in sessions in sync with the data files
+onDataFileChange('users', refreshUserSessions);
+onDataFileChange('buses', refreshUserSessions);
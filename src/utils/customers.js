@@ -0,0 +1,167 @@
+/**
+ * customers.js - Customer Directory from Booking History
+ *
+ * Bookings store the customer's name and mobile number on every record.
+ * Repeat customers are linked by their mobile number: each booking carries
+ * CustomerId "CUS_<10-digit mobile>" (set on submit; older bookings are
+ * backfilled with scripts/backfill-customers.js).
+ *
+ * The directory is derived from the bookings store on every lookup, so it is
+ * always in step with the bookings:
+ * {
+ *   customerId: "CUS_9876543210", phone: "9876543210", name: "Rajesh Kumar",
+ *   bookingCount: 3, totalFare: 75000, outstanding: 5000,
+ *   lastTrip: { key, start, end, pickup, drop, busCode, fare, balance, status },
+ *   bookings: [ ...same shape as lastTrip, newest first ]
+ * }
+ *
+ * Used by booking entry (auto-fill the name for a known mobile) and the
+ * booking "Customer" / "Customers" commands.
+ */
+
+import { queryRecords } from "./storage.js";
+import { getRecordIndex } from "./record-index.js";
+
+/**
+ * Reads an amount that may be stored as a number or as { amount } / { Amount }.
+ */
+function readAmount(value) {
+  return parseFloat(value?.Amount ?? value?.amount ?? value) || 0;
+}
+
+/**
+ * Mobile number as its last 10 digits (country code and leading 0 dropped)
+ *
+ * @param {string|number} phone - Mobile number as entered
+ * @returns {string|null} 10-digit number, or null if it has fewer digits
+ *
+ * @example
+ * normalizePhone("+91 98765-43210"); // "9876543210"
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * Customer ID for a mobile number
+ *
+ * @param {string|number} phone - Mobile number
+ * @returns {string|null} "CUS_9876543210", or null if the number is not valid
+ */
+export function getCustomerId(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized ? `CUS_${normalized}` : null;
+}
+
+/**
+ * Group bookings into customers
+ *
+ * @param {Array<[string, Object]>} records - [key, booking] pairs, oldest first
+ * @returns {Map<string, Object>} Customer ID -> customer (see the module comment)
+ */
+export function buildCustomerDirectory(records) {
+  const customers = new Map();
+
+  for (const [key, record] of records) {
+    const customerId = record.CustomerId || getCustomerId(record.CustomerPhone);
+    if (!customerId) continue;
+
+    const { busCode, date, endDate, status } = getRecordIndex("bookings", key, record);
+    const booking = {
+      key,
+      start: date,
+      end: endDate,
+      pickup: record.Location?.Pickup || record.PickupLocation || "",
+      drop: record.Location?.Drop || record.DropLocation || "",
+      busCode,
+      fare: readAmount(record.TotalFare),
+      balance: readAmount(record.BalanceAmount),
+      status: status || "",
+    };
+
+    const customer = customers.get(customerId) || {
+      customerId,
+      phone: customerId.replace("CUS_", ""),
+      name: "",
+      bookingCount: 0,
+      totalFare: 0,
+      outstanding: 0,
+      lastTrip: null,
+      bookings: [],
+    };
+
+    customer.bookingCount++;
+    customer.totalFare += booking.fare;
+    customer.outstanding += Math.max(0, booking.balance);
+    customer.bookings.unshift(booking);
+    if (!customer.lastTrip || (booking.start || "") >= (customer.lastTrip.start || "")) {
+      customer.lastTrip = booking;
+      // The name from the latest trip wins, in case it was spelt differently before
+      if (record.CustomerName) customer.name = record.CustomerName;
+    }
+    if (!customer.name && record.CustomerName) customer.name = record.CustomerName;
+
+    customers.set(customerId, customer);
+  }
+
+  return customers;
+}
+
+/**
+ * Bookings of the given buses (all buses if none are given)
+ */
+async function loadBookings(busCodes) {
+  const records = await queryRecords("bookings");
+  if (!busCodes?.length) return records;
+  return records.filter(([key, record]) => busCodes.includes(getRecordIndex("bookings", key, record).busCode));
+}
+
+/**
+ * All customers, highest total fare first
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.busCodes] - Only count bookings of these buses
+ * @returns {Promise<Array<Object>>} Customers (see the module comment)
+ */
+export async function getCustomers({ busCodes } = {}) {
+  const customers = buildCustomerDirectory(await loadBookings(busCodes));
+  return [...customers.values()].sort((a, b) => b.totalFare - a.totalFare);
+}
+
+/**
+ * Look up a customer by mobile number
+ *
+ * @param {string|number} phone - Mobile number
+ * @param {Object} [options]
+ * @param {Array<string>} [options.busCodes] - Only count bookings of these buses
+ * @returns {Promise<Object|null>} Customer, or null if the number has no bookings
+ */
+export async function findCustomer(phone, { busCodes } = {}) {
+  const customerId = getCustomerId(phone);
+  if (!customerId) return null;
+  const customers = buildCustomerDirectory(await loadBookings(busCodes));
+  return customers.get(customerId) || null;
+}
+
+/**
+ * Set CustomerId on bookings that do not have it yet
+ *
+ * @param {Object} data - Bookings store data (key -> booking), changed in place
+ * @returns {{linked: number, skipped: number}} linked: bookings given an ID; skipped: bookings without a valid mobile
+ */
+export function backfillCustomerIds(data) {
+  let linked = 0;
+  let skipped = 0;
+  for (const record of Object.values(data || {})) {
+    if (record.CustomerId) continue;
+    const customerId = getCustomerId(record.CustomerPhone);
+    if (!customerId) {
+      skipped++;
+      continue;
+    }
+    record.CustomerId = customerId;
+    linked++;
+  }
+  return { linked, skipped };
+}
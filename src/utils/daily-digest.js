@@ -0,0 +1,277 @@
+/**
+ * daily-digest.js - End-of-Day Summary for Owners
+ *
+ * Sends an opt-in digest over the bot's WhatsApp connection once a day.
+ * For each bus it shows collection, expenses, cash handover, booking trips,
+ * outstanding booking balances and undeposited cash - computed with the same
+ * functions as the Average report (computeProfitSummary) and the cash
+ * summary (getCashAvailable). Each recipient gets it in their reply language.
+ *
+ * Settings live in src/data/digest.json (re-read every minute):
+ * {
+ *   "enabled": true,
+ *   "sendTime": "22:00",
+ *   "outstandingDays": 30,
+ *   "recipients": [
+ *     { "name": "Pancham Singh", "phone": "9876543210", "buses": "owned" },
+ *     { "userId": "USR001", "buses": "all" },
+ *     { "phone": "9123456789", "buses": ["BUS101"] }
+ *   ]
+ * }
+ * buses: "all" (default), "owned" (buses whose ownerName matches the recipient's
+ * name) or a list of bus codes. userId recipients use their users.json name/phone.
+ * outstandingDays (default 30): only bookings starting in the last this many
+ * days count towards outstanding balances, so old bookings whose balance was
+ * never cleared in the records do not pile up in every digest.
+ *
+ * Times use the server's local time zone (set TZ). The last sent date is kept
+ * in storage/digest_state.json so a restart does not send the digest twice.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { format, subDays } from "date-fns";
+import { readDataList } from "./data-files.js";
+import { getUserJid } from "./employees.js";
+import { queryRecords } from "./storage.js";
+import { computeProfitSummary } from "../features/reports/utils/calculations.js";
+import { getCashAvailable, getEntryCashTotal, formatCurrency } from "../features/cash/utils/helpers.js";
+import { t, getUserLanguage } from "./i18n.js";
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const settingsFile = path.join(__dirname, "../data/digest.json");
+const stateFile = "./storage/digest_state.json";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Bookings starting within this many days count towards outstanding balances
+const DEFAULT_OUTSTANDING_DAYS = 30;
+
+// Scheduler timer (only one per process)
+let digestTimer = null;
+
+/**
+ * Load digest settings (re-read on every check)
+ *
+ * @returns {Object} Settings from digest.json, or digest disabled if unreadable
+ */
+function loadSettings() {
+  try {
+    return JSON.parse(fs.readFileSync(settingsFile, "utf8"));
+  } catch (err) {
+    console.error("❌ Error loading digest.json:", err.message);
+    return { enabled: false };
+  }
+}
+
+/**
+ * Resolve a recipient entry to a WhatsApp ID, a name and the buses to report on
+ *
+ * @param {Object} recipient - Entry from digest.json
+ * @param {Array} users - Users from users.json
+ * @param {Array} buses - Active buses from buses.json
+ * @returns {{jid: string, name: string, buses: Array<Object>}|null} null if the recipient cannot be reached
+ */
+export function resolveRecipient(recipient, users, buses) {
+  const user = recipient.userId ? users.find((u) => u.userId === recipient.userId) : null;
+  if (recipient.userId && (!user || user.status !== "Active")) return null;
+
+  const name =
+    recipient.name || (user ? [user.firstName, user.middleName, user.lastName].filter(Boolean).join(" ") : "");
+  const jid = getUserJid(user || { phone: String(recipient.phone || "").replace(/\D/g, "").slice(-10) });
+  if (!jid) return null;
+
+  let recipientBuses = buses;
+  if (recipient.buses === "owned") {
+    recipientBuses = buses.filter((bus) => bus.ownerName && bus.ownerName.toLowerCase() === name.toLowerCase());
+  } else if (Array.isArray(recipient.buses)) {
+    recipientBuses = buses.filter((bus) => recipient.buses.includes(bus.busCode));
+  }
+
+  return { jid, name, buses: recipientBuses };
+}
+
+/**
+ * Collect the digest figures for one bus and day
+ *
+ * @param {Object} bus - Bus from buses.json
+ * @param {Date} date - Day to summarise
+ * @param {number} [outstandingDays] - Only bookings starting in this many days up to date count as outstanding
+ * @returns {Promise<Object>} Figures for formatBusDigest()
+ */
+export async function buildBusDigest(bus, date, outstandingDays = DEFAULT_OUTSTANDING_DAYS) {
+  const { daily, booking } = await computeProfitSummary(bus.busCode, date, date);
+  const cash = await getCashAvailable(bus.busCode, date);
+
+  const outstanding = (
+    await queryRecords("bookings", { busCode: bus.busCode, from: subDays(date, outstandingDays - 1), to: date })
+  ).filter(([, record]) => Number(record.BalanceAmount?.Amount || record.BalanceAmount || 0) > 0);
+
+  return {
+    busCode: bus.busCode,
+    registrationNumber: bus.registrationNumber,
+    reportSubmitted: daily.count > 0,
+    collection: daily.collection,
+    expenses: daily.expenses,
+    net: daily.net,
+    cashHandover: daily.records.reduce((sum, [, record]) => sum + getEntryCashTotal(record), 0),
+    bookingTrips: booking.count,
+    bookingFare: booking.collection,
+    outstandingBalance: outstanding.reduce(
+      (sum, [, record]) => sum + Number(record.BalanceAmount?.Amount || record.BalanceAmount || 0),
+      0
+    ),
+    outstandingCount: outstanding.length,
+    undepositedCash: cash.totalAvailable,
+  };
+}
+
+/**
+ * Format the digest section for one bus
+ */
+function formatBusDigest(lang, figures, outstandingDays) {
+  const label = (key, params) => t(lang, `reports.digest.${key}`, params);
+  let msg = `🚌 *${figures.busCode}* (${figures.registrationNumber})\n`;
+
+  if (figures.reportSubmitted) {
+    msg += `${label("collection", { amount: formatCurrency(figures.collection) })}\n`;
+    msg += `${label("expenses", { amount: formatCurrency(figures.expenses) })}\n`;
+    msg += `${label("net", { amount: formatCurrency(figures.net) })}\n`;
+    msg += `${label("cashHandover", { amount: formatCurrency(figures.cashHandover) })}\n`;
+  } else {
+    msg += `${label("notSubmitted")}\n`;
+  }
+
+  msg += label("bookingTrips", { count: figures.bookingTrips });
+  if (figures.bookingTrips > 0) msg += ` (₹${formatCurrency(figures.bookingFare)})`;
+  msg += `\n`;
+  msg += label("outstanding", { amount: formatCurrency(figures.outstandingBalance), days: outstandingDays });
+  if (figures.outstandingCount > 0) msg += label("outstandingCount", { count: figures.outstandingCount });
+  msg += `\n`;
+  msg += `${label("undeposited", { amount: formatCurrency(figures.undepositedCash) })}\n`;
+
+  return msg;
+}
+
+/**
+ * Build the full digest message for a list of buses
+ *
+ * @param {Array<Object>} buses - Buses from buses.json
+ * @param {Date} date - Day to summarise
+ * @param {string} [lang] - Language code
+ * @param {number} [outstandingDays] - Days of bookings counted as outstanding
+ * @returns {Promise<string>} Message text
+ */
+export async function buildDigestMessage(buses, date, lang = "en", outstandingDays = DEFAULT_OUTSTANDING_DAYS) {
+  const day = t(lang, `common.weekdays.${date.getDay()}`);
+  let msg = `${t(lang, "reports.digest.title", { day, date: format(date, "dd/MM/yyyy") })}\n`;
+  for (const bus of buses) {
+    msg += `\n` + formatBusDigest(lang, await buildBusDigest(bus, date, outstandingDays), outstandingDays);
+  }
+  return msg.trim();
+}
+
+/**
+ * Send the digest to every configured recipient
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Date} date - Day to summarise
+ * @returns {Promise<number>} Number of recipients the digest was sent to
+ */
+export async function sendDailyDigest(sock, date = new Date()) {
+  const settings = loadSettings();
+  const users = readDataList("users");
+  const buses = readDataList("buses").filter((bus) => bus.status === "Active");
+  const outstandingDays = Number(settings.outstandingDays) || DEFAULT_OUTSTANDING_DAYS;
+
+  let sent = 0;
+  for (const entry of settings.recipients || []) {
+    const recipient = resolveRecipient(entry, users, buses);
+    if (!recipient || recipient.buses.length === 0) {
+      console.warn("⚠️ Digest recipient skipped (unknown, inactive or no buses):", JSON.stringify(entry));
+      continue;
+    }
+
+    try {
+      const lang = getUserLanguage(recipient.jid);
+      await sock.sendMessage(recipient.jid, {
+        text: await buildDigestMessage(recipient.buses, date, lang, outstandingDays),
+      });
+      sent++;
+    } catch (err) {
+      console.error(`❌ Failed to send digest to ${recipient.name || recipient.jid}:`, err.message);
+    }
+  }
+
+  console.log(`📊 Daily digest sent to ${sent} recipient(s)`);
+  return sent;
+}
+
+/**
+ * Read the date the digest was last sent (DD/MM/YYYY)
+ */
+function getLastSentDate() {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, "utf8")).lastSentDate || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the date the digest was sent
+ * Written to a temp file and renamed, so a crash mid-write cannot leave a damaged file
+ */
+function setLastSentDate(dateStr) {
+  try {
+    const tempFile = `${stateFile}.tmp`;
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify({ lastSentDate: dateStr }, null, 2));
+    fs.renameSync(tempFile, stateFile);
+  } catch (err) {
+    console.error("❌ Error saving digest state:", err.message);
+  }
+}
+
+/**
+ * Send today's digest if it is enabled, due and not sent yet
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<boolean>} True if the digest was sent
+ */
+export async function runDigestCheck(sock, now = new Date()) {
+  const settings = loadSettings();
+  if (!settings.enabled || !(settings.recipients || []).length) return false;
+
+  const [hours, minutes] = String(settings.sendTime || "22:00").split(":").map(Number);
+  if (now.getHours() * 60 + now.getMinutes() < hours * 60 + (minutes || 0)) return false;
+
+  const today = format(now, "dd/MM/yyyy");
+  if (getLastSentDate() === today) return false;
+
+  // Mark first so a slow or failing send is not retried every minute
+  setLastSentDate(today);
+  await sendDailyDigest(sock, now);
+  return true;
+}
+
+/**
+ * Start the digest scheduler
+ *
+ * @param {Function} getSock - Returns the connected WhatsApp socket, or null while disconnected
+ */
+export function startDigestScheduler(getSock) {
+  if (digestTimer) return;
+
+  digestTimer = setInterval(() => {
+    const sock = getSock();
+    if (!sock) return;
+    runDigestCheck(sock).catch((err) => console.error("❌ Daily digest failed:", err));
+  }, CHECK_INTERVAL_MS);
+  digestTimer.unref?.();
+}
@@ -0,0 +1,508 @@
+/**
+ * data-export.js - Excel/CSV Export
+ *
+ * Turns daily, booking and cash records into flat tables that open directly
+ * in Excel or Google Sheets, without the Apps Script sync:
+ *
+ *   export daily this month        -> BUS101_daily_This_Month.xlsx
+ *   export booking nov csv         -> one .csv per sheet
+ *   GET /export/cash?period=2025&bus=BUS101&format=csv
+ *
+ * Nested fields are flattened: Diesel/Adda/Union become amount + mode
+ * columns, and ExtraExpenses, EmployExpenses, PaymentHistory and deposit
+ * allocations get their own sheet with one row per item.
+ */
+
+import ExcelJS from "exceljs";
+import { queryRecords } from "./storage.js";
+import { parsePeriod } from "./period.js";
+
+// Export name (and accepted spellings) -> storage store name
+export const EXPORT_TYPES = {
+  daily: { store: "daily", aliases: ["daily"] },
+  booking: { store: "bookings", aliases: ["booking", "bookings"] },
+  cash: { store: "cash", aliases: ["cash", "deposit", "deposits"] },
+};
+
+export const EXPORT_FORMATS = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+};
+
+const ALL_TIME = { start: new Date(2000, 0, 1), end: new Date(2099, 11, 31, 23, 59, 59, 999), name: "All Time" };
+
+/**
+ * Read an amount stored as a number, { amount } or { Amount }
+ */
+function amountOf(value) {
+  return Number(value?.amount ?? value?.Amount ?? value) || 0;
+}
+
+/**
+ * Payment mode of an amount field ("cash" unless stored as online)
+ */
+function modeOf(value) {
+  if (value === null || value === undefined || value === "") return "";
+  return value?.mode || "cash";
+}
+
+/**
+ * Bus code and date from a "BUS101_15/11/2025" record key
+ */
+function splitKey(key) {
+  const index = key.lastIndexOf("_");
+  return { bus: key.slice(0, index), date: key.slice(index + 1) };
+}
+
+/**
+ * File name without extension ("BUS101_daily_NOV_2025")
+ *
+ * @param {...string} parts - Name parts (bus, type, period name)
+ * @returns {string} Safe file name
+ */
+export function exportBaseName(...parts) {
+  return parts
+    .filter(Boolean)
+    .join("_")
+    .replace(/\//g, "-")
+    .replace(/[^A-Za-z0-9_\-]+/g, "_")
+    .replace(/_+/g, "_");
+}
+
+/**
+ * Resolve an export name ("bookings", "deposits") to its EXPORT_TYPES key
+ *
+ * @param {string} name - Export name typed by the user
+ * @returns {string|null} "daily", "booking" or "cash"
+ */
+export function resolveExportType(name) {
+  const value = String(name || "").trim().toLowerCase();
+  return Object.keys(EXPORT_TYPES).find((type) => EXPORT_TYPES[type].aliases.includes(value)) || null;
+}
+
+/**
+ * Work out the export period; "all" (or "all time") exports every record
+ *
+ * @param {string} text - Period words, e.g. "this month", "nov 2025"
+ * @returns {{start: Date, end: Date, name: string}|null} Range, or null if unknown
+ */
+export function parseExportPeriod(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (value === "all" || value === "all time") return ALL_TIME;
+  return parsePeriod(value || "this month");
+}
+
+/**
+ * Parse "export <daily|booking|cash> [period] [xlsx|csv]"
+ *
+ * @param {string} text - Message text
+ * @returns {{type: string|null, period: string, format: string}|null} Parsed command, null if not an export command
+ */
+export function parseExportCommand(text) {
+  const match = String(text || "").trim().match(/^export(?:\s+(\S+))?(?:\s+(.+))?$/i);
+  if (!match) return null;
+
+  let period = (match[2] || "").trim().toLowerCase();
+  let format = "xlsx";
+  const formatMatch = period.match(/^(?:(.*)\s+)?(xlsx|excel|csv)$/);
+  if (formatMatch) {
+    format = formatMatch[2] === "csv" ? "csv" : "xlsx";
+    period = (formatMatch[1] || "").trim();
+  }
+
+  return { type: resolveExportType(match[1]), period, format };
+}
+
+/**
+ * Daily records as sheets: one row per report, plus expense, employee and trip rows
+ */
+function buildDailySheets(records) {
+  const reports = [];
+  const expenses = [];
+  const employees = [];
+  const trips = [];
+
+  for (const [key, record] of records) {
+    const { bus, date } = splitKey(key);
+    const extra = record.ExtraExpenses || [];
+    const employ = record.EmployExpenses || [];
+
+    reports.push({
+      key,
+      bus,
+      date,
+      diesel: amountOf(record.Diesel),
+      dieselMode: modeOf(record.Diesel),
+      adda: amountOf(record.Adda),
+      addaMode: modeOf(record.Adda),
+      union: amountOf(record.Union),
+      unionMode: modeOf(record.Union),
+      extraExpenses: extra.reduce((sum, e) => sum + amountOf(e.amount), 0),
+      employeeExpenses: employ.reduce((sum, e) => sum + amountOf(e.amount), 0),
+      cashCollection: amountOf(record.TotalCashCollection),
+      online: amountOf(record.Online),
+      cashHandover: amountOf(record.CashHandover),
+      cashDeposited: amountOf(record.CashDeposited),
+      remarks: record.Remarks || "",
+      status: record.Status || "",
+      submittedBy: record.sender || "",
+      submittedAt: record.submittedAt || "",
+    });
+
+    for (const e of extra) {
+      expenses.push({ key, bus, date, name: e.name || "", amount: amountOf(e.amount), mode: modeOf(e) });
+    }
+    for (const e of employ) {
+      employees.push({
+        key,
+        bus,
+        date,
+        role: e.role || "",
+        name: e.name || "",
+        type: e.type || "",
+        amount: amountOf(e.amount),
+        mode: modeOf(e),
+      });
+    }
+    for (const trip of record.Trips || []) {
+      trips.push({ key, bus, date, trip: trip.trip, routeId: trip.routeId || "", route: trip.route || "", amount: amountOf(trip.amount) });
+    }
+  }
+
+  return [
+    {
+      name: "Daily",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Date", "date"],
+        ["Diesel", "diesel"], ["Diesel Mode", "dieselMode"],
+        ["Adda", "adda"], ["Adda Mode", "addaMode"],
+        ["Union", "union"], ["Union Mode", "unionMode"],
+        ["Extra Expenses", "extraExpenses"], ["Employee Expenses", "employeeExpenses"],
+        ["Cash Collection", "cashCollection"], ["Online", "online"],
+        ["Cash Handover", "cashHandover"], ["Cash Deposited", "cashDeposited"],
+        ["Remarks", "remarks"], ["Status", "status"],
+        ["Submitted By", "submittedBy"], ["Submitted At", "submittedAt"],
+      ],
+      rows: reports,
+    },
+    {
+      name: "Extra Expenses",
+      columns: [["Key", "key"], ["Bus", "bus"], ["Date", "date"], ["Expense", "name"], ["Amount", "amount"], ["Mode", "mode"]],
+      rows: expenses,
+    },
+    {
+      name: "Employees",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Date", "date"], ["Role", "role"], ["Name", "name"],
+        ["Type", "type"], ["Amount", "amount"], ["Mode", "mode"],
+      ],
+      rows: employees,
+    },
+    {
+      name: "Trips",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Date", "date"], ["Trip", "trip"],
+        ["Route ID", "routeId"], ["Route", "route"], ["Amount", "amount"],
+      ],
+      rows: trips,
+    },
+  ];
+}
+
+/**
+ * Booking records as sheets: one row per booking, plus payments, expenses and employees
+ */
+function buildBookingSheets(records) {
+  const bookings = [];
+  const payments = [];
+  const expenses = [];
+  const employees = [];
+
+  for (const [key, b] of records) {
+    const bus = b.BusCode || splitKey(key).bus;
+    const start = b.Date?.Start || "";
+    const history = b.PaymentHistory || [];
+    const extra = b.ExtraExpenses || [];
+    const employ = b.EmployExpenses || [];
+
+    bookings.push({
+      key,
+      bus,
+      start,
+      end: b.Date?.End || "",
+      days: Number(b.Date?.NoOfDays) || 1,
+      customer: b.CustomerName || "",
+      phone: b.CustomerPhone || "",
+      pickup: b.Location?.Pickup || b.PickupLocation || "",
+      drop: b.Location?.Drop || b.DropLocation || "",
+      capacity: b.Capacity || "",
+      totalFare: amountOf(b.TotalFare),
+      advance: amountOf(b.AdvancePaid),
+      advanceMode: modeOf(b.AdvancePaid),
+      received: history.reduce((sum, p) => sum + amountOf(p.amount), 0),
+      balance: amountOf(b.BalanceAmount),
+      diesel: amountOf(b.Diesel),
+      dieselMode: modeOf(b.Diesel),
+      adda: amountOf(b.Adda),
+      addaMode: modeOf(b.Adda),
+      union: amountOf(b.Union),
+      unionMode: modeOf(b.Union),
+      extraExpenses: extra.reduce((sum, e) => sum + amountOf(e.amount), 0),
+      employeeExpenses: employ.reduce((sum, e) => sum + amountOf(e.amount), 0),
+      remarks: b.Remarks || "",
+      status: b.Status || "",
+      bookedOn: b.BookingDate || "",
+      submittedBy: b.Sender || "",
+      submittedAt: b.submittedAt || "",
+    });
+
+    const base = { key, bus, start, customer: b.CustomerName || "" };
+    if (b.AdvancePaid && amountOf(b.AdvancePaid) > 0) {
+      payments.push({ ...base, type: "Advance", date: b.BookingDate || "", amount: amountOf(b.AdvancePaid), mode: modeOf(b.AdvancePaid) });
+    }
+    for (const p of history) {
+      payments.push({ ...base, type: "Payment", date: p.date || "", amount: amountOf(p.amount), mode: modeOf(p) });
+    }
+    for (const e of extra) {
+      expenses.push({ key, bus, date: start, name: e.name || "", amount: amountOf(e.amount), mode: modeOf(e) });
+    }
+    for (const e of employ) {
+      employees.push({
+        key,
+        bus,
+        date: start,
+        role: e.role || "",
+        name: e.name || "",
+        type: e.type || "",
+        amount: amountOf(e.amount),
+        mode: modeOf(e),
+      });
+    }
+  }
+
+  return [
+    {
+      name: "Bookings",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Start", "start"], ["End", "end"], ["Days", "days"],
+        ["Customer", "customer"], ["Phone", "phone"], ["Pickup", "pickup"], ["Drop", "drop"], ["Capacity", "capacity"],
+        ["Total Fare", "totalFare"], ["Advance", "advance"], ["Advance Mode", "advanceMode"],
+        ["Received", "received"], ["Balance", "balance"],
+        ["Diesel", "diesel"], ["Diesel Mode", "dieselMode"],
+        ["Adda", "adda"], ["Adda Mode", "addaMode"],
+        ["Union", "union"], ["Union Mode", "unionMode"],
+        ["Extra Expenses", "extraExpenses"], ["Employee Expenses", "employeeExpenses"],
+        ["Remarks", "remarks"], ["Status", "status"],
+        ["Booked On", "bookedOn"], ["Submitted By", "submittedBy"], ["Submitted At", "submittedAt"],
+      ],
+      rows: bookings,
+    },
+    {
+      name: "Payments",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Start", "start"], ["Customer", "customer"],
+        ["Type", "type"], ["Date", "date"], ["Amount", "amount"], ["Mode", "mode"],
+      ],
+      rows: payments,
+    },
+    {
+      name: "Extra Expenses",
+      columns: [["Key", "key"], ["Bus", "bus"], ["Date", "date"], ["Expense", "name"], ["Amount", "amount"], ["Mode", "mode"]],
+      rows: expenses,
+    },
+    {
+      name: "Employees",
+      columns: [
+        ["Key", "key"], ["Bus", "bus"], ["Date", "date"], ["Role", "role"], ["Name", "name"],
+        ["Type", "type"], ["Amount", "amount"], ["Mode", "mode"],
+      ],
+      rows: employees,
+    },
+  ];
+}
+
+/**
+ * Cash deposits as sheets: one row per deposit, plus one row per entry it covered
+ */
+function buildCashSheets(records) {
+  const deposits = [];
+  const allocations = [];
+
+  for (const [key, d] of records) {
+    const depositId = d.depositId || key;
+    deposits.push({
+      depositId,
+      bus: d.busCode || "",
+      depositedAt: d.depositedAt || "",
+      amount: amountOf(d.amount),
+      fromDaily: amountOf(d.breakdown?.fromDaily),
+      fromBookings: amountOf(d.breakdown?.fromBookings),
+      fromBalance: amountOf(d.breakdown?.fromBalance),
+      openInEntries: amountOf(d.openInEntries),
+      balance: amountOf(d.balance),
+      remarks: d.remarks || "",
+      sender: d.sender || "",
+    });
+
+    for (const [entryType, entries] of [["Daily", d.allocations?.daily], ["Booking", d.allocations?.booking]]) {
+      for (const [entry, alloc] of Object.entries(entries || {})) {
+        allocations.push({
+          depositId,
+          bus: d.busCode || "",
+          entryType,
+          entry,
+          amount: amountOf(alloc.amount),
+          remaining: amountOf(alloc.remaining),
+        });
+      }
+    }
+  }
+
+  return [
+    {
+      name: "Deposits",
+      columns: [
+        ["Deposit ID", "depositId"], ["Bus", "bus"], ["Deposited At", "depositedAt"], ["Amount", "amount"],
+        ["From Daily", "fromDaily"], ["From Bookings", "fromBookings"], ["From Balance", "fromBalance"],
+        ["Open In Entries", "openInEntries"], ["Balance", "balance"], ["Remarks", "remarks"], ["Sender", "sender"],
+      ],
+      rows: deposits,
+    },
+    {
+      name: "Allocations",
+      columns: [
+        ["Deposit ID", "depositId"], ["Bus", "bus"], ["Entry Type", "entryType"], ["Entry", "entry"],
+        ["Amount", "amount"], ["Remaining", "remaining"],
+      ],
+      rows: allocations,
+    },
+  ];
+}
+
+const SHEET_BUILDERS = {
+  daily: buildDailySheets,
+  booking: buildBookingSheets,
+  cash: buildCashSheets,
+};
+
+/**
+ * Collect the records of an export as flat sheets
+ *
+ * @param {string} type - "daily", "booking" or "cash"
+ * @param {Object} options
+ * @param {string} [options.busCode] - Only this bus (all buses if omitted)
+ * @param {{start: Date, end: Date}} options.period - Date range
+ * @returns {Promise<{count: number, sheets: Array<{name: string, columns: Array<[string, string]>, rows: Array<Object>}>}>}
+ */
+export async function buildExport(type, { busCode, period }) {
+  const records = await queryRecords(EXPORT_TYPES[type].store, {
+    busCode: busCode || undefined,
+    from: period.start,
+    to: period.end,
+  });
+  return { count: records.length, sheets: SHEET_BUILDERS[type](records) };
+}
+
+/**
+ * Quote a CSV value when needed
+ */
+function csvValue(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write one sheet as CSV (UTF-8 with BOM so Excel shows Hindi/Urdu text)
+ *
+ * @param {Object} sheet - Sheet from buildExport()
+ * @returns {Buffer} CSV file data
+ */
+export function sheetToCsv(sheet) {
+  const lines = [sheet.columns.map(([header]) => csvValue(header)).join(",")];
+  for (const row of sheet.rows) {
+    lines.push(sheet.columns.map(([, key]) => csvValue(row[key])).join(","));
+  }
+  return Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+}
+
+/**
+ * Write all sheets into one Excel workbook
+ *
+ * @param {Array<Object>} sheets - Sheets from buildExport()
+ * @returns {Promise<Buffer>} .xlsx file data
+ */
+export async function sheetsToXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "WhatsApp Bus Bot";
+  workbook.created = new Date();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: "frozen", ySplit: 1 }] });
+    worksheet.columns = sheet.columns.map(([header, key]) => ({
+      header,
+      key,
+      width: Math.max(10, header.length + 2),
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.addRows(sheet.rows);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build an export and write it as files
+ *
+ * XLSX gives one workbook with every sheet. CSV gives one file per sheet;
+ * detail sheets without rows are left out, the main sheet is always included.
+ *
+ * @param {string} type - "daily", "booking" or "cash"
+ * @param {Object} options
+ * @param {string} [options.busCode] - Only this bus (all buses if omitted)
+ * @param {{start: Date, end: Date, name: string}} options.period - Date range
+ * @param {string} [options.format] - "xlsx" (default) or "csv"
+ * @returns {Promise<{count: number, files: Array<{fileName: string, mimetype: string, data: Buffer}>}>}
+ */
+export async function createExportFiles(type, { busCode, period, format = "xlsx" }) {
+  const { count, sheets } = await buildExport(type, { busCode, period });
+  const baseName = exportBaseName(busCode || "all-buses", type, period.name);
+
+  if (format === "csv") {
+    const files = sheets
+      .filter((sheet, index) => index === 0 || sheet.rows.length > 0)
+      .map((sheet, index) => ({
+        fileName: index === 0 ? `${baseName}.csv` : `${baseName}_${sheet.name.replace(/\s+/g, "-")}.csv`,
+        mimetype: EXPORT_FORMATS.csv,
+        data: sheetToCsv(sheet),
+      }));
+    return { count, files };
+  }
+
+  return {
+    count,
+    files: [{ fileName: `${baseName}.xlsx`, mimetype: EXPORT_FORMATS.xlsx, data: await sheetsToXlsx(sheets) }],
+  };
+}
+
+/**
+ * Build an export and send the files as WhatsApp documents
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Recipient JID
+ * @param {Object} options - See createExportFiles()
+ * @returns {Promise<number>} Number of records exported
+ */
+export async function sendExportFiles(sock, sender, options) {
+  const { count, files } = await createExportFiles(options.type, options);
+  if (count === 0) return 0;
+
+  for (const file of files) {
+    await sock.sendMessage(sender, {
+      document: file.data,
+      mimetype: file.mimetype,
+      fileName: file.fileName,
+    });
+    console.log(`📤 Sent export ${file.fileName} (${Math.round(file.data.length / 1024)} KB) to ${sender}`);
+  }
+  return count;
+}
@@ -0,0 +1,113 @@
+/**
+ * data-files.js - Master Data File Access
+ *
+ * This module reads and writes the master data files in src/data:
+ * - users.json     (bot users, roles, assigned buses)
+ * - buses.json     (bus inventory)
+ * - employee.json  (drivers, conductors and their daily wages)
+ *
+ * Writes are atomic: data is written to a temp file which is then renamed
+ * over the original, so a crash mid-write never leaves a half-written file.
+ *
+ * Modules that cache these files register a reload hook with
+ * onDataFileChange() and are refreshed right after every write,
+ * so changes take effect without restarting the server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Data file name -> path, and the top-level array key inside each file
+const dataFiles = {
+  users: { path: path.join(__dirname, '../data/users.json'), key: 'users' },
+  buses: { path: path.join(__dirname, '../data/buses.json'), key: 'buses' },
+  employees: { path: path.join(__dirname, '../data/employee.json'), key: 'employees' },
+};
+
+// Reload hooks registered by caching modules, keyed by data file name
+const changeListeners = { users: [], buses: [], employees: [] };
+
+/**
+ * Read the list stored in a data file
+ *
+ * A missing file is an empty list. Any other read or parse error is thrown
+ * (err.code 'DATA_READ_FAILED'), so callers never write back a list that
+ * lost the records they could not read.
+ *
+ * @param {string} name - Data file name ('users', 'buses' or 'employees')
+ * @returns {Array} Array of records, or empty array if the file is missing
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+export function readDataList(name) {
+  const file = dataFiles[name];
+  if (!file) throw new Error(`Unknown data file: ${name}`);
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+    return data[file.key] || [];
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+
+    console.error(`❌ Error reading ${name} data file:`, err);
+    const readError = new Error(`Could not read ${name} data file`, { cause: err });
+    readError.code = 'DATA_READ_FAILED';
+    throw readError;
+  }
+}
+
+/**
+ * Write the list for a data file atomically and notify reload hooks
+ *
+ * @param {string} name - Data file name ('users', 'buses' or 'employees')
+ * @param {Array} list - Full array of records to save
+ * @returns {boolean} True if saved, false on error
+ */
+export function writeDataList(name, list) {
+  const file = dataFiles[name];
+  if (!file) throw new Error(`Unknown data file: ${name}`);
+
+  const tempFile = `${file.path}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify({ [file.key]: list }, null, 2) + '\n');
+    fs.renameSync(tempFile, file.path);
+  } catch (err) {
+    console.error(`❌ Error writing ${name} data file:`, err);
+    try { fs.unlinkSync(tempFile); } catch {}
+    return false;
+  }
+
+  console.log(`💾 Saved ${name} data (${list.length} records)`);
+  notifyDataFileChange(name);
+  return true;
+}
+
+/**
+ * Register a function to run whenever a data file is written
+ *
+ * @param {string} name - Data file name ('users', 'buses' or 'employees')
+ * @param {Function} listener - Called with no arguments after each write
+ */
+export function onDataFileChange(name, listener) {
+  if (!changeListeners[name]) throw new Error(`Unknown data file: ${name}`);
+  changeListeners[name].push(listener);
+}
+
+/**
+ * Run every reload hook registered for a data file
+ *
+ * @param {string} name - Data file name
+ */
+function notifyDataFileChange(name) {
+  for (const listener of changeListeners[name]) {
+    try {
+      listener();
+    } catch (err) {
+      console.error(`❌ Reload hook for ${name} failed:`, err);
+    }
+  }
+}
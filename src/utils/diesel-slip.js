@@ -0,0 +1,94 @@
+/**
+ * diesel-slip.js - Diesel Slip Photos
+ *
+ * When a petrol-pump slip is sent as a photo (no caption, or just "Diesel"),
+ * its total is read offline (see ocr.js) and the user is asked to confirm:
+ *
+ *   ⛽ Diesel slip read: ₹5,230
+ *   Yes → Diesel 5230        Yes online → Diesel 5230 online
+ *   5250 → Diesel 5250       No → nothing is changed
+ *
+ * The confirmed amount is applied as a normal "Diesel <amount> [online]" line,
+ * so the daily and booking field handlers set it exactly as if it was typed.
+ * Any other reply drops the pending slip and is processed as usual.
+ */
+
+import { isOcrEnabled, readDieselSlip } from "./ocr.js";
+import { tr } from "./i18n.js";
+
+/**
+ * Check whether a photo caption asks for the slip to be read
+ *
+ * @param {string} caption - Photo caption with any feature prefix removed
+ * @returns {boolean} True for no caption, "Diesel" or "Diesel slip"
+ */
+export function isDieselSlipCaption(caption) {
+  return isOcrEnabled() && /^(diesel(\s+slip)?)?$/i.test(String(caption || "").trim());
+}
+
+/**
+ * Read the total from a slip photo and ask the user to confirm it
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Sender JID
+ * @param {Buffer} buffer - Image data
+ * @param {Object} user - Daily or booking draft (gets pendingDieselSlip)
+ * @param {Function} safeSendMessage - The feature's safeSendMessage()
+ * @returns {Promise<boolean>} True when an amount was read
+ */
+export async function askDieselSlipAmount(sock, sender, buffer, user, safeSendMessage) {
+  let amount = null;
+  try {
+    ({ amount } = await readDieselSlip(buffer));
+  } catch (err) {
+    console.error("❌ Error reading diesel slip for", sender, ":", err);
+  }
+
+  if (!amount) {
+    delete user.pendingDieselSlip;
+    await safeSendMessage(sock, sender, {
+      text: tr(sender, "common.dieselSlip.unreadable"),
+    });
+    return false;
+  }
+
+  console.log(`⛽ Diesel slip read for ${sender}: ₹${amount}`);
+  user.pendingDieselSlip = { amount };
+  await safeSendMessage(sock, sender, {
+    text: tr(sender, "common.dieselSlip.read", { amountText: amount.toLocaleString("en-IN"), amount }),
+  });
+  return true;
+}
+
+/**
+ * Handle the reply to a diesel slip prompt
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Sender JID
+ * @param {string} text - Lowercased reply
+ * @param {Object} user - Daily or booking draft
+ * @param {Function} applyLine - async (line) => runs "Diesel <amount> [online]" through the feature's handlers
+ * @param {Function} safeSendMessage - The feature's safeSendMessage()
+ * @returns {Promise<boolean>} True if the reply answered the prompt
+ */
+export async function handleDieselSlipConfirmation(sock, sender, text, user, applyLine, safeSendMessage) {
+  if (!user?.pendingDieselSlip) return false;
+
+  const { amount } = user.pendingDieselSlip;
+  delete user.pendingDieselSlip;
+
+  const reply = text.trim().toLowerCase();
+  if (/^(no|n)$/.test(reply)) {
+    await safeSendMessage(sock, sender, { text: tr(sender, "common.dieselSlip.skipped") });
+    return true;
+  }
+
+  const yesMatch = reply.match(/^(?:yes|y)(?:\s+(online))?$/);
+  const amountMatch = reply.match(/^(?:diesel\s+)?(\d+)(?:\s+(online))?$/);
+  if (!yesMatch && !amountMatch) return false;
+
+  const finalAmount = yesMatch ? amount : parseInt(amountMatch[1]);
+  const online = yesMatch ? yesMatch[1] : amountMatch[2];
+  await applyLine(`Diesel ${finalAmount}${online ? " online" : ""}`);
+  return true;
+}
@@ -6,9 +6,11 @@
  * are automatically added as expenses in daily reports.
  * 
  * Data is loaded from src/data/employee.json
+ * Caches are cleared automatically when the admin commands save changes.
  */
 
 import fs from "fs";
+import { onDataFileChange } from "./data-files.js";
 
 // Path to the employee data file
 const employeeFile = "./src/data/employee.json";
@@ -91,15 +93,15 @@ function extractInternalIdFromSender(sender) {
 }
 
 /**
- * Get user's full name by sender ID
+ * Get the user record for a sender ID
  * Matches sender against users.json by:
  * 1. internalId (for @lid format)
  * 2. phone number (for @s.whatsapp.net format)
  * 
  * @param {string} sender - WhatsApp sender ID (e.g., "24696179441690@lid" or "919797304901@s.whatsapp.net")
- * @returns {string|null} User's full name or null if not found
+ * @returns {Object|null} User from users.json or null if not found
  */
-export function getUserNameBySender(sender) {
+export function getUserBySender(sender) {
   if (!sender) return null;
   
   const users = getUsers();
@@ -119,6 +121,17 @@ export function getUserNameBySender(sender) {
     }
   }
   
+  return user || null;
+}
+
+/**
+ * Get user's full name by sender ID
+ * 
+ * @param {string} sender - WhatsApp sender ID (e.g., "24696179441690@lid" or "919797304901@s.whatsapp.net")
+ * @returns {string|null} User's full name or null if not found
+ */
+export function getUserNameBySender(sender) {
+  const user = getUserBySender(sender);
   if (!user) return null;
   
   const parts = [user.firstName, user.middleName, user.lastName].filter(Boolean);
@@ -136,6 +149,20 @@ export function getUserNameByPhone(sender) {
   return getUserNameBySender(sender);
 }
 
+/**
+ * Build the WhatsApp ID used to message a user
+ * Prefers the internal ID (@lid format), falling back to the phone number
+ * with the country code from DEFAULT_COUNTRY_CODE (default 91)
+ *
+ * @param {Object} user - User from users.json
+ * @returns {string|null} WhatsApp ID (e.g., "24696179441690@lid") or null if the user has neither
+ */
+export function getUserJid(user) {
+  if (user?.internalId) return `${user.internalId}@lid`;
+  if (user?.phone) return `${process.env.DEFAULT_COUNTRY_CODE || "91"}${user.phone}@s.whatsapp.net`;
+  return null;
+}
+
 /**
  * Load employee data from the JSON file
  * Returns cached data if already loaded
@@ -225,3 +252,19 @@ export function reloadEmployees() {
   employeesData = null;  // Clear cache
   return getEmployees(); // Load fresh data
 }
+
+/**
+ * Reload users data from file
+ * Clears the cache and forces a fresh read
+ * Use this after the users.json file has been updated
+ * 
+ * @returns {Array} Freshly loaded array of user objects
+ */
+export function reloadUsers() {
+  usersData = null;   // Clear cache
+  return getUsers();  // Load fresh data
+}
+
+// Hot-reload caches whenever the admin commands write these files
+onDataFileChange("users", reloadUsers);
+onDataFileChange("employees", reloadEmployees);
@@ -0,0 +1,144 @@
+/**
+ * fuel.js - Distance and Fuel Efficiency
+ *
+ * Daily reports and bookings can carry the distance driven and the diesel
+ * filled, so fuel use per km can be compared between days and buses:
+ *
+ *   Odometer start 123450
+ *   Odometer end 123770      (distance = end - start)
+ *   Km 320                   (when there is no odometer reading)
+ *   Litres 80
+ *
+ * The values are stored on the record as OdometerStart, OdometerEnd, Km and
+ * Litres (numbers). When the record is saved, the derived figures are stored
+ * as FuelEfficiency: { km, litres, kmPerLitre, rupeesPerKm } - rupees per km
+ * comes from the Diesel amount.
+ */
+
+import { t } from "./i18n.js";
+
+// Record fields set by the fuel commands
+export const FUEL_FIELDS = ["OdometerStart", "OdometerEnd", "Km", "Litres"];
+
+const FUEL_PATTERNS = {
+  OdometerStart: /^(?:odometer|odo)[ \t]*start[ \t]*[:\-]?[ \t]*\*?(\d+(?:\.\d+)?)\*?[ \t]*$/im,
+  OdometerEnd: /^(?:odometer|odo)[ \t]*end[ \t]*[:\-]?[ \t]*\*?(\d+(?:\.\d+)?)\*?[ \t]*$/im,
+  Km: /^(?:km|kms)[ \t]*[:\-]?[ \t]*\*?(\d+(?:\.\d+)?)\*?[ \t]*$/im,
+  Litres: /^(?:litres|liters|litre|liter|ltr)[ \t]*[:\-]?[ \t]*\*?(\d+(?:\.\d+)?)\*?[ \t]*$/im,
+};
+
+/**
+ * Reads an amount that may be stored as a number or as { amount } / { Amount }.
+ */
+function readAmount(value) {
+  return parseFloat(value?.amount ?? value?.Amount ?? value) || 0;
+}
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Extract odometer, km and litres values from a message
+ *
+ * @param {string} text - User input text
+ * @returns {Object} Found fields, e.g. { OdometerStart: 123450, Litres: 80 }
+ *
+ * @example
+ * extractFuelFields("Odometer end 123770"); // { OdometerEnd: 123770 }
+ */
+export function extractFuelFields(text) {
+  const values = {};
+  for (const [field, pattern] of Object.entries(FUEL_PATTERNS)) {
+    const match = String(text || "").match(pattern);
+    if (match) values[field] = parseFloat(match[1]);
+  }
+  return values;
+}
+
+/**
+ * Check that the odometer end reading is after the start reading
+ *
+ * @param {Object} record - Record or session data with OdometerStart / OdometerEnd
+ * @returns {string|null} Warning message, or null if the readings are fine
+ */
+export function checkOdometer(record) {
+  const { OdometerStart: start, OdometerEnd: end } = record;
+  if (start == null || end == null || end > start) return null;
+  return `⚠️ Odometer end (${end}) must be more than odometer start (${start}).`;
+}
+
+/**
+ * Distance driven: odometer end - start, or the Km field
+ *
+ * @param {Object} record - Daily or booking record
+ * @returns {number} Kilometres (0 if unknown)
+ */
+export function getDistance(record) {
+  const start = Number(record.OdometerStart);
+  const end = Number(record.OdometerEnd);
+  if (record.OdometerStart != null && record.OdometerEnd != null && end > start) return end - start;
+  return Number(record.Km) || 0;
+}
+
+/**
+ * Fuel efficiency of a record
+ *
+ * @param {Object} record - Daily or booking record
+ * @returns {{km: number, litres: number, kmPerLitre: number|null, rupeesPerKm: number|null}|null}
+ *   null when neither distance nor litres were entered
+ */
+export function computeFuelEfficiency(record) {
+  const km = getDistance(record);
+  const litres = Number(record.Litres) || 0;
+  if (!km && !litres) return null;
+
+  const diesel = readAmount(record.Diesel);
+  return {
+    km,
+    litres,
+    kmPerLitre: km && litres ? round2(km / litres) : null,
+    rupeesPerKm: km && diesel ? round2(diesel / km) : null,
+  };
+}
+
+/**
+ * Store the derived FuelEfficiency on a record before it is saved
+ * (removed again if the distance and litres were cleared)
+ *
+ * @param {Object} record - Daily or booking record
+ * @returns {Object} The same record
+ */
+export function applyFuelEfficiency(record) {
+  const efficiency = computeFuelEfficiency(record);
+  if (efficiency) record.FuelEfficiency = efficiency;
+  else delete record.FuelEfficiency;
+  return record;
+}
+
+/**
+ * Summary lines for the distance and fuel of a record, in the reply language
+ *
+ * @param {Object} record - Record or session data
+ * @param {string} lang - Language code
+ * @returns {Array<string>} Lines (empty if nothing was entered)
+ */
+export function formatFuelLines(record, lang) {
+  const efficiency = computeFuelEfficiency(record);
+  if (!efficiency && record.OdometerStart == null && record.OdometerEnd == null) return [];
+
+  const label = (key, params) => t(lang, `common.fuel.${key}`, params);
+  const lines = [label("title")];
+
+  if (record.OdometerStart != null || record.OdometerEnd != null) {
+    lines.push(`${label("odometer")}: ${record.OdometerStart ?? "___"} → ${record.OdometerEnd ?? "___"}`);
+  }
+  if (efficiency?.km) lines.push(`${label("km")}: ${efficiency.km.toLocaleString("en-IN")}`);
+  if (efficiency?.litres) lines.push(`${label("litres")}: ${efficiency.litres.toLocaleString("en-IN")}`);
+  if (efficiency?.kmPerLitre) lines.push(label("mileage", { value: efficiency.kmPerLitre }));
+  if (efficiency?.rupeesPerKm) lines.push(label("perKm", { value: efficiency.rupeesPerKm }));
+  return lines;
+}
@@ -0,0 +1,214 @@
+/**
+ * i18n.js - Reply Language (English, Hindi, Urdu)
+ *
+ * Bot replies are looked up by key in the translation catalogs in
+ * src/data/locales (en.json, hi.json, ur.json):
+ *
+ *   t("hi", "menu.closed")                        -> Hindi text
+ *   tr(sender, "menu.selectedBus", { bus: "BUS101" }) -> in the sender's language
+ *
+ * Each user's language is stored as `language` on their entry in users.json
+ * and changed with the "Language" command; users without one get
+ * BOT_LANGUAGE (default English). Keys missing from a catalog fall back to
+ * English, so a catalog can be filled in gradually.
+ *
+ * Catalogs also list localised command keywords (डीजल -> diesel,
+ * ہاں -> yes). localizeInput() rewrites them to the English command words
+ * before routing, so "डीजल 5000" reaches the same handlers as "Diesel 5000".
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getUserBySender } from "./employees.js";
+import { readDataList, writeDataList } from "./data-files.js";
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const localesDir = path.join(__dirname, "../data/locales");
+
+// Supported languages and their display names
+export const LANGUAGES = {
+  en: "English",
+  hi: "हिन्दी (Hindi)",
+  ur: "اردو (Urdu)",
+};
+
+// What users may type to pick a language
+const LANGUAGE_ALIASES = {
+  en: ["en", "english", "angrezi", "1", "अंग्रेज़ी", "अंग्रेजी", "انگریزی"],
+  hi: ["hi", "hindi", "2", "हिन्दी", "हिंदी", "ہندی"],
+  ur: ["ur", "urdu", "3", "उर्दू", "اردو"],
+};
+
+// Devanagari, Arabic-Indic and Extended Arabic-Indic digits
+const LOCAL_DIGITS = /[०-९٠-٩۰-۹]/g;
+
+/**
+ * Value of a Devanagari or Arabic-Indic digit ("५" -> "5")
+ */
+function localDigit(digit) {
+  const code = digit.charCodeAt(0);
+  const zero = code >= 0x0966 ? 0x0966 : code >= 0x06f0 ? 0x06f0 : 0x0660;
+  return String(code - zero);
+}
+
+// Loaded catalogs, keyed by language code
+const catalogs = {};
+
+// Localised keywords from all catalogs, longest phrase first
+let keywordList = null;
+
+/**
+ * Load a translation catalog (cached after the first read)
+ *
+ * @param {string} lang - Language code
+ * @returns {Object} Catalog ({} if missing or unreadable)
+ */
+function loadCatalog(lang) {
+  if (catalogs[lang]) return catalogs[lang];
+  try {
+    catalogs[lang] = JSON.parse(fs.readFileSync(path.join(localesDir, `${lang}.json`), "utf8"));
+  } catch (err) {
+    console.error(`❌ Error loading ${lang} translations:`, err);
+    catalogs[lang] = {};
+  }
+  return catalogs[lang];
+}
+
+/**
+ * Get the language used when a user has not chosen one
+ *
+ * @returns {string} Language code
+ */
+export function getDefaultLanguage() {
+  const lang = process.env.BOT_LANGUAGE;
+  return lang && LANGUAGES[lang] ? lang : "en";
+}
+
+/**
+ * Get a nested catalog value by dotted key ("menu.closed")
+ */
+function lookup(catalog, key) {
+  const value = key.split(".").reduce((node, part) => node?.[part], catalog);
+  return typeof value === "string" ? value : null;
+}
+
+/**
+ * Translate a key
+ *
+ * @param {string} lang - Language code
+ * @param {string} key - Dotted catalog key, e.g. "menu.closed"
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string} Translated text (English if missing, the key itself if missing everywhere)
+ */
+export function t(lang, key, params = {}) {
+  const text = lookup(loadCatalog(lang), key) ?? lookup(loadCatalog("en"), key) ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Get a sender's reply language
+ *
+ * @param {string} sender - WhatsApp sender ID
+ * @returns {string} Language code
+ */
+export function getUserLanguage(sender) {
+  const lang = getUserBySender(sender)?.language;
+  return lang && LANGUAGES[lang] ? lang : getDefaultLanguage();
+}
+
+/**
+ * Translate a key into a sender's language
+ *
+ * @param {string} sender - WhatsApp sender ID
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string} Translated text
+ */
+export function tr(sender, key, params = {}) {
+  return t(getUserLanguage(sender), key, params);
+}
+
+/**
+ * Turn what a user typed ("hindi", "2", "اردو") into a language code
+ *
+ * @param {string} input - Language name, code or menu number
+ * @returns {string|null} Language code, or null if not recognised
+ */
+export function resolveLanguage(input) {
+  const value = String(input || "").trim().toLowerCase();
+  const match = Object.entries(LANGUAGE_ALIASES).find(([, aliases]) => aliases.includes(value));
+  return match ? match[0] : null;
+}
+
+/**
+ * Save a user's reply language in users.json
+ *
+ * @param {string} userId - User ID (e.g., "USR002")
+ * @param {string} lang - Language code
+ * @returns {boolean} True if saved
+ */
+export function setUserLanguage(userId, lang) {
+  let users;
+  try {
+    users = readDataList("users");
+  } catch {
+    return false;
+  }
+  const user = users.find((u) => u.userId === userId);
+  if (!user || !LANGUAGES[lang]) return false;
+
+  user.language = lang;
+  return writeDataList("users", users);
+}
+
+/**
+ * Collect the localised keywords of every catalog
+ *
+ * @returns {Array<[string, string]>} [localised phrase, English command], longest phrase first
+ */
+function getKeywordList() {
+  if (keywordList) return keywordList;
+
+  keywordList = [];
+  for (const lang of Object.keys(LANGUAGES)) {
+    const keywords = loadCatalog(lang).keywords || {};
+    for (const [command, phrases] of Object.entries(keywords)) {
+      for (const phrase of phrases) keywordList.push([phrase, command]);
+    }
+  }
+  keywordList.sort((a, b) => b[0].length - a[0].length);
+  return keywordList;
+}
+
+/**
+ * Rewrite localised command words to English
+ * Only the command at the start of each line is rewritten (plus a trailing
+ * payment mode such as "ऑनलाइन"), so names and remarks are left as typed.
+ *
+ *   "डीजल ५००० ऑनलाइन" -> "diesel 5000 online"
+ *
+ * @param {string} text - Message text
+ * @returns {string} Text with English command words and ASCII digits
+ */
+export function localizeInput(text) {
+  const keywords = getKeywordList();
+
+  return String(text || "")
+    .replace(LOCAL_DIGITS, localDigit)
+    .split("\n")
+    .map((line) => {
+      let result = line.trim();
+      const match = keywords.find(([phrase]) => result === phrase || result.startsWith(`${phrase} `));
+      if (match) result = match[1] + result.slice(match[0].length);
+
+      const mode = keywords.find(([phrase, command]) => command === "online" && result.endsWith(` ${phrase}`));
+      if (mode) result = `${result.slice(0, -mode[0].length)}online`;
+
+      return match || mode ? result : line;
+    })
+    .join("\n");
+}
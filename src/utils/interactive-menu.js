@@ -0,0 +1,206 @@
+/**
+ * interactive-menu.js - WhatsApp Buttons and List Menus
+ *
+ * Menus are sent as tappable WhatsApp messages where the user's phone can
+ * show them:
+ * - Up to 3 choices: reply buttons
+ * - More choices: a list message ("Choose" opens the list)
+ *
+ * Baileys 7 no longer builds the old buttons/list messages from
+ * sendMessage() (it silently sends only the text), so menus are built as
+ * native-flow interactive messages ("quick_reply" buttons, a "single_select"
+ * list) and sent with relayMessage().
+ *
+ * Buttons are switched on with INTERACTIVE_MENUS=true. WhatsApp does not
+ * report a message it cannot show, so a phone that drops native-flow messages
+ * would see no menu at all - turn them on only after checking on a phone.
+ *
+ * The message body is still the full text menu, so typing "D" or "1" keeps
+ * working. Web/Desktop clients (which do not show buttons or lists), a failed
+ * send, or INTERACTIVE_MENUS unset all fall back to the plain text menu.
+ *
+ * Each choice has an id that is the command a user would have typed ("daily",
+ * "switch", "1"). getInteractiveReply() turns a tapped reply back into that
+ * text, so it goes through resolveCommand() and the normal handlers.
+ */
+
+import { getDevice, generateWAMessageFromContent } from "@whiskeysockets/baileys";
+
+// WhatsApp limits for reply buttons and list rows
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+const MAX_BUTTON_TEXT = 20;
+const MAX_ROW_TITLE = 24;
+
+// Clients that show buttons and list messages
+const INTERACTIVE_DEVICES = new Set(["android", "ios"]);
+
+// Stanza node that tells WhatsApp the message carries native-flow buttons
+const NATIVE_FLOW_NODE = {
+  tag: "biz",
+  attrs: {},
+  content: [
+    {
+      tag: "interactive",
+      attrs: { type: "native_flow", v: "1" },
+      content: [{ tag: "native_flow", attrs: { v: "9", name: "mixed" } }],
+    },
+  ],
+};
+
+// Last client type seen per sender (from incoming message IDs)
+const senderDevices = new Map();
+
+// Senders whose interactive menus failed to send - text only from then on
+const textOnlySenders = new Set();
+
+/**
+ * Check whether interactive menus are switched on
+ *
+ * @returns {boolean} True when INTERACTIVE_MENUS=true
+ */
+export function isInteractiveEnabled() {
+  return process.env.INTERACTIVE_MENUS === "true";
+}
+
+/**
+ * Remember which kind of client a sender is using
+ * Called for every incoming message
+ *
+ * @param {string} sender - WhatsApp sender ID
+ * @param {Object} msg - Incoming WhatsApp message
+ */
+export function rememberSenderDevice(sender, msg) {
+  if (!sender || !msg?.key?.id) return;
+  try {
+    senderDevices.set(sender, getDevice(msg.key.id));
+  } catch {
+    senderDevices.set(sender, "unknown");
+  }
+}
+
+/**
+ * Check whether a sender should get buttons and lists
+ *
+ * @param {string} sender - WhatsApp sender ID
+ * @returns {boolean} True for phone clients when enabled
+ */
+export function supportsInteractive(sender) {
+  return (
+    isInteractiveEnabled() &&
+    !textOnlySenders.has(sender) &&
+    INTERACTIVE_DEVICES.has(senderDevices.get(sender))
+  );
+}
+
+/**
+ * Get the command text of a tapped button or list row
+ *
+ * @param {Object} msg - Incoming WhatsApp message
+ * @returns {string|null} Choice id (e.g., "daily", "2"), or null if not an interactive reply
+ */
+export function getInteractiveReply(msg) {
+  const message = msg?.message;
+  if (!message) return null;
+
+  const nativeParams = message.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+  if (nativeParams) {
+    try {
+      return JSON.parse(nativeParams).id || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return (
+    message.buttonsResponseMessage?.selectedButtonId ||
+    message.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    message.templateButtonReplyMessage?.selectedId ||
+    null
+  );
+}
+
+/**
+ * Shorten a label to a WhatsApp length limit
+ */
+function clip(label, max) {
+  return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+/**
+ * Build the native-flow buttons of a menu
+ * Up to 3 choices become quick-reply buttons, more become one list
+ */
+function buildNativeFlowButtons(choices, buttonText) {
+  if (choices.length <= MAX_BUTTONS) {
+    return choices.map((choice) => ({
+      name: "quick_reply",
+      buttonParamsJson: JSON.stringify({ display_text: clip(choice.title, MAX_BUTTON_TEXT), id: choice.id }),
+    }));
+  }
+
+  return [
+    {
+      name: "single_select",
+      buttonParamsJson: JSON.stringify({
+        title: clip(buttonText, MAX_BUTTON_TEXT),
+        sections: [
+          {
+            title: clip(buttonText, MAX_ROW_TITLE),
+            rows: choices.map((choice) => ({
+              id: choice.id,
+              title: clip(choice.title, MAX_ROW_TITLE),
+              ...(choice.description ? { description: choice.description } : {}),
+            })),
+          },
+        ],
+      }),
+    },
+  ];
+}
+
+/**
+ * Send a menu as buttons or a list, falling back to plain text
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - WhatsApp sender ID
+ * @param {Object} menu - Menu to send
+ * @param {string} menu.text - Full text menu (message body and fallback)
+ * @param {Array<{id: string, title: string, description?: string}>} menu.choices - Tappable choices
+ * @param {string} [menu.buttonText] - Label of the button that opens a list
+ * @param {string} [menu.footer] - Small text under the message
+ * @returns {Promise<Object>} Sent message
+ */
+export async function sendMenu(sock, sender, { text, choices = [], buttonText = "Choose", footer = "" }) {
+  // Lists hold at most 10 rows - longer menus (e.g. many buses) stay text only
+  if (choices.length === 0 || choices.length > MAX_ROWS || !supportsInteractive(sender)) {
+    return sock.sendMessage(sender, { text });
+  }
+
+  const content = {
+    viewOnceMessage: {
+      message: {
+        messageContextInfo: { deviceListMetadata: {}, deviceListMetadataVersion: 2 },
+        interactiveMessage: {
+          header: { hasMediaAttachment: false },
+          body: { text },
+          ...(footer ? { footer: { text: footer } } : {}),
+          nativeFlowMessage: { buttons: buildNativeFlowButtons(choices, buttonText) },
+        },
+      },
+    },
+  };
+
+  try {
+    const message = generateWAMessageFromContent(sender, content, { userJid: sock.user?.id });
+    await sock.relayMessage(sender, message.message, {
+      messageId: message.key.id,
+      additionalNodes: [NATIVE_FLOW_NODE],
+    });
+    return message;
+  } catch (err) {
+    console.error(`❌ Interactive menu failed for ${sender}, using text menus:`, err.message || err);
+    textOnlySenders.add(sender);
+    return sock.sendMessage(sender, { text });
+  }
+}
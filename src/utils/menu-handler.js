@@ -17,34 +17,81 @@ import {
   getUserByPhone,
   getBusesForUser,
   formatBusSelectionMenu,
+  getBusSelectionChoices,
   getBusBySelection
 } from './bus-selection.js';
 
+import { can, requirePermission } from './permissions.js';
+import { LANGUAGES, tr, getUserLanguage, resolveLanguage, setUserLanguage, t } from './i18n.js';
+import { sendMenu } from './interactive-menu.js';
+import { parseExportCommand, parseExportPeriod, sendExportFiles } from './data-export.js';
+
+/**
+ * Get the selected bus label shown in menu headers
+ * 
+ * @param {Object} state - The user's menu state object
+ * @returns {string} Registration number, bus code or 'N/A'
+ */
+function getBusLabel(state) {
+  return state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
+}
+
+// Command sent by each tappable menu choice (what the user would have typed)
+const CHOICE_COMMANDS = {
+  daily: 'daily',
+  booking: 'booking',
+  cash: 'cash',
+  reports: 'reports',
+  admin: 'admin',
+  switch: 'switch',
+  exit: 'exit',
+  back: 'exit',
+  help: 'help',
+  dateToday: 'date today',
+};
+
+/**
+ * Send a menu screen with tappable choices (text only where not supported)
+ * 
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - The WhatsApp sender ID
+ * @param {string} text - The full text menu
+ * @param {Array<string>} keys - Choice keys from CHOICE_COMMANDS, in display order
+ */
+function sendMenuWithChoices(sock, sender, text, keys) {
+  return sendMenu(sock, sender, {
+    text,
+    choices: keys.map(key => ({ id: CHOICE_COMMANDS[key], title: tr(sender, `menu.choices.${key}`) })),
+    buttonText: tr(sender, 'menu.chooseButton'),
+    footer: tr(sender, 'menu.chooseFooter'),
+  });
+}
+
 /**
  * Display the main menu to a user
  * Shows options for Daily, Booking, Switch bus, and Exit
+ * Only options the user's role is allowed to open are listed
  * 
  * @param {Object} sock - The WhatsApp socket connection
  * @param {string} sender - The WhatsApp sender ID
  */
 export function showMainMenu(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
   
-  const menuText = `🏠 *Main Menu* (*${regNumber}*)
-
-Please select an option:
-
-📊 Reply *Daily* or *D* - for Daily Reports
-🚌 Reply *Booking* or *B* - for Booking Management
-💵 Reply *Cash* or *C* - for Cash Management
-📈 Reply *Report* or *R* - for Reports
-🔄 Reply *Switch* or *S* - to change bus
-🚪 Reply *Exit* or *E* - to close menu
-
-Type your choice:`;
+  const allowed = [
+    ['daily.view', 'daily'],
+    ['booking.view', 'booking'],
+    ['cash.view', 'cash'],
+    ['reports.profit', 'reports'],
+    ['admin.manage', 'admin'],
+  ]
+    .filter(([action]) => can(state.user, action))
+    .map(([, key]) => key);
+  
+  const options = allowed.map(key => tr(sender, `menu.options.${key}`)).join('\n');
+  const menuText = tr(sender, 'menu.main', { bus: getBusLabel(state), options });
 
-  return sock.sendMessage(sender, { text: menuText });
+  return sendMenuWithChoices(sock, sender, menuText, [...allowed, 'switch', 'exit']);
 }
 
 /**
@@ -62,13 +109,18 @@ export function showBusSelectionMenu(sock, sender) {
   // Handle case where no buses are available
   if (!buses || buses.length === 0) {
     return sock.sendMessage(sender, {
-      text: "⚠️ No buses available. Please contact admin."
+      text: tr(sender, 'menu.noBusesAvailable')
     });
   }
   
   // Format and send the bus selection menu
-  const menuText = formatBusSelectionMenu(buses, user?.role === 'Admin');
-  return sock.sendMessage(sender, { text: menuText });
+  const menuText = formatBusSelectionMenu(buses, user?.role === 'Admin', getUserLanguage(sender));
+  return sendMenu(sock, sender, {
+    text: menuText,
+    choices: getBusSelectionChoices(buses),
+    buttonText: tr(sender, 'busSelection.button'),
+    footer: tr(sender, 'menu.chooseFooter'),
+  });
 }
 
 /**
@@ -80,18 +132,9 @@ export function showBusSelectionMenu(sock, sender) {
  */
 export function showDailySubmenu(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-  
-  const menuText = `📊 *Daily Menu* (*${regNumber}*)
+  const menuText = tr(sender, 'menu.daily', { bus: getBusLabel(state) });
 
-Enter Command or Select Option:
-
-❓ Reply *Help* or *H* - for Help with Commands
-🔙 Reply *Exit* or *E* - to go back to Main Menu
-
-Type your choice:`;
-
-  return sock.sendMessage(sender, { text: menuText });
+  return sendMenuWithChoices(sock, sender, menuText, ['help', 'back']);
 }
 
 /**
@@ -103,18 +146,9 @@ Type your choice:`;
  */
 export function showBookingSubmenu(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-  
-  const menuText = `🚌 *Booking Menu* (*${regNumber}*)
-
-Enter Command or Select Option:
-
-❓ Reply *Help* or *H* - for Help with Commands
-🔙 Reply *Exit* or *E* - to go back to Main Menu
+  const menuText = tr(sender, 'menu.booking', { bus: getBusLabel(state) });
 
-Type your choice:`;
-
-  return sock.sendMessage(sender, { text: menuText });
+  return sendMenuWithChoices(sock, sender, menuText, ['help', 'back']);
 }
 
 /**
@@ -126,20 +160,20 @@ Type your choice:`;
  */
 export function showCashSubmenu(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-  
-  const menuText = `💵 *Cash Menu* (*${regNumber}*)
-
-Enter Command or Select Option:
-
-📅 *Date today* - Cash available till today
-📅 *Date DD/MM/YYYY* - Cash available till specific date
-❓ Reply *Help* or *H* - for Help with Commands
-🔙 Reply *Exit* or *E* - to go back to Main Menu
+  const menuText = tr(sender, 'menu.cash', { bus: getBusLabel(state) });
 
-Type your choice:`;
+  return sendMenuWithChoices(sock, sender, menuText, ['dateToday', 'back']);
+}
 
-  return sock.sendMessage(sender, { text: menuText });
+/**
+ * Display the Admin submenu
+ * Only shown to users with role Admin
+ * 
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - The WhatsApp sender ID
+ */
+export function showAdminSubmenu(sock, sender) {
+  return sock.sendMessage(sender, { text: tr(sender, 'menu.admin') });
 }
 
 /**
@@ -151,52 +185,7 @@ Type your choice:`;
  */
 export function showDailyDataHelp(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-  
-  const helpText = `📊 *Daily Help* (*${regNumber}*)
-
-*Commands For Data Entry:*
-• Date [Date]
-• Diesel [Amount] [Mode]
-  Mode: Online or Cash (Default: Cash)
-• Adda [Amount] [Mode]
-  Mode: Online or Cash (Default: Cash)
-• Union [Amount] [Mode]
-  Mode: Online or Cash (Default: Cash)
-• Cash [Amount]
-  Amount: Total Cash Collected
-• Online [Amount]
-  Amount: Total Online Collected
-• Remarks [Text]
-• Submit
-
-*Commands for Status Management:*
-
-View Status:
-• Initiated or I
-• Collected or C
-• Deposited or D
-
-Update:
-• Update [Date] [Type] Remarks [Text]
-  Type: Initiated / Collected / Deposited
-• Update [Date] to [Date] [Type] Remarks [Text]
-
-*Commands for Reports:*
-• Today
-• Yesterday
-• Last [Number] Days
-• [Date]
-• [Date] to [Date]
-• This [X]
-  X: Week / Month / Year
-• Average Today
-• Average [X]
-  X: Week / Month / Year / MonthName / MonthName Year
-
-*Other:*
-• Clear - Clear session
-• Exit - Back to Main Menu`;
+  const helpText = tr(sender, 'help.dailyData', { bus: getBusLabel(state) });
 
   return sock.sendMessage(sender, { text: helpText });
 }
@@ -209,27 +198,7 @@ Update:
  * @param {string} sender - The WhatsApp sender ID
  */
 export function showDailyStatusHelp(sock, sender) {
-  const helpText = `📋 *Daily Status Management*
-
-You can now use status commands without typing "daily":
-
-*View Status:*
-• *Initiated* or *I*
-• *Collected* or *C*
-• *Deposited* or *D*
-
-*Update Status:*
-• *Update* 15/11/2025 *Collected*
-• *Update* 10/11/2025 to 15/11/2025 *Deposited*
-• *Update* 15/11/2025 *Collected Remark* All Done
-
-*Other Commands:*
-• *Help* - Show this help
-• *Exit* - Back to Daily Menu
-
-Enter your command now!`;
-
-  return sock.sendMessage(sender, { text: helpText });
+  return sock.sendMessage(sender, { text: tr(sender, 'help.dailyStatus') });
 }
 
 /**
@@ -241,46 +210,7 @@ Enter your command now!`;
  */
 export function showBookingDataHelp(sock, sender) {
   const state = getMenuState(sender);
-  const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-  
-  const helpText = `🚌 *Booking Help* (*${regNumber}*)
-
-*Commands For Data Entry:*
-• Name [Customer Name]
-• Mobile [10-digit Phone]
-• Pickup [Location]
-• Drop [Location]
-• Date [DD/MM/YYYY]
-• Date [DD/MM/YYYY] to [DD/MM/YYYY]
-  For multi-day bookings
-• Bus [BusCode]
-  Auto-fills bus details
-• Fare [Amount]
-  Total Fare amount
-• Advance [Amount]
-  Advance payment (0 allowed)
-• Remarks [Text]
-• Yes/Y or No/N to Submit
-
-*Commands for Status Management:*
-
-View Status:
-• Status Pending
-• Status Confirmed
-• Status Completed
-
-Update:
-• Update Status [BookingID] [Type]
-  Type: Pending / Confirmed / Completed
-
-*Commands for Reports:*
-• Today
-• Yesterday
-• [Date]
-
-*Other:*
-• Clear - Clear session
-• Exit - Back to Main Menu`;
+  const helpText = tr(sender, 'help.bookingData', { bus: getBusLabel(state) });
 
   return sock.sendMessage(sender, { text: helpText });
 }
@@ -293,26 +223,7 @@ Update:
  * @param {string} sender - The WhatsApp sender ID
  */
 export function showBookingStatusHelp(sock, sender) {
-  const helpText = `📋 *Booking Status Management*
-
-You can now use status commands without typing "booking":
-
-*View Status:*
-• status pending
-• status confirmed
-• status completed
-
-*Update Status:*
-• update status BK001 confirmed
-• update status BK002 completed
-
-*Other Commands:*
-• *Help* - Show this help
-• *Exit* - Back to Booking Menu
-
-Enter your command now!`;
-
-  return sock.sendMessage(sender, { text: helpText });
+  return sock.sendMessage(sender, { text: tr(sender, 'help.bookingStatus') });
 }
 
 /**
@@ -323,26 +234,7 @@ Enter your command now!`;
  * @param {string} sender - The WhatsApp sender ID
  */
 export function showDailyReportsHelp(sock, sender) {
-  const helpText = `📊 *Daily Reports*
-
-View your daily reports using various formats:
-
-*Examples:*
-• *Today* - View today's report
-• *Last 5 Days* - View last 5 days reports
-• *11/10/2025* - View specific date
-• *11/10/2025 to 15/10/2025* - Date range
-• *This Month* - Current month reports
-• *This Week* - Current week reports
-• *6 Days Ago* - View report from 6 days ago
-
-*Other Commands:*
-• *Help* - Show this help
-• *Exit* - Back to Daily Menu
-
-Enter your report query now!`;
-
-  return sock.sendMessage(sender, { text: helpText });
+  return sock.sendMessage(sender, { text: tr(sender, 'help.dailyReports') });
 }
 
 /**
@@ -353,25 +245,7 @@ Enter your report query now!`;
  * @param {string} sender - The WhatsApp sender ID
  */
 export function showBookingReportsHelp(sock, sender) {
-  const helpText = `📊 *Booking Reports*
-
-View your booking reports using various formats:
-
-*Examples:*
-• *Today* - View today's bookings
-• *Last 5 Days* - View last 5 days bookings
-• *11/10/2025* - View specific date
-• *11/10/2025 to 15/10/2025* - Date range
-• *This Month* - Current month bookings
-• *This Week* - Current week bookings
-
-*Other Commands:*
-• *Help* - Show this help
-• *Exit* - Back to Booking Menu
-
-Enter your report query now!`;
-
-  return sock.sendMessage(sender, { text: helpText });
+  return sock.sendMessage(sender, { text: tr(sender, 'help.bookingReports') });
 }
 
 /**
@@ -427,6 +301,7 @@ const commandAliases = {
   'daily': ['daily'],
   'booking': ['booking'],
   'cash': ['cash'],
+  'admin': ['admin'],
   'data': ['data', 'd'],
   'status': ['status', 's'],
   'reports': ['reports', 'r'],
@@ -457,6 +332,7 @@ export function resolveCommand(input, menuState = null) {
       'd': 'daily',
       'b': 'booking',
       'c': 'cash',
+      'a': 'admin',
       's': 'switch'
     };
     if (mainMenuAliases[lower]) {
@@ -527,7 +403,7 @@ export async function handleMenuNavigation(sock, sender, text) {
     // Check if user is registered
     if (!user) {
       await sock.sendMessage(sender, {
-        text: "❌ *Access Denied*\n\nYour number is not registered in the system.\nPlease contact admin for access."
+        text: tr(sender, 'menu.accessDenied')
       });
       return true;
     }
@@ -537,7 +413,7 @@ export async function handleMenuNavigation(sock, sender, text) {
     
     if (buses.length === 0) {
       await sock.sendMessage(sender, {
-        text: "⚠️ No buses assigned to you. Please contact admin."
+        text: tr(sender, 'menu.noBusesAssigned')
       });
       return true;
     }
@@ -549,7 +425,7 @@ export async function handleMenuNavigation(sock, sender, text) {
     if (buses.length === 1) {
       setSelectedBus(sender, buses[0].busCode, buses[0]);
       await sock.sendMessage(sender, {
-        text: `✅ Auto-selected bus: *${buses[0].busCode}* (${buses[0].registrationNumber})`
+        text: tr(sender, 'menu.autoSelectedBus', { bus: buses[0].busCode, registration: buses[0].registrationNumber })
       });
       await showMainMenu(sock, sender);
     } else {
@@ -560,6 +436,42 @@ export async function handleMenuNavigation(sock, sender, text) {
     return true;
   }
 
+  // Handle 'language' command - show or change the reply language
+  const languageMatch = text.trim().match(/^(?:language|lang)(?:\s+(.+))?$/i);
+  if (languageMatch) {
+    const user = getUserByPhone(extractPhoneFromSender(sender) || '');
+    if (!user) {
+      await sock.sendMessage(sender, { text: tr(sender, 'menu.accessDenied') });
+      return true;
+    }
+
+    if (!languageMatch[1]) {
+      await sock.sendMessage(sender, {
+        text: tr(sender, 'language.current', { language: LANGUAGES[getUserLanguage(sender)] })
+      });
+      return true;
+    }
+
+    const lang = resolveLanguage(languageMatch[1]);
+    if (!lang) {
+      await sock.sendMessage(sender, {
+        text: tr(sender, 'language.unknown', { input: languageMatch[1].trim() })
+      });
+      return true;
+    }
+
+    if (!setUserLanguage(user.userId, lang)) {
+      await sock.sendMessage(sender, { text: tr(sender, 'language.saveFailed') });
+      return true;
+    }
+
+    console.log(`🌐 Language for ${user.userId} set to ${lang}`);
+    await sock.sendMessage(sender, {
+      text: t(lang, 'language.changed', { language: LANGUAGES[lang] })
+    });
+    return true;
+  }
+
   // Handle bus selection when awaiting
   if (state.awaitingBusSelection) {
     const buses = state.availableBuses;
@@ -568,14 +480,14 @@ export async function handleMenuNavigation(sock, sender, text) {
     if (selectedBus) {
       setSelectedBus(sender, selectedBus.busCode, selectedBus);
       await sock.sendMessage(sender, {
-        text: `✅ Selected bus: *${selectedBus.busCode}* (${selectedBus.registrationNumber})`
+        text: tr(sender, 'menu.selectedBus', { bus: selectedBus.busCode, registration: selectedBus.registrationNumber })
       });
       await showMainMenu(sock, sender);
       return true;
     } else {
       // Invalid selection
       await sock.sendMessage(sender, {
-        text: `❌ Invalid selection. Please enter a number between 1 and ${buses.length}.`
+        text: tr(sender, 'menu.invalidSelection', { count: buses.length })
       });
       return true;
     }
@@ -585,13 +497,47 @@ export async function handleMenuNavigation(sock, sender, text) {
   if (!state.isAuthenticated || !state.selectedBus) {
     if (!state.awaitingBusSelection) {
       await sock.sendMessage(sender, {
-        text: "⚠️ Please type *Entry* first to get started."
+        text: tr(sender, 'common.typeEntryFirst')
       });
       return true;
     }
     return false;
   }
 
+  // Handle 'export' command - send daily/booking/cash data as Excel or CSV files
+  const exportCommand = parseExportCommand(text);
+  if (exportCommand) {
+    if (!(await requirePermission(sock, sender, 'data.export', { command: text.trim() }))) return true;
+
+    if (!exportCommand.type) {
+      await sock.sendMessage(sender, { text: tr(sender, 'export.usage') });
+      return true;
+    }
+
+    const period = parseExportPeriod(exportCommand.period);
+    if (!period) {
+      await sock.sendMessage(sender, { text: tr(sender, 'export.unknownPeriod', { period: exportCommand.period }) });
+      return true;
+    }
+
+    try {
+      const count = await sendExportFiles(sock, sender, {
+        type: exportCommand.type,
+        busCode: state.selectedBus,
+        period,
+        format: exportCommand.format,
+      });
+      const key = count > 0 ? 'export.sent' : 'export.empty';
+      await sock.sendMessage(sender, {
+        text: tr(sender, key, { type: exportCommand.type, count, period: period.name, bus: state.selectedBus })
+      });
+    } catch (err) {
+      console.error('❌ Export failed for', sender, ':', err);
+      await sock.sendMessage(sender, { text: tr(sender, 'export.failed') });
+    }
+    return true;
+  }
+
   // Handle 'switch' command - change to a different bus
   if (resolvedCommand === 'switch') {
     switchBus(sender);
@@ -608,6 +554,8 @@ export async function handleMenuNavigation(sock, sender, text) {
       await showDailySubmenu(sock, sender);
     } else if (state.mode === 'booking' && !state.submode) {
       await showBookingSubmenu(sock, sender);
+    } else if (state.mode === 'admin') {
+      await showAdminSubmenu(sock, sender);
     } else if (state.mode === 'daily' && state.submode === 'data') {
       await showDailyDataHelp(sock, sender);
     } else if (state.mode === 'daily' && state.submode === 'status') {
@@ -658,7 +606,7 @@ export async function handleMenuNavigation(sock, sender, text) {
       // At main menu - full logout
       fullLogout(sender);
       await sock.sendMessage(sender, { 
-        text: "👋 Menu closed. Send *Entry* anytime to open the menu again." 
+        text: tr(sender, 'menu.closed')
       });
       return true;
     }
@@ -667,34 +615,40 @@ export async function handleMenuNavigation(sock, sender, text) {
   // Handle mode selection from main menu
   if (!state.mode) {
     if (resolvedCommand === 'daily') {
+      if (!(await requirePermission(sock, sender, 'daily.view'))) return true;
       setMenuMode(sender, 'daily');
       await showDailySubmenu(sock, sender);
       return true;
     }
     if (resolvedCommand === 'booking') {
+      if (!(await requirePermission(sock, sender, 'booking.view'))) return true;
       setMenuMode(sender, 'booking');
       await showBookingSubmenu(sock, sender);
       return true;
     }
     if (resolvedCommand === 'cash') {
+      if (!(await requirePermission(sock, sender, 'cash.view'))) return true;
       setMenuMode(sender, 'cash');
       await showCashSubmenu(sock, sender);
       return true;
     }
+    if (resolvedCommand === 'admin') {
+      if (!(await requirePermission(sock, sender, 'admin.manage'))) return true;
+      setMenuMode(sender, 'admin');
+      await showAdminSubmenu(sock, sender);
+      return true;
+    }
     if (resolvedCommand === 'reports') {
+      if (!(await requirePermission(sock, sender, 'reports.profit'))) return true;
       const { setMenuMode } = await import('./menu-state.js');
       setMenuMode(sender, 'report');
-      const regNumber = state.selectedBusInfo?.registrationNumber || state.selectedBus || 'N/A';
-      const menuText = `📈 *Reports* (*${regNumber}*)
-
-Enter Average Command (e.g., Average Today, Average Nov):
-
-🔙 Reply *Exit* or *E* - to go back to Main Menu
-
-Type your choice:`;
+      const menuText = tr(sender, 'menu.reports', { bus: getBusLabel(state) });
       await sock.sendMessage(sender, { text: menuText });
       return true;
     }
+  } else if (state.mode === 'admin') {
+    // Admin commands (including Help) are handled by the admin feature
+    return false;
   } else if (state.mode && !state.submode) {
     // Handle navigation within mode menus (submenu selection)
     if (resolvedCommand === 'help') {
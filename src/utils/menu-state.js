@@ -115,6 +115,19 @@ export function getSelectedBus(sender) {
   return state.selectedBus;
 }
 
+/**
+ * Get the bus codes a user has access to
+ * Falls back to the selected bus when the bus list is not loaded
+ * 
+ * @param {string} sender - The WhatsApp sender ID
+ * @returns {Array<string>} Bus codes (empty if no bus is known)
+ */
+export function getUserBusCodes(sender) {
+  const state = getMenuState(sender);
+  if (state.availableBuses?.length) return state.availableBuses.map((bus) => bus.busCode);
+  return state.selectedBus ? [state.selectedBus] : [];
+}
+
 /**
  * Completely clear a user's menu state (full logout)
  * Resets all values to their defaults
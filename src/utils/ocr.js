@@ -0,0 +1,121 @@
+/**
+ * ocr.js - Offline Text Recognition for Diesel Slips
+ *
+ * Reads the total amount from a petrol-pump slip photo using tesseract.js.
+ * Everything runs locally: the OCR engine is WebAssembly from node_modules and
+ * the English language data comes from the @tesseract.js-data/eng package
+ * (or OCR_LANG_PATH), so no image or text ever leaves the server.
+ *
+ * The worker is created on first use and reused; jobs run one at a time.
+ * Set OCR_ENABLED=false to turn slip reading off.
+ */
+
+import path from "path";
+import { createRequire } from "module";
+import { createWorker } from "tesseract.js";
+
+const require = createRequire(import.meta.url);
+
+// Amounts above this are not diesel totals (misread numbers, phone numbers, etc.)
+const MAX_SLIP_AMOUNT = 200000;
+
+// Words printed next to the total on common pump slips
+const TOTAL_KEYWORDS = /\b(total|amount|amt|sale|net\s*amt|net\s*amount|value|rs\.?|inr)\b|₹/i;
+
+// Lines that hold other numbers (volume, rate, receipt/vehicle/phone numbers)
+const IGNORE_KEYWORDS = /\b(rate|price|volume|vol|ltr|litre|liter|qty|quantity|density|nozzle|pump|receipt|invoice|bill\s*no|txn|trans|vehicle|veh|mobile|ph|tel|gst|tin|date|time)\b/i;
+
+let workerPromise = null;
+
+/**
+ * Check whether slip reading is enabled
+ *
+ * @returns {boolean} False when OCR_ENABLED=false
+ */
+export function isOcrEnabled() {
+  return process.env.OCR_ENABLED !== "false";
+}
+
+/**
+ * Directory holding eng.traineddata.gz
+ */
+function getLangPath() {
+  if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+  return path.join(path.dirname(require.resolve("@tesseract.js-data/eng/package.json")), "4.0.0_best_int");
+}
+
+/**
+ * Get the shared OCR worker (created on first use)
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker("eng", 1, {
+      langPath: getLangPath(),
+      cacheMethod: "none",
+    }).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Recognize the text of an image
+ *
+ * @param {Buffer} buffer - Image data (JPEG/PNG/WebP)
+ * @returns {Promise<string>} Recognized text
+ */
+export async function recognizeText(buffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer);
+  return data.text || "";
+}
+
+/**
+ * Parse the amounts on a line ("1,234.50" -> 1234.5)
+ */
+function parseAmounts(line) {
+  return [...line.matchAll(/(\d{1,3}(?:,\d{2,3})+|\d+)(?:\.(\d{1,2}))?/g)]
+    .map((m) => parseFloat(`${m[1].replace(/,/g, "")}.${m[2] || "0"}`))
+    .filter((n) => n > 0 && n <= MAX_SLIP_AMOUNT);
+}
+
+/**
+ * Find the total amount in the text of a petrol-pump slip.
+ * Prefers numbers on a line with "Total"/"Amount"/"Rs"; otherwise the
+ * largest amount with paise (e.g. 5230.00) that is not on a rate/volume line.
+ *
+ * @param {string} text - OCR text of the slip
+ * @returns {number|null} Total rounded to whole rupees, or null if not found
+ */
+export function extractSlipTotal(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const totals = lines
+    .filter((line) => TOTAL_KEYWORDS.test(line) && !IGNORE_KEYWORDS.test(line))
+    .flatMap(parseAmounts);
+  if (totals.length > 0) return Math.round(Math.max(...totals));
+
+  const decimals = lines
+    .filter((line) => !IGNORE_KEYWORDS.test(line))
+    .flatMap((line) => [...line.matchAll(/\b\d{2,6}\.\d{2}\b/g)].map((m) => parseFloat(m[0])))
+    .filter((n) => n <= MAX_SLIP_AMOUNT);
+  if (decimals.length > 0) return Math.round(Math.max(...decimals));
+
+  return null;
+}
+
+/**
+ * Read the total from a diesel slip photo
+ *
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<{amount: number|null, text: string}>} Total (null if not found) and the OCR text
+ */
+export async function readDieselSlip(buffer) {
+  const text = await recognizeText(buffer);
+  return { amount: extractSlipTotal(text), text };
+}
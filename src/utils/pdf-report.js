@@ -0,0 +1,269 @@
+/**
+ * pdf-report.js - PDF Reports
+ *
+ * Renders report data as an A4 PDF on the server (PDFKit, no external
+ * service) and sends it as a WhatsApp document, so long reports can be
+ * forwarded to the owner or accountant as one file.
+ *
+ * Every report has the same layout:
+ * - Title, bus and period header
+ * - Key figures (label / value pairs)
+ * - One or more tables with a bold totals row
+ *
+ * Reports are requested by adding "pdf" to a report command
+ * ("this month pdf", "pdf average nov", "01/11/2025 to 15/11/2025 pdf").
+ *
+ * The built-in PDF fonts only cover Latin text. Set PDF_FONT (and optionally
+ * PDF_FONT_BOLD) to a TTF file such as Noto Sans to print Hindi/Urdu names.
+ */
+
+import fs from "fs";
+import PDFDocument from "pdfkit";
+import { format } from "date-fns";
+import { tr } from "./i18n.js";
+
+const PAGE_MARGIN = 40;
+const ROW_PADDING = 4;
+const FONT_SIZE = 9;
+
+// Table colours
+const HEADER_FILL = "#1f4e79";
+const STRIPE_FILL = "#f2f6fa";
+const TOTALS_FILL = "#dde7f0";
+
+/**
+ * Check whether a report command asks for a PDF and remove the "pdf" word
+ *
+ * @param {string} text - Report command, e.g. "this month pdf"
+ * @returns {{text: string, pdf: boolean}} Command without "pdf" and whether it was there
+ *
+ * @example
+ * extractPdfFlag("pdf average nov"); // { text: "average nov", pdf: true }
+ */
+export function extractPdfFlag(text) {
+  const value = String(text || "").trim();
+  const match = value.match(/^pdf\s+(.+)$/i) || value.match(/^(.+?)\s+pdf$/i);
+  return match ? { text: match[1].trim(), pdf: true } : { text: value, pdf: false };
+}
+
+/**
+ * Format an amount for a PDF table (Indian digit grouping, no ₹ sign)
+ *
+ * @param {number|string} amount - Amount
+ * @returns {string} e.g. "1,25,000"
+ */
+export function formatPdfAmount(amount) {
+  return Math.round(Number(amount) || 0).toLocaleString("en-IN");
+}
+
+/**
+ * Period line for a report header: the period name plus its dates, unless the
+ * name already is the dates ("01/11/2025 to 15/11/2025")
+ *
+ * @param {{start: Date, end: Date, name: string}} period - Range from parsePeriod()
+ * @returns {string} e.g. "NOV 2025 (01/11/2025 to 30/11/2025)"
+ */
+export function formatPeriodLabel(period) {
+  if (/^[\d\/\-]+( to [\d\/\-]+)?$/.test(period.name)) return period.name;
+  const start = format(period.start, "dd/MM/yyyy");
+  const end = format(period.end, "dd/MM/yyyy");
+  return start === end ? `${period.name} (${start})` : `${period.name} (${start} to ${end})`;
+}
+
+/**
+ * Get the regular and bold font names, registering PDF_FONT if set
+ */
+function setupFonts(doc) {
+  const regular = process.env.PDF_FONT;
+  if (regular && fs.existsSync(regular)) {
+    const bold = process.env.PDF_FONT_BOLD && fs.existsSync(process.env.PDF_FONT_BOLD) ? process.env.PDF_FONT_BOLD : regular;
+    doc.registerFont("Report", regular);
+    doc.registerFont("Report-Bold", bold);
+    return { regular: "Report", bold: "Report-Bold", unicode: true };
+  }
+  return { regular: "Helvetica", bold: "Helvetica-Bold", unicode: false };
+}
+
+/**
+ * Draw one table row; returns the row height
+ */
+function drawRow(doc, fonts, columns, cells, y, { bold = false, fill = null, color = "#000000" } = {}) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font(bold ? fonts.bold : fonts.regular).fontSize(FONT_SIZE);
+  const heights = columns.map((column, i) =>
+    doc.heightOfString(String(cells[i] ?? ""), { width: column.width * width - ROW_PADDING * 2 })
+  );
+  const height = Math.max(...heights) + ROW_PADDING * 2;
+
+  if (fill) doc.rect(left, y, width, height).fill(fill);
+
+  let x = left;
+  doc.fillColor(color);
+  columns.forEach((column, i) => {
+    const cellWidth = column.width * width;
+    doc.text(String(cells[i] ?? ""), x + ROW_PADDING, y + ROW_PADDING, {
+      width: cellWidth - ROW_PADDING * 2,
+      align: column.align || "left",
+    });
+    x += cellWidth;
+  });
+  doc.fillColor("#000000");
+
+  return height;
+}
+
+/**
+ * Draw a table, starting a new page (with the header row again) when full
+ */
+function drawTable(doc, fonts, table) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const header = table.columns.map((column) => column.label);
+
+  if (table.heading) {
+    if (doc.y + 40 > bottom) doc.addPage();
+    doc.font(fonts.bold).fontSize(11).text(table.heading, doc.page.margins.left, doc.y);
+    doc.moveDown(0.3);
+  }
+
+  let y = doc.y;
+  y += drawRow(doc, fonts, table.columns, header, y, { bold: true, fill: HEADER_FILL, color: "#ffffff" });
+
+  if (table.rows.length === 0) {
+    y += drawRow(doc, fonts, table.columns, [table.emptyText || "No records"], y);
+  }
+
+  table.rows.forEach((row, index) => {
+    if (y + 30 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      y += drawRow(doc, fonts, table.columns, header, y, { bold: true, fill: HEADER_FILL, color: "#ffffff" });
+    }
+    y += drawRow(doc, fonts, table.columns, row, y, { fill: index % 2 === 1 ? STRIPE_FILL : null });
+  });
+
+  if (table.totals) {
+    if (y + 30 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    y += drawRow(doc, fonts, table.columns, table.totals, y, { bold: true, fill: TOTALS_FILL });
+  }
+
+  doc.x = doc.page.margins.left;
+  doc.y = y + 14;
+}
+
+/**
+ * Render a report as a PDF
+ *
+ * @param {Object} report - Report content
+ * @param {string} report.title - Report title, e.g. "Daily Report"
+ * @param {string} report.bus - Bus label, e.g. "BUS101 (JK06C-4907)"
+ * @param {string} report.period - Period label, e.g. "01/11/2025 to 30/11/2025"
+ * @param {Array<[string, string]>} [report.summary] - Key figures shown under the header
+ * @param {Array<Object>} [report.tables] - Tables: { heading, columns: [{label, width, align}], rows, totals, emptyText }
+ *   Column widths are fractions of the page width and should add up to 1
+ * @param {boolean} [report.landscape] - Use landscape pages for wide tables
+ * @returns {Promise<Buffer>} PDF file data
+ */
+export function renderPdfReport(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: report.landscape ? "landscape" : "portrait",
+      margin: PAGE_MARGIN,
+      info: { Title: `${report.title} - ${report.bus}`, Creator: "WhatsApp Bus Bot" },
+    });
+    const fonts = setupFonts(doc);
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // The built-in fonts cannot draw non-Latin text, so it is replaced with "?"
+    const clean = (value) => (fonts.unicode ? String(value ?? "") : String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF\n]/g, "?"));
+    const cleanTable = (table) => ({
+      ...table,
+      heading: table.heading && clean(table.heading),
+      columns: table.columns.map((column) => ({ ...column, label: clean(column.label) })),
+      rows: table.rows.map((row) => row.map(clean)),
+      totals: table.totals && table.totals.map(clean),
+    });
+
+    try {
+      // Header
+      doc.font(fonts.bold).fontSize(18).text(clean(report.title));
+      doc.moveDown(0.2);
+      doc.font(fonts.regular).fontSize(11).text(`Bus: ${clean(report.bus)}`);
+      doc.text(`Period: ${clean(report.period)}`);
+      doc.fontSize(8).fillColor("#666666").text(`Generated ${format(new Date(), "dd/MM/yyyy HH:mm")}`);
+      doc.fillColor("#000000").moveDown(0.8);
+
+      // Key figures
+      if (report.summary?.length) {
+        const summaryTable = {
+          columns: [
+            { label: "Summary", width: 0.6 },
+            { label: "", width: 0.4, align: "right" },
+          ],
+          rows: report.summary,
+        };
+        drawTable(doc, fonts, cleanTable(summaryTable));
+      }
+
+      for (const table of report.tables || []) {
+        drawTable(doc, fonts, cleanTable(table));
+      }
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+/**
+ * Make a safe PDF file name ("BUS101_daily_01-11-2025_to_30-11-2025.pdf")
+ *
+ * @param {...string} parts - Name parts
+ * @returns {string} File name
+ */
+export function pdfFileName(...parts) {
+  const name = parts
+    .filter(Boolean)
+    .join("_")
+    .replace(/\//g, "-")
+    .replace(/[^A-Za-z0-9_\-]+/g, "_")
+    .replace(/_+/g, "_");
+  return `${name}.pdf`;
+}
+
+/**
+ * Render a report and send it as a WhatsApp document
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - Recipient JID
+ * @param {Object} report - See renderPdfReport()
+ * @param {string} fileName - Document file name
+ * @returns {Promise<boolean>} True if sent
+ */
+export async function sendPdfReport(sock, sender, report, fileName) {
+  try {
+    const buffer = await renderPdfReport(report);
+    await sock.sendMessage(sender, {
+      document: buffer,
+      mimetype: "application/pdf",
+      fileName,
+      caption: `📄 ${report.title} - ${report.bus}\n📅 ${report.period}`,
+    });
+    console.log(`📄 Sent PDF ${fileName} (${Math.round(buffer.length / 1024)} KB) to ${sender}`);
+    return true;
+  } catch (err) {
+    console.error("❌ Error sending PDF report to", sender, ":", err);
+    await sock.sendMessage(sender, { text: tr(sender, "export.pdfFailed") });
+    return false;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * period.js - Report Periods
+ *
+ * Turns the period part of a report command into a date range:
+ *
+ *   today, yesterday              this week / this month / this year
+ *   last 7 days, 3 days ago       nov, nov 2025, 2025
+ *   15/11/2025                    01/11/2025 to 15/11/2025
+ *
+ * Used by the PDF reports, exports, the P&L statement and the cash deposit
+ * statement, so the same words work for every report type.
+ */
+
+import {
+  parse,
+  format,
+  isValid,
+  subDays,
+  subMonths,
+  subYears,
+  differenceInCalendarDays,
+  startOfDay,
+  endOfDay,
+  startOfWeek,
+  startOfMonth,
+  endOfMonth,
+  startOfYear,
+  endOfYear,
+} from "date-fns";
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+const DATE = "(\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{4})";
+
+/**
+ * Parse DD/MM/YYYY or DD-MM-YYYY
+ */
+function parseDay(value) {
+  const parsed = parse(value.replace(/-/g, "/"), "d/M/yyyy", new Date());
+  return isValid(parsed) ? parsed : null;
+}
+
+/**
+ * Work out the date range of a report period
+ *
+ * @param {string} text - Period words, e.g. "this month", "nov 2025", "01/11/2025 to 15/11/2025"
+ * @param {Date} [now] - Current time (for relative periods)
+ * @returns {{start: Date, end: Date, name: string}|null} Range (whole days), or null if not a period
+ */
+export function parsePeriod(text, now = new Date()) {
+  const value = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const range = (start, end, name) => ({ start: startOfDay(start), end: endOfDay(end), name });
+
+  if (value === "today") return range(now, now, "Today");
+  if (value === "yesterday") return range(subDays(now, 1), subDays(now, 1), "Yesterday");
+  if (value === "this week") return range(startOfWeek(now, { weekStartsOn: 1 }), now, "This Week");
+  if (value === "this month") return range(startOfMonth(now), now, "This Month");
+  if (value === "this year") return range(startOfYear(now), now, "This Year");
+
+  const lastDays = value.match(/^last (\d+) days?$/);
+  if (lastDays) {
+    const days = Math.max(1, parseInt(lastDays[1]));
+    return range(subDays(now, days - 1), now, `Last ${days} Days`);
+  }
+
+  const daysAgo = value.match(/^(\d+) days? ago$/);
+  if (daysAgo) {
+    const day = subDays(now, parseInt(daysAgo[1]));
+    return range(day, day, `${daysAgo[1]} Days Ago`);
+  }
+
+  const dateRange = value.match(new RegExp(`^${DATE} to ${DATE}$`));
+  if (dateRange) {
+    const start = parseDay(dateRange[1]);
+    const end = parseDay(dateRange[2]);
+    if (!start || !end || start > end) return null;
+    return range(start, end, `${dateRange[1]} to ${dateRange[2]}`);
+  }
+
+  const singleDate = value.match(new RegExp(`^${DATE}$`));
+  if (singleDate) {
+    const day = parseDay(singleDate[1]);
+    return day ? range(day, day, singleDate[1]) : null;
+  }
+
+  const yearOnly = value.match(/^(\d{4})$/);
+  if (yearOnly) {
+    const start = new Date(parseInt(yearOnly[1]), 0, 1);
+    return range(start, endOfYear(start), `Year ${yearOnly[1]}`);
+  }
+
+  const monthYear = value.match(/^([a-z]+)(?: (\d{4}))?$/);
+  if (monthYear && monthYear[1].length >= 3) {
+    // "nov", "novem" and "november" all work
+    const monthIndex = MONTHS.findIndex((month) => month.startsWith(monthYear[1]));
+    if (monthIndex !== -1) {
+      const year = monthYear[2] ? parseInt(monthYear[2]) : now.getFullYear();
+      const start = new Date(year, monthIndex, 1);
+      return range(start, endOfMonth(start), `${monthYear[1].toUpperCase()} ${year}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The period just before another one, for "compared with" figures
+ *
+ * A period of several days inside one month that starts on the 1st moves back one month
+ * (Nov -> Oct, "this month" so far -> the same days of last month); a period
+ * starting on 1 January moves back one year. Anything else moves back by its
+ * own length (last 7 days -> the 7 days before).
+ *
+ * @param {{start: Date, end: Date}} period - Range from parsePeriod()
+ * @returns {{start: Date, end: Date, name: string}} Previous range
+ */
+export function getPreviousPeriod(period) {
+  const range = (start, end, name) => ({ start: startOfDay(start), end: endOfDay(end), name });
+  const label = (start, end) =>
+    differenceInCalendarDays(end, start) === 0
+      ? format(start, "dd/MM/yyyy")
+      : `${format(start, "dd/MM/yyyy")} to ${format(end, "dd/MM/yyyy")}`;
+  const isLastDay = (date, lastDay) => startOfDay(date).getTime() === startOfDay(lastDay).getTime();
+  const { start, end } = period;
+  const days = differenceInCalendarDays(end, start) + 1;
+
+  if (days > 1 && start.getDate() === 1 && start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
+    const prevStart = subMonths(start, 1);
+    if (isLastDay(end, endOfMonth(end))) {
+      return range(prevStart, endOfMonth(prevStart), format(prevStart, "MMM yyyy").toUpperCase());
+    }
+    const prevEnd = subMonths(end, 1);
+    return range(prevStart, prevEnd, label(prevStart, prevEnd));
+  }
+
+  if (days > 1 && start.getDate() === 1 && start.getMonth() === 0 && start.getFullYear() === end.getFullYear()) {
+    const prevStart = subYears(start, 1);
+    if (isLastDay(end, endOfYear(end))) {
+      return range(prevStart, endOfYear(prevStart), `Year ${prevStart.getFullYear()}`);
+    }
+    const prevEnd = subYears(end, 1);
+    return range(prevStart, prevEnd, label(prevStart, prevEnd));
+  }
+
+  const prevStart = subDays(start, days);
+  const prevEnd = subDays(start, 1);
+  return range(prevStart, prevEnd, label(prevStart, prevEnd));
+}
@@ -0,0 +1,115 @@
+/**
+ * permissions.js - Role-Based Permissions
+ *
+ * Decides what each user may do, based on the `role` field in users.json
+ * and the permission matrix in src/data/permissions.json.
+ *
+ * Permission entries can be:
+ * - An exact action:  "cash.deposit"
+ * - A feature wildcard: "daily.*" (every daily action)
+ * - Everything: "*"
+ *
+ * Roles that are not listed in permissions.json get no permissions.
+ * Denied actions get a clear reply and are written to the audit log.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getMenuState } from "./menu-state.js";
+import { logAuditEvent } from "./audit-log.js";
+import { tr } from "./i18n.js";
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const permissionsFile = path.join(__dirname, "../data/permissions.json");
+
+// Cached permission matrix
+let permissionsData = null;
+
+/**
+ * Load the permission matrix (cached after the first read)
+ *
+ * @returns {Object} { actions: {action: description}, roles: {role: [actions]} }
+ */
+function loadPermissions() {
+  if (permissionsData) return permissionsData;
+  try {
+    permissionsData = JSON.parse(fs.readFileSync(permissionsFile, "utf8"));
+  } catch (err) {
+    console.error("❌ Error loading permissions.json:", err);
+    permissionsData = { actions: {}, roles: {} };
+  }
+  return permissionsData;
+}
+
+/**
+ * Get all role names defined in the permission matrix
+ *
+ * @returns {Array<string>} Role names (e.g., ["Admin", "Owner", ...])
+ */
+export function getRoles() {
+  return Object.keys(loadPermissions().roles || {});
+}
+
+/**
+ * Check whether a user may perform an action
+ *
+ * @param {Object|null} user - User object from users.json
+ * @param {string} action - Action name (e.g., "cash.deposit")
+ * @returns {boolean} True if allowed
+ */
+export function can(user, action) {
+  if (!user?.role) return false;
+
+  const granted = loadPermissions().roles?.[user.role] || [];
+  const feature = action.split(".")[0];
+
+  return granted.some(
+    (permission) => permission === "*" || permission === action || permission === `${feature}.*`
+  );
+}
+
+/**
+ * Check a permission for the sender's logged-in user
+ * If denied, replies with a clear message and writes an audit log entry
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - The WhatsApp sender ID
+ * @param {string} action - Action name (e.g., "daily.edit")
+ * @param {Object} details - Extra info for the audit log (e.g., { key: "BUS101_15/11/2025" })
+ * @returns {Promise<boolean>} True if allowed, false if denied
+ */
+export async function requirePermission(sock, sender, action, details = {}) {
+  const state = getMenuState(sender);
+  const user = state.user;
+
+  if (can(user, action)) return true;
+
+  // Translated description, or the English one from permissions.json for new actions
+  const actionKey = `permission.actions.${action}`;
+  const translated = tr(sender, actionKey);
+  const description = translated !== actionKey ? translated : loadPermissions().actions?.[action] || action;
+  const role = user?.role || "Unknown";
+
+  logAuditEvent("permission_denied", {
+    sender,
+    userId: user?.userId || null,
+    role,
+    action,
+    busCode: state.selectedBus || null,
+    ...details,
+  });
+
+  try {
+    await sock.sendMessage(sender, {
+      text: tr(sender, "permission.denied", { role, action: description }),
+    });
+  } catch (err) {
+    console.error("❌ Failed to send permission denied message:", err);
+  }
+
+  return false;
+}
@@ -0,0 +1,177 @@
+/**
+ * receipts.js - Photo Receipt Files
+ *
+ * Receipts (diesel slips, repair bills) arrive as WhatsApp images. They are
+ * downloaded and filed by bus and report date:
+ *
+ *   storage/receipts/BUS101/2025-11-15/103012-diesel-3EB0C4.jpg
+ *   storage/receipts/BUS101/2025-11-15/103540-expense-mechanic-3EB0D1.jpg
+ *
+ * The file name carries the time, the entry the receipt belongs to and part of
+ * the WhatsApp message ID, so receipts can be listed for a date without an index.
+ * RECEIPTS_DIR overrides the folder.
+ */
+
+import fs from "fs";
+import path from "path";
+import pino from "pino";
+import { format } from "date-fns";
+import { downloadMediaMessage } from "@whiskeysockets/baileys";
+
+// Receipt file name: <HHmmss>-<entry slug>-<message id>.<ext>
+const RECEIPT_PATTERN = /^(\d{6})-([a-z0-9-]+)-([A-Za-z0-9]+)\.(jpg|png|webp)$/;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Directory holding the receipts
+ *
+ * @returns {string} Directory path
+ */
+export function getReceiptsDir() {
+  return process.env.RECEIPTS_DIR || "./storage/receipts";
+}
+
+/**
+ * Turn an entry label ("Diesel", "Expense mechanic") into a file name part
+ */
+function slugify(label) {
+  return String(label || "general")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "general";
+}
+
+/**
+ * Turn a file name part back into a label ("expense-mechanic" -> "Expense mechanic")
+ */
+function unslugify(slug) {
+  const label = slug.replace(/-/g, " ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Get the image part of a WhatsApp message, if it has one
+ *
+ * @param {Object} msg - Incoming WhatsApp message
+ * @returns {Object|null} imageMessage
+ */
+export function getImageMessage(msg) {
+  return msg?.message?.imageMessage || null;
+}
+
+/**
+ * Download the image of a message
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} msg - Incoming WhatsApp message with an imageMessage
+ * @returns {Promise<Buffer>} Image data
+ */
+export async function downloadImage(sock, msg) {
+  if (!getImageMessage(msg)) throw new Error("Message has no image");
+  return downloadMediaMessage(
+    msg,
+    "buffer",
+    {},
+    { logger: pino({ level: "silent" }), reuploadRequest: sock.updateMediaMessage }
+  );
+}
+
+/**
+ * Download the image of a message and file it as a receipt
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} msg - Incoming WhatsApp message with an imageMessage
+ * @param {Object} options
+ * @param {string} options.busCode - Bus the receipt belongs to
+ * @param {Date} options.date - Report date the receipt is filed under
+ * @param {string} options.entry - Entry label, e.g. "Diesel" or "Expense mechanic"
+ * @param {string} options.sender - Sender JID (kept in the reference)
+ * @param {Buffer} [options.buffer] - Image data if already downloaded
+ * @returns {Promise<Object>} Receipt reference { file, entry, savedAt, sender }
+ */
+export async function saveReceipt(sock, msg, { busCode, date, entry, sender, buffer = null }) {
+  const image = getImageMessage(msg);
+  if (!image) throw new Error("Message has no image");
+  if (!buffer) buffer = await downloadImage(sock, msg);
+
+  const ext = EXTENSIONS[image.mimetype] || "jpg";
+  const messageId = String(msg.key?.id || Date.now()).replace(/[^A-Za-z0-9]/g, "").slice(-6);
+  const now = new Date();
+  const file = path.posix.join(
+    busCode,
+    format(date, "yyyy-MM-dd"),
+    `${format(now, "HHmmss")}-${slugify(entry)}-${messageId}.${ext}`
+  );
+
+  const fullPath = path.join(getReceiptsDir(), file);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, buffer);
+  console.log(`📎 Receipt saved: ${file}`);
+
+  return { file, entry: entry || null, savedAt: now.toISOString(), sender };
+}
+
+/**
+ * List the receipts of a bus for a date (oldest first)
+ *
+ * @param {string} busCode - Bus code
+ * @param {Date} date - Report date
+ * @returns {Array<{file: string, entry: string, time: string}>} Receipts
+ */
+export function listReceipts(busCode, date) {
+  const dir = path.join(getReceiptsDir(), busCode, format(date, "yyyy-MM-dd"));
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .map((name) => ({ name, match: name.match(RECEIPT_PATTERN) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, match }) => ({
+      file: path.posix.join(busCode, format(date, "yyyy-MM-dd"), name),
+      entry: unslugify(match[2]),
+      time: `${match[1].slice(0, 2)}:${match[1].slice(2, 4)}`,
+    }));
+}
+
+/**
+ * Read a receipt file
+ *
+ * @param {string} file - Path relative to the receipts directory
+ * @returns {Buffer} File contents
+ */
+export function readReceipt(file) {
+  const root = path.resolve(getReceiptsDir());
+  const fullPath = path.resolve(root, file);
+  if (!fullPath.startsWith(root + path.sep)) throw new Error(`Invalid receipt path: ${file}`);
+  return fs.readFileSync(fullPath);
+}
+
+/**
+ * Short marker for an entry with receipts, e.g. " 📎" or " 📎2"
+ *
+ * @param {Object} entry - Diesel/Adda/Union object or ExtraExpenses item
+ * @returns {string} Marker ("" if the entry has no receipts)
+ */
+export function receiptTag(entry) {
+  const count = entry?.receipts?.length || 0;
+  if (count === 0) return "";
+  return count === 1 ? " 📎" : ` 📎${count}`;
+}
+
+/**
+ * Count every receipt linked to a daily record or draft
+ *
+ * @param {Object} record - Daily record or draft
+ * @returns {number} Number of receipts
+ */
+export function countReceipts(record) {
+  const entries = [record?.Diesel, record?.Adda, record?.Union, ...(record?.ExtraExpenses || [])];
+  const linked = entries.reduce((sum, entry) => sum + (entry?.receipts?.length || 0), 0);
+  return linked + (record?.Receipts?.length || 0);
+}
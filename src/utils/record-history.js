@@ -0,0 +1,126 @@
+/**
+ * record-history.js - Change History for Daily and Booking Records
+ *
+ * Reads record_change entries from the audit log (see audit-log.js) and
+ * formats them for the `history <date>` command in Daily and Booking mode.
+ *
+ * Booking keys can cover a range ("BUS101_20/12/2025_TO_22/12/2025"),
+ * so a booking matches if the requested date falls inside its range.
+ */
+
+import { format, parse, isValid } from "date-fns";
+import { readAuditLog } from "./audit-log.js";
+import { getUserNameBySender } from "./employees.js";
+import { t, getUserLanguage } from "./i18n.js";
+
+// Longest history message - older changes are summarised beyond this
+const MAX_ENTRIES_SHOWN = 15;
+
+// Change sources with a label in the locale catalogs (common.history.sources)
+const KNOWN_SOURCES = ["whatsapp", "sync", "deposit"];
+
+/**
+ * Parse a DD/MM/YYYY string into a Date (null if invalid)
+ */
+function parseKeyDate(value) {
+  const parsed = parse(value, "dd/MM/yyyy", new Date());
+  return isValid(parsed) ? parsed : null;
+}
+
+/**
+ * Check whether a record key belongs to a bus and covers a date
+ *
+ * @param {string} key - Record key, e.g. "BUS101_15/11/2025" or "BUS101_15/11/2025_TO_17/11/2025"
+ * @param {string} busCode - Bus code to match
+ * @param {Date} date - Date to look for
+ * @returns {boolean}
+ */
+function keyCoversDate(key, busCode, date) {
+  const match = String(key).match(/^([^_]+)_(\d{2}\/\d{2}\/\d{4})(?:_TO_(\d{2}\/\d{2}\/\d{4}))?$/);
+  if (!match || match[1] !== busCode) return false;
+
+  const start = parseKeyDate(match[2]);
+  const end = match[3] ? parseKeyDate(match[3]) : start;
+  if (!start || !end) return false;
+
+  const day = format(date, "yyyy-MM-dd");
+  return day >= format(start, "yyyy-MM-dd") && day <= format(end, "yyyy-MM-dd");
+}
+
+/**
+ * Get all changes recorded for a bus's records on a date
+ *
+ * @param {string} store - "daily" or "bookings"
+ * @param {string} busCode - Bus code
+ * @param {Date} date - Date to look for
+ * @returns {Array<Object>} record_change entries, oldest first
+ */
+export function getRecordHistory(store, busCode, date) {
+  return readAuditLog().filter(
+    (entry) =>
+      entry.event === "record_change" &&
+      entry.store === store &&
+      keyCoversDate(entry.key, busCode, date)
+  );
+}
+
+/**
+ * Format a single value for display in a history line
+ */
+function formatValue(value, lang) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) {
+    if (value.length === 0) return t(lang, "common.history.none");
+    return value
+      .map((item) => (item && typeof item === "object" ? `${item.name || item.role || item.type || "item"} ₹${item.amount ?? "?"}` : String(item)))
+      .join(", ");
+  }
+  return String(value);
+}
+
+/**
+ * Send the change history for a date to the user
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} sender - The WhatsApp sender ID
+ * @param {string} store - "daily" or "bookings"
+ * @param {string} busCode - Bus code
+ * @param {Date} date - Date to show history for
+ */
+export async function sendRecordHistory(sock, sender, store, busCode, date) {
+  const dateLabel = format(date, "dd/MM/yyyy");
+  const entries = getRecordHistory(store, busCode, date);
+  const lang = getUserLanguage(sender);
+  const label = (key, params) => t(lang, `common.history.${key}`, params);
+  const title = label(store === "daily" ? "dailyTitle" : "bookingTitle", { bus: busCode });
+
+  if (entries.length === 0) {
+    await sock.sendMessage(sender, {
+      text: `${title}\n📅 ${dateLabel}\n\n${label("noChanges")}`,
+    });
+    return;
+  }
+
+  const shown = entries.slice(-MAX_ENTRIES_SHOWN);
+  let msg = `${title}\n📅 ${dateLabel}\n`;
+
+  if (entries.length > shown.length) {
+    msg += `${label("showing", { shown: shown.length, total: entries.length })}\n`;
+  }
+
+  for (const entry of shown) {
+    const when = format(new Date(entry.at), "dd/MM/yyyy HH:mm");
+    const who = entry.sender ? getUserNameBySender(entry.sender) || entry.sender : label("system");
+    const source = KNOWN_SOURCES.includes(entry.source) ? label(`sources.${entry.source}`) : entry.source;
+    const action = label(entry.action === "create" ? "created" : "updated");
+
+    msg += `\n🕒 *${when}* — ${action}\n`;
+    msg += `👤 ${who} | ${source}\n`;
+    if (store !== "daily") msg += `🔑 ${entry.key}\n`;
+    for (const change of entry.changes || []) {
+      msg += `   • ${change.field}: ${formatValue(change.before, lang)} → ${formatValue(change.after, lang)}\n`;
+    }
+  }
+
+  await sock.sendMessage(sender, { text: msg.trim() });
+}
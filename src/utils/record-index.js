@@ -0,0 +1,80 @@
+/**
+ * record-index.js - Indexed Fields of Stored Records
+ *
+ * Works out the bus, date and status of a daily, booking or cash record
+ * so storage backends can filter records without every caller re-parsing
+ * "BUS101_15/11/2025" style keys.
+ *
+ * Key formats:
+ * - daily:    BUS101_15/11/2025
+ * - bookings: BUS101_20/12/2025 or BUS101_20/12/2025_TO_22/12/2025
+ * - cash:     DEP_BUS101_17/12/2025_001 (date taken from depositedAt)
+ *
+ * Dates are returned as "yyyy-MM-dd" strings so they sort and compare as text.
+ */
+
+import { format, parse, isValid } from "date-fns";
+
+/**
+ * Convert a DD/MM/YYYY string to yyyy-MM-dd (null if invalid)
+ *
+ * @param {string} value - Date string from a record key
+ * @returns {string|null} ISO date string
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const parsed = parse(value, "dd/MM/yyyy", new Date());
+  return isValid(parsed) ? format(parsed, "yyyy-MM-dd") : null;
+}
+
+/**
+ * Get the indexed fields of a record
+ *
+ * @param {string} store - "daily", "bookings" or "cash"
+ * @param {string} key - Record key
+ * @param {Object} record - Record data
+ * @returns {{busCode: string|null, date: string|null, endDate: string|null, status: string|null}}
+ *
+ * @example
+ * getRecordIndex("bookings", "BUS101_20/12/2025_TO_22/12/2025", { Status: "Pending" });
+ * // { busCode: "BUS101", date: "2025-12-20", endDate: "2025-12-22", status: "Pending" }
+ */
+export function getRecordIndex(store, key, record = {}) {
+  if (store === "cash") {
+    const depositedAt = record?.depositedAt ? new Date(record.depositedAt) : null;
+    const date = depositedAt && isValid(depositedAt) ? format(depositedAt, "yyyy-MM-dd") : null;
+    return {
+      busCode: record?.busCode || String(key).split("_")[1] || null,
+      date,
+      endDate: date,
+      status: null,
+    };
+  }
+
+  const match = String(key).match(/^([^_]+)_(\d{2}\/\d{2}\/\d{4})(?:_TO_(\d{2}\/\d{2}\/\d{4}))?$/);
+  const date = match ? toIsoDate(match[2]) : null;
+  return {
+    busCode: match ? match[1] : record?.busCode || record?.BusCode || null,
+    date,
+    endDate: match?.[3] ? toIsoDate(match[3]) : date,
+    status: record?.Status || null,
+  };
+}
+
+/**
+ * Check whether a record's indexed fields match a query filter
+ *
+ * @param {Object} index - Result of getRecordIndex()
+ * @param {Object} filter - See queryRecords() in storage.js
+ * @returns {boolean}
+ */
+export function matchesFilter(index, filter) {
+  if (filter.busCode && index.busCode !== filter.busCode) return false;
+  if (filter.from && (!index.date || index.date < filter.from)) return false;
+  if (filter.to && (!index.date || index.date > filter.to)) return false;
+  if (filter.status) {
+    const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+    if (!statuses.includes(index.status)) return false;
+  }
+  return true;
+}
@@ -0,0 +1,257 @@
+/**
+ * reminders.js - Missing Daily Report Reminders
+ *
+ * Runs inside the server and checks every active bus in buses.json once a minute:
+ * 1. After the bus's cut-off time, if there is no BUS_DD/MM/YYYY record for today,
+ *    the users assigned to that bus (who may submit daily reports) get a DM.
+ * 2. After the escalation time the next morning, if yesterday's report is still
+ *    missing and the reminder for it went out, every active Admin gets a DM.
+ *    Days the scheduler was not running for (e.g. before it started) are not escalated.
+ * Each recipient gets the message in their reply language.
+ *
+ * Settings live in src/data/reminders.json and are re-read on every check,
+ * so edits apply without a restart:
+ * {
+ *   "enabled": true,
+ *   "defaults": { "cutoffTime": "21:00", "escalationTime": "09:00", "quietDays": ["Sunday"] },
+ *   "buses": { "BUS101": { "cutoffTime": "21:30", "quietDays": ["Sunday", "26/01/2026"] } }
+ * }
+ * quietDays accepts weekday names and DD/MM/YYYY dates (holidays). No reminder or
+ * escalation is sent for a quiet day.
+ *
+ * Times use the server's local time zone - set TZ (e.g. Asia/Kolkata) on the host.
+ * Sent reminders are tracked in storage/reminders_state.json so a restart
+ * does not send them twice.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { format, subDays } from "date-fns";
+import { readDataList } from "./data-files.js";
+import { getUserJid } from "./employees.js";
+import { can } from "./permissions.js";
+import { openStore } from "./storage.js";
+import { t, getUserLanguage } from "./i18n.js";
+
+// Get current directory path (required for ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const settingsFile = path.join(__dirname, "../data/reminders.json");
+const stateFile = "./storage/reminders_state.json";
+
+// How often the scheduler checks, and how long sent-reminder state is kept
+const CHECK_INTERVAL_MS = 60 * 1000;
+const STATE_RETENTION_DAYS = 7;
+
+const DEFAULT_SETTINGS = {
+  cutoffTime: "21:00",
+  escalationTime: "09:00",
+  quietDays: [],
+};
+
+// Scheduler timer (only one per process)
+let reminderTimer = null;
+
+/**
+ * Load reminder settings (re-read on every check)
+ *
+ * @returns {Object} Settings from reminders.json, or reminders disabled if unreadable
+ */
+function loadSettings() {
+  try {
+    return JSON.parse(fs.readFileSync(settingsFile, "utf8"));
+  } catch (err) {
+    console.error("❌ Error loading reminders.json:", err.message);
+    return { enabled: false };
+  }
+}
+
+/**
+ * Get the effective reminder settings for a bus (defaults + bus overrides)
+ *
+ * @param {Object} settings - Settings from reminders.json
+ * @param {string} busCode - Bus code
+ * @returns {{cutoffTime: string, escalationTime: string, quietDays: Array<string>}}
+ */
+export function getBusReminderSettings(settings, busCode) {
+  return { ...DEFAULT_SETTINGS, ...settings.defaults, ...settings.buses?.[busCode] };
+}
+
+/**
+ * Check whether a date is a quiet day (weekday name or DD/MM/YYYY)
+ */
+function isQuietDay(date, quietDays = []) {
+  const weekday = format(date, "EEEE").toLowerCase();
+  const dateStr = format(date, "dd/MM/yyyy");
+  return quietDays.some((day) => String(day).toLowerCase() === weekday || day === dateStr);
+}
+
+/**
+ * Check whether the clock has passed an "HH:mm" time today
+ */
+function isPastTime(now, time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return now.getHours() * 60 + now.getMinutes() >= hours * 60 + (minutes || 0);
+}
+
+/**
+ * Load which reminders were already sent
+ *
+ * @returns {Object} { "BUS101_15/11/2025": { remindedAt, escalatedAt } }
+ */
+function loadState() {
+  try {
+    if (!fs.existsSync(stateFile)) return {};
+    return JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  } catch (err) {
+    console.error("❌ Error loading reminder state:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Save reminder state, dropping entries older than the retention period
+ */
+function saveState(state) {
+  const cutoff = Date.now() - STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, entry] of Object.entries(state)) {
+    const last = new Date(entry.escalatedAt || entry.remindedAt || 0).getTime();
+    if (last < cutoff) delete state[key];
+  }
+
+  try {
+    const tempFile = `${stateFile}.tmp`;
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, stateFile);
+  } catch (err) {
+    console.error("❌ Error saving reminder state:", err.message);
+  }
+}
+
+/**
+ * Send a message to a list of users, skipping failures
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Array<Object>} users - Users to notify
+ * @param {Function} buildText - (lang) => message text in that language
+ * @returns {Promise<Array<Object>>} Users the message was sent to
+ */
+async function notifyUsers(sock, users, buildText) {
+  const reached = [];
+  for (const user of users) {
+    const jid = getUserJid(user);
+    if (!jid) continue;
+    try {
+      await sock.sendMessage(jid, { text: buildText(getUserLanguage(jid)) });
+      reached.push(user);
+    } catch (err) {
+      console.error(`❌ Failed to send reminder to ${user.userId}:`, err.message);
+    }
+  }
+  return reached;
+}
+
+/**
+ * Display name of a user
+ */
+function userName(user) {
+  return [user.firstName, user.middleName, user.lastName].filter(Boolean).join(" ") || user.userId;
+}
+
+/**
+ * Run one reminder check for every active bus
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{reminded: Array<string>, escalated: Array<string>}>} Record keys notified
+ */
+export async function runReminderCheck(sock, now = new Date()) {
+  const result = { reminded: [], escalated: [] };
+  const settings = loadSettings();
+  if (!settings.enabled) return result;
+
+  const dailyDb = await openStore("daily");
+  const buses = readDataList("buses").filter((bus) => bus.status === "Active");
+  const users = readDataList("users").filter((user) => user.status === "Active");
+  const admins = users.filter((user) => user.role === "Admin");
+  const state = loadState();
+  let changed = false;
+
+  for (const bus of buses) {
+    const busSettings = getBusReminderSettings(settings, bus.busCode);
+    const assignedUsers = users.filter(
+      (user) => user.role !== "Admin" && (user.assignedBuses || []).includes(bus.busCode) && can(user, "daily.submit")
+    );
+
+    // 1. Today's report missing after the cut-off time -> remind assigned users
+    const today = format(now, "dd/MM/yyyy");
+    const todayKey = `${bus.busCode}_${today}`;
+    if (
+      !state[todayKey]?.remindedAt &&
+      !isQuietDay(now, busSettings.quietDays) &&
+      isPastTime(now, busSettings.cutoffTime) &&
+      !dailyDb.data[todayKey]
+    ) {
+      const reached = await notifyUsers(sock, assignedUsers, (lang) =>
+        t(lang, "reminders.missing", { bus: bus.busCode, registration: bus.registrationNumber, date: today })
+      );
+      state[todayKey] = { ...state[todayKey], remindedAt: now.toISOString(), remindedUsers: reached.map((u) => u.userId) };
+      changed = true;
+      result.reminded.push(todayKey);
+      console.log(`⏰ Reminded ${reached.length} user(s) about ${todayKey}`);
+    }
+
+    // 2. Yesterday's report still missing the next morning -> escalate to Admins.
+    //    Only once the reminder went out, so days before the scheduler ran are not escalated.
+    const yesterdayDate = subDays(now, 1);
+    const yesterday = format(yesterdayDate, "dd/MM/yyyy");
+    const yesterdayKey = `${bus.busCode}_${yesterday}`;
+    if (
+      state[yesterdayKey]?.remindedAt &&
+      !state[yesterdayKey]?.escalatedAt &&
+      !isQuietDay(yesterdayDate, busSettings.quietDays) &&
+      isPastTime(now, busSettings.escalationTime) &&
+      !dailyDb.data[yesterdayKey]
+    ) {
+      const remindedNames = (state[yesterdayKey]?.remindedUsers || [])
+        .map((userId) => users.find((u) => u.userId === userId))
+        .filter(Boolean)
+        .map(userName);
+
+      await notifyUsers(sock, admins, (lang) =>
+        t(lang, "reminders.escalation", {
+          bus: bus.busCode,
+          registration: bus.registrationNumber,
+          date: yesterday,
+          reminded: remindedNames.length > 0 ? remindedNames.join(", ") : t(lang, "reminders.noOneReminded"),
+        })
+      );
+      state[yesterdayKey] = { ...state[yesterdayKey], escalatedAt: now.toISOString() };
+      changed = true;
+      result.escalated.push(yesterdayKey);
+      console.log(`🚨 Escalated missing report ${yesterdayKey} to ${admins.length} admin(s)`);
+    }
+  }
+
+  if (changed) saveState(state);
+  return result;
+}
+
+/**
+ * Start the reminder scheduler
+ *
+ * @param {Function} getSock - Returns the connected WhatsApp socket, or null while disconnected
+ */
+export function startReminderScheduler(getSock) {
+  if (reminderTimer) return;
+
+  reminderTimer = setInterval(() => {
+    const sock = getSock();
+    if (!sock) return;
+    runReminderCheck(sock).catch((err) => console.error("❌ Reminder check failed:", err));
+  }, CHECK_INTERVAL_MS);
+  reminderTimer.unref?.();
+}
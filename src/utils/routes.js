@@ -0,0 +1,156 @@
+/**
+ * routes.js - Route Catalogue per Bus
+ *
+ * Each bus in buses.json can list the routes it runs:
+ *
+ *   "routes": [
+ *     { "id": "R1", "name": "Ghuraka to Thathri Via Doda City" },
+ *     { "id": "R2", "name": "Thathri to Ghuraka Via Doda City" }
+ *   ]
+ *
+ * Daily reports record trips on these routes ("Trip 1 R1 3500") in a Trips
+ * list on the record: [{ trip: 1, routeId: "R1", route: "Ghuraka to ...", amount: 3500 }].
+ * The route name is copied so renamed or removed routes keep their history.
+ * While a record has trips, its TotalCashCollection is the sum of the trips;
+ * a total typed before the first trip is kept aside (cashBeforeTrips) and
+ * comes back when the last trip is deleted.
+ * The Routes report adds up the collection per route and per trip number.
+ * Admins manage the catalogue with the Route commands.
+ */
+
+import { readDataList } from "./data-files.js";
+import { t } from "./i18n.js";
+
+/**
+ * Routes of a bus
+ *
+ * @param {string} busCode - Bus code
+ * @returns {Array<{id: string, name: string}>} Routes (empty if none set up)
+ */
+export function getBusRoutes(busCode) {
+  const bus = readDataList("buses").find((b) => b.busCode === busCode);
+  return bus?.routes || [];
+}
+
+/**
+ * Find a route by ID ("R1", or just "1") or by name.
+ * A name matches when it is equal, starts with, or contains the text -
+ * only if exactly one route matches at that level.
+ *
+ * @param {Array<{id: string, name: string}>} routes - Routes of the bus
+ * @param {string} text - Route ID or name typed by the user
+ * @returns {{id: string, name: string}|null} The route, or null if none or several match
+ *
+ * @example
+ * findRoute(routes, "r2");      // { id: "R2", name: "Thathri to Ghuraka Via Doda City" }
+ * findRoute(routes, "ghuraka"); // { id: "R1", ... }
+ */
+export function findRoute(routes, text) {
+  const wanted = String(text || "").trim().toLowerCase();
+  if (!wanted) return null;
+
+  const byId = routes.find((r) => r.id.toLowerCase() === wanted || r.id.toLowerCase() === `r${wanted}`);
+  if (byId) return byId;
+
+  for (const matches of [
+    (name) => name === wanted,
+    (name) => name.startsWith(wanted),
+    (name) => name.includes(wanted),
+  ]) {
+    const found = routes.filter((r) => matches(r.name.toLowerCase()));
+    if (found.length === 1) return found[0];
+    if (found.length > 1) return null;
+  }
+  return null;
+}
+
+/**
+ * Next free route ID for a bus ("R1", "R2", ...)
+ *
+ * @param {Array<{id: string}>} routes - Routes of the bus
+ * @returns {string} Route ID
+ */
+export function nextRouteId(routes) {
+  const highest = routes.reduce((max, r) => Math.max(max, parseInt(String(r.id).replace(/\D/g, ""), 10) || 0), 0);
+  return `R${highest + 1}`;
+}
+
+/**
+ * Route list for messages, one "• R1 - Name" line per route
+ *
+ * @param {Array<{id: string, name: string}>} routes - Routes of the bus
+ * @returns {string} Lines joined with newlines
+ */
+export function formatRouteList(routes) {
+  return routes.map((r) => `• *${r.id}* - ${r.name}`).join("\n");
+}
+
+/**
+ * Total collection of a list of trips
+ *
+ * @param {Array<{amount: number}>} trips - Trips of a daily record
+ * @returns {number} Sum of the trip amounts
+ */
+export function sumTrips(trips) {
+  return (trips || []).reduce((sum, trip) => sum + (Number(trip.amount) || 0), 0);
+}
+
+/**
+ * Roll the trips of a record up into its TotalCashCollection
+ * (linked receipts and remarks are kept; with the last trip gone the total
+ * typed before the first trip is restored)
+ *
+ * @param {Object} record - Daily record or session data with Trips
+ * @returns {Object} The same record
+ */
+export function applyTripCollection(record) {
+  if (!record.Trips?.length) {
+    delete record.Trips;
+    record.TotalCashCollection = record.cashBeforeTrips ?? null;
+    delete record.cashBeforeTrips;
+    return record;
+  }
+
+  record.Trips.sort((a, b) => a.trip - b.trip);
+  const existing = typeof record.TotalCashCollection === "object" ? record.TotalCashCollection : {};
+  record.TotalCashCollection = { ...existing, amount: String(sumTrips(record.Trips)) };
+  return record;
+}
+
+/**
+ * Add or replace a trip on a session draft and update its TotalCashCollection.
+ * The first trip sets aside the total typed before it.
+ *
+ * @param {Object} record - Session data
+ * @param {{trip: number, routeId: string, route: string, amount: number}} trip - Trip entry
+ * @returns {Object} The same record
+ */
+export function setTrip(record, trip) {
+  if (!record.Trips?.length && record.TotalCashCollection) {
+    record.cashBeforeTrips = record.TotalCashCollection;
+  }
+  record.Trips = (record.Trips || []).filter((t) => t.trip !== trip.trip);
+  record.Trips.push(trip);
+  return applyTripCollection(record);
+}
+
+/**
+ * Summary lines for the trips of a record, in the reply language
+ *
+ * @param {Object} record - Record or session data
+ * @param {string} lang - Language code
+ * @returns {Array<string>} Lines (empty if there are no trips)
+ */
+export function formatTripLines(record, lang) {
+  if (!record.Trips?.length) return [];
+  return [
+    t(lang, "common.trips.title"),
+    ...record.Trips.map((trip) =>
+      t(lang, "common.trips.line", {
+        trip: trip.trip,
+        route: trip.routeId ? `${trip.routeId} ${trip.route}` : trip.route,
+        amount: Number(trip.amount).toLocaleString("en-IN"),
+      })
+    ),
+  ];
+}
@@ -0,0 +1,240 @@
+/**
+ * session-store.js - Persistent Session Storage
+ *
+ * This module keeps each user's conversation state alive across server
+ * restarts. Without it, every restart throws away half-typed reports.
+ * It saves and restores:
+ * - Menu state (global.menuState) - mode, submode, login and selected bus
+ * - Daily report drafts (global.userData)
+ * - Booking drafts (global.bookingData)
+ *
+ * Sessions are written to storage/sessions.json. Sessions that have been
+ * idle longer than SESSION_TTL_MINUTES (default: 720 = 12 hours) are
+ * expired and removed from memory and from the file.
+ *
+ * Only the userId of a logged-in user is saved. On restore the user is looked
+ * up again in users.json, so role or bus changes made while the server was
+ * down apply, and deactivated users are logged out.
+ */
+
+import fs from "fs";
+import { flushStores } from "./storage.js";
+import { refreshUserSessions } from "./bus-selection.js";
+
+// Session file path - stored in the storage directory
+const sessionsFile = "./storage/sessions.json";
+
+// Wait this long after the last change before writing (batches bursts of messages)
+const SAVE_DELAY_MS = 2000;
+
+// How often idle sessions are checked for expiry
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Last activity timestamp (ms) for each sender
+if (!global.sessionActivity) global.sessionActivity = {};
+
+let saveTimer = null;
+let sweepTimer = null;
+
+/**
+ * Get the idle session lifetime in milliseconds
+ * Read lazily so values from .env are picked up after dotenv.config()
+ *
+ * @returns {number} Session TTL in milliseconds
+ */
+function getSessionTtlMs() {
+  const minutes = Number(process.env.SESSION_TTL_MINUTES || 720);
+  return (minutes > 0 ? minutes : 720) * 60 * 1000;
+}
+
+/**
+ * Remove every trace of a sender's session from memory
+ *
+ * @param {string} sender - The WhatsApp sender ID
+ */
+function dropSession(sender) {
+  if (global.menuState) delete global.menuState[sender];
+  if (global.userData) delete global.userData[sender];
+  if (global.bookingData) delete global.bookingData[sender];
+  delete global.sessionActivity[sender];
+}
+
+/**
+ * Record activity for a sender
+ * Call this for every incoming message so the session stays alive, then call
+ * scheduleSessionSave() once the message has been handled
+ *
+ * @param {string} sender - The WhatsApp sender ID
+ */
+export function touchSession(sender) {
+  if (!sender) return;
+  global.sessionActivity[sender] = Date.now();
+}
+
+/**
+ * Path of the sessions file (included in backup snapshots)
+ *
+ * @returns {string} File path
+ */
+export function getSessionsFile() {
+  return sessionsFile;
+}
+
+/**
+ * Write all live sessions to storage/sessions.json
+ * Uses a temp file + rename so a crash mid-write never leaves a broken file
+ *
+ * @returns {boolean} True if sessions were saved, false on error
+ */
+export function saveSessions() {
+  try {
+    const senders = new Set([
+      ...Object.keys(global.menuState || {}),
+      ...Object.keys(global.userData || {}),
+      ...Object.keys(global.bookingData || {}),
+    ]);
+
+    const sessions = {};
+    for (const sender of senders) {
+      sessions[sender] = {
+        lastActivity: global.sessionActivity[sender] || Date.now(),
+        menuState: toSavedMenuState(global.menuState?.[sender]),
+        dailyDraft: global.userData?.[sender] || null,
+        bookingDraft: global.bookingData?.[sender] || null,
+      };
+    }
+
+    const tempFile = `${sessionsFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), sessions }, null, 2));
+    fs.renameSync(tempFile, sessionsFile);
+    return true;
+  } catch (err) {
+    console.error("❌ Failed to save sessions:", err);
+    return false;
+  }
+}
+
+/**
+ * Menu state as saved to the file: the user is reduced to their userId
+ *
+ * @param {Object|undefined} state - Menu state from global.menuState
+ * @returns {Object|null} State to save
+ */
+function toSavedMenuState(state) {
+  if (!state) return null;
+  return { ...state, user: state.user ? { userId: state.user.userId } : null };
+}
+
+/**
+ * Save sessions after a short delay
+ * Each call restarts the delay, so the write happens after the last handler
+ * finished changing state, and bursts of messages are combined into one write
+ */
+export function scheduleSessionSave() {
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveSessions();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+/**
+ * Load saved sessions back into memory
+ * Sessions that expired while the server was down are skipped
+ *
+ * @returns {number} Number of sessions restored
+ */
+export function restoreSessions() {
+  try {
+    if (!fs.existsSync(sessionsFile)) return 0;
+
+    const saved = JSON.parse(fs.readFileSync(sessionsFile, "utf8"));
+    const sessions = saved?.sessions || {};
+    const cutoff = Date.now() - getSessionTtlMs();
+
+    if (!global.menuState) global.menuState = {};
+    if (!global.userData) global.userData = {};
+    if (!global.bookingData) global.bookingData = {};
+
+    let restored = 0;
+    for (const [sender, session] of Object.entries(sessions)) {
+      const lastActivity = Number(session.lastActivity) || 0;
+      if (lastActivity < cutoff) continue;
+
+      if (session.menuState) global.menuState[sender] = session.menuState;
+      if (session.dailyDraft) global.userData[sender] = session.dailyDraft;
+      if (session.bookingDraft) global.bookingData[sender] = session.bookingDraft;
+      global.sessionActivity[sender] = lastActivity;
+      restored++;
+    }
+
+    // Saved sessions only carry the userId - load the current user, buses and role
+    if (restored > 0) refreshUserSessions();
+
+    return restored;
+  } catch (err) {
+    console.error("⚠️ sessions.json unreadable, starting with empty sessions:", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Expire sessions that have been idle longer than the configured TTL
+ *
+ * @returns {number} Number of sessions expired
+ */
+export function expireIdleSessions() {
+  const cutoff = Date.now() - getSessionTtlMs();
+  const senders = new Set([
+    ...Object.keys(global.menuState || {}),
+    ...Object.keys(global.userData || {}),
+    ...Object.keys(global.bookingData || {}),
+  ]);
+
+  let expired = 0;
+  for (const sender of senders) {
+    const lastActivity = global.sessionActivity[sender];
+    // Sessions created without any recorded activity get a fresh timestamp
+    if (!lastActivity) {
+      global.sessionActivity[sender] = Date.now();
+      continue;
+    }
+    if (lastActivity < cutoff) {
+      dropSession(sender);
+      expired++;
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`🧹 Expired ${expired} idle session(s)`);
+    saveSessions();
+  }
+  return expired;
+}
+
+/**
+ * Start the session store
+ * Restores saved sessions, starts the idle-session sweeper and
+ * saves sessions one last time when the process is stopped
+ */
+export function startSessionStore() {
+  const restored = restoreSessions();
+  if (restored > 0) {
+    console.log(`♻️ Restored ${restored} session(s) from ${sessionsFile}`);
+  }
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(expireIdleSessions, SWEEP_INTERVAL_MS);
+    sweepTimer.unref?.();
+  }
+
+  // Flush pending session and record writes before the process exits
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, async () => {
+      saveSessions();
+      await flushStores();
+      process.exit(0);
+    });
+  }
+}
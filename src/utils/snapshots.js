@@ -0,0 +1,152 @@
+/**
+ * snapshots.js - Compressed Snapshot Files
+ *
+ * Low-level reading and writing of the backup snapshots kept in
+ * storage/backups (or BACKUP_DIR). Each snapshot is one gzip-compressed
+ * JSON file holding every daily, booking and cash record at that moment,
+ * plus the text of the other storage files (sessions, audit log):
+ *
+ *   storage/backups/snapshot-20251217-103000.json.gz
+ *   { "id": "20251217-103000", "createdAt": "...", "reason": "scheduled",
+ *     "stores": { "daily": {...}, "bookings": {...}, "cash": {...} },
+ *     "files": { "sessions.json": "...", "audit_log.jsonl": "..." } }
+ *
+ * Receipt photos (storage/receipts) are not included - they would make every
+ * snapshot as large as all photos ever received.
+ *
+ * This module does not touch the live stores - see backups.js for taking
+ * and restoring snapshots, and storage.js for recovering a corrupted file.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { format } from "date-fns";
+
+// Snapshot file name pattern: snapshot-<id>.json.gz
+const SNAPSHOT_PATTERN = /^snapshot-(\d{8}-\d{6})\.json\.gz$/;
+
+/**
+ * Directory holding the snapshots
+ *
+ * @returns {string} Directory path
+ */
+export function getBackupDir() {
+  return process.env.BACKUP_DIR || "./storage/backups";
+}
+
+/**
+ * Build the file path of a snapshot
+ *
+ * @param {string} id - Snapshot ID, e.g. "20251217-103000"
+ * @returns {string} File path
+ */
+function snapshotPath(id) {
+  return path.join(getBackupDir(), `snapshot-${id}.json.gz`);
+}
+
+/**
+ * List snapshots, newest first
+ *
+ * @returns {Array<{id: string, createdAt: Date, size: number, file: string}>}
+ */
+export function listSnapshots() {
+  const dir = getBackupDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .map((name) => name.match(SNAPSHOT_PATTERN))
+    .filter(Boolean)
+    .map((match) => {
+      const file = path.join(dir, match[0]);
+      const stat = fs.statSync(file);
+      return { id: match[1], createdAt: stat.mtime, size: stat.size, file };
+    })
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Write a new snapshot
+ *
+ * @param {Object} stores - Records per store, e.g. { daily: {...}, bookings: {...}, cash: {...} }
+ * @param {string} reason - Why it was taken ("scheduled", "manual", "pre-restore", ...)
+ * @param {Object} [files] - Other storage files, file name -> text
+ * @returns {{id: string, file: string, size: number, counts: Object}} The saved snapshot
+ */
+export function writeSnapshot(stores, reason, files = {}) {
+  const now = new Date();
+  let id = format(now, "yyyyMMdd-HHmmss");
+  // Two snapshots in the same second (e.g. pre-restore + manual) get distinct IDs
+  while (fs.existsSync(snapshotPath(id))) {
+    now.setSeconds(now.getSeconds() + 1);
+    id = format(now, "yyyyMMdd-HHmmss");
+  }
+
+  const counts = Object.fromEntries(
+    Object.entries(stores).map(([name, data]) => [name, Object.keys(data || {}).length])
+  );
+  const payload = JSON.stringify({ id, createdAt: new Date().toISOString(), reason, counts, stores, files });
+
+  fs.mkdirSync(getBackupDir(), { recursive: true });
+  const file = snapshotPath(id);
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, zlib.gzipSync(payload));
+  fs.renameSync(tempFile, file);
+
+  return { id, file, size: fs.statSync(file).size, counts };
+}
+
+/**
+ * Read a snapshot
+ *
+ * @param {string} id - Snapshot ID
+ * @returns {Object|null} Snapshot contents, or null if missing or unreadable
+ */
+export function readSnapshot(id) {
+  if (!/^\d{8}-\d{6}$/.test(String(id))) return null;
+  const file = snapshotPath(id);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString("utf8"));
+  } catch (err) {
+    console.error(`❌ Cannot read snapshot ${id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Find the newest readable copy of one store in the snapshots
+ * Used to recover a corrupted store file when its .bak is unusable too.
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @returns {{id: string, data: Object}|null} Snapshot ID and records, or null if none
+ */
+export function findLatestStoreSnapshot(name) {
+  for (const snapshot of listSnapshots()) {
+    const data = readSnapshot(snapshot.id)?.stores?.[name];
+    if (data && typeof data === "object") return { id: snapshot.id, data };
+  }
+  return null;
+}
+
+/**
+ * Delete snapshots older than the retention period
+ * The newest snapshot is always kept, however old it is.
+ *
+ * @param {number} retentionDays - Days to keep snapshots for
+ * @returns {Array<string>} IDs of deleted snapshots
+ */
+export function pruneSnapshots(retentionDays) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const deleted = [];
+
+  for (const snapshot of listSnapshots().slice(1)) {
+    if (snapshot.createdAt.getTime() < cutoff) {
+      fs.unlinkSync(snapshot.file);
+      deleted.push(snapshot.id);
+    }
+  }
+  return deleted;
+}
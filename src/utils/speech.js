@@ -0,0 +1,101 @@
+/**
+ * speech.js - Offline Speech-to-Text
+ *
+ * Transcribes WhatsApp voice notes on the server with whisper.cpp. Nothing is
+ * sent to a cloud service: the voice note (OGG/Opus) is converted to 16 kHz
+ * WAV with ffmpeg and passed to the whisper.cpp command-line tool together
+ * with a local model file.
+ *
+ * Settings (environment):
+ *   WHISPER_BIN       whisper.cpp binary (default "whisper-cli")
+ *   WHISPER_MODEL     ggml model file (default ./models/ggml-base.bin)
+ *   WHISPER_LANGUAGE  spoken language (default "en", which writes Hindi words
+ *                     in Latin letters - "diesel paanch hazaar")
+ *   WHISPER_THREADS   CPU threads for whisper.cpp (default 2)
+ *   FFMPEG_BIN        ffmpeg binary (default "ffmpeg")
+ *   SPEECH_ENABLED    set to "false" to turn voice notes off
+ *
+ * Jobs run one at a time so a burst of voice notes cannot overload the server.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Longest a single conversion or transcription may take
+const JOB_TIMEOUT_MS = 120000;
+
+let queue = Promise.resolve();
+
+/**
+ * Path of the whisper.cpp model file
+ *
+ * @returns {string} Model path
+ */
+export function getSpeechModelPath() {
+  return process.env.WHISPER_MODEL || "./models/ggml-base.bin";
+}
+
+/**
+ * Check whether voice notes can be transcribed on this server
+ *
+ * @returns {boolean} True when enabled and the model file exists
+ */
+export function isSpeechEnabled() {
+  return process.env.SPEECH_ENABLED !== "false" && fs.existsSync(getSpeechModelPath());
+}
+
+/**
+ * Convert audio to 16 kHz mono WAV and run whisper.cpp on it
+ */
+async function runTranscription(buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "voice-"));
+  const input = path.join(dir, "note.ogg");
+  const wav = path.join(dir, "note.wav");
+
+  try {
+    fs.writeFileSync(input, buffer);
+
+    await execFileAsync(
+      process.env.FFMPEG_BIN || "ffmpeg",
+      ["-nostdin", "-loglevel", "error", "-y", "-i", input, "-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", wav],
+      { timeout: JOB_TIMEOUT_MS }
+    );
+
+    const { stdout } = await execFileAsync(
+      process.env.WHISPER_BIN || "whisper-cli",
+      [
+        "-m", getSpeechModelPath(),
+        "-f", wav,
+        "-l", process.env.WHISPER_LANGUAGE || "en",
+        "-t", String(process.env.WHISPER_THREADS || 2),
+        "-nt",   // no timestamps
+        "-np",   // print only the transcript
+      ],
+      { timeout: JOB_TIMEOUT_MS, maxBuffer: 1024 * 1024 }
+    );
+
+    return stdout
+      .replace(/\[[A-Z_ ]+\]|\([^)]*\)/g, "")   // [BLANK_AUDIO], (music) etc.
+      .replace(/\s+/g, " ")
+      .trim();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Transcribe a voice note
+ *
+ * @param {Buffer} buffer - Audio data (any format ffmpeg reads, e.g. OGG/Opus)
+ * @returns {Promise<string>} Transcript ("" if nothing was heard)
+ */
+export function transcribeAudio(buffer) {
+  const job = queue.then(() => runTranscription(buffer));
+  queue = job.catch(() => {});
+  return job;
+}
@@ -0,0 +1,181 @@
+/**
+ * spoken-numbers.js - Spoken Numbers to Digits
+ *
+ * Voice notes come back from speech-to-text as words, often mixing Hindi and
+ * English: "diesel paanch hazaar", "adda do sau", "online dedh hazaar",
+ * "expense tyre twelve hundred". The entry handlers only understand digits,
+ * so every run of number words is replaced with its value:
+ *
+ *   diesel paanch hazaar         -> diesel 5000
+ *   total cash collection 25 hazaar -> total cash collection 25000
+ *   advance saadhe teen hazaar   -> advance 3500
+ *   conductor sawa sau           -> conductor 125
+ *   online paune do hazaar       -> online 1750
+ *   driver two hundred fifty     -> driver 250
+ *
+ * Hindi words are matched in their common romanised spellings and in
+ * Devanagari; Devanagari digits (५०००) become 5000.
+ */
+
+// Values of single number words (English, romanised Hindi, Devanagari)
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+
+  shunya: 0, ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6,
+  chhah: 6, chah: 6, saat: 7, aath: 8, nau: 9, das: 10, dus: 10, gyarah: 11, gyara: 11,
+  barah: 12, terah: 13, chaudah: 14, pandrah: 15, pandra: 15, solah: 16, satrah: 17,
+  atharah: 18, unnis: 19, unees: 19, bees: 20, pachees: 25, pachis: 25, pachchis: 25,
+  tees: 30, chalis: 40, chaalis: 40, pachas: 50, pachaas: 50, saath: 60, sattar: 70,
+  assi: 80, nabbe: 90,
+
+  "शून्य": 0, "एक": 1, "दो": 2, "तीन": 3, "चार": 4, "पांच": 5, "पाँच": 5, "छह": 6, "छः": 6,
+  "सात": 7, "आठ": 8, "नौ": 9, "दस": 10, "बीस": 20, "पच्चीस": 25, "तीस": 30, "चालीस": 40,
+  "पचास": 50, "साठ": 60, "सत्तर": 70, "अस्सी": 80, "नब्बे": 90,
+};
+
+// Multipliers
+const HUNDRED = new Set(["hundred", "sau", "सौ"]);
+const THOUSAND = new Set(["thousand", "hazaar", "hazar", "hajar", "hajaar", "hazzar", "हज़ार", "हजार"]);
+const LAKH = new Set(["lakh", "lac", "lakhs", "laakh", "लाख"]);
+
+// "dedh hazaar" = 1500, "dhai sau" = 250
+const FRACTIONS = {
+  dedh: 1.5, ded: 1.5, dedhh: 1.5, "डेढ़": 1.5, "डेढ": 1.5,
+  dhai: 2.5, dhaai: 2.5, adhai: 2.5, adhaai: 2.5, "ढाई": 2.5,
+};
+
+// Added to the number after them: "saadhe teen hazaar" = 3500,
+// "sawa do sau" = 225, "paune teen hazaar" = 2750.
+// Straight before a multiplier they stand for 1: "sawa sau" = 125, "paune hazaar" = 750.
+const MODIFIERS = {
+  sadhe: 0.5, saadhe: 0.5, sade: 0.5, saade: 0.5, "साढ़े": 0.5, "साढे": 0.5,
+  sawa: 0.25, sava: 0.25, sawaa: 0.25, savaa: 0.25, "सवा": 0.25,
+  paune: -0.25, pone: -0.25, paun: -0.25, "पौने": -0.25,
+};
+
+// Words between number words that do not break the number ("five thousand and fifty")
+const CONNECTORS = new Set(["and", "aur", "और"]);
+
+// Currency words dropped after a number ("5000 rupees")
+const CURRENCY = new Set(["rupees", "rupee", "rs", "rupaye", "rupay", "rupaiye", "रुपये", "रुपए"]);
+
+// Lines whose text is free-form, so only digits are tidied in them
+const FREE_TEXT_FIELDS = /^(remarks|name|pickup|drop)\b/i;
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+/**
+ * Check whether a word is part of a spoken number
+ */
+function isNumberWord(word) {
+  return (
+    /^\d+$/.test(word) ||
+    Object.hasOwn(UNITS, word) ||
+    HUNDRED.has(word) ||
+    THOUSAND.has(word) ||
+    LAKH.has(word) ||
+    Object.hasOwn(FRACTIONS, word) ||
+    Object.hasOwn(MODIFIERS, word)
+  );
+}
+
+/**
+ * Value of a run of number words
+ *
+ * @param {Array<string>} words - Lowercased number words (and digits)
+ * @returns {number} Value rounded to a whole number
+ */
+function wordsToNumber(words) {
+  let total = 0;
+  let current = 0;
+  let modifier = 0;
+
+  // A modifier with no number after it applies to 1 ("sawa sau" = 1.25 x 100)
+  const applyModifier = () => {
+    if (modifier !== 0) current += 1 + modifier;
+    modifier = 0;
+  };
+
+  for (const word of words) {
+    if (/^\d+$/.test(word)) {
+      current += parseInt(word, 10) + modifier;
+      modifier = 0;
+    } else if (Object.hasOwn(UNITS, word)) {
+      current += UNITS[word] + modifier;
+      modifier = 0;
+    } else if (Object.hasOwn(FRACTIONS, word)) {
+      current += FRACTIONS[word];
+    } else if (Object.hasOwn(MODIFIERS, word)) {
+      modifier = MODIFIERS[word];
+    } else if (HUNDRED.has(word)) {
+      applyModifier();
+      current = (current || 1) * 100;
+    } else if (THOUSAND.has(word)) {
+      applyModifier();
+      total += (current || 1) * 1000;
+      current = 0;
+    } else if (LAKH.has(word)) {
+      applyModifier();
+      total += (current || 1) * 100000;
+      current = 0;
+    }
+  }
+
+  return Math.round(total + current);
+}
+
+/**
+ * Replace spoken numbers in one line with digits
+ *
+ * @param {string} line - One line of transcript
+ * @returns {string} Line with digits
+ */
+export function normalizeSpokenNumbers(line) {
+  const tidied = String(line || "")
+    .replace(/[०-९]/g, (d) => String(DEVANAGARI_DIGITS.indexOf(d)))
+    .replace(/(\d),(?=\d)/g, "$1")   // 5,000 -> 5000
+    .replace(/₹\s*/g, "")
+    .trim();
+
+  // Free-text fields keep their wording ("Remarks driver ke saath")
+  if (FREE_TEXT_FIELDS.test(tidied)) return tidied;
+
+  const words = tidied.split(/\s+/).filter(Boolean);
+  const out = [];
+  let run = [];
+  let runWords = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    // "sawa" or "paune" with no number after it is an ordinary word
+    if (run.every((word) => Object.hasOwn(MODIFIERS, word))) out.push(...runWords);
+    else out.push(String(wordsToNumber(run)));
+    run = [];
+    runWords = [];
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+
+    if (isNumberWord(lower)) {
+      run.push(lower);
+      runWords.push(word);
+      continue;
+    }
+    if (run.length > 0 && CONNECTORS.has(lower) && isNumberWord(words[i + 1]?.toLowerCase() || "")) {
+      continue;
+    }
+    if (run.length > 0 && CURRENCY.has(lower)) {
+      continue;
+    }
+    flush();
+    out.push(word);
+  }
+  flush();
+
+  return out.join(" ");
+}
@@ -0,0 +1,156 @@
+/**
+ * storage-sqlite.js - SQLite Storage Backend
+ *
+ * Keeps daily, booking and cash records in one SQLite database
+ * (storage/records.db, or SQLITE_FILE) instead of three JSON files.
+ * Selected with STORAGE_BACKEND=sqlite - see storage.js.
+ *
+ * Every record is one row. The record itself is stored as JSON, and its
+ * bus, date and status are copied into indexed columns (see record-index.js)
+ * so reports can fetch "BUS101, December, Pending" without scanning and
+ * re-parsing every key.
+ *
+ * Saves only touch rows whose JSON changed since the last save, inside a
+ * single SQLite transaction.
+ */
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { getRecordIndex } from "./record-index.js";
+
+// Shared database connection (one file for all stores)
+let database = null;
+
+/**
+ * Open the SQLite database and create the records table if needed
+ *
+ * @returns {Database} better-sqlite3 connection
+ */
+export function getDatabase() {
+  if (database) return database;
+
+  const file = process.env.SQLITE_FILE || "./storage/records.db";
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  database = new Database(file);
+  database.pragma("journal_mode = WAL");
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      store      TEXT NOT NULL,
+      key        TEXT NOT NULL,
+      bus_code   TEXT,
+      date       TEXT,
+      end_date   TEXT,
+      status     TEXT,
+      data       TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (store, key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_records_bus_date ON records (store, bus_code, date);
+    CREATE INDEX IF NOT EXISTS idx_records_bus_status ON records (store, bus_code, status);
+  `);
+
+  console.log(`🗄️ SQLite storage opened: ${file}`);
+  return database;
+}
+
+/**
+ * SQLite backend for one store ("daily", "bookings" or "cash")
+ */
+export class SQLiteBackend {
+  constructor(store) {
+    this.store = store;
+    // Last saved JSON of each record, used to find changed rows
+    this.saved = new Map();
+  }
+
+  /**
+   * Load every record of the store
+   *
+   * @returns {Object} Records keyed by record key
+   */
+  load() {
+    const rows = getDatabase()
+      .prepare("SELECT key, data FROM records WHERE store = ?")
+      .all(this.store);
+
+    const data = {};
+    for (const row of rows) {
+      data[row.key] = JSON.parse(row.data);
+      this.saved.set(row.key, row.data);
+    }
+    return data;
+  }
+
+  /**
+   * Save changed and removed records in one transaction
+   *
+   * @param {Object} data - All records of the store
+   */
+  async save(data) {
+    const db = getDatabase();
+    const upsert = db.prepare(`
+      INSERT INTO records (store, key, bus_code, date, end_date, status, data, updated_at)
+      VALUES (@store, @key, @busCode, @date, @endDate, @status, @data, @updatedAt)
+      ON CONFLICT (store, key) DO UPDATE SET
+        bus_code = excluded.bus_code, date = excluded.date, end_date = excluded.end_date,
+        status = excluded.status, data = excluded.data, updated_at = excluded.updated_at
+    `);
+    const remove = db.prepare("DELETE FROM records WHERE store = ? AND key = ?");
+
+    const changed = [];
+    for (const [key, record] of Object.entries(data || {})) {
+      const json = JSON.stringify(record);
+      if (this.saved.get(key) !== json) changed.push([key, record, json]);
+    }
+    const removed = [...this.saved.keys()].filter((key) => !(key in (data || {})));
+
+    if (changed.length === 0 && removed.length === 0) return;
+
+    const updatedAt = new Date().toISOString();
+    db.transaction(() => {
+      for (const [key, record, json] of changed) {
+        upsert.run({ store: this.store, key, ...getRecordIndex(this.store, key, record), data: json, updatedAt });
+      }
+      for (const key of removed) remove.run(this.store, key);
+    })();
+
+    for (const [key, , json] of changed) this.saved.set(key, json);
+    for (const key of removed) this.saved.delete(key);
+  }
+
+  /**
+   * Find record keys using the indexed columns
+   *
+   * @param {Object} filter - { busCode, from, to, status } (see queryRecords in storage.js)
+   * @returns {Array<string>} Matching keys, oldest date first
+   */
+  queryKeys(filter) {
+    const conditions = ["store = @store"];
+    const params = { store: this.store };
+
+    if (filter.busCode) {
+      conditions.push("bus_code = @busCode");
+      params.busCode = filter.busCode;
+    }
+    if (filter.from) {
+      conditions.push("date >= @from");
+      params.from = filter.from;
+    }
+    if (filter.to) {
+      conditions.push("date <= @to");
+      params.to = filter.to;
+    }
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      conditions.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(", ")})`);
+      statuses.forEach((status, i) => { params[`status${i}`] = status; });
+    }
+
+    return getDatabase()
+      .prepare(`SELECT key FROM records WHERE ${conditions.join(" AND ")} ORDER BY date, key`)
+      .all(params)
+      .map((row) => row.key);
+  }
+}
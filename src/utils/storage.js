@@ -0,0 +1,405 @@
+/**
+ * storage.js - Transactional Record Storage
+ *
+ * Single storage layer for the daily, booking and cash records.
+ *
+ * Backends (chosen with the STORAGE_BACKEND environment variable):
+ * - json (default): one file per store in the storage directory
+ *     daily     -> storage/daily_data.json
+ *     bookings  -> storage/bookings_data.json
+ *     cash      -> storage/cash_data.json
+ * - sqlite: one SQLite database with indexed bus/date/status columns
+ *   (see storage-sqlite.js; migrate with `npm run migrate:sqlite`)
+ *
+ * Bot handlers (through the LowDB instances exported by db.js) and the
+ * HTTP sync routes share one in-memory copy of each store, so a Sheets sync
+ * landing while a conductor submits can no longer overwrite either write.
+ *
+ * Writes go through a per-store queue, so only one write runs at a time.
+ *
+ * JSON file writes:
+ * - Are atomic: data is written to a temp file, flushed to disk and renamed
+ *   over the original, so a crash mid-write never leaves a half-written file
+ * - Keep the previous good version as <file>.bak
+ *
+ * JSON corruption recovery:
+ * - The damaged file is first kept as <file>.corrupt-<timestamp>; if that
+ *   copy fails, startup stops instead of resetting the file
+ * - It is then restored from <file>.bak, or else from the newest backup snapshot
+ * - Only when no good copy exists does the store start empty
+ */
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { format } from "date-fns";
+import { Low } from "lowdb";
+import { getRecordIndex, matchesFilter } from "./record-index.js";
+import { findLatestStoreSnapshot } from "./snapshots.js";
+
+// Store name -> JSON file path
+const storeFiles = {
+  daily: "./storage/daily_data.json",
+  bookings: "./storage/bookings_data.json",
+  cash: "./storage/cash_data.json",
+};
+
+// Open LowDB instances, keyed by store name
+const stores = {};
+
+/**
+ * Try to parse a JSON object from a file
+ *
+ * @param {string} file - File path
+ * @returns {Object|null} Parsed object, or null if missing, empty or invalid
+ */
+function readJsonObject(file) {
+  try {
+    if (!fs.existsSync(file) || fs.statSync(file).size === 0) return null;
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a store file, falling back to the last good copy if it is damaged
+ * Recovery order: <file>.bak, then the newest backup snapshot (snapshots.js).
+ *
+ * @param {string} name - Store name
+ * @param {string} file - File path
+ * @returns {Object} Store data
+ * @throws {Error} If the file is corrupted and cannot be preserved
+ */
+function loadWithRecovery(name, file) {
+  const data = readJsonObject(file);
+  if (data) return data;
+
+  const fileExists = fs.existsSync(file) && fs.statSync(file).size > 0;
+  if (!fileExists) return {};
+
+  // File exists but is unreadable - keep it aside before recovering.
+  // If it cannot be preserved, refuse to start rather than overwrite it.
+  const corruptCopy = `${file}.corrupt-${Date.now()}`;
+  try {
+    fs.copyFileSync(file, corruptCopy);
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is corrupted and could not be preserved (${err.message}) - refusing to reset it`);
+  }
+  console.error(`⚠️ ${path.basename(file)} is corrupted (saved as ${path.basename(corruptCopy)})`);
+
+  const backup = readJsonObject(`${file}.bak`);
+  if (backup) {
+    fs.copyFileSync(`${file}.bak`, file);
+    console.log(`♻️ Restored ${path.basename(file)} from last good copy (${Object.keys(backup).length} records)`);
+    return backup;
+  }
+
+  const snapshot = findLatestStoreSnapshot(name);
+  if (snapshot) {
+    fs.writeFileSync(file, JSON.stringify(snapshot.data, null, 2));
+    console.log(`♻️ Restored ${path.basename(file)} from backup snapshot ${snapshot.id} (${Object.keys(snapshot.data).length} records)`);
+    return snapshot.data;
+  }
+
+  console.error(`❌ No good copy or snapshot for ${path.basename(file)}, starting empty`);
+  fs.writeFileSync(file, JSON.stringify({}, null, 2));
+  return {};
+}
+
+/**
+ * Read a store straight from its JSON file (used by the SQLite migration)
+ * The file is only read: a damaged file is reported, never recovered or rewritten.
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @returns {Object} Records keyed by record key ({} if the file is missing or empty)
+ * @throws {Error} If the file is not a valid JSON object
+ */
+export function loadJsonStore(name) {
+  const file = storeFiles[name];
+  if (!file) throw new Error(`Unknown store: ${name}`);
+  if (!fs.existsSync(file) || fs.statSync(file).size === 0) return {};
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not valid JSON (${err.message})`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${path.basename(file)} does not hold a JSON object`);
+  }
+  return data;
+}
+
+/**
+ * JSON file backend: one pretty-printed file per store
+ */
+class JsonFileBackend {
+  constructor(name, file) {
+    this.name = name;
+    this.file = file;
+  }
+
+  /**
+   * Load the file, restoring it from the last good copy if damaged
+   */
+  load() {
+    return loadWithRecovery(this.name, this.file);
+  }
+
+  /**
+   * Write the data: temp file -> fsync -> keep .bak -> rename
+   */
+  async save(data) {
+    const tempFile = `${this.file}.tmp`;
+    const json = JSON.stringify(data || {}, null, 2);
+
+    try {
+      const handle = await fs.promises.open(tempFile, "w");
+      try {
+        await handle.writeFile(json);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      if (readJsonObject(this.file)) {
+        await fs.promises.copyFile(this.file, `${this.file}.bak`);
+      }
+      await fs.promises.rename(tempFile, this.file);
+    } catch (err) {
+      try { await fs.promises.unlink(tempFile); } catch {}
+      throw err;
+    }
+  }
+}
+
+/**
+ * LowDB adapter with a shared in-memory copy and a write queue
+ * Saving is delegated to the store's backend (JSON file or SQLite)
+ */
+class StoreAdapter {
+  constructor(backend) {
+    this.backend = backend;
+    this.data = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Return the shared in-memory data (loaded from the backend on first use)
+   * Every caller gets the same object, so no caller can hold a stale copy
+   */
+  async read() {
+    if (!this.data) this.data = await this.backend.load();
+    return this.data;
+  }
+
+  /**
+   * Queue a save of the data
+   *
+   * @param {Object} data - Data to save
+   * @returns {Promise<void>} Resolves when this write is saved
+   */
+  write(data) {
+    this.data = data;
+    return this.enqueue(() => this.writeNow());
+  }
+
+  /**
+   * Run a task after every queued write has finished
+   * A failed task does not block the tasks queued after it
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Save the current data through the backend
+   */
+  async writeNow() {
+    await this.backend.save(this.data || {});
+  }
+}
+
+/**
+ * Create the backend for a store based on STORAGE_BACKEND
+ *
+ * @param {string} name - Store name
+ * @returns {Promise<Object>} Backend with load() and save(data)
+ */
+async function createBackend(name) {
+  const backend = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+
+  if (backend === "sqlite") {
+    // Loaded only when selected, so the JSON backend needs no native module
+    const { SQLiteBackend } = await import("./storage-sqlite.js");
+    return new SQLiteBackend(name);
+  }
+  if (backend !== "json") {
+    console.warn(`⚠️ Unknown STORAGE_BACKEND "${backend}", using json`);
+  }
+
+  const file = storeFiles[name];
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return new JsonFileBackend(name, file);
+}
+
+/**
+ * Open a store (once) and return its LowDB instance
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @returns {Promise<Low>} LowDB instance backed by the shared store adapter
+ */
+export async function openStore(name) {
+  const file = storeFiles[name];
+  if (!file) throw new Error(`Unknown store: ${name}`);
+
+  if (!stores[name]) {
+    const store = new Low(new StoreAdapter(await createBackend(name)), {});
+    await store.read();
+    stores[name] = store;
+  }
+  return stores[name];
+}
+
+/**
+ * Top-level keys whose record differs between two copies of a store
+ *
+ * @param {Object} before - Copy taken before the change
+ * @param {Object} after - Changed copy
+ * @returns {Array<string>} Added, changed and removed keys
+ */
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(
+    (key) => !(key in before) || !(key in after) || JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+/**
+ * Copy some keys from one copy of a store into the live data, in place
+ * The object itself is kept, since the LowDB instance and the adapter share it
+ *
+ * @param {Object} data - Live store data
+ * @param {Object} source - Copy to take the records from
+ * @param {Array<string>} keys - Keys to copy; keys missing from source are deleted
+ */
+function copyKeys(data, source, keys) {
+  for (const key of keys) {
+    if (key in source) data[key] = source[key];
+    else delete data[key];
+  }
+}
+
+/**
+ * Run a change against a store and save it, as one step in the write queue
+ * Transactions on the same store never overlap with each other or with
+ * queued writes. fn works on a copy of the data; only the records it added,
+ * changed or removed are then copied into the live data and saved, so bot
+ * writes to other records while fn awaits are kept. If fn throws, the live
+ * data is not touched; if the save fails, only those records are put back.
+ * Either way the error is passed back to the caller.
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @param {Function} fn - Receives a copy of the store data, may be async; its return value is passed through
+ * @returns {Promise<*>} Whatever fn returned
+ *
+ * @example
+ * const updated = await transaction("daily", (data) => {
+ *   data["BUS101_15/11/2025"] = record;
+ *   return 1;
+ * });
+ */
+export async function transaction(name, fn) {
+  const store = await openStore(name);
+  const adapter = store.adapter;
+
+  return adapter.enqueue(async () => {
+    const snapshot = structuredClone(store.data);
+    const draft = structuredClone(store.data);
+    const result = await fn(draft);
+
+    const keys = changedKeys(snapshot, draft);
+    // Records are replaced, not changed in place, so the old objects are the undo copy
+    const previous = Object.fromEntries(keys.filter((key) => key in store.data).map((key) => [key, store.data[key]]));
+    copyKeys(store.data, draft, keys);
+    try {
+      await adapter.writeNow();
+    } catch (err) {
+      copyKeys(store.data, previous, keys);
+      throw err;
+    }
+    return result;
+  });
+}
+
+/**
+ * Get the current data of a store as pretty-printed JSON
+ * Used by the GET sync routes so they serve exactly what the bot sees
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @returns {Promise<string>} JSON text
+ */
+export async function readStoreJson(name) {
+  const store = await openStore(name);
+  return JSON.stringify(store.data || {}, null, 2);
+}
+
+/**
+ * Convert a Date (or "yyyy-MM-dd" string) to the yyyy-MM-dd form used by the index
+ */
+function toIndexDate(value) {
+  if (!value) return null;
+  return value instanceof Date ? format(value, "yyyy-MM-dd") : String(value);
+}
+
+/**
+ * Find records by bus, date and status without parsing keys in the caller
+ * The SQLite backend answers from its indexes; the JSON backend scans.
+ *
+ * @param {string} name - Store name ('daily', 'bookings' or 'cash')
+ * @param {Object} filter
+ * @param {string} [filter.busCode] - Only this bus
+ * @param {Date|string} [filter.from] - Record date on or after (start date for bookings)
+ * @param {Date|string} [filter.to] - Record date on or before
+ * @param {string|Array<string>} [filter.status] - Only these statuses
+ * @returns {Promise<Array<[string, Object]>>} [key, record] pairs, oldest date first
+ *
+ * @example
+ * const pending = await queryRecords("bookings", { busCode: "BUS101", status: "Pending" });
+ */
+export async function queryRecords(name, filter = {}) {
+  const store = await openStore(name);
+  const adapter = store.adapter;
+  const normalized = { ...filter, from: toIndexDate(filter.from), to: toIndexDate(filter.to) };
+
+  // Let queued writes land first so the backend sees the latest data
+  await adapter.queue;
+  const data = store.data || {};
+
+  if (typeof adapter.backend.queryKeys === "function") {
+    return adapter.backend
+      .queryKeys(normalized)
+      .filter((key) => key in data)
+      .map((key) => [key, data[key]]);
+  }
+
+  return Object.entries(data)
+    .map(([key, record]) => ({ key, record, index: getRecordIndex(name, key, record) }))
+    .filter(({ index }) => matchesFilter(index, normalized))
+    .sort((a, b) => (a.index.date || "").localeCompare(b.index.date || "") || a.key.localeCompare(b.key))
+    .map(({ key, record }) => [key, record]);
+}
+
+/**
+ * Wait for every queued write to finish (e.g., before shutdown)
+ *
+ * @returns {Promise<void>}
+ */
+export async function flushStores() {
+  await Promise.all(Object.values(stores).map((store) => store.adapter.queue));
+}
@@ -0,0 +1,108 @@
+/**
+ * voice-entry.js - Voice Note Entry
+ *
+ * Turns a WhatsApp voice note into the text a user would have typed:
+ *
+ *   🎤 "Diesel paanch hazaar. Adda do sau."
+ *   -> "Diesel 5000\nAdda 200"
+ *
+ * The transcript (speech.js) is split into one line per spoken sentence (or
+ * per entry name after a comma) and spoken numbers become digits
+ * (spoken-numbers.js). The bot echoes what it heard, and the text then goes
+ * through the normal menu and feature handlers, so several sentences are
+ * handled like a pasted multi-line entry.
+ */
+
+import pino from "pino";
+import { downloadMediaMessage } from "@whiskeysockets/baileys";
+import { isSpeechEnabled, transcribeAudio } from "./speech.js";
+import { normalizeSpokenNumbers } from "./spoken-numbers.js";
+import { tr } from "./i18n.js";
+
+// Entry names that start a new line when they follow a comma ("diesel 5000, adda 200")
+const ENTRY_START = /,\s*(?=(?:dated|diesel|adda|union|total|driver|conductor|trip|expense|remarks|received|advance|fare|name|mobile|pickup|drop|date|status|submit)\b|online\s+\S)/i;
+
+// Longer voice notes are refused (transcription runs on the server CPU)
+const MAX_VOICE_SECONDS = Number(process.env.MAX_VOICE_SECONDS) || 60;
+
+/**
+ * Get the audio part of a WhatsApp message, if it has one
+ *
+ * @param {Object} msg - Incoming WhatsApp message
+ * @returns {Object|null} audioMessage
+ */
+export function getAudioMessage(msg) {
+  return msg?.message?.audioMessage || null;
+}
+
+/**
+ * Turn a transcript into entry lines with digits
+ *
+ * @param {string} transcript - Text from speech-to-text
+ * @returns {string} One entry per line
+ */
+export function transcriptToEntryText(transcript) {
+  return String(transcript || "")
+    .replace(/(\d),(?=\d)/g, "$1")             // 5,000 -> 5000
+    .split(/[.?!;।\n]+(?!\d)/)                 // one line per sentence (keeps 15.5)
+    .flatMap((sentence) => sentence.split(ENTRY_START))
+    .map((line) => line.replace(/,/g, " ").replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((line) => normalizeSpokenNumbers(line))
+    .map((line) => line.charAt(0).toUpperCase() + line.slice(1))
+    .join("\n");
+}
+
+/**
+ * Transcribe a voice note and echo what was understood
+ *
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} msg - Incoming WhatsApp message with an audioMessage
+ * @returns {Promise<string|null>} Entry text, or null if nothing should be processed (user already told why)
+ */
+export async function handleVoiceNote(sock, msg) {
+  const sender = msg.key.remoteJid;
+  const audio = getAudioMessage(msg);
+
+  if (!isSpeechEnabled()) {
+    await sock.sendMessage(sender, {
+      text: tr(sender, "common.voice.disabled"),
+    });
+    return null;
+  }
+
+  if (Number(audio?.seconds) > MAX_VOICE_SECONDS) {
+    await sock.sendMessage(sender, {
+      text: tr(sender, "common.voice.tooLong", { seconds: MAX_VOICE_SECONDS }),
+    });
+    return null;
+  }
+
+  try {
+    const buffer = await downloadMediaMessage(
+      msg,
+      "buffer",
+      {},
+      { logger: pino({ level: "silent" }), reuploadRequest: sock.updateMediaMessage }
+    );
+    const transcript = await transcribeAudio(buffer);
+    const text = transcriptToEntryText(transcript);
+    console.log(`🎤 Voice note from ${sender}: "${transcript}" -> ${JSON.stringify(text)}`);
+
+    if (!text) {
+      await sock.sendMessage(sender, {
+        text: tr(sender, "common.voice.empty"),
+      });
+      return null;
+    }
+
+    await sock.sendMessage(sender, { text: tr(sender, "common.voice.heard", { text }) });
+    return text;
+  } catch (err) {
+    console.error("❌ Error transcribing voice note from", sender, ":", err);
+    await sock.sendMessage(sender, {
+      text: tr(sender, "common.voice.failed"),
+    });
+    return null;
+  }
+}